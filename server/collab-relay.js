@@ -0,0 +1,134 @@
+// Relay for live collaboration in the Requirement Analyzer.
+//
+// Browsers in the same room subscribe to a Server-Sent Events stream and post their
+// messages (document changes and presence); the relay forwards each message to every
+// other browser in the room. It keeps nothing on disk and never looks inside messages,
+// so it can run on any machine on the local network. Uses only Node built-ins.
+//
+//   npm run collab-relay
+//
+// Environment:
+//   PORT                  port to listen on (default 8788)
+//   RELAY_TOKEN           if set, clients must pass ?token=<token> (EventSource can't send headers)
+//   RELAY_ALLOWED_ORIGIN  origin allowed by CORS (default *)
+//
+// API:
+//   GET  /rooms/:room/events?client=<id>  event stream of messages from other clients
+//   POST /rooms/:room/messages            JSON message with a "client" field, forwarded as is
+// When a client's stream closes, the others get { type: "leave", client }.
+
+import { createServer } from "node:http";
+import { timingSafeEqual } from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+const MAX_MESSAGE_BYTES = 5 * 1024 * 1024;
+const KEEP_ALIVE_MS = 25000;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const isAuthorized = (url, token) => {
+  if (!token) return true;
+  const expected = Buffer.from(token);
+  const received = Buffer.from(url.searchParams.get("token") || "");
+  return received.length === expected.length && timingSafeEqual(received, expected);
+};
+
+const readMessage = (request) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_MESSAGE_BYTES) {
+        reject(Object.assign(new Error("Message too large"), { status: 413 }));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    request.on("error", reject);
+  });
+
+export const createCollabRelay = ({ token = "", allowedOrigin = "*" } = {}) => {
+  const rooms = new Map(); // room -> Map(client -> response)
+
+  const broadcast = (room, sender, data) => {
+    rooms.get(room)?.forEach((response, client) => {
+      if (client !== sender) response.write(`data: ${data}\n\n`);
+    });
+  };
+
+  const subscribe = (request, response, room, client) => {
+    response.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+    });
+    response.write(": connected\n\n");
+    if (!rooms.has(room)) rooms.set(room, new Map());
+    // A reconnecting client replaces its old stream
+    rooms.get(room).get(client)?.end();
+    rooms.get(room).set(client, response);
+
+    const keepAlive = setInterval(() => response.write(": keep-alive\n\n"), KEEP_ALIVE_MS);
+    request.on("close", () => {
+      clearInterval(keepAlive);
+      const clients = rooms.get(room);
+      if (clients?.get(client) !== response) return;
+      clients.delete(client);
+      if (clients.size === 0) rooms.delete(room);
+      broadcast(room, client, JSON.stringify({ type: "leave", client }));
+    });
+  };
+
+  return createServer(async (request, response) => {
+    response.setHeader("Access-Control-Allow-Origin", allowedOrigin);
+    response.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    response.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    if (request.method === "OPTIONS") {
+      response.writeHead(204).end();
+      return;
+    }
+
+    const url = new URL(request.url, "http://localhost");
+    const [prefix, room, action] = url.pathname.split("/").filter(Boolean);
+    const reply = (status, message) => response.writeHead(status, { "Content-Type": "text/plain" }).end(message);
+
+    if (!isAuthorized(url, token)) return reply(401, "Unauthorized");
+    if (prefix !== "rooms" || !ID_PATTERN.test(room || "")) return reply(404, "Not found");
+
+    if (action === "events" && request.method === "GET") {
+      const client = url.searchParams.get("client") || "";
+      if (!ID_PATTERN.test(client)) return reply(400, "Missing client id");
+      subscribe(request, response, room, client);
+      return;
+    }
+
+    if (action === "messages" && request.method === "POST") {
+      try {
+        const text = await readMessage(request);
+        const message = JSON.parse(text);
+        if (typeof message?.client !== "string") return reply(400, "Missing client id");
+        // Re-serialised so a message can never break out of its event
+        broadcast(room, message.client, JSON.stringify(message));
+        return reply(204, "");
+      } catch (error) {
+        return reply(error.status || 400, error.status ? error.message : "Expected a JSON message");
+      }
+    }
+
+    return reply(404, "Not found");
+  });
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 8788;
+  const relay = createCollabRelay({
+    token: process.env.RELAY_TOKEN || "",
+    allowedOrigin: process.env.RELAY_ALLOWED_ORIGIN || "*",
+  });
+  relay.listen(port, () => {
+    console.log(`[COLLAB-RELAY] Listening on http://localhost:${port}`);
+    if (!process.env.RELAY_TOKEN) console.warn("[COLLAB-RELAY] RELAY_TOKEN is not set; anyone who can reach this port can join rooms");
+  });
+}
@@ -0,0 +1,211 @@
+// Fake GitHub contents API for trying out and testing repository sync.
+//
+// Implements just the part of the GitHub REST API that repository sync uses, in memory,
+// so pushing and importing can be exercised without a real repository or token.
+// Repositories and branches are created on first write. Nothing is kept across restarts.
+//
+//   npm run fake-github-api
+//
+// Environment:
+//   PORT                      port to listen on (default 8789)
+//   FAKE_GITHUB_TOKEN         if set, clients must send "Authorization: Bearer <token>"
+//   FAKE_GITHUB_INLINE_LIMIT  files larger than this many bytes come back without inline
+//                             content, like GitHub does over 1 MB (default 1048576)
+//
+// API (all JSON, ?ref=<branch> selects a branch, default "main"):
+//   GET /repos/:owner/:repo/contents/:path     file { type, name, path, sha, size, encoding, content }
+//                                              or a folder listing [{ type, name, path, sha, size }]
+//   PUT /repos/:owner/:repo/contents/:path     { message, content, sha?, branch? } -> { content, commit }
+//                                              sha is required to replace a file and must match
+//   GET /repos/:owner/:repo/git/blobs/:sha     { sha, size, encoding, content }
+//   GET /repos/:owner/:repo/commits            [{ sha, commit: { message }, files: [{ filename }] }], newest first
+
+import { createServer } from "node:http";
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const DEFAULT_BRANCH = "main";
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Same id git gives the file's content
+const blobSha = (bytes) =>
+  createHash("sha1").update(`blob ${bytes.length}\0`).update(bytes).digest("hex");
+
+const createRepoStore = () => {
+  const repos = new Map(); // "owner/repo" -> { branches: Map<branch, Map<path, sha>>, blobs: Map<sha, Buffer>, commits: [] }
+
+  const repoFor = (owner, repo, create = false) => {
+    const key = `${owner}/${repo}`;
+    if (!repos.has(key)) {
+      if (!create) throw new HttpError(404, "Not Found");
+      repos.set(key, { branches: new Map(), blobs: new Map(), commits: [] });
+    }
+    return repos.get(key);
+  };
+
+  const filesOf = (repository, branch) => repository.branches.get(branch || DEFAULT_BRANCH) || new Map();
+
+  const fileEntry = (repository, filePath, sha) => ({
+    type: "file",
+    name: filePath.split("/").pop(),
+    path: filePath,
+    sha,
+    size: repository.blobs.get(sha).length,
+  });
+
+  return {
+    get: (owner, repo, filePath, branch, inlineLimit) => {
+      const repository = repoFor(owner, repo);
+      const files = filesOf(repository, branch);
+      if (files.has(filePath)) {
+        const sha = files.get(filePath);
+        const bytes = repository.blobs.get(sha);
+        const inline = bytes.length <= inlineLimit;
+        return { ...fileEntry(repository, filePath, sha), encoding: inline ? "base64" : "none", content: inline ? bytes.toString("base64") : "" };
+      }
+      // A folder is every path below it; subfolders are listed once
+      const prefix = filePath ? `${filePath}/` : "";
+      const entries = new Map();
+      files.forEach((sha, path) => {
+        if (!path.startsWith(prefix)) return;
+        const [name, ...rest] = path.slice(prefix.length).split("/");
+        if (rest.length > 0) entries.set(name, { type: "dir", name, path: `${prefix}${name}`, sha: "", size: 0 });
+        else entries.set(name, fileEntry(repository, path, sha));
+      });
+      if (entries.size === 0) throw new HttpError(404, "Not Found");
+      return [...entries.values()].sort((a, b) => a.name.localeCompare(b.name));
+    },
+    put: (owner, repo, filePath, { message, content, sha, branch }) => {
+      if (!filePath) throw new HttpError(422, "A file path is required");
+      if (typeof message !== "string" || !message) throw new HttpError(422, "A commit message is required");
+      if (typeof content !== "string") throw new HttpError(422, "content must be base64");
+      const repository = repoFor(owner, repo, true);
+      const branchName = branch || DEFAULT_BRANCH;
+      if (!repository.branches.has(branchName)) repository.branches.set(branchName, new Map());
+      const files = repository.branches.get(branchName);
+      const existing = files.get(filePath);
+      if (existing && !sha) throw new HttpError(422, "\"sha\" wasn't supplied.");
+      if (existing && sha !== existing) throw new HttpError(409, `${filePath} does not match ${sha}`);
+
+      const bytes = Buffer.from(content, "base64");
+      const newSha = blobSha(bytes);
+      repository.blobs.set(newSha, bytes);
+      files.set(filePath, newSha);
+      const commit = { sha: randomBytes(20).toString("hex"), message, branch: branchName, path: filePath };
+      repository.commits.push(commit);
+      console.log(`[FAKE-GITHUB] ${owner}/${repo}@${branchName} ${filePath}: ${message}`);
+      return [existing ? 200 : 201, { content: fileEntry(repository, filePath, newSha), commit: { sha: commit.sha, message } }];
+    },
+    blob: (owner, repo, sha) => {
+      const bytes = repoFor(owner, repo).blobs.get(sha);
+      if (!bytes) throw new HttpError(404, "Not Found");
+      return { sha, size: bytes.length, encoding: "base64", content: bytes.toString("base64") };
+    },
+    commits: (owner, repo, branch) =>
+      repoFor(owner, repo).commits
+        .filter((commit) => commit.branch === (branch || DEFAULT_BRANCH))
+        .map(({ sha, message, path }) => ({ sha, commit: { message }, files: [{ filename: path }] }))
+        .reverse(),
+  };
+};
+
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Payload too large"));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+        if (!body || typeof body !== "object") throw new Error();
+        resolve(body);
+      } catch {
+        reject(new HttpError(400, "Problems parsing JSON"));
+      }
+    });
+    request.on("error", reject);
+  });
+
+const isAuthorized = (request, token) => {
+  if (!token) return true;
+  const expected = Buffer.from(`Bearer ${token}`);
+  const received = Buffer.from(request.headers.authorization || "");
+  return received.length === expected.length && timingSafeEqual(received, expected);
+};
+
+export const createFakeGitHubApi = ({ token = "", inlineLimit = 1024 * 1024 } = {}) => {
+  const store = createRepoStore();
+
+  const route = async (request) => {
+    const url = new URL(request.url, "http://localhost");
+    let parts;
+    try {
+      parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    } catch {
+      throw new HttpError(400, "Malformed path");
+    }
+    const [root, owner, repo, kind, ...rest] = parts;
+    if (root !== "repos" || !owner || !repo) throw new HttpError(404, "Not Found");
+    const branch = url.searchParams.get("ref") || "";
+    const method = request.method;
+
+    if (kind === "contents") {
+      const filePath = rest.join("/");
+      if (method === "GET") return [200, store.get(owner, repo, filePath, branch, inlineLimit)];
+      if (method === "PUT") return store.put(owner, repo, filePath, await readBody(request));
+    } else if (kind === "git" && rest[0] === "blobs" && rest[1] && method === "GET") {
+      return [200, store.blob(owner, repo, rest[1])];
+    } else if (kind === "commits" && rest.length === 0 && method === "GET") {
+      return [200, store.commits(owner, repo, url.searchParams.get("sha") || branch)];
+    } else {
+      throw new HttpError(404, "Not Found");
+    }
+    throw new HttpError(405, "Method not allowed");
+  };
+
+  return createServer(async (request, response) => {
+    response.setHeader("Access-Control-Allow-Origin", "*");
+    response.setHeader("Access-Control-Allow-Methods", "GET, PUT, OPTIONS");
+    response.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type, Accept, X-GitHub-Api-Version");
+    if (request.method === "OPTIONS") {
+      response.writeHead(204).end();
+      return;
+    }
+
+    try {
+      if (!isAuthorized(request, token)) throw new HttpError(401, "Bad credentials");
+      const [status, body] = await route(request);
+      response.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) console.error("[FAKE-GITHUB]", error);
+      response.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify({ message: status === 500 ? "Internal error" : error.message }));
+    }
+  });
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 8789;
+  const server = createFakeGitHubApi({
+    token: process.env.FAKE_GITHUB_TOKEN || "",
+    inlineLimit: Number(process.env.FAKE_GITHUB_INLINE_LIMIT) || 1024 * 1024,
+  });
+  server.listen(port, () => {
+    console.log(`[FAKE-GITHUB] Listening on http://localhost:${port}; set it as the repository API URL in GitHub Sync`);
+  });
+}
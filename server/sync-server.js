@@ -0,0 +1,224 @@
+// Self-hosted sync server for the Requirement Analyzer.
+//
+// A small REST backend for the "Sync server" provider, for teams that keep analyses
+// on-prem instead of in GitHub gists. It uses only Node built-ins and stores one JSON
+// file per analysis, with every save kept as a revision so history and merges work.
+//
+//   npm run sync-server
+//
+// Environment:
+//   PORT                 port to listen on (default 8787)
+//   SYNC_DATA_DIR        where analyses are stored (default ./sync-data)
+//   SYNC_TOKEN           if set, clients must send "Authorization: Bearer <token>"
+//   SYNC_ALLOWED_ORIGIN  origin allowed by CORS (default *)
+//   SYNC_MAX_REVISIONS   revisions kept per analysis (default 100)
+//
+// API (all JSON):
+//   GET    /api/analyses                          [{ id, name, phase, updatedAt }]
+//   POST   /api/analyses                          { name, phase, payload } -> { id, revision }
+//   GET    /api/analyses/:id                      { id, name, phase, revision, updatedAt, payload }
+//   PUT    /api/analyses/:id                      { name, phase, payload } -> { id, revision }
+//   DELETE /api/analyses/:id
+//   GET    /api/analyses/:id/revisions            [{ revision, savedAt }], newest first
+//   GET    /api/analyses/:id/revisions/:revision  { revision, savedAt, payload }
+//
+// The payload is stored as sent. Secure tasks arrive as AES-GCM envelopes, so the
+// server never sees their content.
+
+import { createServer } from "node:http";
+import { mkdir, readFile, writeFile, rename, readdir, rm } from "node:fs/promises";
+import { randomUUID, timingSafeEqual } from "node:crypto";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const createFileStore = (dataDir, maxRevisions) => {
+  const fileFor = (id) => {
+    if (!ID_PATTERN.test(id)) throw new HttpError(404, "Not found");
+    return path.join(dataDir, `${id}.json`);
+  };
+
+  const read = async (id) => {
+    try {
+      return JSON.parse(await readFile(fileFor(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") throw new HttpError(404, "Not found");
+      throw error;
+    }
+  };
+
+  // Write to a temporary file first so a crash never leaves half a document behind
+  const write = async (document) => {
+    const file = fileFor(document.id);
+    await writeFile(`${file}.tmp`, JSON.stringify(document));
+    await rename(`${file}.tmp`, file);
+  };
+
+  // Requests are handled one write at a time, so two saves can't interleave
+  let queue = Promise.resolve();
+  const serialized = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const addRevision = (document, { name, phase, payload }) => {
+    const revision = { revision: randomUUID(), savedAt: new Date().toISOString(), payload };
+    return {
+      ...document,
+      name: typeof name === "string" ? name : document.name,
+      phase: typeof phase === "string" ? phase : document.phase,
+      revisions: [...document.revisions, revision].slice(-maxRevisions),
+    };
+  };
+
+  const head = (document) => document.revisions[document.revisions.length - 1];
+
+  return {
+    list: async () => {
+      await mkdir(dataDir, { recursive: true });
+      const files = (await readdir(dataDir)).filter((file) => file.endsWith(".json"));
+      const documents = await Promise.all(files.map((file) => read(file.slice(0, -".json".length)).catch(() => null)));
+      return documents
+        .filter(Boolean)
+        .map((document) => ({ id: document.id, name: document.name, phase: document.phase, updatedAt: head(document).savedAt }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+    get: async (id) => {
+      const document = await read(id);
+      const { revision, savedAt, payload } = head(document);
+      return { id, name: document.name, phase: document.phase, revision, updatedAt: savedAt, payload };
+    },
+    create: (body) => serialized(async () => {
+      await mkdir(dataDir, { recursive: true });
+      const document = addRevision({ id: randomUUID(), name: "", phase: "", revisions: [] }, body);
+      await write(document);
+      return { id: document.id, revision: head(document).revision };
+    }),
+    update: (id, body) => serialized(async () => {
+      const document = addRevision(await read(id), body);
+      await write(document);
+      return { id, revision: head(document).revision };
+    }),
+    remove: (id) => serialized(async () => {
+      await read(id);
+      await rm(fileFor(id));
+    }),
+    revisions: async (id) =>
+      (await read(id)).revisions.map(({ revision, savedAt }) => ({ revision, savedAt })).reverse(),
+    revision: async (id, revisionId) => {
+      const found = (await read(id)).revisions.find((r) => r.revision === revisionId);
+      if (!found) throw new HttpError(404, "Not found");
+      return found;
+    },
+  };
+};
+
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Payload too large"));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+        if (!body || typeof body !== "object" || body.payload === undefined) throw new Error();
+        resolve(body);
+      } catch {
+        reject(new HttpError(400, "Expected a JSON body with a payload"));
+      }
+    });
+    request.on("error", reject);
+  });
+
+const isAuthorized = (request, token) => {
+  if (!token) return true;
+  const expected = Buffer.from(`Bearer ${token}`);
+  const received = Buffer.from(request.headers.authorization || "");
+  return received.length === expected.length && timingSafeEqual(received, expected);
+};
+
+export const createSyncServer = ({ dataDir, token = "", allowedOrigin = "*", maxRevisions = 100 }) => {
+  const store = createFileStore(dataDir, maxRevisions);
+
+  const route = async (request) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    let parts;
+    try {
+      parts = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    } catch {
+      throw new HttpError(400, "Malformed path");
+    }
+    if (parts[0] !== "api" || parts[1] !== "analyses") throw new HttpError(404, "Not found");
+    const [, , id, sub, revisionId] = parts;
+    const method = request.method;
+
+    if (!id) {
+      if (method === "GET") return [200, await store.list()];
+      if (method === "POST") return [201, await store.create(await readBody(request))];
+    } else if (!sub) {
+      if (method === "GET") return [200, await store.get(id)];
+      if (method === "PUT") return [200, await store.update(id, await readBody(request))];
+      if (method === "DELETE") return [204, await store.remove(id)];
+    } else if (sub === "revisions" && method === "GET") {
+      return revisionId ? [200, await store.revision(id, revisionId)] : [200, await store.revisions(id)];
+    }
+    throw new HttpError(405, "Method not allowed");
+  };
+
+  return createServer(async (request, response) => {
+    response.setHeader("Access-Control-Allow-Origin", allowedOrigin);
+    response.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    response.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type");
+    if (request.method === "OPTIONS") {
+      response.writeHead(204).end();
+      return;
+    }
+
+    try {
+      if (!isAuthorized(request, token)) throw new HttpError(401, "Unauthorized");
+      const [status, body] = await route(request);
+      if (status === 204) {
+        response.writeHead(204).end();
+      } else {
+        response.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+      }
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) console.error("[SYNC-SERVER]", error);
+      response.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify({ error: status === 500 ? "Internal error" : error.message }));
+    }
+  });
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 8787;
+  const dataDir = path.resolve(process.env.SYNC_DATA_DIR || "sync-data");
+  const server = createSyncServer({
+    dataDir,
+    token: process.env.SYNC_TOKEN || "",
+    allowedOrigin: process.env.SYNC_ALLOWED_ORIGIN || "*",
+    maxRevisions: Number(process.env.SYNC_MAX_REVISIONS) || 100,
+  });
+  server.listen(port, () => {
+    console.log(`[SYNC-SERVER] Listening on http://localhost:${port}, storing analyses in ${dataDir}`);
+    if (!process.env.SYNC_TOKEN) console.warn("[SYNC-SERVER] SYNC_TOKEN is not set; anyone who can reach this port can read and write analyses");
+  });
+}
@@ -24,19 +24,45 @@
 import React, { useState, useCallback, useMemo, useEffect, useRef } from "react";
 
 // --- Encryption Utilities for Secure localStorage ---
-// Uses Web Crypto API to encrypt sensitive data at rest
+// Uses Web Crypto API to encrypt sensitive data at rest.
+// The AES-GCM key is derived from a user passphrase and a random per-installation
+// salt. It only lives in memory while the vault is unlocked.
+
+const ANALYSES_STORAGE_KEY = "requirementAnalyses";
+const VAULT_META_KEY = "req_analyzer_vault_v1";
+const VAULT_PENDING_META_KEY = "req_analyzer_vault_v1_pending";
+const VAULT_CHECK_VALUE = "requirement-analyzer-vault-check";
+const PBKDF2_ITERATIONS = 100000;
+
+// Constants used by builds before the vault existed - only needed to migrate old blobs
+const LEGACY_ENCRYPTION_SALT = "requirement-analyzer-secure-2026";
+const LEGACY_PBKDF2_SALT = "secure-telco-mode";
+
+// Key for the unlocked vault (never persisted)
+let vaultKey = null;
+
+// Base64 helpers that work on large buffers (spreading into fromCharCode overflows the stack)
+const bytesToBase64 = (bytes) => {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
 
-const ENCRYPTION_KEY_NAME = "req_analyzer_key_v1";
-const ENCRYPTION_SALT = "requirement-analyzer-secure-2026"; // In production, use unique per-installation salt
+const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
 
-// Generate or retrieve encryption key
-const getEncryptionKey = async () => {
-  // For automatic encryption, we derive a key from a constant
-  // For password-protected mode, replace this with PBKDF2 from user password
+// Derive an AES-GCM key from a passphrase with PBKDF2
+const deriveKey = async (passphrase, salt, iterations = PBKDF2_ITERATIONS) => {
   const encoder = new TextEncoder();
   const keyMaterial = await window.crypto.subtle.importKey(
     "raw",
-    encoder.encode(ENCRYPTION_SALT),
+    encoder.encode(passphrase),
     { name: "PBKDF2" },
     false,
     ["deriveBits", "deriveKey"]
@@ -45,77 +71,217 @@ const getEncryptionKey = async () => {
   return await window.crypto.subtle.deriveKey(
     {
       name: "PBKDF2",
-      salt: encoder.encode("secure-telco-mode"),
-      iterations: 100000,
+      salt,
+      iterations,
       hash: "SHA-256"
     },
     keyMaterial,
     { name: "AES-GCM", length: 256 },
-    true,
+    false,
     ["encrypt", "decrypt"]
   );
 };
 
-// Encrypt data
+const getLegacyEncryptionKey = () =>
+  deriveKey(LEGACY_ENCRYPTION_SALT, new TextEncoder().encode(LEGACY_PBKDF2_SALT));
+
+// Encrypt a string with the given key, returns base64(iv + ciphertext)
+const encryptWithKey = async (key, data) => {
+  const encoder = new TextEncoder();
+  const iv = window.crypto.getRandomValues(new Uint8Array(12)); // 12 bytes for AES-GCM
+  
+  const encrypted = await window.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    encoder.encode(data)
+  );
+  
+  // Combine IV and encrypted data
+  const combined = new Uint8Array(iv.length + encrypted.byteLength);
+  combined.set(iv);
+  combined.set(new Uint8Array(encrypted), iv.length);
+  
+  return bytesToBase64(combined);
+};
+
+// Decrypt base64(iv + ciphertext) with the given key. Throws if the key is wrong.
+const decryptWithKey = async (key, encryptedData) => {
+  const combined = base64ToBytes(encryptedData);
+  const iv = combined.slice(0, 12);
+  const encrypted = combined.slice(12);
+  
+  const decrypted = await window.crypto.subtle.decrypt(
+    { name: "AES-GCM", iv },
+    key,
+    encrypted
+  );
+  
+  return new TextDecoder().decode(decrypted);
+};
+
+// Passphrase envelopes for data that leaves the device (backup files, gists): a fresh
+// salt per envelope, with the KDF parameters stored next to the ciphertext
+const encryptWithPassphrase = async (value, passphrase) => {
+  const salt = window.crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt);
+  return {
+    encryption: { algorithm: "AES-GCM", kdf: "PBKDF2-SHA256", salt: bytesToBase64(salt), iterations: PBKDF2_ITERATIONS },
+    data: await encryptWithKey(key, JSON.stringify(value)),
+  };
+};
+
+// Throws if the passphrase is wrong or the envelope was tampered with
+const decryptWithPassphrase = async ({ encryption, data }, passphrase) => {
+  const key = await deriveKey(passphrase, base64ToBytes(encryption.salt), encryption.iterations);
+  return JSON.parse(await decryptWithKey(key, data));
+};
+
+// Encrypt data with the vault key
 const encryptData = async (data) => {
-  try {
-    const key = await getEncryptionKey();
-    const encoder = new TextEncoder();
-    const iv = window.crypto.getRandomValues(new Uint8Array(12)); // 12 bytes for AES-GCM
-    
-    const encrypted = await window.crypto.subtle.encrypt(
-      { name: "AES-GCM", iv },
-      key,
-      encoder.encode(data)
-    );
-    
-    // Combine IV and encrypted data
-    const combined = new Uint8Array(iv.length + encrypted.byteLength);
-    combined.set(iv);
-    combined.set(new Uint8Array(encrypted), iv.length);
-    
-    // Convert to base64 for localStorage
-    return btoa(String.fromCharCode(...combined));
-  } catch (error) {
-    console.error("Encryption failed:", error);
-    return data; // Fallback to unencrypted if encryption fails
-  }
+  if (!vaultKey) throw new Error("Vault is locked");
+  return encryptWithKey(vaultKey, data);
 };
 
 // Decrypt data
 const decryptData = async (encryptedData) => {
+  // Old unencrypted data - use as-is
   try {
-    const key = await getEncryptionKey();
-    const decoder = new TextDecoder();
-    
-    // Decode from base64
-    const combined = new Uint8Array(
-      atob(encryptedData).split('').map(char => char.charCodeAt(0))
-    );
-    
-    // Extract IV and encrypted data
-    const iv = combined.slice(0, 12);
-    const encrypted = combined.slice(12);
-    
-    const decrypted = await window.crypto.subtle.decrypt(
-      { name: "AES-GCM", iv },
-      key,
-      encrypted
-    );
-    
-    return decoder.decode(decrypted);
+    JSON.parse(encryptedData);
+    console.log("Data appears to be unencrypted JSON, using as-is");
+    return encryptedData;
+  } catch {
+    // Not JSON, so it should be ciphertext
+  }
+
+  if (vaultKey) {
+    try {
+      return await decryptWithKey(vaultKey, encryptedData);
+    } catch (error) {
+      console.error("Decryption with vault key failed:", error);
+    }
+  }
+
+  // Data written before the vault existed used a key derived from constants
+  try {
+    const decrypted = await decryptWithKey(await getLegacyEncryptionKey(), encryptedData);
+    console.log("Data was encrypted with the legacy key");
+    return decrypted;
   } catch (error) {
-    console.error("Decryption failed:", error);
-    // If decryption fails, might be old unencrypted data - try to validate it
+    console.error("Data is neither encrypted with a known key nor valid JSON", error);
+    return null;
+  }
+};
+
+// Passphrase-protected vault holding the encryption key
+const vault = {
+  getMeta() {
+    try {
+      return JSON.parse(localStorage.getItem(VAULT_META_KEY));
+    } catch {
+      return null;
+    }
+  },
+
+  exists() {
+    return !!this.getMeta();
+  },
+
+  isUnlocked() {
+    return !!vaultKey;
+  },
+
+  // "none" before a vault is set up, then "locked" or "unlocked"
+  status() {
+    if (this.isUnlocked()) return "unlocked";
+    return this.exists() ? "locked" : "none";
+  },
+
+  // Build vault metadata for a passphrase: random salt plus an encrypted check value
+  async buildMeta(passphrase) {
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt);
+    const check = await encryptWithKey(key, VAULT_CHECK_VALUE);
+    return {
+      key,
+      meta: { version: 1, salt: bytesToBase64(salt), iterations: PBKDF2_ITERATIONS, check, createdAt: new Date().toISOString() }
+    };
+  },
+
+  // Derive the key for a passphrase and verify it against the stored check value
+  async verifyMeta(passphrase, meta) {
+    const key = await deriveKey(passphrase, base64ToBytes(meta.salt), meta.iterations);
     try {
-      // Test if it's valid JSON
-      JSON.parse(encryptedData);
-      console.log("Data appears to be unencrypted JSON, using as-is");
-      return encryptedData;
-    } catch (parseError) {
-      console.error("Data is neither encrypted nor valid JSON", parseError);
+      const check = await decryptWithKey(key, meta.check);
+      return check === VAULT_CHECK_VALUE ? key : null;
+    } catch {
       return null;
     }
+  },
+
+  async verify(passphrase) {
+    const meta = this.getMeta();
+    if (!meta) throw new Error("No vault has been set up");
+    const key = await this.verifyMeta(passphrase, meta);
+    if (key) {
+      localStorage.removeItem(VAULT_PENDING_META_KEY);
+      return key;
+    }
+    // A passphrase change that was interrupted after the data was re-encrypted
+    let pending = null;
+    try { pending = JSON.parse(localStorage.getItem(VAULT_PENDING_META_KEY)); } catch { /* ignore */ }
+    if (!pending) return null;
+    const pendingKey = await this.verifyMeta(passphrase, pending);
+    if (pendingKey) {
+      localStorage.setItem(VAULT_META_KEY, JSON.stringify(pending));
+      localStorage.removeItem(VAULT_PENDING_META_KEY);
+    }
+    return pendingKey;
+  },
+
+  async create(passphrase) {
+    const { key, meta } = await this.buildMeta(passphrase);
+    localStorage.setItem(VAULT_META_KEY, JSON.stringify(meta));
+    vaultKey = key;
+    console.log('[VAULT] Created vault');
+  },
+
+  async unlock(passphrase) {
+    const key = await this.verify(passphrase);
+    if (!key) return false;
+    vaultKey = key;
+    console.log('[VAULT] Unlocked');
+    return true;
+  },
+
+  lock() {
+    vaultKey = null;
+    console.log('[VAULT] Locked');
+  },
+
+  // Keys a passphrase would produce with the current and any pending vault salt,
+  // without checking them. Used to recover data the check value can't vouch for.
+  async candidateKeys(passphrase) {
+    const metas = [this.getMeta()];
+    try { metas.push(JSON.parse(localStorage.getItem(VAULT_PENDING_META_KEY))); } catch { /* ignore */ }
+    return Promise.all(metas.filter((meta) => meta?.salt).map((meta) =>
+      deriveKey(passphrase, base64ToBytes(meta.salt), meta.iterations)
+    ));
+  },
+
+  // Re-encrypt stored data under a new passphrase (and a fresh salt)
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    const oldKey = await this.verify(currentPassphrase);
+    if (!oldKey) return false;
+    const { key, meta } = await this.buildMeta(newPassphrase);
+    // Keep the new metadata aside until the data is re-encrypted, so an interrupted
+    // change can still be unlocked with whichever passphrase matches the data
+    localStorage.setItem(VAULT_PENDING_META_KEY, JSON.stringify(meta));
+    await reencryptStoredAnalyses(oldKey, key);
+    localStorage.setItem(VAULT_META_KEY, JSON.stringify(meta));
+    localStorage.removeItem(VAULT_PENDING_META_KEY);
+    vaultKey = key;
+    console.log('[VAULT] Passphrase changed');
+    return true;
   }
 };
 
@@ -155,9 +321,38 @@ const secureStorage = {
   removeItem(key) {
     localStorage.removeItem(key);
     console.log('[SECURE STORAGE] Removed key:', key);
+  },
+
+  // Encrypt a single analysis into an { id, encrypted } record.
+  // Unchanged analyses reuse their previous ciphertext instead of being re-encrypted.
+  async encryptRecord(analysis) {
+    const json = JSON.stringify(analysis);
+    const cached = encryptedRecordCache.get(analysis.id);
+    if (cached && cached.json === json && cached.key === vaultKey) return cached.record;
+    const record = { id: analysis.id, encrypted: await encryptData(json) };
+    encryptedRecordCache.set(analysis.id, { json, key: vaultKey, record });
+    return record;
+  },
+
+  // Decrypt an { id, encrypted } record, returns null if the vault can't open it
+  async decryptRecord(record) {
+    if (!vaultKey) return null;
+    try {
+      const analysis = JSON.parse(await decryptWithKey(vaultKey, record.encrypted));
+      encryptedRecordCache.set(record.id, { json: JSON.stringify(analysis), key: vaultKey, record });
+      return analysis;
+    } catch (error) {
+      console.error('[SECURE STORAGE] Failed to decrypt record:', record.id, error);
+      return null;
+    }
   }
 };
 
+const isEncryptedRecord = (entry) => !!entry && typeof entry.encrypted === "string";
+
+// Last ciphertext written per analysis id
+const encryptedRecordCache = new Map();
+
 const generateId = () => Math.random().toString(36).slice(2, 10);
 
 // Translation dictionaries
@@ -322,6 +517,7 @@ const EDGE_CASE_ITEMS = [
 
 const createBlankAnalysis = (name = "Untitled Design Task") => ({
   id: generateId(),
+  schemaVersion: CURRENT_SCHEMA_VERSION,
   name,
   phase: "",
   gistId: "",
@@ -352,795 +548,2625 @@ const createBlankAnalysis = (name = "Untitled Design Task") => ({
   summary: { confidence: "", concerns: "", nextSteps: "" },
 });
 
-// Migrate old analysis data to current structure
-const migrateAnalysis = (analysis) => {
-  const blank = createBlankAnalysis();
-  return {
-    ...blank,
-    ...analysis,
-    notes: analysis.notes ?? "",
-    gistId: analysis.gistId ?? "",
-    jiraTicket: analysis.jiraTicket ?? "",
-    secureMode: analysis.secureMode ?? false,
-    language: analysis.language ?? "en",
-  };
+// --- Schema Migrations ---
+// Every analysis carries a schemaVersion. ANALYSIS_MIGRATIONS[i] upgrades a document
+// from version i to i + 1; documents without a version are version 0. Each step keeps
+// its own defaults so later changes to createBlankAnalysis don't alter old upgrades.
+// Append a step (never edit an existing one) when the document shape changes.
+
+// Ids given to old items depend only on position and content, so migrating the same
+// document twice (e.g. both sides of a gist merge) gives the same ids
+const legacyItemId = (index, content) => {
+  let hash = 5381;
+  for (let i = 0; i < content.length; i++) hash = ((hash * 33) ^ content.charCodeAt(i)) >>> 0;
+  return `m${index}-${hash.toString(36)}`;
 };
 
-// GitHub Gist API functions
-const saveToGist = async (analysis, token) => {
-  const headers = {
-    "Accept": "application/vnd.github+json",
-    "Authorization": `Bearer ${token}`,
-    "X-GitHub-Api-Version": "2022-11-28"
-  };
-  
-  const gistData = {
-    description: `Requirement Analysis: ${analysis.name}`,
-    public: false,
-    files: {
-      "analysis.json": {
-        content: JSON.stringify(analysis, null, 2)
-      }
-    }
-  };
+// List items from old builds may be bare strings or lack an id
+const migrateItems = (items, defaults, textField = "text") =>
+  (Array.isArray(items) ? items : []).map((item, index) => {
+    const fields = typeof item === "string" ? { [textField]: item } : item || {};
+    return {
+      ...defaults,
+      ...fields,
+      id: fields.id || legacyItemId(index, JSON.stringify(fields)),
+    };
+  });
 
-  try {
-    if (analysis.gistId) {
-      // Update existing gist
-      const response = await fetch(`https://api.github.com/gists/${analysis.gistId}`, {
-        method: "PATCH",
-        headers,
-        body: JSON.stringify(gistData)
-      });
-      if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
-      return await response.json();
-    } else {
-      // Create new gist
-      const response = await fetch("https://api.github.com/gists", {
-        method: "POST",
-        headers,
-        body: JSON.stringify(gistData)
-      });
-      if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
-      return await response.json();
-    }
-  } catch (error) {
-    console.error("Failed to save gist:", error);
-    throw error;
-  }
-};
+const ANALYSIS_MIGRATIONS = [
+  // 0 -> 1: top-level fields added before documents were versioned
+  (a) => ({
+    ...a,
+    id: a.id || generateId(),
+    name: a.name ?? "Untitled Design Task",
+    phase: a.phase ?? "",
+    gistId: a.gistId ?? "",
+    jiraTicket: a.jiraTicket ?? "",
+    secureMode: a.secureMode ?? false,
+    language: a.language ?? "en",
+    createdAt: a.createdAt ?? new Date().toISOString(),
+    updatedAt: a.updatedAt ?? new Date().toISOString(),
+    notes: a.notes ?? "",
+    assumptions: a.assumptions ?? [],
+    questions: a.questions ?? [],
+    acceptanceCriteria: a.acceptanceCriteria ?? [],
+    actions: a.actions ?? [],
+  }),
+
+  // 1 -> 2: fields added inside sections and list items
+  (a) => ({
+    ...a,
+    overview: { featureName: "", date: "", requestor: "", description: "", origin: "", originOther: "", ...a.overview },
+    problem: { problem: "", who: "", outcome: "", metrics: "", ifNotBuilt: "", ...a.problem },
+    context: { segments: "", workflow: "", workarounds: "", triggers: "", beforeAfter: "", ...a.context },
+    edges: EDGE_CASE_ITEMS.reduce((acc, item) => {
+      acc[item.id] = { considered: false, notes: "", ...a.edges?.[item.id] };
+      return acc;
+    }, { ...a.edges }),
+    scope: {
+      affected: "",
+      newPatterns: "",
+      technical: "",
+      ...a.scope,
+      items: migrateItems(a.scope?.items, { item: "", description: "", version: "MVP", priority: "Must" }, "item"),
+    },
+    assumptions: migrateItems(a.assumptions, { text: "", status: "Unvalidated", tags: [] }),
+    questions: migrateItems(a.questions, { text: "", type: "Stakeholder", status: "Open", answer: "", dependency: false, tags: [] }),
+    acceptanceCriteria: migrateItems(a.acceptanceCriteria, { text: "", priority: "Must Have", status: "Not Started", notes: "" }),
+    actions: migrateItems(a.actions, { text: "", completed: false, note: "" }),
+    // Builds before versioning gave a missing mapping the default FigJam board
+    mapping: a.mapping
+      ? { figmaUrl: "", ...a.mapping }
+      : { figmaUrl: "https://embed.figma.com/board/JiPxw8hWqRLsTs2cpUFU7O/Figjam-Concept?node-id=378-61&embed-host=share" },
+    summary: { confidence: "", concerns: "", nextSteps: "", ...a.summary },
+  }),
+];
 
-const loadFromGist = async (gistId, token) => {
-  const headers = {
-    "Accept": "application/vnd.github+json",
-    "X-GitHub-Api-Version": "2022-11-28"
-  };
-  
-  if (token) {
-    headers["Authorization"] = `Bearer ${token}`;
-  }
+const CURRENT_SCHEMA_VERSION = ANALYSIS_MIGRATIONS.length;
 
-  try {
-    const response = await fetch(`https://api.github.com/gists/${gistId}`, { headers });
-    if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
-    const gist = await response.json();
-    const file = gist.files["analysis.json"];
-    if (!file) throw new Error("No analysis.json found in gist");
-    return JSON.parse(file.content);
-  } catch (error) {
-    console.error("Failed to load gist:", error);
-    throw error;
+// Bring an analysis from any source (storage, gist, share link, JSON file, snapshot)
+// up to the current schema
+const migrateAnalysis = (analysis) => {
+  const from = Number.isInteger(analysis.schemaVersion) ? analysis.schemaVersion : 0;
+  if (from > CURRENT_SCHEMA_VERSION) {
+    // Written by a newer build - leave it as is rather than guess
+    console.warn('[SCHEMA] Analysis', analysis.id, 'has schema version', from, 'newer than', CURRENT_SCHEMA_VERSION);
+    return analysis;
   }
+  if (from === CURRENT_SCHEMA_VERSION) return analysis;
+  const migrated = ANALYSIS_MIGRATIONS.slice(from).reduce((doc, step) => step(doc), analysis);
+  return { ...migrated, schemaVersion: CURRENT_SCHEMA_VERSION };
 };
 
-// Audio analysis functions
-let mediaRecorder = null;
-let audioChunks = [];
-let recognition = null;
-
-const startAudioRecording = async (onTranscript) => {
-  try {
-    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-    mediaRecorder = new MediaRecorder(stream);
-    audioChunks = [];
-
-    mediaRecorder.ondataavailable = (event) => {
-      audioChunks.push(event.data);
-    };
-
-    // Initialize Web Speech API
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (SpeechRecognition) {
-      recognition = new SpeechRecognition();
-      recognition.continuous = true;
-      recognition.interimResults = true;
-      recognition.lang = 'en-US';
-
-      recognition.onresult = (event) => {
-        let interimTranscript = '';
-        let finalTranscript = '';
-        
-        for (let i = event.resultIndex; i < event.results.length; i++) {
-          const transcript = event.results[i][0].transcript;
-          if (event.results[i].isFinal) {
-            finalTranscript += transcript + ' ';
-          } else {
-            interimTranscript += transcript;
-          }
+// --- Analysis Storage ---
+// Standard tasks are stored as plain objects, secure tasks are encrypted one by
+// one as { id, encrypted } records so that each task's protection is independent
+// of the others. IndexedDB keeps one record per analysis; localStorage (a single
+// array under one key) is the fallback when IndexedDB is unavailable.
+
+const IDB_NAME = "requirement-analyzer";
+const IDB_VERSION = 3;
+const IDB_ANALYSES_STORE = "analyses";
+const IDB_SETTINGS_STORE = "settings";
+const IDB_QUARANTINE_STORE = "quarantine";
+const IDB_SNAPSHOTS_STORE = "snapshots";
+const QUARANTINE_STORAGE_KEY = "requirementAnalyses_quarantine";
+const SNAPSHOTS_STORAGE_KEY = "requirementAnalyses_snapshots";
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not supported"));
+        return;
+      }
+      const request = window.indexedDB.open(IDB_NAME, IDB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(IDB_ANALYSES_STORE)) {
+          db.createObjectStore(IDB_ANALYSES_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(IDB_SETTINGS_STORE)) {
+          db.createObjectStore(IDB_SETTINGS_STORE);
+        }
+        if (!db.objectStoreNames.contains(IDB_QUARANTINE_STORE)) {
+          db.createObjectStore(IDB_QUARANTINE_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(IDB_SNAPSHOTS_STORE)) {
+          db.createObjectStore(IDB_SNAPSHOTS_STORE, { keyPath: "id" });
         }
-        
-        onTranscript(finalTranscript, interimTranscript);
       };
-
-      recognition.start();
-    }
-
-    mediaRecorder.start();
-    return true;
-  } catch (error) {
-    console.error("Error starting recording:", error);
-    return false;
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab"));
+    });
+    // Allow a retry on the next call if opening failed
+    databasePromise.catch(() => { databasePromise = null; });
   }
+  return databasePromise;
 };
 
-const stopAudioRecording = () => {
-  return new Promise((resolve) => {
-    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
-      mediaRecorder.onstop = () => {
-        const audioBlob = new Blob(audioChunks, { type: 'audio/wav' });
-        mediaRecorder.stream.getTracks().forEach(track => track.stop());
-        resolve(audioBlob);
-      };
-      mediaRecorder.stop();
-    } else {
-      resolve(null);
-    }
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
 
-    if (recognition) {
-      recognition.stop();
-      recognition = null;
-    }
+// Run fn(stores) inside one transaction, resolves with fn's result once the transaction commits
+const runTransaction = async (storeNames, mode, fn) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = storeNames.reduce((acc, name) => {
+      acc[name] = tx.objectStore(name);
+      return acc;
+    }, {});
+    let result;
+    Promise.resolve(fn(stores)).then((value) => { result = value; }, (error) => {
+      tx.abort();
+      reject(error);
+    });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
   });
 };
 
-const analyzeWithGitHub = async (transcript, githubAIKey) => {
-  if (!githubAIKey) return null;
-  
-  try {
-    const response = await fetch('https://models.inference.ai.azure.com/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${githubAIKey}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        messages: [{
-          role: 'system',
-          content: 'You are a UX/product design assistant. Analyze the transcript and extract information into these sections: problem (what problem and why it matters), context (user context and personas), assumptions (unvalidated assumptions), edges (edge cases), scope (in/out of scope), questions (open questions), actions (requirement analysis action items like "Interview users", "Review analytics", "Create wireframes" - NOT development/implementation tasks), notes (additional notes). Return as compact JSON with section keys and string values. Be concise.'
-        }, {
-          role: 'user',
-          content: transcript
-        }],
-        temperature: 0.7,
-        max_tokens: 1500
-      })
+// Key/value settings kept next to the analyses
+const settingsStore = {
+  async get(key) {
+    return runTransaction([IDB_SETTINGS_STORE], "readonly", (stores) =>
+      promisifyRequest(stores[IDB_SETTINGS_STORE].get(key))
+    );
+  },
+
+  async set(key, value) {
+    return runTransaction([IDB_SETTINGS_STORE], "readwrite", (stores) => {
+      stores[IDB_SETTINGS_STORE].put(value, key);
     });
+  }
+};
 
-    if (!response.ok) throw new Error('GitHub API error');
-    const data = await response.json();
-    const content = data.choices[0].message.content;
-    
-    // Try to parse as JSON, fallback to text
+// Decrypt or unwrap stored records. Records that can't be read are returned as
+// unreadable items: { id, reason, data } where data is the raw stored record.
+const readRecords = async (records) => {
+  const analyses = [];
+  const unreadable = [];
+  for (const record of records) {
+    if (isEncryptedRecord(record)) {
+      const decrypted = await secureStorage.decryptRecord(record);
+      if (decrypted) analyses.push(migrateAnalysis(decrypted));
+      else unreadable.push({ id: record.id, reason: "Could not be decrypted with the vault key", data: record });
+      continue;
+    }
     try {
-      return JSON.parse(content);
-    } catch {
-      return { notes: content };
+      const analysis = record?.analysis ?? record;
+      if (!analysis || typeof analysis !== "object" || !analysis.id) throw new Error("Not an analysis");
+      analyses.push(migrateAnalysis(analysis));
+    } catch (error) {
+      unreadable.push({ id: record?.id ?? generateId(), reason: `Malformed record: ${error.message}`, data: record });
     }
-  } catch (error) {
-    console.error('Failed to analyze with GitHub:', error);
-    return null;
   }
+  return { analyses, unreadable };
 };
 
-const analyzeImage = async (imageBase64, githubAIKey) => {
-  if (!githubAIKey) {
-    return {
-      notes: 'Image uploaded but no AI token provided.',
-      _fallback: true,
-      _reason: 'No GitHub token provided'
-    };
-  }
-  
-  try {
-    const response = await fetch('https://models.inference.ai.azure.com/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${githubAIKey}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        messages: [{
-          role: 'system',
-          content: 'You are analyzing images (screenshots of Jira tickets, requirements docs, wireframes, designs, emails, etc). Extract structured information and return ONLY a valid JSON object (no markdown, no code blocks, no explanation). Use these fields (omit if not found): featureName (short title), date (any date mentioned), requestor (who requested/stakeholders), origin (one of: User Research, Business Metric, Competitor Analysis, Stakeholder Request, Technical Debt, Legal, Other), description (brief summary), problem (problem statement), who (target users), outcome (business outcome), segments (user segments), workflow (current workflow), assumptions (array of strings), questions (array of strings), actions (array of requirement analysis tasks like "Schedule user interview", "Review competitor solutions", "Create user flow", NOT implementation/development tasks), notes (array of additional points). Return raw JSON only.'
-        }, {
-          role: 'user',
-          content: [
-            { type: 'text', text: 'Analyze this image and extract all relevant requirement information.' },
-            { type: 'image_url', image_url: { url: imageBase64 } }
-          ]
-        }],
-        temperature: 0.5,
-        max_tokens: 2000
-      })
+// Re-encrypt a list of records from oldKey to newKey
+const reencryptRecords = (records, oldKey, newKey) =>
+  Promise.all(records.map(async (record) => {
+    if (!isEncryptedRecord(record)) return record;
+    const plain = await decryptWithKey(oldKey, record.encrypted);
+    return { ...record, encrypted: await encryptWithKey(newKey, plain) };
+  }));
+
+// Single JSON array under one localStorage key
+const localStorageBackend = {
+  name: "localStorage",
+
+  async load() {
+    const raw = localStorage.getItem(ANALYSES_STORAGE_KEY);
+    if (!raw) return { analyses: [], unreadable: [], needsVault: false };
+
+    // Older builds encrypted the whole array as one blob - decryptData handles both
+    const saved = await secureStorage.getItem(ANALYSES_STORAGE_KEY);
+    const workspaceUnreadable = (reason) => ({
+      analyses: [],
+      unreadable: [{ id: "workspace", reason, data: raw }],
+      needsVault: false
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`GitHub API returned ${response.status}: ${errorText}`);
-    }
-    const data = await response.json();
-    let content = data.choices[0].message.content;
-    
-    // Strip markdown code blocks if present
-    content = content.trim();
-    
-    if (content.startsWith('```')) {
-      const match = content.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
-      if (match) {
-        content = match[1].trim();
-      }
-    }
-    
-    content = content.replace(/^`+|`+$/g, '').trim();
-    
+    if (!saved) return workspaceUnreadable("Stored workspace could not be decrypted");
+    const isBlob = saved !== raw;
+    let entries;
     try {
-      const parsed = JSON.parse(content);
-      console.log('Successfully parsed AI image response:', parsed);
-      return parsed;
-    } catch (parseError) {
-      console.error('Failed to parse JSON:', parseError, 'Content:', content);
-      return { 
-        notes: 'Failed to parse AI response. Raw content:\n\n' + content,
-        _fallback: true,
-        _reason: 'JSON parsing failed: ' + parseError.message
-      };
+      entries = JSON.parse(saved);
+    } catch (error) {
+      return workspaceUnreadable(`Stored workspace is not valid JSON: ${error.message}`);
     }
-  } catch (error) {
-    console.error('Failed to analyze image:', error);
-    return {
-      notes: 'Image analysis failed: ' + error.message,
-      _fallback: true,
-      _reason: error.message || 'API request failed'
-    };
-  }
-};
+    if (!Array.isArray(entries)) return workspaceUnreadable("Stored workspace is not a list of analyses");
 
-// Extract text from PDF file
-const extractTextFromPDF = async (file) => {
-  try {
-    // Dynamically import PDF.js only when needed
-    const pdfjsLib = await import('pdfjs-dist');
-    
-    // Configure worker using dynamic import for Vite bundling
-    const pdfjsWorker = await import('pdfjs-dist/build/pdf.worker.min.mjs?url');
-    if (pdfjsLib.GlobalWorkerOptions) {
-      pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorker.default;
+    const { analyses, unreadable } = await readRecords(entries);
+    // A blob read without a vault was encrypted with the legacy built-in key
+    return { analyses, unreadable, needsVault: isBlob && !vault.exists() };
+  },
+
+  async save(analyses) {
+    const entries = await Promise.all(
+      analyses.map((a) => (a.secureMode ? secureStorage.encryptRecord(a) : a))
+    );
+    localStorage.setItem(ANALYSES_STORAGE_KEY, JSON.stringify(entries));
+  },
+
+  async reencrypt(oldKey, newKey) {
+    const stored = localStorage.getItem(ANALYSES_STORAGE_KEY);
+    if (!stored) return;
+    let entries;
+    try {
+      entries = JSON.parse(stored);
+    } catch {
+      // Whole workspace stored as a single encrypted blob
+      const plain = await decryptWithKey(oldKey, stored);
+      localStorage.setItem(ANALYSES_STORAGE_KEY, await encryptWithKey(newKey, plain));
+      return;
     }
-    
-    const arrayBuffer = await file.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-    let fullText = '';
-    
-    for (let i = 1; i <= pdf.numPages; i++) {
-      const page = await pdf.getPage(i);
-      const textContent = await page.getTextContent();
-      const pageText = textContent.items.map(item => item.str).join(' ');
-      fullText += pageText + '\n';
+    if (!Array.isArray(entries) || !entries.some(isEncryptedRecord)) return;
+    localStorage.setItem(ANALYSES_STORAGE_KEY, JSON.stringify(await reencryptRecords(entries, oldKey, newKey)));
+  },
+
+  // Replace one stored record in place (used to shred secure tasks before they are deleted)
+  async overwrite(record) {
+    let entries;
+    try {
+      entries = JSON.parse(localStorage.getItem(ANALYSES_STORAGE_KEY));
+    } catch {
+      return;
     }
-    
-    return fullText.trim();
-  } catch (error) {
-    console.error('Failed to extract text from PDF:', error);
-    throw new Error('Failed to read PDF file: ' + error.message);
+    if (!Array.isArray(entries) || !entries.some((entry) => entry?.id === record.id)) return;
+    localStorage.setItem(ANALYSES_STORAGE_KEY, JSON.stringify(entries.map((entry) => (entry?.id === record.id ? record : entry))));
   }
 };
 
-const analyzePastedText = async (text, githubAIKey) => {
-  if (!githubAIKey) {
-    // Fallback without AI: add to notes as bullet points
-    return {
-      notes: text.split('\n').filter(line => line.trim()).map(line => `• ${line.trim()}`).join('\n'),
-      _fallback: true,
-      _reason: 'No GitHub token provided'
-    };
-  }
-  
-  try {
-    const response = await fetch('https://models.inference.ai.azure.com/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${githubAIKey}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        messages: [{
-          role: 'system',
-          content: 'You are analyzing pasted text (like Jira tickets, requirements docs, emails, etc). Extract structured information and return ONLY a valid JSON object (no markdown, no code blocks, no explanation). Use these fields (omit if not found): featureName (short title), date (any date mentioned), requestor (who requested/stakeholders), origin (one of: User Research, Business Metric, Competitor Analysis, Stakeholder Request, Technical Debt, Legal, Other), description (brief summary), problem (problem statement), who (target users), outcome (business outcome), segments (user segments), workflow (current workflow), assumptions (array of strings), questions (array of strings), acceptanceCriteria (array of strings describing what must be true for feature to be complete), actions (array of requirement analysis tasks like "Schedule user interview", "Review competitor solutions", "Create user flow", NOT implementation/development tasks), notes (array of additional points). Return raw JSON only.'
-        }, {
-          role: 'user',
-          content: text
-        }],
-        temperature: 0.5,
-        max_tokens: 2000
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`GitHub API returned ${response.status}: ${errorText}`);
-    }
-    const data = await response.json();
-    let content = data.choices[0].message.content;
-    
-    // Strip markdown code blocks if present (try multiple patterns)
-    content = content.trim();
-    
-    // Remove ```json ... ``` blocks
-    if (content.startsWith('```')) {
-      const match = content.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
-      if (match) {
-        content = match[1].trim();
-      }
+// Serialized form of each record last written to IndexedDB, so unchanged records are skipped
+const writtenRecords = new Map();
+// Set while analyses are still being read from localStorage; cleared after the first IndexedDB write
+let localStorageMigrationPending = false;
+
+// One { id, order, analysis } or { id, order, encrypted } record per analysis
+const indexedDbBackend = {
+  name: "indexedDB",
+
+  async load() {
+    const migrated = await settingsStore.get("migratedFromLocalStorage");
+    if (!migrated && localStorage.getItem(ANALYSES_STORAGE_KEY)) {
+      // One-time migration: read the old key now, the first save moves everything over
+      console.log('[STORAGE] Migrating analyses from localStorage to IndexedDB');
+      localStorageMigrationPending = true;
+      return localStorageBackend.load();
     }
-    
-    // Remove any remaining backticks
-    content = content.replace(/^`+|`+$/g, '').trim();
-    
-    try {
-      const parsed = JSON.parse(content);
-      console.log('Successfully parsed AI response:', parsed);
-      return parsed;
-    } catch (parseError) {
-      console.error('Failed to parse JSON:', parseError, 'Content:', content);
-      return { 
-        notes: 'Failed to parse AI response. Raw content:\n\n' + content,
-        _fallback: true,
-        _reason: 'JSON parsing failed: ' + parseError.message
-      };
+
+    const records = await runTransaction([IDB_ANALYSES_STORE], "readonly", (stores) =>
+      promisifyRequest(stores[IDB_ANALYSES_STORE].getAll())
+    );
+    records.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    writtenRecords.clear();
+    records.forEach((record) => writtenRecords.set(record.id, JSON.stringify(record)));
+    const { analyses, unreadable } = await readRecords(records);
+    return { analyses, unreadable, needsVault: false };
+  },
+
+  async save(analyses) {
+    const records = await Promise.all(analyses.map(async (a, order) => (
+      a.secureMode
+        ? { ...(await secureStorage.encryptRecord(a)), order }
+        : { id: a.id, order, analysis: a }
+    )));
+
+    const currentIds = new Set(records.map((r) => r.id));
+    const changed = [];
+    records.forEach((record) => {
+      const serialized = JSON.stringify(record);
+      if (writtenRecords.get(record.id) !== serialized) changed.push({ record, serialized });
+    });
+    const removed = [...writtenRecords.keys()].filter((id) => !currentIds.has(id));
+    if (changed.length === 0 && removed.length === 0 && !localStorageMigrationPending) return;
+
+    const migrating = localStorageMigrationPending;
+    await runTransaction([IDB_ANALYSES_STORE, IDB_SETTINGS_STORE], "readwrite", (stores) => {
+      changed.forEach(({ record }) => stores[IDB_ANALYSES_STORE].put(record));
+      removed.forEach((id) => stores[IDB_ANALYSES_STORE].delete(id));
+      if (migrating) stores[IDB_SETTINGS_STORE].put(new Date().toISOString(), "migratedFromLocalStorage");
+    });
+    changed.forEach(({ record, serialized }) => writtenRecords.set(record.id, serialized));
+    removed.forEach((id) => writtenRecords.delete(id));
+    console.log('[STORAGE] Wrote', changed.length, 'records, removed', removed.length);
+
+    if (migrating) {
+      localStorageMigrationPending = false;
+      localStorage.removeItem(ANALYSES_STORAGE_KEY);
+      console.log('[STORAGE] Migration to IndexedDB complete');
     }
-  } catch (error) {
-    console.error('Failed to analyze pasted text:', error);
-    // Fallback: add to notes
-    return {
-      notes: text.split('\n').filter(line => line.trim()).map(line => `• ${line.trim()}`).join('\n'),
-      _fallback: true,
-      _reason: error.message || 'API request failed'
-    };
+  },
+
+  async reencrypt(oldKey, newKey) {
+    // Analyses not yet migrated still live in localStorage
+    await localStorageBackend.reencrypt(oldKey, newKey);
+    // Crypto can't run inside an IndexedDB transaction (it would auto-commit),
+    // so records are read in one transaction and written back in another
+    const records = await runTransaction([IDB_ANALYSES_STORE], "readonly", (stores) =>
+      promisifyRequest(stores[IDB_ANALYSES_STORE].getAll())
+    );
+    const reencrypted = await reencryptRecords(records.filter(isEncryptedRecord), oldKey, newKey);
+    if (reencrypted.length === 0) return;
+    await runTransaction([IDB_ANALYSES_STORE], "readwrite", (stores) => {
+      reencrypted.forEach((record) => stores[IDB_ANALYSES_STORE].put(record));
+    });
+    reencrypted.forEach((record) => writtenRecords.set(record.id, JSON.stringify(record)));
+  },
+
+  async overwrite(record) {
+    await localStorageBackend.overwrite(record);
+    if (!writtenRecords.has(record.id)) return;
+    const stored = { ...record, order: JSON.parse(writtenRecords.get(record.id)).order };
+    await runTransaction([IDB_ANALYSES_STORE], "readwrite", (stores) => stores[IDB_ANALYSES_STORE].put(stored));
+    writtenRecords.set(record.id, JSON.stringify(stored));
   }
 };
 
-function getCompletion(analysis) {
-  let filled = 0, total = 0;
-  const check = (val) => { total++; if (val && String(val).trim()) filled++; };
-  Object.values(analysis.overview).forEach(check);
-  check(analysis.phase);
-  Object.values(analysis.problem).forEach(check);
-  Object.values(analysis.context).forEach(check);
-  total++; if (analysis.assumptions.length > 0) filled++;
-  total++; if (Object.values(analysis.edges).filter((e) => e.considered).length > 0) filled++;
-  check(analysis.scope.affected); check(analysis.scope.newPatterns); check(analysis.scope.technical);
-  total++; if (analysis.scope.items.length > 0) filled++;
-  total++; if (analysis.questions.length > 0) filled++;
-  total++; if ((analysis.actions || []).length > 0) filled++;
-  Object.values(analysis.summary).forEach(check);
-  return total > 0 ? Math.round((filled / total) * 100) : 0;
-}
-
-function getTaskCount(analysis) {
-  let filled = 0, total = 0;
-  const check = (val) => { total++; if (val && String(val).trim()) filled++; };
-  Object.values(analysis.overview).forEach(check);
-  check(analysis.phase);
-  Object.values(analysis.problem).forEach(check);
-  Object.values(analysis.context).forEach(check);
-  total++; if (analysis.assumptions.length > 0) filled++;
-  total++; if (Object.values(analysis.edges).filter((e) => e.considered).length > 0) filled++;
-  check(analysis.scope.affected); check(analysis.scope.newPatterns); check(analysis.scope.technical);
-  total++; if (analysis.scope.items.length > 0) filled++;
-  total++; if (analysis.questions.length > 0) filled++;
-  total++; if ((analysis.actions || []).length > 0) filled++;
-  Object.values(analysis.summary).forEach(check);
-  return { filled, total };
-}
+let storageBackendPromise = null;
 
-function getSectionCompletion(analysis, sectionId) {
-  let filled = 0, total = 0;
-  const check = (val) => { total++; if (val && String(val).trim()) filled++; };
-  switch (sectionId) {
-    case "overview":
-      Object.values(analysis.overview).forEach(check);
-      check(analysis.phase);
-      break;
-    case "problem": Object.values(analysis.problem).forEach(check); break;
-    case "context": Object.values(analysis.context).forEach(check); break;
-    case "assumptions": total = 1; if (analysis.assumptions.length > 0) filled = 1; break;
-    case "edges":
-      total = EDGE_CASE_ITEMS.length;
-      filled = Object.values(analysis.edges).filter((e) => e.considered).length;
-      break;
-    case "scope":
-      check(analysis.scope.affected); check(analysis.scope.newPatterns); check(analysis.scope.technical);
-      total++; if (analysis.scope.items.length > 0) filled++;
-      break;
-    case "questions": total = 1; if (analysis.questions.length > 0) filled = 1; break;
-    case "acceptance": total = 1; if ((analysis.acceptanceCriteria || []).length > 0) filled = 1; break;
-    case "actions": total = 1; if ((analysis.actions || []).length > 0) filled = 1; break;
-    case "mapping": 
-      total = 1; 
-      if (analysis.mapping?.figmaUrl?.trim()) filled = 1; 
-      break;
-    case "notes": check(analysis.notes); break;
-    case "summary": Object.values(analysis.summary).forEach(check); break;
+// IndexedDB when available, localStorage otherwise
+const getStorageBackend = () => {
+  if (!storageBackendPromise) {
+    storageBackendPromise = openDatabase()
+      .then(() => indexedDbBackend)
+      .catch((error) => {
+        console.warn('[STORAGE] IndexedDB unavailable, falling back to localStorage:', error);
+        return localStorageBackend;
+      });
   }
-  return total > 0 ? Math.round((filled / total) * 100) : 0;
-}
+  return storageBackendPromise;
+};
 
-function exportToMarkdown(a) {
-  if (!a) return "No analysis selected.";
-  
-  const lines = [];
-  const h = (t) => lines.push(`\n## ${t}`);
-  const f = (label, val) => { if (val?.trim()) lines.push(`**${label}:** ${val}`); };
-  lines.push(`# ${a.name || "Untitled Design Task"}`);
-  lines.push(`*Created: ${new Date(a.createdAt).toLocaleDateString()}*`);
-  if (a.phase) lines.push(`*Target Phase: ${a.phase}*`);
-  if (a.jiraTicket) lines.push(`*JIRA Ticket: ${a.jiraTicket}*`);
+const loadAnalysesFromStorage = async () => (await getStorageBackend()).load();
 
-  h("Overview");
-  f("Feature", a.overview?.featureName); f("Date", a.overview?.date);
-  f("Stakeholders", a.overview?.requestor); 
-  f("Origin", a.overview?.origin === "Other" && a.overview?.originOther ? `Other: ${a.overview.originOther}` : a.overview?.origin);
-  if (a.overview?.description) lines.push(`\n${a.overview.description}`);
+const saveAnalysesToStorage = async (analyses) =>
+  (await getStorageBackend()).save(analyses);
 
-  h("Problem & Purpose");
-  f("Problem", a.problem?.problem); f("Who", a.problem?.who);
-  f("Business Outcome", a.problem?.outcome); f("Success Metrics", a.problem?.metrics);
-  f("If Not Built", a.problem?.ifNotBuilt);
+const reencryptStoredAnalyses = async (oldKey, newKey) => {
+  await (await getStorageBackend()).reencrypt(oldKey, newKey);
+  await reencryptSnapshots(oldKey, newKey);
+};
 
-  h("User Context");
-  f("Target Segments", a.context?.segments); f("Current Workflow", a.context?.workflow);
-  f("Workarounds", a.context?.workarounds); f("Triggers", a.context?.triggers);
-  f("Before/After", a.context?.beforeAfter);
+// Records keyed by id in their own IndexedDB object store, or in a single
+// localStorage map when IndexedDB is unavailable
+const createRecordStore = (storeName, storageKey) => {
+  const readLocal = () => {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) || {};
+    } catch {
+      return {};
+    }
+  };
+  const usesIndexedDb = async () => (await getStorageBackend()) === indexedDbBackend;
 
-  h("Assumptions");
-  if (!a.assumptions || a.assumptions.length === 0) lines.push("*No assumptions logged yet.*");
-  else a.assumptions.forEach((item, i) => lines.push(`${i + 1}. [${item.status}] ${item.text}`));
+  return {
+    async getAll() {
+      if (await usesIndexedDb()) {
+        return runTransaction([storeName], "readonly", (stores) => promisifyRequest(stores[storeName].getAll()));
+      }
+      return Object.values(readLocal());
+    },
 
-  h("Edge Cases");
-  EDGE_CASE_ITEMS.forEach((ec) => {
-    const d = a.edges?.[ec.id];
-    if (d?.considered) lines.push(`- [x] **${ec.label}**${d.notes ? `: ${d.notes}` : ""}`);
-    else lines.push(`- [ ] ${ec.label}`);
-  });
+    async get(id) {
+      if (await usesIndexedDb()) {
+        return runTransaction([storeName], "readonly", (stores) => promisifyRequest(stores[storeName].get(id)));
+      }
+      return readLocal()[id];
+    },
 
-  h("Scope & Versions");
-  f("Affected Features", a.scope?.affected); f("New Patterns Needed", a.scope?.newPatterns);
-  f("Technical Constraints", a.scope?.technical);
-  if (a.scope?.items && a.scope.items.length > 0) {
-    lines.push("\n### Scope Items by Version");
-    const byVersion = {};
-    a.scope.items.forEach((item) => {
-      const v = item.version || "Unassigned";
-      if (!byVersion[v]) byVersion[v] = [];
-      byVersion[v].push(item);
-    });
-    Object.entries(byVersion).forEach(([version, items]) => {
-      lines.push(`\n**${version}**`);
-      items.forEach((item) => {
-        const priority = item.priority ? ` [${item.priority}]` : "";
-        lines.push(`- ${item.item}${priority}${item.description ? ` — ${item.description}` : ""}`);
-      });
-    });
+    async put(...records) {
+      if (await usesIndexedDb()) {
+        await runTransaction([storeName], "readwrite", (stores) => {
+          records.forEach((record) => stores[storeName].put(record));
+        });
+        return;
+      }
+      const map = readLocal();
+      records.forEach((record) => { map[record.id] = record; });
+      localStorage.setItem(storageKey, JSON.stringify(map));
+    },
+
+    async delete(id) {
+      if (await usesIndexedDb()) {
+        await runTransaction([storeName], "readwrite", (stores) => stores[storeName].delete(id));
+        return;
+      }
+      const map = readLocal();
+      delete map[id];
+      localStorage.setItem(storageKey, JSON.stringify(map));
+    }
+  };
+};
+
+// --- Quarantine ---
+// Unreadable stored data is copied here before anything can overwrite it.
+// Entries are keyed by record id, so loading the same broken data twice keeps one copy.
+
+const quarantineRecords = createRecordStore(IDB_QUARANTINE_STORE, QUARANTINE_STORAGE_KEY);
+
+const quarantineStore = {
+  async add(items) {
+    const quarantinedAt = new Date().toISOString();
+    await quarantineRecords.put(...items.map((item) => ({ ...item, quarantinedAt })));
+    console.log('[STORAGE] Quarantined', items.length, 'unreadable item(s)');
+  },
+
+  list() {
+    return quarantineRecords.getAll();
   }
+};
 
-  h("Acceptance Criteria");
-  if (!a.acceptanceCriteria || a.acceptanceCriteria.length === 0) lines.push("*No acceptance criteria defined yet.*");
-  else {
-    const priorities = ["Must Have", "Should Have", "Nice to Have"];
-    priorities.forEach(priority => {
-      const items = a.acceptanceCriteria.filter(c => c.priority === priority);
-      if (items.length > 0) {
-        lines.push(`\n**${priority}**`);
-        items.forEach((c, i) => {
-          const status = c.status === "Done" ? "X" : c.status === "In Progress" ? "~" : " ";
-          lines.push(`${i + 1}. [${status}] ${c.text}`);
-          if (c.notes?.trim()) lines.push(`   - ${c.notes}`);
-        });
+// Try to read a quarantined item with each key. Returns the recovered analyses, or null.
+const recoverUnreadableItem = async (item, keys) => {
+  const { data } = item;
+  for (const key of keys) {
+    try {
+      if (typeof data === "string") {
+        // Whole workspace blob
+        const entries = JSON.parse(await decryptWithKey(key, data));
+        if (!Array.isArray(entries)) continue;
+        return await Promise.all(entries.map(async (entry) => migrateAnalysis(
+          isEncryptedRecord(entry) ? JSON.parse(await decryptWithKey(key, entry.encrypted)) : entry
+        )));
       }
-    });
+      if (isEncryptedRecord(data)) {
+        return [migrateAnalysis(JSON.parse(await decryptWithKey(key, data.encrypted)))];
+      }
+    } catch {
+      // Wrong key for this item, try the next one
+    }
   }
+  return null;
+};
 
-  h("Open Questions");
-  if (!a.questions || a.questions.length === 0) lines.push("*No questions logged yet.*");
-  else a.questions.forEach((q, i) => {
-    const status = q.status === "Answered" ? "Y" : "?";
-    lines.push(`${i + 1}. [${status}] (${q.type}) ${q.text}`);
-    if (q.answer?.trim()) lines.push(`   - ${q.answer}`);
-  });
+// Retry unreadable items with a passphrase (plus the unlocked vault key and the legacy key)
+const recoverUnreadable = async (items, passphrase) => {
+  const keys = passphrase ? await vault.candidateKeys(passphrase) : [];
+  if (vaultKey) keys.push(vaultKey);
+  keys.push(await getLegacyEncryptionKey());
+
+  const recovered = [];
+  const remaining = [];
+  for (const item of items) {
+    const analyses = await recoverUnreadableItem(item, keys);
+    if (analyses) recovered.push(...analyses);
+    else remaining.push(item);
+  }
+  console.log('[STORAGE] Recovered', recovered.length, 'analyses,', remaining.length, 'item(s) still unreadable');
+  return { recovered, remaining };
+};
 
-  h("Action Items");
-  if (!a.actions || a.actions.length === 0) lines.push("*No actions logged yet.*");
-  else a.actions.forEach((item, i) => lines.push(`${i + 1}. [${item.completed ? "X" : " "}] ${item.text}`));
+// --- Version History ---
+// Snapshots of each analysis are kept outside the analysis record (newest first),
+// one { id, snapshots } record per analysis - or { id, encrypted } for secure tasks.
 
-  h("Mapping");
-  if (a.mapping?.figmaUrl) {
-    lines.push(`Figma Embed: ${a.mapping.figmaUrl}`);
-  } else {
-    lines.push("*No mapping URL set.*");
+const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_SNAPSHOTS_PER_ANALYSIS = 30;
+
+const snapshotRecords = createRecordStore(IDB_SNAPSHOTS_STORE, SNAPSHOTS_STORAGE_KEY);
+
+const loadSnapshots = async (analysisId) => {
+  const record = await snapshotRecords.get(analysisId);
+  if (!record) return [];
+  let snapshots = record.snapshots;
+  if (isEncryptedRecord(record)) {
+    if (!vaultKey) throw new Error("Vault is locked");
+    snapshots = JSON.parse(await decryptWithKey(vaultKey, record.encrypted));
   }
+  return snapshots.map((snapshot) => ({ ...snapshot, analysis: migrateAnalysis(snapshot.analysis) }));
+};
 
-  h("Notes");
-  if (a.notes?.trim()) lines.push(a.notes);
-  else lines.push("*No notes.*");
+const storeSnapshots = async (analysisId, snapshots, secure) => {
+  const record = secure
+    ? { id: analysisId, encrypted: await encryptData(JSON.stringify(snapshots)) }
+    : { id: analysisId, snapshots };
+  await snapshotRecords.put(record);
+};
 
-  h("Summary");
-  f("Confidence", a.summary?.confidence); f("Key Concerns", a.summary?.concerns);
-  f("Next Steps", a.summary?.nextSteps);
-  return lines.join("\n");
-}
+// Content comparison that ignores the timestamp touched by every edit
+const sameContent = (a, b) =>
+  JSON.stringify({ ...a, updatedAt: null }) === JSON.stringify({ ...b, updatedAt: null });
+
+// Each load-then-store on an analysis's snapshots runs after the previous one for that
+// analysis has finished, so a slow encrypted write can't be overwritten by a stale one
+const snapshotQueues = new Map();
+const withSnapshotLock = (analysisId, task) => {
+  const run = (snapshotQueues.get(analysisId) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  snapshotQueues.set(analysisId, settled);
+  settled.then(() => {
+    if (snapshotQueues.get(analysisId) === settled) snapshotQueues.delete(analysisId);
+  });
+  return run;
+};
 
-// Import from Markdown
-function importFromMarkdown(markdown) {
-  const lines = markdown.split("\n");
-  const analysis = createBlankAnalysis();
-  
-  let currentSection = "";
-  let buffer = [];
-  
-  const parseField = (line) => {
-    const match = line.match(/\*\*([^:]+):\*\*\s*(.+)/);
-    return match ? { label: match[1].trim(), value: match[2].trim() } : null;
-  };
-  
-  const processSection = () => {
-    const content = buffer.join("\n").trim();
-    
-    switch(currentSection) {
-      case "Overview":
-        buffer.forEach(line => {
-          const field = parseField(line);
-          if (!field) {
-            if (line && !line.startsWith("**") && analysis.overview.description === "") {
-              analysis.overview.description = content.split("\n").filter(l => !l.startsWith("**")).join("\n").trim();
-            }
-            return;
-          }
-          if (field.label === "Feature") analysis.overview.featureName = field.value;
-          if (field.label === "Date") analysis.overview.date = field.value;
-          if (field.label === "Stakeholders") analysis.overview.requestor = field.value;
-          if (field.label === "Origin") {
-            // Check if it's "Other: something"
-            if (field.value.startsWith("Other: ")) {
-              analysis.overview.origin = "Other";
-              analysis.overview.originOther = field.value.substring(7);
-            } else {
-              analysis.overview.origin = field.value;
-            }
-          }
-        });
-        break;
-        
-      case "Problem & Purpose":
-        buffer.forEach(line => {
-          const field = parseField(line);
-          if (!field) return;
-          if (field.label === "Problem") analysis.problem.problem = field.value;
-          if (field.label === "Who") analysis.problem.who = field.value;
-          if (field.label === "Business Outcome") analysis.problem.outcome = field.value;
-          if (field.label === "Success Metrics") analysis.problem.metrics = field.value;
-          if (field.label === "If Not Built") analysis.problem.ifNotBuilt = field.value;
-        });
-        break;
-        
-      case "User Context":
-        buffer.forEach(line => {
-          const field = parseField(line);
-          if (!field) return;
-          if (field.label === "Target Segments") analysis.context.segments = field.value;
-          if (field.label === "Current Workflow") analysis.context.workflow = field.value;
-          if (field.label === "Workarounds") analysis.context.workarounds = field.value;
-          if (field.label === "Triggers") analysis.context.triggers = field.value;
-          if (field.label === "Before/After") analysis.context.beforeAfter = field.value;
-        });
-        break;
-        
-      case "Assumptions":
-        buffer.forEach(line => {
-          const match = line.match(/^\d+\.\s*\[([^\]]+)\]\s*(.+)/);
-          if (match) {
-            analysis.assumptions.push({
-              id: generateId(),
-              text: match[2].trim(),
-              status: match[1].trim()
-            });
-          }
-        });
-        break;
-        
-      case "Design actions":  // Legacy support for old exports
-      case "Action Items":
-        buffer.forEach(line => {
-          const match = line.match(/^\d+\.\s*\[([^\]]+)\]\s*(.+)/);
-          if (match) {
-            analysis.actions.push({
-              id: generateId(),
-              text: match[2].trim(),
-              completed: match[1].trim() === "X",
-              note: ""
-            });
-          }
-        });
-        break;
-        
-      case "Acceptance Criteria":
-        let currentPriority = "Must Have";
-        buffer.forEach(line => {
-          if (line.startsWith("**Must Have**")) currentPriority = "Must Have";
-          else if (line.startsWith("**Should Have**")) currentPriority = "Should Have";
-          else if (line.startsWith("**Nice to Have**")) currentPriority = "Nice to Have";
-          else {
-            const match = line.match(/^\d+\.\s*\[([^\]]+)\]\s*(.+)/);
-            if (match) {
-              const status = match[1].trim() === "X" ? "Done" : match[1].trim() === "~" ? "In Progress" : "Not Started";
-              analysis.acceptanceCriteria.push({
-                id: generateId(),
-                text: match[2].trim(),
-                priority: currentPriority,
-                status: status,
-                notes: ""
-              });
-            }
-          }
-        });
-        break;
-        
-      case "Open Questions":
-        buffer.forEach(line => {
-          const match = line.match(/^\d+\.\s*\[([^\]]+)\]\s*\(([^)]+)\)\s*(.+)/);
-          if (match) {
-            analysis.questions.push({
-              id: generateId(),
-              text: match[3].trim(),
-              type: match[2].trim(),
-              status: match[1].trim() === "Y" ? "Answered" : "Open",
-              answer: ""
-            });
-          }
-        });
-        break;
-        
-      case "Mapping":
-        const figmaMatch = content.match(/Figma Embed:\s*(.+)/);
-        if (figmaMatch) {
-          analysis.mapping = { figmaUrl: figmaMatch[1].trim() };
-        }
-        break;
-        
-      case "Notes":
-        if (content && !content.includes("*No notes.*")) {
-          analysis.notes = content;
-        }
-        break;
-        
-      case "Summary":
-        buffer.forEach(line => {
-          const field = parseField(line);
-          if (!field) return;
-          if (field.label === "Confidence") analysis.summary.confidence = field.value;
-          if (field.label === "Key Concerns") analysis.summary.concerns = field.value;
-          if (field.label === "Next Steps") analysis.summary.nextSteps = field.value;
-        });
-        break;
-    }
-    
-    buffer = [];
-  };
-  
-  lines.forEach((line, index) => {
-    // Extract title from first line
-    if (index === 0 && line.startsWith("# ")) {
-      analysis.name = line.substring(2).trim();
-      return;
-    }
-    
-    // Extract phase
-    if (line.startsWith("*Target Phase:")) {
-      const match = line.match(/\*Target Phase:\s*([^*]+)\*/);
-      if (match) analysis.phase = match[1].trim();
-      return;
+// Record a snapshot unless nothing changed since the latest one. Returns true if one was added.
+// secure is the task's current mode, which can differ from the copy being snapshotted
+// (the state from before secure mode was turned on, say).
+const addSnapshot = (analysis, reason, secure = analysis.secureMode) =>
+  withSnapshotLock(analysis.id, async () => {
+    const snapshots = await loadSnapshots(analysis.id);
+    if (snapshots[0] && sameContent(snapshots[0].analysis, analysis)) return false;
+    const snapshot = { id: generateId(), takenAt: new Date().toISOString(), reason, analysis };
+    await storeSnapshots(analysis.id, [snapshot, ...snapshots].slice(0, MAX_SNAPSHOTS_PER_ANALYSIS), secure);
+    console.log('[HISTORY] Snapshot saved:', analysis.id, reason);
+    return true;
+  });
+
+// Rewrite an analysis's snapshots when its secure mode changes, so history is protected like the task
+const setSnapshotsSecure = (analysisId, secure) =>
+  withSnapshotLock(analysisId, async () => {
+    const snapshots = await loadSnapshots(analysisId);
+    if (snapshots.length > 0) await storeSnapshots(analysisId, snapshots, secure);
+  });
+
+const deleteSnapshots = (analysisId, { shred = false } = {}) =>
+  withSnapshotLock(analysisId, async () => {
+    if (shred) {
+      const record = await snapshotRecords.get(analysisId);
+      if (isEncryptedRecord(record)) await snapshotRecords.put({ id: analysisId, encrypted: await encryptFiller(record.encrypted.length) });
     }
-    
-    // Extract JIRA ticket
-    if (line.startsWith("*JIRA Ticket:")) {
-      const match = line.match(/\*JIRA Ticket:\s*([^*]+)\*/);
-      if (match) analysis.jiraTicket = match[1].trim();
+    await snapshotRecords.delete(analysisId);
+  });
+
+const reencryptSnapshots = async (oldKey, newKey) => {
+  const records = (await snapshotRecords.getAll()).filter(isEncryptedRecord);
+  if (records.length === 0) return;
+  await snapshotRecords.put(...(await reencryptRecords(records, oldKey, newKey)));
+};
+
+// Analysis fields shown by each section; used to diff and restore one section at a time
+const SECTION_FIELDS = {
+  overview: ["name", "phase", "jiraTicket", "overview"],
+  problem: ["problem"],
+  context: ["context"],
+  assumptions: ["assumptions"],
+  edges: ["edges"],
+  scope: ["scope"],
+  acceptance: ["acceptanceCriteria"],
+  questions: ["questions"],
+  notes: ["notes"],
+  mapping: ["mapping"],
+  summary: ["summary"],
+  actions: ["actions"],
+};
+
+const HISTORY_SECTIONS = [...SECTIONS, { id: "actions", label: "Actions" }];
+
+const diffFieldLabel = (key) =>
+  TRANSLATIONS.en.fields[key] ||
+  EDGE_CASE_ITEMS.find((item) => item.id === key)?.label ||
+  key.charAt(0).toUpperCase() + key.slice(1).replace(/([A-Z])/g, " $1").toLowerCase();
+
+const diffItemLabel = (item) =>
+  typeof item === "object" && item !== null ? (item.text || item.item || item.description || "(empty item)") : String(item);
+
+const diffValueText = (value) => {
+  if (value === undefined || value === null) return "";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+// List the changes between two versions of one section as { label, before, after } rows.
+// List items are matched by id, so edits, additions and removals are reported separately.
+const diffSection = (sectionId, before, after) => {
+  const changes = [];
+  const join = (label, part) => (label ? `${label} › ${part}` : part);
+  const compare = (label, a, b) => {
+    if (Array.isArray(a) || Array.isArray(b)) {
+      const key = (item, index) => item?.id ?? index;
+      const oldItems = new Map((a || []).map((item, i) => [key(item, i), item]));
+      const newItems = new Map((b || []).map((item, i) => [key(item, i), item]));
+      oldItems.forEach((item, id) => {
+        if (!newItems.has(id)) changes.push({ label, before: diffItemLabel(item), after: "" });
+      });
+      newItems.forEach((item, id) => {
+        const old = oldItems.get(id);
+        if (old === undefined) changes.push({ label, before: "", after: diffItemLabel(item) });
+        else if (JSON.stringify(old) !== JSON.stringify(item)) compare(join(label, diffItemLabel(old)), old, item);
+      });
       return;
     }
-    
-    // Section headers
-    if (line.startsWith("## ")) {
-      if (currentSection) processSection();
-      currentSection = line.substring(3).trim();
+    if (a && b && typeof a === "object" && typeof b === "object") {
+      new Set([...Object.keys(a), ...Object.keys(b)]).forEach((field) => {
+        if (field !== "id") compare(join(label, diffFieldLabel(field)), a[field], b[field]);
+      });
       return;
     }
-    
-    // Skip empty lines at start of section
-    if (!buffer.length && !line.trim()) return;
-    
-    // Add to buffer
-    if (line.trim()) {
-      buffer.push(line);
-    }
+    if (diffValueText(a) !== diffValueText(b)) changes.push({ label, before: diffValueText(a), after: diffValueText(b) });
+  };
+  // Object-valued sections (problem, context, ...) are labelled by their fields alone
+  SECTION_FIELDS[sectionId].forEach((field) => {
+    const value = before[field] ?? after[field];
+    const isObject = value && typeof value === "object" && !Array.isArray(value);
+    compare(isObject ? "" : diffFieldLabel(field), before[field], after[field]);
   });
-  
-  // Process final section
-  if (currentSection) processSection();
-  
-  return analysis;
-}
+  return changes;
+};
 
-// --- UI Components ---
+// --- Trash ---
+// Deleted analyses stay in the workspace with a deletedAt timestamp until they are
+// restored or purged, either by hand or once they're older than the retention period.
 
-const Field = ({ label, hint, placeholder, value, onChange, multiline = false, rows = 3 }) => (
-  <div className="mb-4">
-    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">{label}</label>
-    {hint && <p className="text-xs text-slate-400 dark:text-slate-500 mb-1.5">{hint}</p>}
-    {multiline ? (
-      <textarea
-        className="w-full px-3 py-2 text-sm border border-slate-200 dark:border-slate-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-slate-300 dark:focus:ring-slate-500 focus:border-slate-400 dark:focus:border-slate-500 resize-y bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200"
-        rows={rows} value={value || ""} onChange={(e) => onChange(e.target.value)}
-        placeholder={placeholder}
-      />
-    ) : (
-      <input
-        type="text"
-        className="w-full px-3 py-2 text-sm border border-slate-200 dark:border-slate-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-slate-300 dark:focus:ring-slate-500 focus:border-slate-400 dark:focus:border-slate-500 bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200"
-        value={value || ""} onChange={(e) => onChange(e.target.value)}
-        placeholder={placeholder}
-      />
-    )}
-  </div>
-);
+const TRASH_RETENTION_KEY = "trashRetentionDays";
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_OPTIONS = [7, 30, 90, 365];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_PURGE_CHECK_MS = 60 * 60 * 1000;
 
-const Select = ({ label, hint, value, options, onChange, allowEmpty = true }) => (
-  <div className="mb-4">
-    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">{label}</label>
-    {hint && <p className="text-xs text-slate-400 dark:text-slate-500 mb-1.5">{hint}</p>}
-    <select
-      className="w-full px-3 py-2 text-sm border border-slate-200 dark:border-slate-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-slate-300 dark:focus:ring-slate-500 focus:border-slate-400 dark:focus:border-slate-500 bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200"
-      value={value || ""} onChange={(e) => onChange(e.target.value)}
-    >
-      {allowEmpty && <option value="">Select...</option>}
-      {options.map((o) => <option key={o} value={o}>{o}</option>)}
-    </select>
-  </div>
-);
+const isTrashExpired = (analysis, retentionDays, now = Date.now()) =>
+  !!analysis.deletedAt && now - new Date(analysis.deletedAt).getTime() >= retentionDays * DAY_MS;
 
-const VersionBadge = ({ version, size = "sm" }) => {
-  if (!version) return null;
-  const colors = VERSION_COLORS[version] || VERSION_COLORS.Future;
-  const sizeClass = size === "xs" ? "text-xs px-1.5 py-0" : "text-xs px-2 py-0.5";
-  return (
-    <span className={`${sizeClass} rounded-full font-medium ${colors.bg} ${colors.text} ${colors.border} border`}>
-      {version}
-    </span>
-  );
+// The workspace always has at least one analysis outside the trash
+const ensureLiveAnalysis = (list) =>
+  list.some((a) => !a.deletedAt) ? list : [createBlankAnalysis(), ...list];
+
+// Keep the current selection if it's still a live analysis, otherwise select the first one
+const pickActiveId = (list, prevId) => {
+  const live = list.filter((a) => !a.deletedAt);
+  return live.some((a) => a.id === prevId) ? prevId : live[0]?.id;
 };
 
-const Pill = ({ active, onClick, children, completion, count }) => (
+// Ciphertext of zeros the same size as the data it replaces
+const encryptFiller = (length) => encryptData("\0".repeat(length));
+
+// Before a secure task is deleted, its stored ciphertext and snapshots are overwritten
+// with encrypted filler and any cached plaintext is dropped
+const shredSecureAnalysis = async (analysis) => {
+  const record = { id: analysis.id, encrypted: await encryptFiller(JSON.stringify(analysis).length) };
+  await (await getStorageBackend()).overwrite(record);
+  await deleteSnapshots(analysis.id, { shred: true });
+  encryptedRecordCache.delete(analysis.id);
+  console.log('[TRASH] Shredded secure task:', analysis.id);
+};
+
+// --- Undo / Redo ---
+// Each analysis keeps its own undo and redo stacks of earlier versions. Consecutive
+// edits to the same text field within UNDO_GROUP_MS form a single step.
+
+const UNDO_LIMIT = 100;
+const UNDO_GROUP_MS = 1000;
+// Settings that undo never rolls back (and changing them alone is not an undo step)
+const UNDO_IGNORED_FIELDS = ["updatedAt", "secureMode", "gistId", "gistRevision", "syncProvider", "deletedAt"];
+// The task name always mirrors overview.featureName, so it is left out when comparing
+const UNDO_MIRRORED_FIELDS = ["name"];
+
+// Compare two versions of an analysis. Returns { count: 0 } if nothing relevant changed,
+// { count: 1, path } if exactly one text field changed, and { count: 2 } otherwise.
+const findTextEdit = (a, b, path = "") => {
+  if (a === b) return { count: 0 };
+  if (typeof a === "string" && typeof b === "string") return { count: 1, path };
+  const bothObjects = a && b && typeof a === "object" && typeof b === "object";
+  if (!bothObjects || Array.isArray(a) !== Array.isArray(b)) return { count: 2 };
+  if (Array.isArray(a) && a.length !== b.length) return { count: 2 };
+
+  let found = { count: 0 };
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (!path && (UNDO_IGNORED_FIELDS.includes(key) || UNDO_MIRRORED_FIELDS.includes(key))) continue;
+    const result = findTextEdit(a[key], b[key], `${path}/${key}`);
+    if (result.count === 0) continue;
+    if (result.count > 1 || found.count > 0) return { count: 2 };
+    found = result;
+  }
+  return found;
+};
+
+const createUndoHistory = () => ({ undo: [], redo: [], lastPath: null, lastAt: 0 });
+
+// Put a version from the undo/redo stacks back in place of `current`
+const restoreUndoVersion = (version, current) => ({
+  ...version,
+  ...Object.fromEntries(UNDO_IGNORED_FIELDS.map((field) => [field, current[field]])),
+  updatedAt: new Date().toISOString(),
+});
+
+// Carry a change that came from elsewhere (another tab, a collaborator, auto-sync) from
+// `before` to `after` into a stored version, so stepping to it doesn't revert that change.
+// Where the version differs too, the incoming change wins.
+const rebaseUndoVersion = (version, before, after) => {
+  const { merged, conflicts } = mergeAnalysis({ ...before, updatedAt: null }, version, after);
+  return resolveMergeConflicts(merged, conflicts, conflicts.map(() => true));
+};
+
+// --- Write-behind Persistence ---
+// Edits are coalesced and written after a short pause in typing instead of on every change
+
+const SAVE_DEBOUNCE_MS = 800;
+
+// Debounced save queue: only the latest scheduled arguments are written, one write at a time.
+// onStatus receives "pending" | "saving" | "saved" | "error".
+const createSaveQueue = (save, { delay = SAVE_DEBOUNCE_MS, onStatus = () => {} } = {}) => {
+  let timer = null;
+  let pending = null; // Latest arguments not yet written
+  let running = null; // Write in progress
+
+  const drain = async () => {
+    clearTimeout(timer);
+    timer = null;
+    while (running) await running;
+    if (!pending) return;
+    const args = pending;
+    pending = null;
+    onStatus("saving");
+    running = save(...args)
+      .then(() => onStatus(pending ? "pending" : "saved"))
+      .catch((error) => {
+        console.error('[SAVE] Failed to save:', error);
+        // Keep the data so the next flush retries it
+        if (!pending) pending = args;
+        onStatus("error");
+      })
+      .finally(() => { running = null; });
+    await running;
+  };
+
+  return {
+    schedule(...args) {
+      pending = args;
+      onStatus("pending");
+      clearTimeout(timer);
+      timer = setTimeout(drain, delay);
+    },
+
+    // Write anything scheduled right away and wait for it
+    async flush() {
+      await drain();
+    },
+
+    // Drop anything scheduled but not yet written. Returns true if something was dropped.
+    cancel() {
+      const dropped = !!pending;
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+      return dropped;
+    },
+
+    // Wait for a write in progress without starting a new one
+    async idle() {
+      while (running) await running;
+    },
+
+    // True while a write has started but not finished
+    isWriting() {
+      return !!running;
+    }
+  };
+};
+
+// --- Cross-tab Sync ---
+// Tabs announce which analyses they saved; other tabs reload them from storage and
+// three-way merge them into their own state, using the last version both sides
+// agreed on (the sync base) to tell who changed what.
+
+const TAB_ID = generateId();
+const TAB_SYNC_CHANNEL = "requirement-analyzer";
+const TAB_SYNC_STORAGE_KEY = "requirementAnalyses_tabSync";
+
+// BroadcastChannel where available, otherwise "storage" events on a localStorage key.
+// Messages: { type: "saved", ids } and { type: "vault-changed" }.
+const createTabChannel = (onMessage) => {
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(TAB_SYNC_CHANNEL);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage({ ...message, tabId: TAB_ID }),
+      close: () => channel.close(),
+    };
+  }
+  const handleStorage = (event) => {
+    if (event.key !== TAB_SYNC_STORAGE_KEY || !event.newValue) return;
+    try {
+      onMessage(JSON.parse(event.newValue));
+    } catch {
+      // Not a sync message
+    }
+  };
+  window.addEventListener("storage", handleStorage);
+  return {
+    // sentAt makes every message a new value, so repeated messages still fire the event
+    post: (message) => localStorage.setItem(TAB_SYNC_STORAGE_KEY, JSON.stringify({ ...message, tabId: TAB_ID, sentAt: Date.now() })),
+    close: () => window.removeEventListener("storage", handleStorage),
+  };
+};
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const isPlainObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+const hasItemIds = (list) => Array.isArray(list) && list.every((item) => isPlainObject(item) && item.id);
+
+// Three-way merge of one value. Changes made on only one side are kept; when both
+// sides changed the same leaf differently, the local value wins and a conflict
+// { path, local, remote } is recorded. Lists of items are merged by item id.
+const mergeValue = (base, local, remote, path, conflicts) => {
+  if (sameJson(local, remote)) return local;
+  if (sameJson(base, local)) return remote;
+  if (sameJson(base, remote)) return local;
+
+  if (isPlainObject(local) && isPlainObject(remote)) {
+    const merged = {};
+    new Set([...Object.keys(local), ...Object.keys(remote)]).forEach((key) => {
+      const value = mergeValue(base?.[key], local[key], remote[key], [...path, key], conflicts);
+      if (value !== undefined) merged[key] = value;
+    });
+    return merged;
+  }
+
+  if (hasItemIds(local) && hasItemIds(remote)) {
+    const baseItems = new Map((hasItemIds(base) ? base : []).map((item) => [item.id, item]));
+    const localItems = new Map(local.map((item) => [item.id, item]));
+    const merged = [];
+    remote.forEach((item) => {
+      if (localItems.has(item.id)) {
+        merged.push(mergeValue(baseItems.get(item.id), localItems.get(item.id), item, [...path, item.id], conflicts));
+      } else if (!baseItems.has(item.id) || !sameJson(baseItems.get(item.id), item)) {
+        // Added remotely, or removed locally but edited remotely
+        merged.push(item);
+      }
+    });
+    local.forEach((item) => {
+      if (remote.some((r) => r.id === item.id)) return;
+      // Added locally, or removed remotely but edited locally
+      if (!baseItems.has(item.id) || !sameJson(baseItems.get(item.id), item)) merged.push(item);
+    });
+    return merged;
+  }
+
+  conflicts.push({ path, local, remote });
+  return local;
+};
+
+// Merge a remote version of an analysis into the local one
+const mergeAnalysis = (base, local, remote) => {
+  const conflicts = [];
+  const merged = mergeValue(base, { ...local, updatedAt: null }, { ...remote, updatedAt: null }, [], conflicts);
+  merged.updatedAt = local.updatedAt > remote.updatedAt ? local.updatedAt : remote.updatedAt;
+  return { merged, conflicts };
+};
+
+// Merge a restored backup copy into a local analysis: local values win, empty
+// local fields are filled from the backup and list items from both are kept
+const mergeBackupAnalysis = (local, backup) =>
+  mergeAnalysis({ ...createBlankAnalysis(), id: local.id, updatedAt: null }, local, backup).merged;
+
+// Merge analyses reloaded from storage into the open workspace.
+// base: Map of id -> last version this tab loaded or saved.
+const mergeWorkspace = (base, local, remote) => {
+  const conflicts = [];
+  const remoteById = new Map(remote.map((a) => [a.id, a]));
+  const merged = [];
+  local.forEach((analysis) => {
+    const stored = remoteById.get(analysis.id);
+    if (!stored) {
+      // Purged in another tab: follow unless this tab changed it since
+      if (!base.has(analysis.id) || base.get(analysis.id) !== analysis) merged.push(analysis);
+      return;
+    }
+    if (analysis === base.get(analysis.id)) {
+      merged.push(stored);
+      return;
+    }
+    const result = mergeAnalysis({ ...base.get(analysis.id), updatedAt: null }, analysis, stored);
+    result.conflicts.forEach((conflict) => conflicts.push({ ...conflict, analysisId: analysis.id }));
+    merged.push(result.merged);
+  });
+  const localIds = new Set(local.map((a) => a.id));
+  remote.forEach((analysis) => {
+    if (!localIds.has(analysis.id) && !base.has(analysis.id)) merged.push(analysis);
+  });
+  return { merged, conflicts };
+};
+
+// Replace the value at a merge path; list segments are item ids
+const setAtPath = (target, [segment, ...rest], value) => {
+  if (segment === undefined) return value;
+  if (Array.isArray(target)) {
+    return target.map((item) => (item.id === segment ? setAtPath(item, rest, value) : item));
+  }
+  return { ...target, [segment]: setAtPath(target?.[segment], rest, value) };
+};
+
+// Readable label for a merge path, using field labels and item text
+const describeMergePath = (analysis, path) => {
+  const labels = [];
+  let node = analysis;
+  path.forEach((segment, i) => {
+    if (Array.isArray(node)) {
+      node = node.find((item) => item.id === segment);
+      labels.push(diffItemLabel(node ?? segment));
+    } else {
+      // Top-level fields are named after the section that shows them
+      const section = i === 0 && HISTORY_SECTIONS.find((s) => SECTION_FIELDS[s.id].includes(segment));
+      labels.push(section && isPlainObject(node?.[segment]) ? section.label : diffFieldLabel(segment));
+      node = node?.[segment];
+    }
+  });
+  return labels.join(" › ");
+};
+
+// GitHub Gist API functions
+const githubHeaders = (token) => ({
+  "Accept": "application/vnd.github+json",
+  "X-GitHub-Api-Version": "2022-11-28",
+  ...(token ? { "Authorization": `Bearer ${token}` } : {})
+});
+
+// Every per-task gist is described with this prefix, which is how the gist browser finds them
+const GIST_DESCRIPTION_PREFIX = "Requirement Analysis: ";
+
+// Encrypted gists hold only ciphertext; even the description leaves out the task name
+const ENCRYPTED_GIST_FORMAT = "requirement-analyzer-encrypted-analysis";
+const ENCRYPTED_GIST_NAME = "Encrypted analysis";
+
+const isEncryptedGistPayload = (data) => data?.format === ENCRYPTED_GIST_FORMAT;
+
+// The document a sync provider stores for an analysis. With a passphrase it's an
+// AES-GCM envelope of the analysis; secure tasks are refused without one so their
+// plaintext never leaves the browser.
+const createSyncPayload = async (analysis, passphrase) => {
+  if (analysis.secureMode && !passphrase) throw new Error("Secure tasks can only be saved encrypted");
+  // The link only means something on this device
+  const { gistRevision: _revision, syncProvider: _provider, ...content } = analysis;
+  return passphrase
+    ? { format: ENCRYPTED_GIST_FORMAT, version: 1, ...await encryptWithPassphrase(content, passphrase) }
+    : content;
+};
+
+const saveToGist = async (analysis, token, passphrase) => {
+  const headers = githubHeaders(token);
+  const fileContent = await createSyncPayload(analysis, passphrase);
+  
+  const gistData = {
+    description: `${GIST_DESCRIPTION_PREFIX}${passphrase ? ENCRYPTED_GIST_NAME : analysis.name}`,
+    public: false,
+    files: {
+      "analysis.json": {
+        content: JSON.stringify(fileContent, null, 2)
+      }
+    }
+  };
+
+  try {
+    if (analysis.gistId) {
+      // Update existing gist
+      const response = await fetch(`https://api.github.com/gists/${analysis.gistId}`, {
+        method: "PATCH",
+        headers,
+        body: JSON.stringify(gistData)
+      });
+      if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+      return await response.json();
+    } else {
+      // Create new gist
+      const response = await fetch("https://api.github.com/gists", {
+        method: "POST",
+        headers,
+        body: JSON.stringify(gistData)
+      });
+      if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+      return await response.json();
+    }
+  } catch (error) {
+    console.error("Failed to save gist:", error);
+    throw error;
+  }
+};
+
+const fetchGist = async (gistId, token) => {
+  const response = await fetch(`https://api.github.com/gists/${gistId}`, { headers: githubHeaders(token) });
+  if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+  return response.json();
+};
+
+// The gists API truncates file contents over 1 MB; the full text is at raw_url
+const readGistFile = async (file) => {
+  if (!file.truncated) return file.content;
+  const response = await fetch(file.raw_url);
+  if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+  return response.text();
+};
+
+// The commit SHA of the gist's latest revision
+const gistRevisionOf = (gist) => gist.history?.[0]?.version || "";
+
+// Decrypt an encrypted gist payload; plain payloads are returned as they are.
+// unlock(message) asks for the passphrase (message explains a failed attempt) and
+// resolves to null if the user gives up.
+const openGistPayload = async (data, unlock) => {
+  if (!isEncryptedGistPayload(data)) return data;
+  if (!unlock) throw new Error("This gist is encrypted");
+  let message = "";
+  for (;;) {
+    const passphrase = await unlock(message);
+    if (!passphrase) throw new Error("A passphrase is needed to open this encrypted gist");
+    try {
+      return await decryptWithPassphrase(data, passphrase);
+    } catch {
+      message = "Incorrect passphrase, or the encrypted data is damaged";
+    }
+  }
+};
+
+// The stored analysis.json, still encrypted if it's an encrypted gist
+const readGistPayload = async (gist) => {
+  const file = gist.files["analysis.json"];
+  if (!file) throw new Error("No analysis.json found in gist");
+  return JSON.parse(await readGistFile(file));
+};
+
+// The gist as it was at one revision
+const fetchGistRevision = async (gistId, revision, token) => {
+  const response = await fetch(`https://api.github.com/gists/${gistId}/${revision}`, { headers: githubHeaders(token) });
+  if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+  return response.json();
+};
+
+// The authenticated user's analysis gists, newest first: { id, name, updatedAt, url, rawUrl }
+const listAnalysisGists = async (token) => {
+  const gists = [];
+  for (let page = 1; ; page++) {
+    const response = await fetch(`https://api.github.com/gists?per_page=100&page=${page}`, { headers: githubHeaders(token) });
+    if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+    const batch = await response.json();
+    gists.push(...batch);
+    if (batch.length < 100) break;
+  }
+  return gists
+    .filter((gist) => gist.description?.startsWith(GIST_DESCRIPTION_PREFIX) && gist.files["analysis.json"])
+    .map((gist) => ({
+      id: gist.id,
+      name: gist.description.slice(GIST_DESCRIPTION_PREFIX.length),
+      updatedAt: gist.updated_at,
+      url: gist.html_url,
+      rawUrl: gist.files["analysis.json"].raw_url,
+    }));
+};
+
+const deleteGist = async (gistId, token) => {
+  const response = await fetch(`https://api.github.com/gists/${gistId}`, { method: "DELETE", headers: githubHeaders(token) });
+  if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+};
+
+// Revisions of a gist, newest first: { version, committedAt, user, changes }
+const listGistRevisions = async (gistId, token) => {
+  const response = await fetch(`https://api.github.com/gists/${gistId}/commits?per_page=100`, { headers: githubHeaders(token) });
+  if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+  const commits = await response.json();
+  return commits.map((commit) => ({
+    version: commit.version,
+    committedAt: commit.committed_at,
+    user: commit.user?.login || "",
+    changes: commit.change_status || {},
+  }));
+};
+
+// Three-way merge of a gist version into a local analysis. The gist link itself is
+// local state, so it's taken from the local side and never reported as a conflict.
+const mergeGistAnalysis = (base, local, remote) => {
+  const link = syncLinkOf(local);
+  return mergeAnalysis({ ...base, ...link, updatedAt: null }, local, { ...remote, ...link });
+};
+
+// Apply the chosen side of each conflict: choices[i] is true to take the gist's value
+const resolveMergeConflicts = (merged, conflicts, choices) =>
+  conflicts.reduce((result, conflict, i) => (choices[i] ? setAtPath(result, conflict.path, conflict.remote) : result), merged);
+
+// --- Sync Providers ---
+// Per-task sync (save, load, browse, revisions, auto-sync) goes through a provider, so the
+// same flows work against GitHub gists or a self-hosted sync server (server/sync-server.js).
+// A provider is a plain object:
+//   save(analysis, passphrase) -> { id, revision, url }   updates analysis.gistId when set
+//   fetch(id)                  -> { revision, payload }   payload may be an encrypted envelope
+//   fetchRevision(id, revision) -> payload
+//   list()                     -> [{ id, name, phase?, updatedAt, url, rawUrl? }]
+//   delete(id)
+//   history(id)                -> [{ version, committedAt, user, changes }]
+// A task's gistId/gistRevision link belongs to the provider named by its syncProvider
+// field; tasks without one are linked to a gist.
+
+const SYNC_BACKEND_KEY = "syncBackend";
+
+// The fields linking a task to its synced document; they only mean something on this device
+const syncLinkOf = ({ gistId, gistRevision, syncProvider }) => ({ gistId, gistRevision, ...(syncProvider ? { syncProvider } : {}) });
+const withoutSyncLink = ({ gistId: _id, gistRevision: _revision, syncProvider: _provider, ...content }) => content;
+const syncLinkTo = (provider, id, revision) =>
+  ({ gistId: id, gistRevision: revision, ...(provider.id === "gist" ? {} : { syncProvider: provider.id }) });
+const linkedProviderId = (analysis) => analysis.syncProvider || "gist";
+
+// { provider: "gist" | "server", serverUrl, serverToken }
+const loadSyncBackend = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SYNC_BACKEND_KEY));
+    if (stored) return { provider: "gist", serverUrl: "", serverToken: "", ...stored };
+  } catch {
+    // Fall through to defaults
+  }
+  return { provider: "gist", serverUrl: "", serverToken: "" };
+};
+
+const createGistSyncProvider = (token) => ({
+  id: "gist",
+  label: "GitHub Gist",
+  ready: !!token,
+  save: async (analysis, passphrase) => {
+    const gist = await saveToGist(analysis, token, passphrase);
+    return { id: gist.id, revision: gistRevisionOf(gist), url: gist.html_url };
+  },
+  fetch: async (id) => {
+    const gist = await fetchGist(id, token);
+    return { revision: gistRevisionOf(gist), payload: await readGistPayload(gist) };
+  },
+  fetchRevision: async (id, revision) => readGistPayload(await fetchGistRevision(id, revision, token)),
+  list: () => listAnalysisGists(token),
+  delete: (id) => deleteGist(id, token),
+  history: (id) => listGistRevisions(id, token),
+});
+
+// Client for server/sync-server.js. Every save is kept as a revision, so history and
+// three-way merges work as they do with gists.
+const createServerSyncProvider = ({ serverUrl, serverToken, fetchImpl = (...args) => fetch(...args) }) => {
+  const baseUrl = serverUrl.trim().replace(/\/+$/, "");
+  const request = async (path, options = {}) => {
+    const response = await fetchImpl(`${baseUrl}/api/analyses${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        ...(serverToken ? { "Authorization": `Bearer ${serverToken}` } : {})
+      }
+    });
+    if (!response.ok) throw new Error(`Sync server error: ${response.status}`);
+    return response.status === 204 ? null : response.json();
+  };
+
+  return {
+    id: "server",
+    label: "Sync server",
+    ready: !!baseUrl,
+    save: async (analysis, passphrase) => {
+      const payload = await createSyncPayload(analysis, passphrase);
+      const body = JSON.stringify({
+        name: passphrase ? ENCRYPTED_GIST_NAME : analysis.name,
+        phase: passphrase ? "" : analysis.phase || "",
+        payload
+      });
+      const saved = analysis.gistId
+        ? await request(`/${encodeURIComponent(analysis.gistId)}`, { method: "PUT", body })
+        : await request("", { method: "POST", body });
+      return { id: saved.id, revision: saved.revision, url: null };
+    },
+    fetch: async (id) => {
+      const document = await request(`/${encodeURIComponent(id)}`);
+      return { revision: document.revision, payload: document.payload };
+    },
+    fetchRevision: async (id, revision) =>
+      (await request(`/${encodeURIComponent(id)}/revisions/${encodeURIComponent(revision)}`)).payload,
+    list: async () => (await request("")).map((entry) => ({ ...entry, url: null })),
+    delete: (id) => request(`/${encodeURIComponent(id)}`, { method: "DELETE" }),
+    history: async (id) =>
+      (await request(`/${encodeURIComponent(id)}/revisions`)).map((revision) => ({
+        version: revision.revision,
+        committedAt: revision.savedAt,
+        user: "",
+        changes: {},
+      })),
+  };
+};
+
+const createSyncProvider = (backend, githubToken) =>
+  backend.provider === "server" ? createServerSyncProvider(backend) : createGistSyncProvider(githubToken);
+
+const syncSaveError = (provider, error) =>
+  `Failed to save to ${provider.label}:\n${error.message}${provider.id === "gist" ? "\n\nMake sure your token has 'gist' scope." : ""}`;
+
+// --- Workspace Gist Sync ---
+// One private gist holds every standard (non-secure, not trashed) analysis as
+// analysis-<id>.json plus a manifest.json listing id, name, phase and updatedAt.
+// Locally we remember the updatedAt each task had when it was last pushed or
+// pulled, which tells us which side changed since.
+
+const WORKSPACE_SYNC_KEY = "workspaceGistSync";
+const WORKSPACE_GIST_DESCRIPTION = "Requirement Analyzer Workspace";
+const WORKSPACE_MANIFEST_FILE = "manifest.json";
+const WORKSPACE_MANIFEST_FORMAT = "requirement-analyzer-workspace";
+
+const workspaceGistFileName = (id) => `analysis-${id}.json`;
+
+// { gistId, synced: { [analysisId]: updatedAt at last sync } }
+const loadWorkspaceSync = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(WORKSPACE_SYNC_KEY));
+    if (stored?.gistId) return { gistId: stored.gistId, synced: stored.synced || {} };
+  } catch {
+    // Fall through to an unlinked workspace
+  }
+  return { gistId: "", synced: {} };
+};
+
+const canSyncToWorkspaceGist = (analysis) => !analysis.secureMode && !analysis.deletedAt;
+
+// Fetch the manifest and every analysis file of a workspace gist
+const loadWorkspaceGist = async (gistId, token) => {
+  const gist = await fetchGist(gistId, token);
+  const manifestFile = gist.files[WORKSPACE_MANIFEST_FILE];
+  if (!manifestFile) throw new Error("This gist is not a workspace gist (no manifest.json)");
+  const manifest = JSON.parse(await readGistFile(manifestFile));
+  if (manifest.format !== WORKSPACE_MANIFEST_FORMAT) throw new Error("This gist is not a workspace gist");
+
+  const analyses = new Map();
+  for (const entry of manifest.analyses || []) {
+    const file = gist.files[entry.file];
+    if (!file) {
+      console.warn(`[WORKSPACE] ${entry.file} is listed in the manifest but missing from the gist`);
+      continue;
+    }
+    analyses.set(entry.id, migrateAnalysis(JSON.parse(await readGistFile(file))));
+  }
+  return { manifest, analyses };
+};
+
+// Write the given analyses and drop removedIds. Entries for other analyses already
+// in the manifest are kept, so a push never deletes tasks it didn't know about.
+const pushWorkspaceGist = async ({ gistId, manifest, analyses, removedIds = [] }, token) => {
+  const entries = new Map((manifest?.analyses || []).map((entry) => [entry.id, entry]));
+  const files = {};
+  analyses.forEach((analysis) => {
+    const content = withoutSyncLink(analysis);
+    const file = workspaceGistFileName(analysis.id);
+    files[file] = { content: JSON.stringify(content, null, 2) };
+    entries.set(analysis.id, { id: analysis.id, name: analysis.name, phase: analysis.phase, updatedAt: analysis.updatedAt, file });
+  });
+  removedIds.forEach((id) => {
+    const entry = entries.get(id);
+    if (!entry) return;
+    files[entry.file] = null;
+    entries.delete(id);
+  });
+  files[WORKSPACE_MANIFEST_FILE] = {
+    content: JSON.stringify({
+      format: WORKSPACE_MANIFEST_FORMAT,
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      analyses: [...entries.values()],
+    }, null, 2)
+  };
+
+  const response = await fetch(gistId ? `https://api.github.com/gists/${gistId}` : "https://api.github.com/gists", {
+    method: gistId ? "PATCH" : "POST",
+    headers: githubHeaders(token),
+    body: JSON.stringify({ description: WORKSPACE_GIST_DESCRIPTION, public: false, files })
+  });
+  if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+  return response.json();
+};
+
+// Where an analysis stands relative to the workspace gist:
+// "synced" | "local" (push needed) | "remote" (pull needed) | "diverged" | "new" (not in the gist yet) | "remote-only"
+const workspaceSyncState = (local, entry, syncedAt) => {
+  if (!local) return "remote-only";
+  if (!entry) return "new";
+  if (local.updatedAt === entry.updatedAt) return "synced";
+  const localChanged = local.updatedAt !== syncedAt;
+  const remoteChanged = entry.updatedAt !== syncedAt;
+  if (localChanged && remoteChanged) return "diverged";
+  return remoteChanged ? "remote" : "local";
+};
+
+const WORKSPACE_STATE_STYLES = {
+  local: { label: "Changed here since the last push", dot: "bg-amber-400" },
+  new: { label: "Not in the workspace gist yet", dot: "bg-amber-400" },
+  remote: { label: "Newer version in the workspace gist", dot: "bg-blue-500" },
+  diverged: { label: "Changed here and in the workspace gist", dot: "bg-red-500" },
+};
+
+// --- Gist Auto-sync ---
+// Tasks linked to a gist can opt in to background sync: local edits are pushed after a
+// quiet period and the gist is polled for changes from others. Each round merges before
+// pushing, and stops at "conflict" until the user resolves it with Update Gist.
+// Per device we remember which tasks opted in and the updatedAt they had when last
+// synced, so edits made offline (or before a reload) are still pushed later.
+
+const AUTO_SYNC_KEY = "gistAutoSync";
+const AUTO_SYNC_DELAY_MS = 5000;
+const AUTO_SYNC_POLL_MS = 60 * 1000;
+
+// { [analysisId]: { syncedUpdatedAt } }
+const loadAutoSync = () => {
+  try {
+    return JSON.parse(localStorage.getItem(AUTO_SYNC_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Compare gist content, ignoring the link fields only this device knows about
+const sameGistContent = (a, b) => sameContent(withoutSyncLink(a), withoutSyncLink(b));
+
+// fetch rejects with a TypeError when the request never reached the server
+const isNetworkError = (error) => error instanceof TypeError;
+
+const AUTO_SYNC_BADGES = {
+  synced: { label: "Synced", title: "Up to date with the gist", className: "bg-emerald-50 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-400" },
+  pending: { label: "Pending", title: "Changes waiting to be pushed", className: "bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300" },
+  syncing: { label: "Syncing", title: "Syncing with the gist", className: "bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-400" },
+  offline: { label: "Offline", title: "Changes will be pushed when you're back online", className: "bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300" },
+  conflict: { label: "Conflict", title: "Changed here and in the gist - use Update Gist to merge", className: "bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-400" },
+  error: { label: "Sync error", title: "Sync failed", className: "bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-400" },
+};
+
+// --- GitHub Repository Sync ---
+// Commits each standard analysis to a repository folder through the contents API, as
+// <slug>.json (the document) plus <slug>.md (exportToMarkdown), so the rest of the org
+// can find and review them. The contents API makes one commit per file.
+// All requests go through createGitHubRepoClient. Setting an API URL points it at
+// GitHub Enterprise or at the local fake in server/fake-github-api.js.
+
+const REPO_SYNC_KEY = "githubRepoSync";
+
+// { owner, repo, branch, directory, apiUrl, slugs: { [analysisId]: slug } }; apiUrl "" is api.github.com
+const loadRepoSync = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(REPO_SYNC_KEY));
+    if (stored) return { owner: "", repo: "", branch: "", directory: "analyses", apiUrl: "", slugs: {}, ...stored };
+  } catch {
+    // Fall through to defaults
+  }
+  return { owner: "", repo: "", branch: "", directory: "analyses", apiUrl: "", slugs: {} };
+};
+
+const slugify = (text) =>
+  (text || "").toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60) || "untitled";
+
+// The contents API carries file bodies as base64 of their UTF-8 bytes
+const encodeBase64Utf8 = (text) => bytesToBase64(new TextEncoder().encode(text));
+const decodeBase64Utf8 = (base64) => new TextDecoder().decode(base64ToBytes(base64.replace(/\s/g, "")));
+
+const createGitHubRepoClient = ({ token, owner, repo, branch, baseUrl = "https://api.github.com", fetchImpl = (...args) => fetch(...args) }) => {
+  const repoUrl = `${baseUrl}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  const contentsUrl = (path) => `${repoUrl}/contents/${path.split("/").map(encodeURIComponent).join("/")}`;
+  const ref = branch ? `?ref=${encodeURIComponent(branch)}` : "";
+
+  const request = async (url, options = {}) => {
+    const response = await fetchImpl(url, { ...options, headers: githubHeaders(token) });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+    return response.json();
+  };
+
+  return {
+    // { sha, text } or null if the file doesn't exist
+    getFile: async (path) => {
+      const file = await request(contentsUrl(path) + ref);
+      if (!file) return null;
+      if (!file.content && file.size > 0) {
+        // Files over 1 MB aren't inlined by the contents API; read them as a git blob
+        const blob = await request(`${repoUrl}/git/blobs/${file.sha}`);
+        if (!blob) return null;
+        return { sha: file.sha, text: decodeBase64Utf8(blob.content || "") };
+      }
+      return { sha: file.sha, text: decodeBase64Utf8(file.content || "") };
+    },
+    putFile: (path, text, message, sha) =>
+      request(contentsUrl(path), {
+        method: "PUT",
+        body: JSON.stringify({ message, content: encodeBase64Utf8(text), ...(sha ? { sha } : {}), ...(branch ? { branch } : {}) }),
+      }),
+    // Entries of a folder ({ name, path, type }), or [] if it doesn't exist yet
+    listDirectory: async (path) => (await request(contentsUrl(path) + ref)) || [],
+  };
+};
+
+const repoFilePath = (directory, slug, extension) =>
+  [directory.replace(/^\/+|\/+$/g, ""), `${slug}.${extension}`].filter(Boolean).join("/");
+
+// Commit message for a change, or null when nothing changed. Edits outside the diffed
+// sections (phase, Jira ticket, ...) still get a plain "Update" message.
+const summarizeAnalysisChanges = (before, after) => {
+  if (!before) return `Add analysis: ${after.name}`;
+  const sections = diffAnalyses(before, after).map(({ section }) => section.label);
+  const renamed = before.name !== after.name ? `Rename ${before.name} to ${after.name}` : null;
+  if (sections.length === 0) return renamed || (sameJson(before, after) ? null : `Update ${after.name}`);
+  return `${renamed || `Update ${after.name}`}: ${sections.join(", ")}`;
+};
+
+// Commit the analysis JSON and its markdown. Returns the commit message, or null if
+// the repository already had this version.
+const pushAnalysisToRepo = async (client, analysis, { directory, slug }) => {
+  const content = withoutSyncLink(analysis);
+  const jsonPath = repoFilePath(directory, slug, "json");
+  const mdPath = repoFilePath(directory, slug, "md");
+  const existing = await client.getFile(jsonPath);
+  // An empty file has nothing to compare against; it's simply overwritten
+  const previous = existing?.text ? migrateAnalysis(JSON.parse(existing.text)) : null;
+  if (previous && previous.id !== analysis.id) throw new Error(`${jsonPath} holds a different analysis`);
+
+  const message = existing && !previous ? `Update ${content.name}` : summarizeAnalysisChanges(previous, content);
+  if (!message) return null;
+  await client.putFile(jsonPath, `${JSON.stringify(content, null, 2)}\n`, message, existing?.sha);
+  const existingMd = await client.getFile(mdPath);
+  await client.putFile(mdPath, exportToMarkdown(content), message, existingMd?.sha);
+  return message;
+};
+
+// Every analysis JSON in the folder: [{ slug, analysis }]
+const pullAnalysesFromRepo = async (client, directory) => {
+  const entries = await client.listDirectory(directory.replace(/^\/+|\/+$/g, ""));
+  const results = [];
+  for (const entry of entries) {
+    if (entry.type !== "file" || !entry.name.endsWith(".json")) continue;
+    try {
+      // Deleted since the listing, or empty
+      const file = await client.getFile(entry.path);
+      if (!file?.text) throw new Error("file is missing or empty");
+      const data = JSON.parse(file.text);
+      if (!data?.id || !data.overview) throw new Error("not an analysis");
+      results.push({ slug: entry.name.slice(0, -".json".length), analysis: migrateAnalysis(data) });
+    } catch (error) {
+      console.warn(`[REPO] Skipping ${entry.path}:`, error.message);
+    }
+  }
+  return results;
+};
+
+// --- Live Collaboration ---
+// Several people edit one analysis at once through a relay (server/collab-relay.js) that
+// forwards messages between the browsers in a room and stores nothing.
+// The shared document is a CRDT: a map of last-writer-wins registers, one per field.
+// List items are addressed by id and carry their own position register, so adding,
+// editing, removing and reordering items in different places all merge; two edits to
+// the same field keep the later one (Lamport clock, then client id). Replicas that have
+// seen the same registers show the same analysis, whatever order messages arrived in.
+// Secure tasks never join a session, since the relay would see them in plaintext.
+
+const COLLAB_KEY = "liveCollab";
+const COLLAB_SEND_DELAY_MS = 150;
+const COLLAB_PRESENCE_MS = 15000;
+const COLLAB_PEER_TIMEOUT_MS = 40000;
+const COLLAB_COLORS = ["#2563eb", "#db2777", "#16a34a", "#d97706", "#7c3aed", "#0891b2"];
+
+// Each device keeps its own copy of these
+const COLLAB_LOCAL_FIELDS = ["id", "gistId", "gistRevision", "syncProvider", "updatedAt", "deletedAt", "secureMode"];
+const COLLAB_ITEM_LISTS = [["assumptions"], ["questions"], ["acceptanceCriteria"], ["actions"], ["scope", "items"]];
+
+// { relayUrl, relayToken, name }
+const loadCollabSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COLLAB_KEY));
+    if (stored) return { relayUrl: "", relayToken: "", name: "", ...stored };
+  } catch {
+    // Fall through to defaults
+  }
+  return { relayUrl: "", relayToken: "", name: "" };
+};
+
+const createCollabId = () => bytesToBase64(crypto.getRandomValues(new Uint8Array(9))).replace(/[+/=]/g, "");
+
+const collabColor = (clientId) =>
+  COLLAB_COLORS[[...clientId].reduce((sum, char) => sum + char.charCodeAt(0), 0) % COLLAB_COLORS.length];
+
+// { client, clock, registers: Map<JSON path, { value, clock, client }> }
+const createCollabDoc = (client) => ({ client, clock: 0, registers: new Map() });
+
+// Field values by JSON path. Item lists become "@<id>" entries (their position is
+// filled in later) and the item's fields below them; other arrays are single values.
+const flattenForCollab = (analysis) => {
+  const values = new Map();
+  const lists = [];
+  const walk = (value, path) => {
+    if (COLLAB_ITEM_LISTS.some((list) => sameJson(list, path))) {
+      const ids = [];
+      (value || []).forEach(({ id, ...fields }) => {
+        ids.push(id);
+        values.set(JSON.stringify([...path, `@${id}`]), null);
+        walk(fields, [...path, `@${id}`]);
+      });
+      lists.push({ path, ids });
+    } else if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, child]) => {
+        if (path.length === 0 && COLLAB_LOCAL_FIELDS.includes(key)) return;
+        walk(child, [...path, key]);
+      });
+    } else if (path.length > 0 && value !== undefined) {
+      values.set(JSON.stringify(path), value);
+    }
+  };
+  walk(analysis, []);
+  return { values, lists };
+};
+
+const collabRegisterWins = (a, b) => !b || a.clock > b.clock || (a.clock === b.clock && a.client > b.client);
+
+// Positions for a list in its new order. Items keep their position while it still
+// fits; moved or new items get one between their neighbours.
+const collabListPositions = (doc, path, ids) => {
+  const current = ids.map((id) => doc.registers.get(JSON.stringify([...path, `@${id}`]))?.value);
+  const positions = [];
+  let last = -Infinity;
+  ids.forEach((_, i) => {
+    if (typeof current[i] === "number" && current[i] > last) {
+      positions.push(current[i]);
+    } else {
+      const next = current.slice(i + 1).find((pos) => typeof pos === "number" && pos > last);
+      positions.push(last === -Infinity ? (next ?? 1) - 1 : next === undefined ? last + 1 : (last + next) / 2);
+    }
+    last = positions[i];
+  });
+  return positions;
+};
+
+// Record a local edit: registers for every field that differs from the document,
+// written into it and returned for sending as [path, register] entries
+const collabChanges = (doc, analysis) => {
+  const { values, lists } = flattenForCollab(analysis);
+  lists.forEach(({ path, ids }) => {
+    collabListPositions(doc, path, ids).forEach((pos, i) => values.set(JSON.stringify([...path, `@${ids[i]}`]), pos));
+  });
+  // Items no longer in their list are removed; their fields stay behind unused
+  doc.registers.forEach((register, key) => {
+    const path = JSON.parse(key);
+    if (path[path.length - 1].startsWith("@") && register.value !== null && !values.has(key)) values.set(key, null);
+  });
+
+  const changed = [...values].filter(([key, value]) => !sameJson(doc.registers.get(key)?.value, value));
+  if (changed.length === 0) return [];
+  doc.clock += 1;
+  return changed.map(([key, value]) => {
+    const register = { value, clock: doc.clock, client: doc.client };
+    doc.registers.set(key, register);
+    return [key, register];
+  });
+};
+
+// Merge registers from another replica; returns whether anything changed
+const mergeCollabRegisters = (doc, entries) => {
+  let changed = false;
+  entries.forEach(([key, register]) => {
+    doc.clock = Math.max(doc.clock, register.clock);
+    if (collabRegisterWins(register, doc.registers.get(key))) {
+      doc.registers.set(key, register);
+      changed = true;
+    }
+  });
+  return changed;
+};
+
+const assignPath = (target, path, value) => {
+  path.slice(0, -1).reduce((node, key) => (node[key] = isPlainObject(node[key]) ? node[key] : {}), target)[path[path.length - 1]] = value;
+};
+
+// Rebuild values with the key order of the local copy, so unchanged data compares equal
+const conformTo = (local, value) => {
+  if (Array.isArray(value) && hasItemIds(value) && hasItemIds(local)) {
+    return value.map((item) => conformTo(local.find((l) => l.id === item.id), item));
+  }
+  if (!isPlainObject(value) || !isPlainObject(local)) return value;
+  const keys = [...Object.keys(local).filter((key) => key in value), ...Object.keys(value).filter((key) => !(key in local))];
+  return Object.fromEntries(keys.map((key) => [key, conformTo(local[key], value[key])]));
+};
+
+// The analysis described by the document, keeping the local copy's device-only fields
+const collabDocToAnalysis = (doc, local) => {
+  const root = {};
+  const lists = new Map(); // list path -> Map(id -> { pos, fields })
+  doc.registers.forEach(({ value }, key) => {
+    const path = JSON.parse(key);
+    const at = path.findIndex((segment) => segment.startsWith("@"));
+    if (at === -1) {
+      assignPath(root, path, value);
+      return;
+    }
+    const listKey = JSON.stringify(path.slice(0, at));
+    if (!lists.has(listKey)) lists.set(listKey, new Map());
+    const items = lists.get(listKey);
+    const id = path[at].slice(1);
+    if (!items.has(id)) items.set(id, { pos: null, fields: {} });
+    if (path.length === at + 1) items.get(id).pos = value;
+    else assignPath(items.get(id).fields, path.slice(at + 1), value);
+  });
+  COLLAB_ITEM_LISTS.forEach((path) => {
+    const items = [...(lists.get(JSON.stringify(path)) || new Map())]
+      .filter(([, item]) => typeof item.pos === "number")
+      .sort(([idA, a], [idB, b]) => a.pos - b.pos || (idA < idB ? -1 : 1))
+      .map(([id, item]) => ({ id, ...item.fields }));
+    assignPath(root, path, items);
+  });
+  const localFields = Object.fromEntries(COLLAB_LOCAL_FIELDS.filter((key) => key in local).map((key) => [key, local[key]]));
+  return conformTo(local, { ...root, ...localFields });
+};
+
+// --- Share Links ---
+// Share links keep the analysis in the URL fragment, which browsers never send to a
+// server: a plain link carries it as deflate-compressed UTF-8 JSON, and an encrypted
+// link carries it as the same AES-GCM envelope used for encrypted gists, so the
+// recipient has to enter the passphrase before it's imported. Secure tasks can only be
+// shared encrypted. Older links with ?data= are still read.
+
+const SHARE_PLAIN_PARAM = "share";
+const SHARE_ENCRYPTED_PARAM = "encrypted";
+const SHARE_COMPRESSION = "deflate-raw";
+// Chat tools, mail clients and some browsers cut longer URLs
+const SHARE_LINK_MAX_LENGTH = 8000;
+
+const bytesToBase64Url = (bytes) => bytesToBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const base64UrlToBytes = (text) =>
+  base64ToBytes(text.replace(/-/g, "+").replace(/_/g, "/") + "=".repeat((4 - (text.length % 4)) % 4));
+
+const transformBytes = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+// Any JSON value as compressed base64url, and back
+const encodeSharePayload = async (value) =>
+  bytesToBase64Url(await transformBytes(new TextEncoder().encode(JSON.stringify(value)), new CompressionStream(SHARE_COMPRESSION)));
+const decodeSharePayload = async (text) =>
+  JSON.parse(new TextDecoder().decode(await transformBytes(base64UrlToBytes(text), new DecompressionStream(SHARE_COMPRESSION))));
+
+const shareLinkBase = () => `${window.location.origin}${window.location.pathname}`;
+
+// The copy that's shared: no sync links or trash state from this device
+const sharedCopyOf = (analysis) => {
+  const { deletedAt: _deleted, ...content } = withoutSyncLink(analysis);
+  return content;
+};
+
+const createPlainShareLink = async (analysis) => {
+  if (analysis.secureMode) throw new Error("Secure tasks can only be shared with an encrypted link");
+  return `${shareLinkBase()}#${SHARE_PLAIN_PARAM}=${await encodeSharePayload(sharedCopyOf(analysis))}`;
+};
+
+// The analysis is compressed before it's encrypted, since ciphertext doesn't compress
+const createEncryptedShareLink = async (analysis, passphrase) => {
+  const envelope = {
+    format: ENCRYPTED_GIST_FORMAT,
+    version: 1,
+    compression: SHARE_COMPRESSION,
+    ...await encryptWithPassphrase(await encodeSharePayload(sharedCopyOf(analysis)), passphrase),
+  };
+  return `${shareLinkBase()}#${SHARE_ENCRYPTED_PARAM}=${await encodeSharePayload(envelope)}`;
+};
+
+// The shared payload in a link's fragment as { encrypted, payload }, or null if there isn't one
+const readShareFragment = async (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const plain = params.get(SHARE_PLAIN_PARAM);
+  if (plain) return { encrypted: false, payload: await decodeSharePayload(plain) };
+  const encrypted = params.get(SHARE_ENCRYPTED_PARAM);
+  if (!encrypted) return null;
+  const payload = await decodeSharePayload(encrypted);
+  if (!isEncryptedGistPayload(payload)) throw new Error("Not an encrypted share link");
+  return { encrypted: true, payload };
+};
+
+// Links made before fragments were used: btoa of the analysis JSON in ?data=
+const readLegacyShareParam = (search) => {
+  const data = new URLSearchParams(search).get("data");
+  return data ? JSON.parse(atob(data)) : null;
+};
+
+// The shared analysis, asking for the passphrase if the link is encrypted
+const openSharedPayload = async ({ encrypted, payload }, unlock) => {
+  if (!encrypted) return payload;
+  const opened = await openGistPayload(payload, unlock);
+  return payload.compression ? decodeSharePayload(opened) : opened;
+};
+
+// Audio analysis functions
+let mediaRecorder = null;
+let audioChunks = [];
+let recognition = null;
+
+const startAudioRecording = async (onTranscript) => {
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    mediaRecorder = new MediaRecorder(stream);
+    audioChunks = [];
+
+    mediaRecorder.ondataavailable = (event) => {
+      audioChunks.push(event.data);
+    };
+
+    // Initialize Web Speech API
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (SpeechRecognition) {
+      recognition = new SpeechRecognition();
+      recognition.continuous = true;
+      recognition.interimResults = true;
+      recognition.lang = 'en-US';
+
+      recognition.onresult = (event) => {
+        let interimTranscript = '';
+        let finalTranscript = '';
+        
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+          const transcript = event.results[i][0].transcript;
+          if (event.results[i].isFinal) {
+            finalTranscript += transcript + ' ';
+          } else {
+            interimTranscript += transcript;
+          }
+        }
+        
+        onTranscript(finalTranscript, interimTranscript);
+      };
+
+      recognition.start();
+    }
+
+    mediaRecorder.start();
+    return true;
+  } catch (error) {
+    console.error("Error starting recording:", error);
+    return false;
+  }
+};
+
+const stopAudioRecording = () => {
+  return new Promise((resolve) => {
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+      mediaRecorder.onstop = () => {
+        const audioBlob = new Blob(audioChunks, { type: 'audio/wav' });
+        mediaRecorder.stream.getTracks().forEach(track => track.stop());
+        resolve(audioBlob);
+      };
+      mediaRecorder.stop();
+    } else {
+      resolve(null);
+    }
+
+    if (recognition) {
+      recognition.stop();
+      recognition = null;
+    }
+  });
+};
+
+// --- AI Provider ---
+// Every analyzer talks to an OpenAI-compatible chat completions endpoint through one
+// client. The endpoint, model, auth style and whether the model accepts images are
+// settings, with presets for GitHub Models, Azure OpenAI and a local model server. API
+// keys are kept apart from these settings, one per endpoint origin, so a key entered for
+// one server is never sent to another after the preset or endpoint changes.
+
+const AI_PROVIDER_KEY = "aiProvider";
+const AI_KEYS_KEY = "aiProviderKeys";
+const LEGACY_AI_KEY = "githubAIKey";
+
+const AI_PROVIDER_PRESETS = {
+  github: {
+    label: "GitHub Models",
+    endpoint: "https://models.inference.ai.azure.com/chat/completions",
+    model: "gpt-4o",
+    authStyle: "bearer",
+    vision: true,
+  },
+  azure: {
+    label: "Azure OpenAI",
+    endpoint: "https://YOUR-RESOURCE.openai.azure.com/openai/deployments/YOUR-DEPLOYMENT/chat/completions?api-version=2024-06-01",
+    model: "gpt-4o",
+    authStyle: "api-key",
+    vision: true,
+  },
+  local: {
+    label: "Local server",
+    endpoint: "http://localhost:11434/v1/chat/completions",
+    model: "llama3.1",
+    authStyle: "none",
+    vision: false,
+  },
+};
+
+const AI_AUTH_STYLES = {
+  bearer: "Authorization: Bearer",
+  "api-key": "api-key header (Azure)",
+  none: "No authentication",
+};
+
+const loadAiProvider = () => {
+  const fallback = { preset: "github", ...AI_PROVIDER_PRESETS.github };
+  try {
+    const stored = JSON.parse(localStorage.getItem(AI_PROVIDER_KEY));
+    if (!isPlainObject(stored)) return fallback;
+    const { label: _label, ...settings } = { ...fallback, ...stored };
+    return settings.authStyle in AI_AUTH_STYLES ? settings : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Keys are stored per origin; an endpoint that isn't a valid URL gets no stored key
+const aiKeyScope = (provider) => {
+  try {
+    return new URL(provider.endpoint.trim()).origin;
+  } catch {
+    return "";
+  }
+};
+
+// { [origin]: key }. The key from builds with a single key was always a GitHub token, so
+// it's only carried over for the GitHub Models endpoint.
+const loadAiKeys = () => {
+  let keys = {};
+  try {
+    const stored = JSON.parse(localStorage.getItem(AI_KEYS_KEY));
+    if (isPlainObject(stored)) keys = stored;
+  } catch {
+    // Unreadable - start without keys
+  }
+  const legacyKey = localStorage.getItem(LEGACY_AI_KEY);
+  if (legacyKey) {
+    const githubScope = aiKeyScope(AI_PROVIDER_PRESETS.github);
+    keys = { [githubScope]: legacyKey, ...keys };
+    localStorage.setItem(AI_KEYS_KEY, JSON.stringify(keys));
+    localStorage.removeItem(LEGACY_AI_KEY);
+  }
+  return keys;
+};
+
+const aiProviderLabel = (provider) => AI_PROVIDER_PRESETS[provider.preset]?.label || "Custom endpoint";
+
+// Whether the analyzers can call the provider, or have to fall back to notes
+const isAiConfigured = (provider, apiKey) =>
+  !!provider.endpoint.trim() && !!provider.model.trim() && (provider.authStyle === "none" || !!apiKey);
+
+const aiAuthHeaders = (authStyle, apiKey) => {
+  if (authStyle === "bearer") return { Authorization: `Bearer ${apiKey}` };
+  if (authStyle === "api-key") return { "api-key": apiKey };
+  return {};
+};
+
+// complete() sends one system and one user message and resolves to the reply text
+const createAiClient = (provider, apiKey) => {
+  const label = aiProviderLabel(provider);
+  return {
+    label,
+    model: provider.model,
+    vision: !!provider.vision,
+    complete: async ({ system, user, temperature, maxTokens }) => {
+      const response = await fetch(provider.endpoint.trim(), {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...aiAuthHeaders(provider.authStyle, apiKey) },
+        body: JSON.stringify({
+          model: provider.model.trim(),
+          messages: [{ role: "system", content: system }, { role: "user", content: user }],
+          temperature,
+          max_tokens: maxTokens,
+        }),
+      });
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`${label} returned ${response.status}: ${errorText}`);
+      }
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (typeof content !== "string") throw new Error(`${label} returned no message`);
+      return content;
+    },
+  };
+};
+
+// Models often wrap JSON in a markdown code block despite being asked not to
+const parseAiJson = (content) => {
+  let text = content.trim();
+  if (text.startsWith('```')) {
+    const match = text.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
+    if (match) {
+      text = match[1].trim();
+    }
+  }
+  // Remove any remaining backticks
+  return JSON.parse(text.replace(/^`+|`+$/g, '').trim());
+};
+
+// --- Extraction ---
+// Audio transcripts, pasted text, images and PDFs all go through one extraction schema:
+// the model is asked for the same fields whatever the source, the result is normalized
+// against EXTRACTION_FIELDS, reviewed in one place and applied by applyExtraction.
+// Text fields replace or add to one field of the analysis; list fields become new items.
+
+const EXTRACTION_FIELDS = [
+  { key: "featureName", kind: "text", path: ["overview", "featureName"], section: "Overview", label: "Feature Name", describe: "short title" },
+  { key: "date", kind: "text", path: ["overview", "date"], section: "Overview", label: "Date", describe: "any date mentioned" },
+  { key: "requestor", kind: "text", path: ["overview", "requestor"], section: "Overview", label: "Requestor", describe: "who requested it / stakeholders" },
+  { key: "origin", kind: "text", path: ["overview", "origin"], section: "Overview", label: "Origin", describe: `one of: ${ORIGIN_OPTIONS.join(", ")}` },
+  { key: "originOther", kind: "text", path: ["overview", "originOther"], section: "Overview", label: "Other Origin", describe: "where the request came from if it fits none of the origins" },
+  { key: "jiraTicket", kind: "text", path: ["jiraTicket"], section: "Overview", label: "JIRA Ticket", describe: "Jira ticket key like PROJ-123" },
+  { key: "description", kind: "text", path: ["overview", "description"], section: "Overview", label: "Description", describe: "brief summary" },
+  { key: "problem", kind: "text", path: ["problem", "problem"], section: "Problem", label: "Problem Statement", describe: "what problem this solves and why it matters" },
+  { key: "who", kind: "text", path: ["problem", "who"], section: "Problem", label: "Who (Target Users)", describe: "target users" },
+  { key: "outcome", kind: "text", path: ["problem", "outcome"], section: "Problem", label: "Outcome", describe: "business outcome" },
+  { key: "metrics", kind: "text", path: ["problem", "metrics"], section: "Problem", label: "Success Metrics", describe: "how success will be measured" },
+  { key: "ifNotBuilt", kind: "text", path: ["problem", "ifNotBuilt"], section: "Problem", label: "If Not Built", describe: "what happens if this isn't built" },
+  { key: "segments", kind: "text", path: ["context", "segments"], section: "Context", label: "User Segments", describe: "user segments and personas" },
+  { key: "workflow", kind: "text", path: ["context", "workflow"], section: "Context", label: "Current Workflow", describe: "how users work today" },
+  { key: "workarounds", kind: "text", path: ["context", "workarounds"], section: "Context", label: "Workarounds", describe: "workarounds users rely on today" },
+  { key: "triggers", kind: "text", path: ["context", "triggers"], section: "Context", label: "Triggers", describe: "what moment or event makes users need this" },
+  { key: "beforeAfter", kind: "text", path: ["context", "beforeAfter"], section: "Context", label: "Before/After", describe: "what users do right before and after" },
+  { key: "assumptions", kind: "list", path: ["assumptions"], section: "Assumptions", label: "Assumptions", describe: "array of unvalidated assumptions",
+    item: (text) => ({ id: generateId(), text, status: "Unvalidated", tags: [] }) },
+  { key: "edges", kind: "edges", path: ["edges"], section: "Edge Cases", label: "Edge Cases",
+    describe: `object whose keys are edge case ids (${EDGE_CASE_ITEMS.map((e) => e.id).join(", ")}) and whose values are notes on how that edge case applies; only include relevant ones` },
+  { key: "affected", kind: "text", path: ["scope", "affected"], section: "Scope", label: "Affected Features", describe: "existing features this changes or interacts with" },
+  { key: "newPatterns", kind: "text", path: ["scope", "newPatterns"], section: "Scope", label: "New Patterns Needed", describe: "new components or patterns needed" },
+  { key: "technical", kind: "text", path: ["scope", "technical"], section: "Scope", label: "Technical Constraints", describe: "technical dependencies or constraints" },
+  { key: "scopeItems", kind: "list", path: ["scope", "items"], section: "Scope", label: "In Scope (MVP)", describe: "array of things that are in scope for the first version",
+    item: (text) => ({ id: generateId(), item: text, description: "", version: "MVP", priority: "Must" }) },
+  { key: "laterScope", kind: "list", path: ["scope", "items"], section: "Scope", label: "Later Versions", describe: "array of things planned for a later version",
+    item: (text) => ({ id: generateId(), item: text, description: "", version: "Future", priority: "Could" }) },
+  { key: "outOfScope", kind: "list", path: ["scope", "items"], section: "Scope", label: "Out of Scope", describe: "array of things that are explicitly out of scope",
+    item: (text) => ({ id: generateId(), item: text, description: "", version: "Cut", priority: "Won't" }) },
+  { key: "questions", kind: "list", path: ["questions"], section: "Questions", label: "Open Questions", describe: "array of open questions",
+    item: (text) => ({ id: generateId(), text, type: "Stakeholder", status: "Open", answer: "", dependency: false, tags: [] }) },
+  { key: "acceptanceCriteria", kind: "list", path: ["acceptanceCriteria"], section: "Acceptance", label: "Acceptance Criteria", describe: "array of things that must be true for the feature to be complete",
+    item: (text) => ({ id: generateId(), text, priority: "Must Have", status: "Not Started", notes: "" }) },
+  { key: "actions", kind: "list", path: ["actions"], section: "Actions", label: "Actions",
+    describe: 'array of requirement analysis tasks like "Schedule user interview", "Review competitor solutions", "Create user flow", NOT implementation/development tasks',
+    item: (text) => ({ id: generateId(), text, completed: false, note: "" }) },
+  { key: "notes", kind: "text", path: ["notes"], section: "Notes", label: "Notes", describe: "array of additional points" },
+  // Fields with options hold one of them, so they're always replaced
+  { key: "confidence", kind: "text", options: CONFIDENCE_LEVELS, path: ["summary", "confidence"], section: "Summary", label: "Overall Confidence",
+    describe: `how ready the requirement is for design, one of: ${CONFIDENCE_LEVELS.join(", ")}` },
+  { key: "concerns", kind: "text", path: ["summary", "concerns"], section: "Summary", label: "Key Concerns or Risks", describe: "main concerns or risks" },
+  { key: "nextSteps", kind: "text", path: ["summary", "nextSteps"], section: "Summary", label: "Next Steps", describe: "what should happen before design work begins" },
+];
+
+const EXTRACTION_FIELD_MAP = Object.fromEntries(EXTRACTION_FIELDS.map((field) => [field.key, field]));
+
+// Notes are added to what's there by default; every other text field is replaced
+const defaultExtractionMode = (key) => (key === "notes" ? "add" : "replace");
+
+const EXTRACTION_SOURCES = {
+  transcript: "a meeting transcript",
+  text: "pasted text (like Jira tickets, requirements docs, emails, etc)",
+  image: "an image (a screenshot of a Jira ticket, requirements doc, wireframe, design, email, etc)",
+  pdf: "text extracted from a PDF document",
+};
+
+const extractionPrompt = (source) =>
+  `You are a UX/product design assistant analyzing ${EXTRACTION_SOURCES[source]}. Extract structured information and return ONLY a valid JSON object (no markdown, no code blocks, no explanation). Use these fields (omit if not found): ${
+    EXTRACTION_FIELDS.map((field) => `${field.key} (${field.describe})`).join(", ")
+  }. Return raw JSON only.`;
+
+const toBulletText = (value) => (Array.isArray(value) ? value.map((v) => `• ${String(v).trim()}`).join("\n") : String(value));
+
+const textLines = (text) => text.split("\n").map((line) => line.trim()).filter(Boolean);
+
+// Keep only known fields in the shape the review and applyExtraction expect
+const normalizeExtraction = (raw) => {
+  const result = {};
+  if (!isPlainObject(raw)) return result;
+  EXTRACTION_FIELDS.forEach(({ key, kind, options }) => {
+    const value = raw[key];
+    if (value === undefined || value === null) return;
+    if (options) {
+      const option = options.find((o) => o.toLowerCase() === String(value).trim().toLowerCase());
+      if (option) result[key] = option;
+    } else if (kind === "text") {
+      const text = toBulletText(value).trim();
+      if (text) result[key] = text;
+    } else if (kind === "list") {
+      const items = (Array.isArray(value) ? value : textLines(String(value))).map((item) => String(item).trim()).filter(Boolean);
+      if (items.length > 0) result[key] = items;
+    } else if (kind === "edges" && isPlainObject(value)) {
+      const edges = Object.fromEntries(
+        Object.entries(value)
+          .filter(([id, note]) => EDGE_CASE_ITEMS.some((e) => e.id === id) && note)
+          .map(([id, note]) => [id, toBulletText(note).trim()])
+      );
+      if (Object.keys(edges).length > 0) result[key] = edges;
+    }
+  });
+  return result;
+};
+
+// Without AI, content goes to notes as bullet points
+const fallbackExtraction = (notes, reason) => ({ notes, _fallback: true, _reason: reason });
+
+// input is { text } or { image } (a data URL); source is a key of EXTRACTION_SOURCES
+const extractRequirements = async ({ text, image }, source, ai) => {
+  const textAsNotes = () => textLines(text).map((line) => `• ${line}`).join("\n");
+  if (image && (!ai || !ai.vision)) {
+    return fallbackExtraction(
+      ai ? `Image uploaded but ${ai.model} can't read images.` : "Image uploaded but no AI provider is set up.",
+      ai ? "The AI provider is set up without image support" : "No AI provider configured"
+    );
+  }
+  if (!ai) return fallbackExtraction(textAsNotes(), "No AI provider configured");
+
+  let content = "";
+  try {
+    content = await ai.complete({
+      system: extractionPrompt(source),
+      user: image
+        ? [
+          { type: "text", text: "Analyze this image and extract all relevant requirement information." },
+          { type: "image_url", image_url: { url: image } },
+        ]
+        : text,
+      temperature: 0.5,
+      maxTokens: 2000,
+    });
+  } catch (error) {
+    console.error(`[EXTRACT] Failed to analyze ${source} with ${ai.label}:`, error);
+    return image
+      ? fallbackExtraction("Image analysis failed: " + error.message, error.message || "API request failed")
+      : fallbackExtraction(textAsNotes(), error.message || "API request failed");
+  }
+
+  try {
+    const extracted = normalizeExtraction(parseAiJson(content));
+    console.log(`[EXTRACT] Extracted ${Object.keys(extracted).length} fields from ${source}`);
+    return extracted;
+  } catch (parseError) {
+    console.error('[EXTRACT] Failed to parse JSON:', parseError, 'Content:', content);
+    return fallbackExtraction(
+      "Failed to parse AI response. Raw content:\n\n" + content,
+      "JSON parsing failed: " + parseError.message
+    );
+  }
+};
+
+// What the analysis holds today for a text field, for the review's "Existing content"
+const extractionExistingText = (analysis, key) => {
+  const field = EXTRACTION_FIELD_MAP[key];
+  if (!analysis || field?.kind !== "text") return "";
+  const value = field.path.reduce((node, part) => node?.[part], analysis);
+  return typeof value === "string" ? value : "";
+};
+
+const mergeExtractedText = (existing, value, mode) =>
+  existing?.trim() && mode === "add" ? `${existing}\n\n${value}` : value;
+
+// The analysis with an extraction applied; modes maps text fields and edge case ids to "replace" | "add"
+const applyExtraction = (analysis, extraction, modes = {}) => {
+  let updated = analysis;
+  EXTRACTION_FIELDS.forEach((field) => {
+    const value = extraction[field.key];
+    if (!value || (field.kind === "text" && !value.trim())) return;
+    const current = field.path.reduce((node, part) => node?.[part], updated);
+    if (field.options) {
+      if (field.options.includes(value)) updated = setAtPath(updated, field.path, value);
+    } else if (field.kind === "text") {
+      const mode = modes[field.key] || defaultExtractionMode(field.key);
+      if (field.key === "origin" && !ORIGIN_OPTIONS.includes(value)) {
+        updated = setAtPath(updated, ["overview", "origin"], "Other");
+        updated = setAtPath(updated, ["overview", "originOther"], mergeExtractedText(updated.overview.originOther, value, mode));
+        return;
+      }
+      updated = setAtPath(updated, field.path, mergeExtractedText(current, value, mode));
+    } else if (field.kind === "list") {
+      // Items emptied during review are skipped
+      const items = value.map((text) => text.trim()).filter(Boolean);
+      if (items.length > 0) updated = setAtPath(updated, field.path, [...(current || []), ...items.map(field.item)]);
+    } else if (field.kind === "edges") {
+      Object.entries(value).forEach(([id, note]) => {
+        if (!note.trim()) return;
+        const edge = { considered: false, notes: "", ...updated.edges?.[id] };
+        const mode = modes[`edges.${id}`] || "add";
+        updated = setAtPath(updated, ["edges", id], { ...edge, considered: true, notes: mergeExtractedText(edge.notes, note, mode) });
+      });
+    }
+  });
+  return updated === analysis ? analysis : { ...updated, updatedAt: new Date().toISOString() };
+};
+
+// Extract text from PDF file
+const extractTextFromPDF = async (file) => {
+  try {
+    // Dynamically import PDF.js only when needed
+    const pdfjsLib = await import('pdfjs-dist');
+    
+    // Configure worker using dynamic import for Vite bundling
+    const pdfjsWorker = await import('pdfjs-dist/build/pdf.worker.min.mjs?url');
+    if (pdfjsLib.GlobalWorkerOptions) {
+      pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorker.default;
+    }
+    
+    const arrayBuffer = await file.arrayBuffer();
+    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+    let fullText = '';
+    
+    for (let i = 1; i <= pdf.numPages; i++) {
+      const page = await pdf.getPage(i);
+      const textContent = await page.getTextContent();
+      const pageText = textContent.items.map(item => item.str).join(' ');
+      fullText += pageText + '\n';
+    }
+    
+    return fullText.trim();
+  } catch (error) {
+    console.error('Failed to extract text from PDF:', error);
+    throw new Error('Failed to read PDF file: ' + error.message);
+  }
+};
+
+function getCompletion(analysis) {
+  let filled = 0, total = 0;
+  const check = (val) => { total++; if (val && String(val).trim()) filled++; };
+  Object.values(analysis.overview).forEach(check);
+  check(analysis.phase);
+  Object.values(analysis.problem).forEach(check);
+  Object.values(analysis.context).forEach(check);
+  total++; if (analysis.assumptions.length > 0) filled++;
+  total++; if (Object.values(analysis.edges).filter((e) => e.considered).length > 0) filled++;
+  check(analysis.scope.affected); check(analysis.scope.newPatterns); check(analysis.scope.technical);
+  total++; if (analysis.scope.items.length > 0) filled++;
+  total++; if (analysis.questions.length > 0) filled++;
+  total++; if ((analysis.actions || []).length > 0) filled++;
+  Object.values(analysis.summary).forEach(check);
+  return total > 0 ? Math.round((filled / total) * 100) : 0;
+}
+
+function getTaskCount(analysis) {
+  let filled = 0, total = 0;
+  const check = (val) => { total++; if (val && String(val).trim()) filled++; };
+  Object.values(analysis.overview).forEach(check);
+  check(analysis.phase);
+  Object.values(analysis.problem).forEach(check);
+  Object.values(analysis.context).forEach(check);
+  total++; if (analysis.assumptions.length > 0) filled++;
+  total++; if (Object.values(analysis.edges).filter((e) => e.considered).length > 0) filled++;
+  check(analysis.scope.affected); check(analysis.scope.newPatterns); check(analysis.scope.technical);
+  total++; if (analysis.scope.items.length > 0) filled++;
+  total++; if (analysis.questions.length > 0) filled++;
+  total++; if ((analysis.actions || []).length > 0) filled++;
+  Object.values(analysis.summary).forEach(check);
+  return { filled, total };
+}
+
+function getSectionCompletion(analysis, sectionId) {
+  let filled = 0, total = 0;
+  const check = (val) => { total++; if (val && String(val).trim()) filled++; };
+  switch (sectionId) {
+    case "overview":
+      Object.values(analysis.overview).forEach(check);
+      check(analysis.phase);
+      break;
+    case "problem": Object.values(analysis.problem).forEach(check); break;
+    case "context": Object.values(analysis.context).forEach(check); break;
+    case "assumptions": total = 1; if (analysis.assumptions.length > 0) filled = 1; break;
+    case "edges":
+      total = EDGE_CASE_ITEMS.length;
+      filled = Object.values(analysis.edges).filter((e) => e.considered).length;
+      break;
+    case "scope":
+      check(analysis.scope.affected); check(analysis.scope.newPatterns); check(analysis.scope.technical);
+      total++; if (analysis.scope.items.length > 0) filled++;
+      break;
+    case "questions": total = 1; if (analysis.questions.length > 0) filled = 1; break;
+    case "acceptance": total = 1; if ((analysis.acceptanceCriteria || []).length > 0) filled = 1; break;
+    case "actions": total = 1; if ((analysis.actions || []).length > 0) filled = 1; break;
+    case "mapping": 
+      total = 1; 
+      if (analysis.mapping?.figmaUrl?.trim()) filled = 1; 
+      break;
+    case "notes": check(analysis.notes); break;
+    case "summary": Object.values(analysis.summary).forEach(check); break;
+  }
+  return total > 0 ? Math.round((filled / total) * 100) : 0;
+}
+
+function exportToMarkdown(a) {
+  if (!a) return "No analysis selected.";
+  
+  const lines = [];
+  const h = (t) => lines.push(`\n## ${t}`);
+  const f = (label, val) => { if (val?.trim()) lines.push(`**${label}:** ${val}`); };
+  lines.push(`# ${a.name || "Untitled Design Task"}`);
+  lines.push(`*Created: ${new Date(a.createdAt).toLocaleDateString()}*`);
+  if (a.phase) lines.push(`*Target Phase: ${a.phase}*`);
+  if (a.jiraTicket) lines.push(`*JIRA Ticket: ${a.jiraTicket}*`);
+
+  h("Overview");
+  f("Feature", a.overview?.featureName); f("Date", a.overview?.date);
+  f("Stakeholders", a.overview?.requestor); 
+  f("Origin", a.overview?.origin === "Other" && a.overview?.originOther ? `Other: ${a.overview.originOther}` : a.overview?.origin);
+  if (a.overview?.description) lines.push(`\n${a.overview.description}`);
+
+  h("Problem & Purpose");
+  f("Problem", a.problem?.problem); f("Who", a.problem?.who);
+  f("Business Outcome", a.problem?.outcome); f("Success Metrics", a.problem?.metrics);
+  f("If Not Built", a.problem?.ifNotBuilt);
+
+  h("User Context");
+  f("Target Segments", a.context?.segments); f("Current Workflow", a.context?.workflow);
+  f("Workarounds", a.context?.workarounds); f("Triggers", a.context?.triggers);
+  f("Before/After", a.context?.beforeAfter);
+
+  h("Assumptions");
+  if (!a.assumptions || a.assumptions.length === 0) lines.push("*No assumptions logged yet.*");
+  else a.assumptions.forEach((item, i) => lines.push(`${i + 1}. [${item.status}] ${item.text}`));
+
+  h("Edge Cases");
+  EDGE_CASE_ITEMS.forEach((ec) => {
+    const d = a.edges?.[ec.id];
+    if (d?.considered) lines.push(`- [x] **${ec.label}**${d.notes ? `: ${d.notes}` : ""}`);
+    else lines.push(`- [ ] ${ec.label}`);
+  });
+
+  h("Scope & Versions");
+  f("Affected Features", a.scope?.affected); f("New Patterns Needed", a.scope?.newPatterns);
+  f("Technical Constraints", a.scope?.technical);
+  if (a.scope?.items && a.scope.items.length > 0) {
+    lines.push("\n### Scope Items by Version");
+    const byVersion = {};
+    a.scope.items.forEach((item) => {
+      const v = item.version || "Unassigned";
+      if (!byVersion[v]) byVersion[v] = [];
+      byVersion[v].push(item);
+    });
+    Object.entries(byVersion).forEach(([version, items]) => {
+      lines.push(`\n**${version}**`);
+      items.forEach((item) => {
+        const priority = item.priority ? ` [${item.priority}]` : "";
+        lines.push(`- ${item.item}${priority}${item.description ? ` — ${item.description}` : ""}`);
+      });
+    });
+  }
+
+  h("Acceptance Criteria");
+  if (!a.acceptanceCriteria || a.acceptanceCriteria.length === 0) lines.push("*No acceptance criteria defined yet.*");
+  else {
+    const priorities = ["Must Have", "Should Have", "Nice to Have"];
+    priorities.forEach(priority => {
+      const items = a.acceptanceCriteria.filter(c => c.priority === priority);
+      if (items.length > 0) {
+        lines.push(`\n**${priority}**`);
+        items.forEach((c, i) => {
+          const status = c.status === "Done" ? "X" : c.status === "In Progress" ? "~" : " ";
+          lines.push(`${i + 1}. [${status}] ${c.text}`);
+          if (c.notes?.trim()) lines.push(`   - ${c.notes}`);
+        });
+      }
+    });
+  }
+
+  h("Open Questions");
+  if (!a.questions || a.questions.length === 0) lines.push("*No questions logged yet.*");
+  else a.questions.forEach((q, i) => {
+    const status = q.status === "Answered" ? "Y" : "?";
+    lines.push(`${i + 1}. [${status}] (${q.type}) ${q.text}`);
+    if (q.answer?.trim()) lines.push(`   - ${q.answer}`);
+  });
+
+  h("Action Items");
+  if (!a.actions || a.actions.length === 0) lines.push("*No actions logged yet.*");
+  else a.actions.forEach((item, i) => lines.push(`${i + 1}. [${item.completed ? "X" : " "}] ${item.text}`));
+
+  h("Mapping");
+  if (a.mapping?.figmaUrl) {
+    lines.push(`Figma Embed: ${a.mapping.figmaUrl}`);
+  } else {
+    lines.push("*No mapping URL set.*");
+  }
+
+  h("Notes");
+  if (a.notes?.trim()) lines.push(a.notes);
+  else lines.push("*No notes.*");
+
+  h("Summary");
+  f("Confidence", a.summary?.confidence); f("Key Concerns", a.summary?.concerns);
+  f("Next Steps", a.summary?.nextSteps);
+  return lines.join("\n");
+}
+
+// --- Workspace Backup ---
+// One versioned file with every analysis (trash included) and the app settings.
+// With a passphrase, the analyses and settings are AES-GCM encrypted under a key
+// derived from it; the header stays readable so the file can be recognised.
+
+const BACKUP_FORMAT = "requirement-analyzer-backup";
+const BACKUP_VERSION = 1;
+
+const createWorkspaceBackup = async ({ analyses, settings }, passphrase) => {
+  const header = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    analysisCount: analyses.length,
+  };
+  const payload = { analyses, settings };
+  if (!passphrase) return { ...header, ...payload };
+  return { ...header, ...await encryptWithPassphrase(payload, passphrase) };
+};
+
+// Parse and validate a backup file without decrypting it
+const parseWorkspaceBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error("This file is not a workspace backup");
+  }
+  if (backup?.format !== BACKUP_FORMAT) throw new Error("This file is not a workspace backup");
+  if (backup.version > BACKUP_VERSION) throw new Error("This backup was made by a newer version of the app");
+  return backup;
+};
+
+// Read the analyses and settings from a parsed backup. Encrypted backups need the passphrase.
+const openWorkspaceBackup = async (backup, passphrase) => {
+  let payload = backup;
+  if (backup.encryption) {
+    try {
+      payload = await decryptWithPassphrase(backup, passphrase);
+    } catch {
+      throw new Error("Incorrect passphrase, or the backup is damaged");
+    }
+  }
+  if (!Array.isArray(payload.analyses)) throw new Error("The backup doesn't contain any analyses");
+  return { analyses: payload.analyses.map(migrateAnalysis), settings: payload.settings || {} };
+};
+
+// Import analyses from a JSON file: a single analysis or an array of them
+function importFromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  const entries = Array.isArray(data) ? data : [data];
+  if (entries.length === 0 || !entries.every((entry) => entry && typeof entry === "object" && !Array.isArray(entry))) {
+    throw new Error("The file doesn't contain analyses");
+  }
+  return entries.map(migrateAnalysis);
+}
+
+// Import from Markdown
+function importFromMarkdown(markdown) {
+  const lines = markdown.split("\n");
+  const analysis = createBlankAnalysis();
+  
+  let currentSection = "";
+  let buffer = [];
+  
+  const parseField = (line) => {
+    const match = line.match(/\*\*([^:]+):\*\*\s*(.+)/);
+    return match ? { label: match[1].trim(), value: match[2].trim() } : null;
+  };
+  
+  const processSection = () => {
+    const content = buffer.join("\n").trim();
+    
+    switch(currentSection) {
+      case "Overview":
+        buffer.forEach(line => {
+          const field = parseField(line);
+          if (!field) {
+            if (line && !line.startsWith("**") && analysis.overview.description === "") {
+              analysis.overview.description = content.split("\n").filter(l => !l.startsWith("**")).join("\n").trim();
+            }
+            return;
+          }
+          if (field.label === "Feature") analysis.overview.featureName = field.value;
+          if (field.label === "Date") analysis.overview.date = field.value;
+          if (field.label === "Stakeholders") analysis.overview.requestor = field.value;
+          if (field.label === "Origin") {
+            // Check if it's "Other: something"
+            if (field.value.startsWith("Other: ")) {
+              analysis.overview.origin = "Other";
+              analysis.overview.originOther = field.value.substring(7);
+            } else {
+              analysis.overview.origin = field.value;
+            }
+          }
+        });
+        break;
+        
+      case "Problem & Purpose":
+        buffer.forEach(line => {
+          const field = parseField(line);
+          if (!field) return;
+          if (field.label === "Problem") analysis.problem.problem = field.value;
+          if (field.label === "Who") analysis.problem.who = field.value;
+          if (field.label === "Business Outcome") analysis.problem.outcome = field.value;
+          if (field.label === "Success Metrics") analysis.problem.metrics = field.value;
+          if (field.label === "If Not Built") analysis.problem.ifNotBuilt = field.value;
+        });
+        break;
+        
+      case "User Context":
+        buffer.forEach(line => {
+          const field = parseField(line);
+          if (!field) return;
+          if (field.label === "Target Segments") analysis.context.segments = field.value;
+          if (field.label === "Current Workflow") analysis.context.workflow = field.value;
+          if (field.label === "Workarounds") analysis.context.workarounds = field.value;
+          if (field.label === "Triggers") analysis.context.triggers = field.value;
+          if (field.label === "Before/After") analysis.context.beforeAfter = field.value;
+        });
+        break;
+        
+      case "Assumptions":
+        buffer.forEach(line => {
+          const match = line.match(/^\d+\.\s*\[([^\]]+)\]\s*(.+)/);
+          if (match) {
+            analysis.assumptions.push({
+              id: generateId(),
+              text: match[2].trim(),
+              status: match[1].trim()
+            });
+          }
+        });
+        break;
+        
+      case "Design actions":  // Legacy support for old exports
+      case "Action Items":
+        buffer.forEach(line => {
+          const match = line.match(/^\d+\.\s*\[([^\]]+)\]\s*(.+)/);
+          if (match) {
+            analysis.actions.push({
+              id: generateId(),
+              text: match[2].trim(),
+              completed: match[1].trim() === "X",
+              note: ""
+            });
+          }
+        });
+        break;
+        
+      case "Acceptance Criteria":
+        let currentPriority = "Must Have";
+        buffer.forEach(line => {
+          if (line.startsWith("**Must Have**")) currentPriority = "Must Have";
+          else if (line.startsWith("**Should Have**")) currentPriority = "Should Have";
+          else if (line.startsWith("**Nice to Have**")) currentPriority = "Nice to Have";
+          else {
+            const match = line.match(/^\d+\.\s*\[([^\]]+)\]\s*(.+)/);
+            if (match) {
+              const status = match[1].trim() === "X" ? "Done" : match[1].trim() === "~" ? "In Progress" : "Not Started";
+              analysis.acceptanceCriteria.push({
+                id: generateId(),
+                text: match[2].trim(),
+                priority: currentPriority,
+                status: status,
+                notes: ""
+              });
+            }
+          }
+        });
+        break;
+        
+      case "Open Questions":
+        buffer.forEach(line => {
+          const match = line.match(/^\d+\.\s*\[([^\]]+)\]\s*\(([^)]+)\)\s*(.+)/);
+          if (match) {
+            analysis.questions.push({
+              id: generateId(),
+              text: match[3].trim(),
+              type: match[2].trim(),
+              status: match[1].trim() === "Y" ? "Answered" : "Open",
+              answer: ""
+            });
+          }
+        });
+        break;
+        
+      case "Mapping":
+        const figmaMatch = content.match(/Figma Embed:\s*(.+)/);
+        if (figmaMatch) {
+          analysis.mapping = { figmaUrl: figmaMatch[1].trim() };
+        }
+        break;
+        
+      case "Notes":
+        if (content && !content.includes("*No notes.*")) {
+          analysis.notes = content;
+        }
+        break;
+        
+      case "Summary":
+        buffer.forEach(line => {
+          const field = parseField(line);
+          if (!field) return;
+          if (field.label === "Confidence") analysis.summary.confidence = field.value;
+          if (field.label === "Key Concerns") analysis.summary.concerns = field.value;
+          if (field.label === "Next Steps") analysis.summary.nextSteps = field.value;
+        });
+        break;
+    }
+    
+    buffer = [];
+  };
+  
+  lines.forEach((line, index) => {
+    // Extract title from first line
+    if (index === 0 && line.startsWith("# ")) {
+      analysis.name = line.substring(2).trim();
+      return;
+    }
+    
+    // Extract phase
+    if (line.startsWith("*Target Phase:")) {
+      const match = line.match(/\*Target Phase:\s*([^*]+)\*/);
+      if (match) analysis.phase = match[1].trim();
+      return;
+    }
+    
+    // Extract JIRA ticket
+    if (line.startsWith("*JIRA Ticket:")) {
+      const match = line.match(/\*JIRA Ticket:\s*([^*]+)\*/);
+      if (match) analysis.jiraTicket = match[1].trim();
+      return;
+    }
+    
+    // Section headers
+    if (line.startsWith("## ")) {
+      if (currentSection) processSection();
+      currentSection = line.substring(3).trim();
+      return;
+    }
+    
+    // Skip empty lines at start of section
+    if (!buffer.length && !line.trim()) return;
+    
+    // Add to buffer
+    if (line.trim()) {
+      buffer.push(line);
+    }
+  });
+  
+  // Process final section
+  if (currentSection) processSection();
+  
+  return analysis;
+}
+
+// --- UI Components ---
+
+const Field = ({ label, hint, placeholder, value, onChange, multiline = false, rows = 3 }) => (
+  <div className="mb-4">
+    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">{label}</label>
+    {hint && <p className="text-xs text-slate-400 dark:text-slate-500 mb-1.5">{hint}</p>}
+    {multiline ? (
+      <textarea
+        className="w-full px-3 py-2 text-sm border border-slate-200 dark:border-slate-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-slate-300 dark:focus:ring-slate-500 focus:border-slate-400 dark:focus:border-slate-500 resize-y bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200"
+        rows={rows} value={value || ""} onChange={(e) => onChange(e.target.value)}
+        placeholder={placeholder}
+      />
+    ) : (
+      <input
+        type="text"
+        className="w-full px-3 py-2 text-sm border border-slate-200 dark:border-slate-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-slate-300 dark:focus:ring-slate-500 focus:border-slate-400 dark:focus:border-slate-500 bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200"
+        value={value || ""} onChange={(e) => onChange(e.target.value)}
+        placeholder={placeholder}
+      />
+    )}
+  </div>
+);
+
+const Select = ({ label, hint, value, options, onChange, allowEmpty = true }) => (
+  <div className="mb-4">
+    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">{label}</label>
+    {hint && <p className="text-xs text-slate-400 dark:text-slate-500 mb-1.5">{hint}</p>}
+    <select
+      className="w-full px-3 py-2 text-sm border border-slate-200 dark:border-slate-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-slate-300 dark:focus:ring-slate-500 focus:border-slate-400 dark:focus:border-slate-500 bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200"
+      value={value || ""} onChange={(e) => onChange(e.target.value)}
+    >
+      {allowEmpty && <option value="">Select...</option>}
+      {options.map((o) => <option key={o} value={o}>{o}</option>)}
+    </select>
+  </div>
+);
+
+const VersionBadge = ({ version, size = "sm" }) => {
+  if (!version) return null;
+  const colors = VERSION_COLORS[version] || VERSION_COLORS.Future;
+  const sizeClass = size === "xs" ? "text-xs px-1.5 py-0" : "text-xs px-2 py-0.5";
+  return (
+    <span className={`${sizeClass} rounded-full font-medium ${colors.bg} ${colors.text} ${colors.border} border`}>
+      {version}
+    </span>
+  );
+};
+
+const Pill = ({ active, onClick, children, completion, count }) => (
   <button
     onClick={onClick}
     className={`flex items-center gap-2 px-3 py-2 text-sm rounded-lg transition-all whitespace-nowrap ${
@@ -1158,171 +3184,929 @@ const Pill = ({ active, onClick, children, completion, count }) => (
   </button>
 );
 
-const SectionHeader = ({ title, description }) => (
-  <div className="mb-6 pb-4 border-b border-slate-100 dark:border-slate-700">
-    <h2 className="text-lg font-semibold text-slate-800 dark:text-slate-200">{title}</h2>
-    {description && <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">{description}</p>}
-  </div>
-);
+const SectionHeader = ({ title, description }) => (
+  <div className="mb-6 pb-4 border-b border-slate-100 dark:border-slate-700">
+    <h2 className="text-lg font-semibold text-slate-800 dark:text-slate-200">{title}</h2>
+    {description && <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">{description}</p>}
+  </div>
+);
+
+// --- Section Components ---
+
+const OverviewSection = ({ data, phase, jiraTicket, secureMode, language, audioModalOpen, pasteModalOpen, onChange, onPhaseChange, onJiraTicketChange, onSecureModeChange, onLanguageChange, onOpenAudioModal, onOpenPasteModal, onChangePassphrase, onLockVault }) => {
+  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
+  
+  return (
+  <div>
+    <SectionHeader title={t.sections.overview} description="Basic information about the feature requirement." />
+    
+    {/* Language Selector */}
+    <div className="mb-6">
+      <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Task Language</label>
+      <div className="flex gap-2">
+        {['en', 'da', 'sv'].map((lang) => (
+          <button
+            key={lang}
+            onClick={() => onLanguageChange(lang)}
+            className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+              language === lang
+                ? "bg-slate-800 dark:bg-slate-600 text-white"
+                : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-600"
+            }`}
+          >
+            {lang === 'en' ? 'English' : lang === 'da' ? 'Dansk' : 'Svenska'}
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-slate-500 dark:text-slate-400 mt-2">Choose the language for section titles and field labels in this task</p>
+    </div>
+    
+    {/* Secure Mode & AI Features */}
+    <div className="mb-6 p-4 bg-slate-50 dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <label className="block text-sm font-medium text-slate-700 dark:text-slate-200">Secure Mode</label>
+          <p className="text-xs text-slate-500 dark:text-slate-400 mt-0.5">Enable encryption and disable external services for sensitive data</p>
+        </div>
+        <button
+          onClick={() => onSecureModeChange(!secureMode)}
+          className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors flex items-center gap-2 ${
+            secureMode
+              ? "bg-emerald-600 dark:bg-emerald-700 text-white hover:bg-emerald-700 dark:hover:bg-emerald-600"
+              : "bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-300 hover:bg-slate-300 dark:hover:bg-slate-600"
+          }`}
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+          </svg>
+          {secureMode ? "ON" : "OFF"}
+        </button>
+      </div>
+      
+      {/* AI Analysis Buttons - Only visible when secure mode is OFF */}
+      {!secureMode && (
+        <div className="flex gap-2 pt-3 border-t border-slate-200 dark:border-slate-700">
+          <button
+            onClick={onOpenAudioModal}
+            className="flex-1 px-4 py-2.5 text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors flex items-center justify-center gap-2 font-medium"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z" />
+            </svg>
+            Audio Analysis
+          </button>
+          <button
+            onClick={onOpenPasteModal}
+            className="flex-1 px-4 py-2.5 text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors flex items-center justify-center gap-2 font-medium"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+            </svg>
+            Text Analysis
+          </button>
+        </div>
+      )}
+      
+      {secureMode && (
+        <div className="pt-3 border-t border-slate-200 dark:border-slate-700">
+          <p className="text-xs text-emerald-600 dark:text-emerald-400 font-medium">
+            ✓ Data encrypted • External services disabled • GitHub sync end-to-end encrypted
+          </p>
+          <div className="flex gap-3 mt-2">
+            <button onClick={onChangePassphrase} className="text-xs text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 underline">
+              Change vault passphrase
+            </button>
+            <button onClick={onLockVault} className="text-xs text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 underline">
+              Lock now
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+    
+    <Field label="JIRA Ticket" value={jiraTicket} onChange={onJiraTicketChange} placeholder="e.g., PROJ-123" />
+    <div className="grid grid-cols-2 gap-4">
+      <Field label={t.fields.featureName} value={data.featureName} onChange={(v) => onChange({ ...data, featureName: v })} />
+      <Field label={t.fields.date} value={data.date} onChange={(v) => onChange({ ...data, date: v })} />
+    </div>
+    <div className="grid grid-cols-2 gap-4">
+      <Field label={t.fields.stakeholders} value={data.requestor} onChange={(v) => onChange({ ...data, requestor: v })} />
+      <Select label={t.fields.origin} value={data.origin} options={ORIGIN_OPTIONS} onChange={(v) => onChange({ ...data, origin: v })} />
+    </div>
+    {data.origin === "Other" && (
+      <Field label="Specify Other Origin" value={data.originOther} onChange={(v) => onChange({ ...data, originOther: v })} />
+    )}
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">{t.fields.targetVersion}</label>
+      <p className="text-xs text-slate-400 dark:text-slate-500 mb-2">Which release phase is this analysis targeting?</p>
+      <div className="flex gap-2 flex-wrap">
+        {VERSION_PHASES.filter((v) => v !== "Cut").map((v) => {
+          const colors = VERSION_COLORS[v];
+          const isActive = phase === v;
+          return (
+            <button
+              key={v}
+              onClick={() => onPhaseChange(isActive ? "" : v)}
+              className={`px-3 py-1.5 text-xs font-medium rounded-full border transition-all ${
+                isActive
+                  ? `${colors.bg} ${colors.text} ${colors.border} ring-2 ring-offset-1 ring-slate-300`
+                  : "bg-white text-slate-500 border-slate-200 hover:border-slate-300"
+              }`}
+            >
+              {v}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+    <Field label={t.fields.description} hint="What is this feature in one or two sentences?" multiline value={data.description} onChange={(v) => onChange({ ...data, description: v })} />
+  </div>
+  );
+};
+
+const ProblemSection = ({ data, language, onChange }) => {
+  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
+  return (
+  <div>
+    <SectionHeader title={t.sections.problem} description="Understand the why before the what." />
+    <Field label={t.fields.problem} multiline hint="Be specific. Vague problems lead to vague solutions." value={data.problem} onChange={(v) => onChange({ ...data, problem: v })} />
+    <Field label={t.fields.who} multiline hint="Which users, how often, and in what circumstances?" value={data.who} onChange={(v) => onChange({ ...data, who: v })} />
+    <Field label={t.fields.outcome} multiline value={data.outcome} onChange={(v) => onChange({ ...data, outcome: v })} />
+    <Field label={t.fields.metrics} multiline hint="If stakeholders can't define this, the requirement isn't ready." value={data.metrics} onChange={(v) => onChange({ ...data, metrics: v })} />
+    <Field label={t.fields.ifNotBuilt} multiline hint="Helps gauge urgency and priority." value={data.ifNotBuilt} onChange={(v) => onChange({ ...data, ifNotBuilt: v })} />
+  </div>
+  );
+};
+
+const UserContextSection = ({ data, language, onChange }) => {
+  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
+  return (
+  <div>
+    <SectionHeader title={t.sections.context} description="Map the who, when, and current reality." />
+    <Field label={t.fields.segments} multiline value={data.segments} onChange={(v) => onChange({ ...data, segments: v })} />
+    <Field label={t.fields.workflow} multiline hint="What does the user do today without this feature?" value={data.workflow} onChange={(v) => onChange({ ...data, workflow: v })} />
+    <Field label={t.fields.workarounds} multiline hint="If there's no workaround, question whether the problem is real. If there is, study it — your solution must beat it." value={data.workarounds} onChange={(v) => onChange({ ...data, workarounds: v })} />
+    <Field label={t.fields.triggers} multiline hint="What moment or event causes the user to want this?" value={data.triggers} onChange={(v) => onChange({ ...data, triggers: v })} />
+    <Field label={t.fields.beforeAfter} multiline hint="The surrounding flow shapes constraints on your design." value={data.beforeAfter} onChange={(v) => onChange({ ...data, beforeAfter: v })} />
+  </div>
+  );
+};
+
+const AssumptionsSection = ({ data, language, onChange }) => {
+  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
+  const [statusFilter, setStatusFilter] = useState("Open");
+  const addItem = () => onChange([...data, { id: generateId(), text: "", status: "Unvalidated", tags: [] }]);
+  const updateItem = (id, field, val) =>
+    onChange(data.map((item) => (item.id === id ? { ...item, [field]: val } : item)));
+  const removeItem = (id) => onChange(data.filter((item) => item.id !== id));
+
+  const autoResize = (e) => {
+    e.target.style.height = "auto";
+    e.target.style.height = e.target.scrollHeight + "px";
+  };
+
+  const textareaRef = (el) => {
+    if (el) {
+      el.style.height = "auto";
+      el.style.height = el.scrollHeight + "px";
+    }
+  };
+
+  // Filter by status: Open = Unvalidated/Needs Research, Answered = Validated/Disproven
+  const filteredData = statusFilter === "Open" 
+    ? data.filter(item => item.status === "Unvalidated" || item.status === "Needs Research")
+    : data.filter(item => item.status === "Validated" || item.status === "Disproven");
+
+  return (
+    <div>
+      <SectionHeader title={t.sections.assumptions} description="Every requirement carries hidden assumptions. Name them so you can validate or flag them." />
+      {data.length > 0 && (
+        <div className="flex items-center justify-end mb-4">
+          <div className="flex gap-1">
+            <button
+              onClick={() => setStatusFilter("Open")}
+              className={`px-2 py-1 text-xs rounded ${
+                statusFilter === "Open" ? "bg-slate-800 dark:bg-slate-600 text-white" : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
+              }`}
+            >
+              Open
+            </button>
+            <button
+              onClick={() => setStatusFilter("Answered")}
+              className={`px-2 py-1 text-xs rounded ${
+                statusFilter === "Answered" ? "bg-slate-800 dark:bg-slate-600 text-white" : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
+              }`}
+            >
+              Answered
+            </button>
+          </div>
+        </div>
+      )}
+      {data.length === 0 && (
+        <div className="text-center py-8 text-slate-400 dark:text-slate-500 text-sm border border-dashed border-slate-200 dark:border-slate-600 rounded-lg mb-4">
+          No assumptions logged yet. Start adding them below.
+        </div>
+      )}
+      <div className="space-y-3 mb-4">
+        {filteredData.map((item, i) => (
+          <div key={item.id} className="flex gap-2 items-start p-3 bg-slate-50 rounded-lg border border-slate-100">
+            <span className="text-xs text-slate-400 mt-2.5 font-mono w-5 shrink-0">{i + 1}</span>
+            <div className="flex-1 space-y-2">
+              <textarea
+                ref={textareaRef}
+                className="w-full px-2 py-1.5 text-sm border border-slate-200 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-300 resize-none overflow-hidden"
+                style={{ minHeight: "36px" }}
+                placeholder="Describe the assumption..."
+                value={item.text}
+                onChange={(e) => {
+                  updateItem(item.id, "text", e.target.value);
+                  autoResize(e);
+                }}
+                onInput={autoResize}
+                rows={1}
+              />
+              <div className="flex gap-2 flex-wrap items-center">
+                <select
+                  className="px-2 py-1 text-xs border border-slate-200 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-300"
+                  value={item.status} onChange={(e) => updateItem(item.id, "status", e.target.value)}
+                >
+                  {ASSUMPTION_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+                </select>
+                <label className="flex items-center gap-1.5 text-xs text-slate-600 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={(item.tags || []).includes("B2B")}
+                    onChange={(e) => {
+                      const tags = item.tags || [];
+                      updateItem(item.id, "tags", e.target.checked ? [...tags.filter(t => t !== "B2B"), "B2B"] : tags.filter(t => t !== "B2B"));
+                    }}
+                    className="rounded border-slate-300 text-slate-600 focus:ring-slate-300"
+                  />
+                  B2B
+                </label>
+                <label className="flex items-center gap-1.5 text-xs text-slate-600 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={(item.tags || []).includes("B2C")}
+                    onChange={(e) => {
+                      const tags = item.tags || [];
+                      updateItem(item.id, "tags", e.target.checked ? [...tags.filter(t => t !== "B2C"), "B2C"] : tags.filter(t => t !== "B2C"));
+                    }}
+                    className="rounded border-slate-300 text-slate-600 focus:ring-slate-300"
+                  />
+                  B2C
+                </label>
+              </div>
+            </div>
+            <button onClick={() => removeItem(item.id)} className="text-slate-300 dark:text-slate-600 hover:text-red-400 dark:hover:text-red-500 text-lg mt-1.5 px-1">×</button>
+          </div>
+        ))}
+      </div>
+      <button onClick={addItem} className="text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-dashed border-slate-300 dark:border-slate-600 rounded-lg px-4 py-2 hover:border-slate-400 dark:hover:border-slate-500 transition-colors">
+        + Add assumption
+      </button>
+    </div>
+  );
+};
+
+const EdgeCasesSection = ({ data, language, onChange }) => {
+  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
+  const toggle = (id) => onChange({ ...data, [id]: { ...data[id], considered: !data[id].considered } });
+  const setNotes = (id, notes) => onChange({ ...data, [id]: { ...data[id], notes } });
+  const consideredCount = Object.values(data).filter((e) => e.considered).length;
+
+  return (
+    <div>
+      <SectionHeader title={t.sections.edges} description="Requirements almost never cover these. They're where most design complexity lives." />
+      <p className="text-xs text-slate-500 mb-4">{consideredCount} of {EDGE_CASE_ITEMS.length} considered</p>
+      <div className="space-y-2">
+        {EDGE_CASE_ITEMS.map((ec) => {
+          const d = data[ec.id] || { considered: false, notes: "" };
+          return (
+            <div key={ec.id} className={`border rounded-lg transition-colors ${d.considered ? "border-emerald-200 bg-emerald-50/30" : "border-slate-100 bg-white"}`}>
+              <div className="flex items-center gap-3 px-4 py-3 cursor-pointer" onClick={() => toggle(ec.id)}>
+                <div className={`w-5 h-5 rounded border-2 flex items-center justify-center shrink-0 transition-colors ${
+                  d.considered ? "border-emerald-500 bg-emerald-500" : "border-slate-300"
+                }`}>
+                  {d.considered && (
+                    <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
+                    </svg>
+                  )}
+                </div>
+                <div className="flex-1">
+                  <span className="text-sm font-medium text-slate-700">{ec.label}</span>
+                  <span className="text-xs text-slate-400 ml-2">{ec.hint}</span>
+                </div>
+              </div>
+              {d.considered && (
+                <div className="px-4 pb-3 pl-12">
+                  <textarea
+                    className="w-full px-2 py-1.5 text-sm border border-slate-200 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-300 resize-y"
+                    rows={2} placeholder="Notes on how you'll handle this..."
+                    value={d.notes} onChange={(e) => setNotes(ec.id, e.target.value)}
+                    onClick={(e) => e.stopPropagation()}
+                  />
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const ScopeSection = ({ data, language, onChange }) => {
+  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
+  const items = data.items || [];
+  const setField = (field, val) => onChange({ ...data, [field]: val });
+  const setItems = (newItems) => onChange({ ...data, items: newItems });
+
+  const addItem = () =>
+    setItems([...items, { id: generateId(), item: "", description: "", version: "MVP", priority: "Must" }]);
+  const updateItem = (id, field, val) =>
+    setItems(items.map((it) => (it.id === id ? { ...it, [field]: val } : it)));
+  const removeItem = (id) => setItems(items.filter((it) => it.id !== id));
+
+  const autoResize = (e) => {
+    e.target.style.height = "auto";
+    e.target.style.height = e.target.scrollHeight + "px";
+  };
+
+  const textareaRef = (el) => {
+    if (el) {
+      el.style.height = "auto";
+      el.style.height = el.scrollHeight + "px";
+    }
+  };
+
+  // Group items by version for the summary view
+  const byVersion = useMemo(() => {
+    const grouped = {};
+    VERSION_PHASES.forEach((v) => { grouped[v] = []; });
+    grouped["Unassigned"] = [];
+    items.forEach((it) => {
+      const v = it.version || "Unassigned";
+      if (!grouped[v]) grouped[v] = [];
+      grouped[v].push(it);
+    });
+    return grouped;
+  }, [items]);
+
+  const [viewMode, setViewMode] = useState("list"); // "list" or "versions"
+
+  return (
+    <div>
+      <SectionHeader title={t.sections.scope} description="Break the feature into scope items and assign each to a release version." />
+
+      {/* Dependencies */}
+      <Field label="Affected existing features" multiline hint="What current functionality does this change or interact with?" value={data.affected} onChange={(v) => setField("affected", v)} />
+      <Field label="New components or patterns needed" multiline hint="Can you reuse existing patterns, or does this require new ones?" value={data.newPatterns} onChange={(v) => setField("newPatterns", v)} />
+      <Field label="Technical dependencies or constraints" multiline value={data.technical} onChange={(v) => setField("technical", v)} />
+
+      {/* Scope items */}
+      <div className="border-t border-slate-100 pt-5 mt-5">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <p className="text-sm font-medium text-slate-700">Scope Items</p>
+            <p className="text-xs text-slate-400 mt-0.5">{items.length} item{items.length !== 1 ? "s" : ""} across {Object.values(byVersion).filter((arr) => arr.length > 0).length} version{Object.values(byVersion).filter((arr) => arr.length > 0).length !== 1 ? "s" : ""}</p>
+          </div>
+          <div className="flex gap-1 bg-slate-100 rounded-lg p-0.5">
+            <button
+              onClick={() => setViewMode("list")}
+              className={`px-3 py-1 text-xs rounded-md transition-colors ${viewMode === "list" ? "bg-white text-slate-700 shadow-sm" : "text-slate-500"}`}
+            >
+              List
+            </button>
+            <button
+              onClick={() => setViewMode("versions")}
+              className={`px-3 py-1 text-xs rounded-md transition-colors ${viewMode === "versions" ? "bg-white text-slate-700 shadow-sm" : "text-slate-500"}`}
+            >
+              By Version
+            </button>
+          </div>
+        </div>
+
+        {items.length === 0 && (
+          <div className="text-center py-8 text-slate-400 text-sm border border-dashed border-slate-200 rounded-lg mb-4">
+            No scope items yet. Add items and assign them to versions.
+          </div>
+        )}
+
+        {/* List view */}
+        {viewMode === "list" && items.length > 0 && (
+          <div className="space-y-2 mb-4">
+            {items.map((item, i) => {
+              const colors = VERSION_COLORS[item.version] || VERSION_COLORS.Future;
+              return (
+                <div key={item.id} className={`p-3 rounded-lg border ${colors.border} bg-white`}>
+                  <div className="flex gap-2 items-start">
+                    <div className={`w-1 self-stretch rounded-full shrink-0 ${colors.dot}`} />
+                    <div className="flex-1 space-y-2">
+                      <textarea
+                        ref={textareaRef}
+                        className="w-full px-2 py-1.5 text-sm border border-slate-200 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-300 font-medium resize-none overflow-hidden"
+                        style={{ minHeight: "36px" }}
+                        placeholder="Scope item name..."
+                        value={item.item}
+                        onChange={(e) => {
+                          updateItem(item.id, "item", e.target.value);
+                          autoResize(e);
+                        }}
+                        onInput={autoResize}
+                        rows={1}
+                      />
+                      <textarea
+                        ref={textareaRef}
+                        className="w-full px-2 py-1.5 text-xs border border-slate-100 rounded bg-slate-50 focus:outline-none focus:ring-1 focus:ring-slate-300 resize-none overflow-hidden"
+                        style={{ minHeight: "32px" }}
+                        placeholder="Brief description (optional)..."
+                        value={item.description}
+                        onChange={(e) => {
+                          updateItem(item.id, "description", e.target.value);
+                          autoResize(e);
+                        }}
+                        onInput={autoResize}
+                        rows={1}
+                      />
+                      <div className="flex gap-2 flex-wrap items-center">
+                        <select
+                          className={`px-2 py-1 text-xs rounded-full font-medium border ${colors.bg} ${colors.text} ${colors.border} focus:outline-none`}
+                          value={item.version} onChange={(e) => updateItem(item.id, "version", e.target.value)}
+                        >
+                          {VERSION_PHASES.map((v) => <option key={v} value={v}>{v}</option>)}
+                        </select>
+                        <select
+                          className="px-2 py-1 text-xs border border-slate-200 rounded bg-white focus:outline-none"
+                          value={item.priority} onChange={(e) => updateItem(item.id, "priority", e.target.value)}
+                        >
+                          {PRIORITY_LEVELS.map((p) => <option key={p} value={p}>{p}</option>)}
+                        </select>
+                      </div>
+                    </div>
+                    <button onClick={() => removeItem(item.id)} className="text-slate-300 hover:text-red-400 text-lg mt-1 px-1">×</button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Version grouped view */}
+        {viewMode === "versions" && items.length > 0 && (
+          <div className="space-y-4 mb-4">
+            {VERSION_PHASES.map((version) => {
+              const versionItems = byVersion[version] || [];
+              if (versionItems.length === 0) return null;
+              const colors = VERSION_COLORS[version];
+              return (
+                <div key={version} className={`rounded-lg border ${colors.border} overflow-hidden`}>
+                  <div className={`px-4 py-2 ${colors.bg} flex items-center justify-between`}>
+                    <span className={`text-sm font-semibold ${colors.text}`}>{version}</span>
+                    <span className={`text-xs ${colors.text} opacity-70`}>{versionItems.length} item{versionItems.length !== 1 ? "s" : ""}</span>
+                  </div>
+                  <div className="divide-y divide-slate-100">
+                    {versionItems.map((item) => (
+                      <div key={item.id} className="px-4 py-2.5 flex items-center gap-3 bg-white">
+                        <span className={`text-xs px-1.5 py-0.5 rounded border ${
+                          item.priority === "Must" ? "bg-red-50 text-red-600 border-red-200" :
+                          item.priority === "Should" ? "bg-amber-50 text-amber-600 border-amber-200" :
+                          item.priority === "Could" ? "bg-blue-50 text-blue-600 border-blue-200" :
+                          "bg-slate-50 text-slate-500 border-slate-200"
+                        }`}>
+                          {item.priority}
+                        </span>
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm font-medium text-slate-700 truncate">{item.item || "Unnamed item"}</p>
+                          {item.description && <p className="text-xs text-slate-400 truncate">{item.description}</p>}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <button onClick={addItem} className="text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-dashed border-slate-300 dark:border-slate-600 rounded-lg px-4 py-2 hover:border-slate-400 dark:hover:border-slate-500 transition-colors">
+          + Add scope item
+        </button>
 
-// --- Section Components ---
+        {/* Version summary bar */}
+        {items.length > 0 && (
+          <div className="mt-5 pt-4 border-t border-slate-100">
+            <p className="text-xs text-slate-500 mb-2">Version distribution</p>
+            <div className="flex h-3 rounded-full overflow-hidden bg-slate-100">
+              {VERSION_PHASES.map((v) => {
+                const count = (byVersion[v] || []).length;
+                if (count === 0) return null;
+                const pct = (count / items.length) * 100;
+                return (
+                  <div
+                    key={v}
+                    className={`${VERSION_COLORS[v].dot} transition-all`}
+                    style={{ width: `${pct}%` }}
+                    title={`${v}: ${count} item${count !== 1 ? "s" : ""}`}
+                  />
+                );
+              })}
+            </div>
+            <div className="flex gap-3 mt-2 flex-wrap">
+              {VERSION_PHASES.map((v) => {
+                const count = (byVersion[v] || []).length;
+                if (count === 0) return null;
+                return (
+                  <span key={v} className="flex items-center gap-1.5 text-xs text-slate-500">
+                    <span className={`w-2 h-2 rounded-full ${VERSION_COLORS[v].dot}`} />
+                    {v}: {count}
+                  </span>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
 
-const OverviewSection = ({ data, phase, jiraTicket, secureMode, language, audioModalOpen, pasteModalOpen, onChange, onPhaseChange, onJiraTicketChange, onSecureModeChange, onLanguageChange, onOpenAudioModal, onOpenPasteModal }) => {
+const AcceptanceCriteriaSection = ({ data, language, onChange }) => {
   const t = TRANSLATIONS[language] || TRANSLATIONS.en;
+  const [statusFilter, setStatusFilter] = useState("Not Started");
   
-  return (
-  <div>
-    <SectionHeader title={t.sections.overview} description="Basic information about the feature requirement." />
+  const addItem = () =>
+    onChange([...data, { 
+      id: generateId(), 
+      text: "", 
+      priority: "Must Have", 
+      status: "Not Started",
+      notes: "" 
+    }]);
     
-    {/* Language Selector */}
-    <div className="mb-6">
-      <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Task Language</label>
-      <div className="flex gap-2">
-        {['en', 'da', 'sv'].map((lang) => (
-          <button
-            key={lang}
-            onClick={() => onLanguageChange(lang)}
-            className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
-              language === lang
-                ? "bg-slate-800 dark:bg-slate-600 text-white"
-                : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-600"
-            }`}
-          >
-            {lang === 'en' ? 'English' : lang === 'da' ? 'Dansk' : 'Svenska'}
-          </button>
-        ))}
-      </div>
-      <p className="text-xs text-slate-500 dark:text-slate-400 mt-2">Choose the language for section titles and field labels in this task</p>
-    </div>
+  const updateItem = (id, field, val) =>
+    onChange(data.map((item) => (item.id === id ? { ...item, [field]: val } : item)));
     
-    {/* Secure Mode & AI Features */}
-    <div className="mb-6 p-4 bg-slate-50 dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700">
-      <div className="flex items-center justify-between mb-3">
-        <div>
-          <label className="block text-sm font-medium text-slate-700 dark:text-slate-200">Secure Mode</label>
-          <p className="text-xs text-slate-500 dark:text-slate-400 mt-0.5">Enable encryption and disable external services for sensitive data</p>
+  const removeItem = (id) => onChange(data.filter((item) => item.id !== id));
+
+  const autoResize = (e) => {
+    e.target.style.height = "auto";
+    e.target.style.height = e.target.scrollHeight + "px";
+  };
+
+  const textareaRef = (el) => {
+    if (el) {
+      el.style.height = "auto";
+      el.style.height = el.scrollHeight + "px";
+    }
+  };
+
+  const priorities = ["Must Have", "Should Have", "Nice to Have"];
+  const statuses = ["Not Started", "In Progress", "Done"];
+  
+  // Filter by status
+  const filteredData = data.filter(item => item.status === statusFilter);
+  
+  // Group by priority
+  const groupedByPriority = priorities.reduce((acc, priority) => {
+    acc[priority] = filteredData.filter(item => item.priority === priority);
+    return acc;
+  }, {});
+
+  const notStartedCount = data.filter(c => c.status === "Not Started").length;
+  const inProgressCount = data.filter(c => c.status === "In Progress").length;
+  const doneCount = data.filter(c => c.status === "Done").length;
+
+  const renderCriterion = (item, index) => (
+    <div key={item.id} className={`p-3 rounded-lg border ${
+      item.status === "Done" 
+        ? "bg-emerald-50/30 dark:bg-emerald-900/10 border-emerald-200/60 dark:border-emerald-800/40" 
+        : item.status === "In Progress"
+        ? "bg-blue-50/30 dark:bg-blue-900/10 border-blue-200/60 dark:border-blue-800/40"
+        : "bg-slate-50 dark:bg-slate-700 border-slate-200 dark:border-slate-600"
+    }`}>
+      <div className="flex gap-2 items-start">
+        <span className="text-xs text-slate-400 dark:text-slate-500 mt-2 font-mono w-5 shrink-0">{index + 1}</span>
+        <div className="flex-1 space-y-2">
+          <textarea
+            ref={textareaRef}
+            className="w-full px-2 py-1.5 text-sm border border-slate-200 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 focus:outline-none focus:ring-1 focus:ring-slate-300 dark:focus:ring-slate-500 resize-none overflow-hidden"
+            style={{ minHeight: "36px" }}
+            placeholder="Define an acceptance criterion..."
+            value={item.text}
+            onChange={(e) => {
+              updateItem(item.id, "text", e.target.value);
+              autoResize(e);
+            }}
+            onInput={autoResize}
+            rows={1}
+          />
+          <div className="flex gap-2 flex-wrap items-center">
+            <select
+              value={item.priority}
+              onChange={(e) => updateItem(item.id, "priority", e.target.value)}
+              className="text-xs px-2 py-1 border border-slate-200 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-1 focus:ring-slate-300 dark:focus:ring-slate-500"
+            >
+              {priorities.map(p => (
+                <option key={p} value={p}>{p}</option>
+              ))}
+            </select>
+            <select
+              value={item.status}
+              onChange={(e) => updateItem(item.id, "status", e.target.value)}
+              className="text-xs px-2 py-1 border border-slate-200 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-1 focus:ring-slate-300 dark:focus:ring-slate-500"
+            >
+              {statuses.map(s => (
+                <option key={s} value={s}>{s}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => removeItem(item.id)}
+              className="text-slate-300 dark:text-slate-600 hover:text-red-400 dark:hover:text-red-500 text-lg px-1 ml-auto"
+            >×</button>
+          </div>
+          {item.notes !== undefined && (
+            <textarea
+              ref={textareaRef}
+              className="w-full px-2 py-1.5 text-xs border border-slate-200 dark:border-slate-600 rounded bg-slate-50 dark:bg-slate-800 text-slate-700 dark:text-slate-300 focus:outline-none focus:ring-1 focus:ring-slate-300 dark:focus:ring-slate-500 resize-none overflow-hidden"
+              style={{ minHeight: "32px" }}
+              placeholder="Additional notes or context..."
+              value={item.notes}
+              onChange={(e) => {
+                updateItem(item.id, "notes", e.target.value);
+                autoResize(e);
+              }}
+              onInput={autoResize}
+              rows={1}
+            />
+          )}
         </div>
-        <button
-          onClick={() => onSecureModeChange(!secureMode)}
-          className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors flex items-center gap-2 ${
-            secureMode
-              ? "bg-emerald-600 dark:bg-emerald-700 text-white hover:bg-emerald-700 dark:hover:bg-emerald-600"
-              : "bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-300 hover:bg-slate-300 dark:hover:bg-slate-600"
-          }`}
-        >
-          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
-          </svg>
-          {secureMode ? "ON" : "OFF"}
-        </button>
       </div>
-      
-      {/* AI Analysis Buttons - Only visible when secure mode is OFF */}
-      {!secureMode && (
-        <div className="flex gap-2 pt-3 border-t border-slate-200 dark:border-slate-700">
-          <button
-            onClick={onOpenAudioModal}
-            className="flex-1 px-4 py-2.5 text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors flex items-center justify-center gap-2 font-medium"
-          >
-            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z" />
-            </svg>
-            Audio Analysis
-          </button>
-          <button
-            onClick={onOpenPasteModal}
-            className="flex-1 px-4 py-2.5 text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors flex items-center justify-center gap-2 font-medium"
-          >
-            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-            </svg>
-            Text Analysis
-          </button>
-        </div>
-      )}
-      
-      {secureMode && (
-        <p className="text-xs text-emerald-600 dark:text-emerald-400 font-medium pt-3 border-t border-slate-200 dark:border-slate-700">
-          ✓ Data encrypted • External services disabled • GitHub sync hidden
-        </p>
-      )}
-    </div>
-    
-    <Field label="JIRA Ticket" value={jiraTicket} onChange={onJiraTicketChange} placeholder="e.g., PROJ-123" />
-    <div className="grid grid-cols-2 gap-4">
-      <Field label={t.fields.featureName} value={data.featureName} onChange={(v) => onChange({ ...data, featureName: v })} />
-      <Field label={t.fields.date} value={data.date} onChange={(v) => onChange({ ...data, date: v })} />
     </div>
-    <div className="grid grid-cols-2 gap-4">
-      <Field label={t.fields.stakeholders} value={data.requestor} onChange={(v) => onChange({ ...data, requestor: v })} />
-      <Select label={t.fields.origin} value={data.origin} options={ORIGIN_OPTIONS} onChange={(v) => onChange({ ...data, origin: v })} />
-    </div>
-    {data.origin === "Other" && (
-      <Field label="Specify Other Origin" value={data.originOther} onChange={(v) => onChange({ ...data, originOther: v })} />
-    )}
-    <div className="mb-4">
-      <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">{t.fields.targetVersion}</label>
-      <p className="text-xs text-slate-400 dark:text-slate-500 mb-2">Which release phase is this analysis targeting?</p>
-      <div className="flex gap-2 flex-wrap">
-        {VERSION_PHASES.filter((v) => v !== "Cut").map((v) => {
-          const colors = VERSION_COLORS[v];
-          const isActive = phase === v;
-          return (
+  );
+
+  return (
+    <div>
+      <SectionHeader 
+        title={t.sections.acceptance || "Acceptance Criteria"} 
+        description="What must be true for this feature to be considered complete and successful?" 
+      />
+      {data.length > 0 && (
+        <div className="mb-4">
+          <div className="flex gap-2 flex-wrap">
             <button
-              key={v}
-              onClick={() => onPhaseChange(isActive ? "" : v)}
-              className={`px-3 py-1.5 text-xs font-medium rounded-full border transition-all ${
-                isActive
-                  ? `${colors.bg} ${colors.text} ${colors.border} ring-2 ring-offset-1 ring-slate-300`
-                  : "bg-white text-slate-500 border-slate-200 hover:border-slate-300"
+              onClick={() => setStatusFilter("Not Started")}
+              className={`px-3 py-1.5 text-xs rounded transition-colors ${
+                statusFilter === "Not Started"
+                  ? "bg-slate-800 dark:bg-slate-600 text-white"
+                  : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
               }`}
             >
-              {v}
+              Not Started {notStartedCount > 0 && `(${notStartedCount})`}
+            </button>
+            <button
+              onClick={() => setStatusFilter("In Progress")}
+              className={`px-3 py-1.5 text-xs rounded transition-colors ${
+                statusFilter === "In Progress"
+                  ? "bg-slate-800 dark:bg-slate-600 text-white"
+                  : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
+              }`}
+            >
+              In Progress {inProgressCount > 0 && `(${inProgressCount})`}
+            </button>
+            <button
+              onClick={() => setStatusFilter("Done")}
+              className={`px-3 py-1.5 text-xs rounded transition-colors ${
+                statusFilter === "Done"
+                  ? "bg-slate-800 dark:bg-slate-600 text-white"
+                  : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
+              }`}
+            >
+              Done {doneCount > 0 && `(${doneCount})`}
             </button>
+          </div>
+        </div>
+      )}
+      {data.length === 0 && (
+        <div className="text-center py-8 text-slate-400 dark:text-slate-500 text-sm border border-dashed border-slate-200 dark:border-slate-600 rounded-lg mb-4">
+          No acceptance criteria defined yet.
+        </div>
+      )}
+      <div className="space-y-4 mb-4">
+        {priorities.map(priority => {
+          const items = groupedByPriority[priority];
+          if (!items || items.length === 0) return null;
+          return (
+            <div key={priority} className="space-y-3">
+              <h3 className="text-xs font-semibold text-slate-600 dark:text-slate-400 uppercase tracking-wide">
+                {priority}
+              </h3>
+              {items.map((item, i) => renderCriterion(item, i))}
+            </div>
           );
         })}
       </div>
+      <button 
+        onClick={addItem} 
+        className="text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-dashed border-slate-300 dark:border-slate-600 rounded-lg px-4 py-2 hover:border-slate-400 dark:hover:border-slate-500 transition-colors"
+      >
+        + Add criterion
+      </button>
     </div>
-    <Field label={t.fields.description} hint="What is this feature in one or two sentences?" multiline value={data.description} onChange={(v) => onChange({ ...data, description: v })} />
-  </div>
   );
 };
 
-const ProblemSection = ({ data, language, onChange }) => {
+const QuestionsSection = ({ data, language, onChange }) => {
   const t = TRANSLATIONS[language] || TRANSLATIONS.en;
-  return (
-  <div>
-    <SectionHeader title={t.sections.problem} description="Understand the why before the what." />
-    <Field label={t.fields.problem} multiline hint="Be specific. Vague problems lead to vague solutions." value={data.problem} onChange={(v) => onChange({ ...data, problem: v })} />
-    <Field label={t.fields.who} multiline hint="Which users, how often, and in what circumstances?" value={data.who} onChange={(v) => onChange({ ...data, who: v })} />
-    <Field label={t.fields.outcome} multiline value={data.outcome} onChange={(v) => onChange({ ...data, outcome: v })} />
-    <Field label={t.fields.metrics} multiline hint="If stakeholders can't define this, the requirement isn't ready." value={data.metrics} onChange={(v) => onChange({ ...data, metrics: v })} />
-    <Field label={t.fields.ifNotBuilt} multiline hint="Helps gauge urgency and priority." value={data.ifNotBuilt} onChange={(v) => onChange({ ...data, ifNotBuilt: v })} />
-  </div>
+  const [statusFilter, setStatusFilter] = useState("Open");
+  const addItem = () =>
+    onChange([...data, { id: generateId(), text: "", type: "Stakeholder", status: "Open", answer: "", dependency: false, tags: [] }]);
+  const updateItem = (id, field, val) =>
+    onChange(data.map((item) => (item.id === id ? { ...item, [field]: val } : item)));
+  const removeItem = (id) => onChange(data.filter((item) => item.id !== id));
+  const openCount = data.filter((q) => q.status === "Open").length;
+
+  const autoResize = (e) => {
+    e.target.style.height = "auto";
+    e.target.style.height = e.target.scrollHeight + "px";
+  };
+
+  const textareaRef = (el) => {
+    if (el) {
+      el.style.height = "auto";
+      el.style.height = el.scrollHeight + "px";
+    }
+  };
+
+  // Filter by status first
+  const filteredData = data.filter(item => item.status === statusFilter);
+  
+  // Group questions: non-dependencies first, then by type for dependencies
+  // Keep questions in main section if dependency is checked but no valid type selected yet
+  const nonDependencies = filteredData.filter(item => !item.dependency || (item.dependency && !QUESTION_TYPES.includes(item.type)));
+  const dependencies = filteredData.filter(item => item.dependency && QUESTION_TYPES.includes(item.type));
+  const groupedDependencies = QUESTION_TYPES.reduce((acc, type) => {
+    acc[type] = dependencies.filter(item => item.type === type);
+    return acc;
+  }, {});
+
+  const renderQuestion = (item, index, showNumber = true) => (
+    <div key={item.id} className={`p-3 rounded-lg border ${
+      item.status === "Answered" 
+        ? "bg-slate-50 dark:bg-slate-700 border-slate-100 dark:border-slate-600" 
+        : "bg-amber-50/30 dark:bg-amber-900/10 border-amber-200/60 dark:border-amber-800/40"
+    }`}>
+      <div className="flex gap-2 items-start">
+        {showNumber && <span className="text-xs text-slate-400 dark:text-slate-500 mt-2 font-mono w-5 shrink-0">{index + 1}</span>}
+        <div className="flex-1 space-y-2">
+          <textarea
+            ref={textareaRef}
+            className="w-full px-2 py-1.5 text-sm border border-slate-200 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 focus:outline-none focus:ring-1 focus:ring-slate-300 dark:focus:ring-slate-500 resize-none overflow-hidden"
+            style={{ minHeight: "36px" }}
+            placeholder="What do you need to find out?"
+            value={item.text}
+            onChange={(e) => {
+              updateItem(item.id, "text", e.target.value);
+              autoResize(e);
+            }}
+            onInput={autoResize}
+            rows={1}
+          />
+          <div className="flex gap-2 flex-wrap items-center">
+            <label className="flex items-center gap-1.5 text-xs text-slate-600 dark:text-slate-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={item.dependency || false}
+                onChange={(e) => updateItem(item.id, "dependency", e.target.checked)}
+                className="rounded border-slate-300 dark:border-slate-600 text-slate-600 dark:text-slate-400 focus:ring-slate-300 dark:focus:ring-slate-500"
+              />
+              Dependency
+            </label>
+            {item.dependency && (
+              <select
+                className="px-2 py-1 text-xs border border-slate-200 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100"
+                value={QUESTION_TYPES.includes(item.type) ? item.type : ""}
+                onChange={(e) => updateItem(item.id, "type", e.target.value)}
+              >
+                {!QUESTION_TYPES.includes(item.type) && <option value="">Select type...</option>}
+                {QUESTION_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+              </select>
+            )}
+            <select
+              className="px-2 py-1 text-xs border border-slate-200 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100"
+              value={item.status} onChange={(e) => updateItem(item.id, "status", e.target.value)}
+            >
+              {QUESTION_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+            </select>
+            <label className="flex items-center gap-1.5 text-xs text-slate-600 dark:text-slate-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={(item.tags || []).includes("B2B")}
+                onChange={(e) => {
+                  const tags = item.tags || [];
+                  updateItem(item.id, "tags", e.target.checked ? [...tags.filter(t => t !== "B2B"), "B2B"] : tags.filter(t => t !== "B2B"));
+                }}
+                className="rounded border-slate-300 dark:border-slate-600 text-slate-600 dark:text-slate-400 focus:ring-slate-300 dark:focus:ring-slate-500"
+              />
+              B2B
+            </label>
+            <label className="flex items-center gap-1.5 text-xs text-slate-600 dark:text-slate-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={(item.tags || []).includes("B2C")}
+                onChange={(e) => {
+                  const tags = item.tags || [];
+                  updateItem(item.id, "tags", e.target.checked ? [...tags.filter(t => t !== "B2C"), "B2C"] : tags.filter(t => t !== "B2C"));
+                }}
+                className="rounded border-slate-300 dark:border-slate-600 text-slate-600 dark:text-slate-400 focus:ring-slate-300 dark:focus:ring-slate-500"
+              />
+              B2C
+            </label>
+          </div>
+          {item.status === "Answered" && (
+            <textarea
+              ref={textareaRef}
+              className="w-full px-2 py-1.5 text-sm border border-emerald-200 dark:border-emerald-800 rounded bg-emerald-50 dark:bg-emerald-900/20 text-slate-900 dark:text-slate-100 focus:outline-none focus:ring-1 focus:ring-emerald-300 dark:focus:ring-emerald-700 resize-none overflow-hidden"
+              style={{ minHeight: "36px" }}
+              placeholder="Answer..."
+              value={item.answer}
+              onChange={(e) => {
+                updateItem(item.id, "answer", e.target.value);
+                autoResize(e);
+              }}
+              onInput={autoResize}
+              rows={1}
+            />
+          )}
+        </div>
+        <button onClick={() => removeItem(item.id)} className="text-slate-300 dark:text-slate-600 hover:text-red-400 dark:hover:text-red-500 text-lg mt-1 px-1">×</button>
+      </div>
+    </div>
   );
-};
 
-const UserContextSection = ({ data, language, onChange }) => {
-  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
   return (
-  <div>
-    <SectionHeader title={t.sections.context} description="Map the who, when, and current reality." />
-    <Field label={t.fields.segments} multiline value={data.segments} onChange={(v) => onChange({ ...data, segments: v })} />
-    <Field label={t.fields.workflow} multiline hint="What does the user do today without this feature?" value={data.workflow} onChange={(v) => onChange({ ...data, workflow: v })} />
-    <Field label={t.fields.workarounds} multiline hint="If there's no workaround, question whether the problem is real. If there is, study it — your solution must beat it." value={data.workarounds} onChange={(v) => onChange({ ...data, workarounds: v })} />
-    <Field label={t.fields.triggers} multiline hint="What moment or event causes the user to want this?" value={data.triggers} onChange={(v) => onChange({ ...data, triggers: v })} />
-    <Field label={t.fields.beforeAfter} multiline hint="The surrounding flow shapes constraints on your design." value={data.beforeAfter} onChange={(v) => onChange({ ...data, beforeAfter: v })} />
-  </div>
+    <div>
+      <SectionHeader title={t.sections.questions} description="What you don't know. Surface these early — they're your blocker list." />
+      {data.length > 0 && (
+        <div className="flex items-center justify-end mb-4">
+          <div className="flex gap-1">
+            <button
+              onClick={() => setStatusFilter("Open")}
+              className={`px-2 py-1 text-xs rounded ${
+                statusFilter === "Open" ? "bg-slate-800 dark:bg-slate-600 text-white" : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
+              }`}
+            >
+              Open
+            </button>
+            <button
+              onClick={() => setStatusFilter("Answered")}
+              className={`px-2 py-1 text-xs rounded ${
+                statusFilter === "Answered" ? "bg-slate-800 dark:bg-slate-600 text-white" : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
+              }`}
+            >
+              Answered
+            </button>
+          </div>
+        </div>
+      )}
+      {data.length === 0 && (
+        <div className="text-center py-8 text-slate-400 dark:text-slate-500 text-sm border border-dashed border-slate-200 dark:border-slate-600 rounded-lg mb-4">
+          No questions logged yet.
+        </div>
+      )}
+      <div className="space-y-4 mb-4">
+        {nonDependencies.length > 0 && (
+          <div className="space-y-3">
+            {nonDependencies.map((item, i) => renderQuestion(item, i))}
+          </div>
+        )}
+        {QUESTION_TYPES.map(type => {
+          const items = groupedDependencies[type];
+          if (!items || items.length === 0) return null;
+          return (
+            <div key={type} className="space-y-3">
+              <h3 className="text-xs font-semibold text-slate-600 dark:text-slate-400 uppercase tracking-wide mt-6">{type}</h3>
+              {items.map((item) => renderQuestion(item, 0, false))}
+            </div>
+          );
+        })}
+      </div>
+      <button onClick={addItem} className="text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-dashed border-slate-300 dark:border-slate-600 rounded-lg px-4 py-2 hover:border-slate-400 dark:hover:border-slate-500 transition-colors">
+        + Add question
+      </button>
+    </div>
   );
 };
 
-const AssumptionsSection = ({ data, language, onChange }) => {
-  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
-  const [statusFilter, setStatusFilter] = useState("Open");
-  const addItem = () => onChange([...data, { id: generateId(), text: "", status: "Unvalidated", tags: [] }]);
+const ActionsSection = ({ data, onChange }) => {
+  const [statusFilter, setStatusFilter] = useState("To Do");
+  const [expandedNotes, setExpandedNotes] = useState({});
+  const addItem = () => onChange([...data, { id: generateId(), text: "", completed: false, note: "" }]);
   const updateItem = (id, field, val) =>
     onChange(data.map((item) => (item.id === id ? { ...item, [field]: val } : item)));
   const removeItem = (id) => onChange(data.filter((item) => item.id !== id));
+  const toggleNote = (id) => setExpandedNotes(prev => ({ ...prev, [id]: !prev[id] }));
 
   const autoResize = (e) => {
     e.target.style.height = "auto";
@@ -1336,1000 +4120,2143 @@ const AssumptionsSection = ({ data, language, onChange }) => {
     }
   };
 
-  // Filter by status: Open = Unvalidated/Needs Research, Answered = Validated/Disproven
-  const filteredData = statusFilter === "Open" 
-    ? data.filter(item => item.status === "Unvalidated" || item.status === "Needs Research")
-    : data.filter(item => item.status === "Validated" || item.status === "Disproven");
+  const completedCount = data.filter(item => item.completed).length;
+  const filteredData = statusFilter === "To Do" 
+    ? data.filter(item => !item.completed)
+    : data.filter(item => item.completed);
 
   return (
     <div>
-      <SectionHeader title={t.sections.assumptions} description="Every requirement carries hidden assumptions. Name them so you can validate or flag them." />
       {data.length > 0 && (
-        <div className="flex items-center justify-end mb-4">
+        <div className="flex items-center justify-between mb-4">
+          <p className="text-sm text-slate-600 dark:text-slate-300">{completedCount} of {data.length} completed</p>
           <div className="flex gap-1">
             <button
-              onClick={() => setStatusFilter("Open")}
+              onClick={() => setStatusFilter("To Do")}
               className={`px-2 py-1 text-xs rounded ${
-                statusFilter === "Open" ? "bg-slate-800 dark:bg-slate-600 text-white" : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
+                statusFilter === "To Do" ? "bg-slate-800 dark:bg-slate-600 text-white" : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
               }`}
             >
-              Open
+              To Do
             </button>
             <button
-              onClick={() => setStatusFilter("Answered")}
+              onClick={() => setStatusFilter("Done")}
               className={`px-2 py-1 text-xs rounded ${
-                statusFilter === "Answered" ? "bg-slate-800 dark:bg-slate-600 text-white" : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
+                statusFilter === "Done" ? "bg-slate-800 dark:bg-slate-600 text-white" : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
               }`}
             >
-              Answered
+              Done
             </button>
           </div>
         </div>
       )}
       {data.length === 0 && (
         <div className="text-center py-8 text-slate-400 dark:text-slate-500 text-sm border border-dashed border-slate-200 dark:border-slate-600 rounded-lg mb-4">
-          No assumptions logged yet. Start adding them below.
+          No action items yet. Add tasks below.
         </div>
       )}
-      <div className="space-y-3 mb-4">
-        {filteredData.map((item, i) => (
-          <div key={item.id} className="flex gap-2 items-start p-3 bg-slate-50 rounded-lg border border-slate-100">
-            <span className="text-xs text-slate-400 mt-2.5 font-mono w-5 shrink-0">{i + 1}</span>
-            <div className="flex-1 space-y-2">
-              <textarea
-                ref={textareaRef}
-                className="w-full px-2 py-1.5 text-sm border border-slate-200 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-300 resize-none overflow-hidden"
-                style={{ minHeight: "36px" }}
-                placeholder="Describe the assumption..."
-                value={item.text}
-                onChange={(e) => {
-                  updateItem(item.id, "text", e.target.value);
-                  autoResize(e);
-                }}
-                onInput={autoResize}
-                rows={1}
+      <div className="space-y-2 mb-4">
+        {filteredData.map((item) => (
+          <div key={item.id} className={`rounded-lg ${item.completed ? 'bg-green-50 dark:bg-green-900/20' : 'bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600'}`}>
+            <div className="flex gap-3 items-start p-3">
+              <input
+                type="checkbox"
+                checked={item.completed}
+                onChange={(e) => updateItem(item.id, "completed", e.target.checked)}
+                className={`w-5 h-5 mt-1 rounded focus:ring-2 shrink-0 ${item.completed ? 'border-green-400 dark:border-green-500 text-green-600 dark:text-green-500 focus:ring-green-400 dark:focus:ring-green-500' : 'border-slate-300 dark:border-slate-500 text-slate-800 dark:text-slate-200 focus:ring-slate-400 dark:focus:ring-slate-500'}`}
               />
-              <div className="flex gap-2 flex-wrap items-center">
-                <select
-                  className="px-2 py-1 text-xs border border-slate-200 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-300"
-                  value={item.status} onChange={(e) => updateItem(item.id, "status", e.target.value)}
-                >
-                  {ASSUMPTION_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
-                </select>
-                <label className="flex items-center gap-1.5 text-xs text-slate-600 cursor-pointer">
-                  <input
-                    type="checkbox"
-                    checked={(item.tags || []).includes("B2B")}
-                    onChange={(e) => {
-                      const tags = item.tags || [];
-                      updateItem(item.id, "tags", e.target.checked ? [...tags.filter(t => t !== "B2B"), "B2B"] : tags.filter(t => t !== "B2B"));
-                    }}
-                    className="rounded border-slate-300 text-slate-600 focus:ring-slate-300"
-                  />
-                  B2B
-                </label>
-                <label className="flex items-center gap-1.5 text-xs text-slate-600 cursor-pointer">
-                  <input
-                    type="checkbox"
-                    checked={(item.tags || []).includes("B2C")}
+              <div className="flex-1 min-w-0">
+                <textarea
+                  ref={textareaRef}
+                  className={`w-full text-sm border-none bg-transparent focus:outline-none resize-none overflow-hidden ${item.completed ? 'text-green-700 dark:text-green-400' : 'text-slate-900 dark:text-slate-100'}`}
+                  style={{ minHeight: "24px" }}
+                  placeholder="Describe the action..."
+                  value={item.text}
+                  onChange={(e) => {
+                    updateItem(item.id, "text", e.target.value);
+                    autoResize(e);
+                  }}
+                  onInput={autoResize}
+                  rows={1}
+                />
+                {expandedNotes[item.id] && (
+                  <textarea
+                    ref={textareaRef}
+                    className="w-full mt-2 px-2 py-1.5 text-xs bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-600 rounded focus:outline-none focus:ring-2 focus:ring-slate-300 dark:focus:ring-slate-500 resize-none overflow-hidden text-slate-900 dark:text-slate-100"
+                    style={{ minHeight: "36px" }}
+                    placeholder="Add a note or link..."
+                    value={item.note || ""}
                     onChange={(e) => {
-                      const tags = item.tags || [];
-                      updateItem(item.id, "tags", e.target.checked ? [...tags.filter(t => t !== "B2C"), "B2C"] : tags.filter(t => t !== "B2C"));
+                      updateItem(item.id, "note", e.target.value);
+                      autoResize(e);
                     }}
-                    className="rounded border-slate-300 text-slate-600 focus:ring-slate-300"
+                    onInput={autoResize}
+                    rows={1}
                   />
-                  B2C
-                </label>
+                )}
+              </div>
+              <div className="flex items-center gap-1">
+                {item.completed && (
+                  <button
+                    onClick={() => toggleNote(item.id)}
+                    className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300 text-sm shrink-0"
+                  >
+                    {expandedNotes[item.id] ? '⌄' : '⌃'}
+                  </button>
+                )}
+                <button
+                  onClick={() => removeItem(item.id)}
+                  className="text-slate-300 dark:text-slate-600 hover:text-red-400 dark:hover:text-red-500 text-lg shrink-0"
+                >
+                  ×
+                </button>
               </div>
             </div>
-            <button onClick={() => removeItem(item.id)} className="text-slate-300 dark:text-slate-600 hover:text-red-400 dark:hover:text-red-500 text-lg mt-1.5 px-1">×</button>
           </div>
         ))}
       </div>
-      <button onClick={addItem} className="text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-dashed border-slate-300 dark:border-slate-600 rounded-lg px-4 py-2 hover:border-slate-400 dark:hover:border-slate-500 transition-colors">
-        + Add assumption
+      <button onClick={addItem} className="text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-slate-50 border border-dashed border-slate-300 dark:border-slate-600 rounded-lg px-4 py-2.5 hover:border-slate-400 dark:hover:border-slate-500 transition-colors font-medium">
+        + Add Action
       </button>
     </div>
   );
 };
 
-const EdgeCasesSection = ({ data, language, onChange }) => {
+const NotesSection = ({ data, language, onChange }) => {
   const t = TRANSLATIONS[language] || TRANSLATIONS.en;
-  const toggle = (id) => onChange({ ...data, [id]: { ...data[id], considered: !data[id].considered } });
-  const setNotes = (id, notes) => onChange({ ...data, [id]: { ...data[id], notes } });
-  const consideredCount = Object.values(data).filter((e) => e.considered).length;
+  return (
+  <div>
+    <SectionHeader title={t.sections.notes} description="Additional notes, observations, or reminders about this requirement." />
+    <Field label="Notes" multiline hint="Use this space for any additional information that doesn't fit elsewhere." rows={10} value={data} onChange={onChange} />
+  </div>
+  );
+};
+
+const MappingSection = ({ data, language, onChange }) => {
+  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
+  return (
+  <div>
+    <SectionHeader title={t.sections.mapping} description="Visual mapping and conceptual diagrams for this requirement." />
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Figjam/Figma Embed URL</label>
+      <input
+        type="text"
+        value={data.figmaUrl || ""}
+        onChange={(e) => onChange({ ...data, figmaUrl: e.target.value })}
+        placeholder="https://embed.figma.com/..."
+        className="w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400"
+      />
+      <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">Paste a Figjam or Figma embed URL to display your mapping board</p>
+    </div>
+    {data.figmaUrl && (
+      <div className="-mx-6">
+        <div className="border-t border-b border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 w-full" style={{ height: "calc(100vh - 280px)", minHeight: "600px" }}>
+          <iframe
+            style={{ border: "1px solid rgba(0, 0, 0, 0.1)" }}
+            width="100%"
+            height="100%"
+            src={data.figmaUrl}
+            allowFullScreen
+            className="w-full h-full"
+          />
+        </div>
+      </div>
+    )}
+  </div>
+  );
+};
+
+const SummarySection = ({ data, language, onChange, onGenerateAIBrief }) => {
+  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
+  return (
+  <div>
+    <SectionHeader title={t.sections.summary} description="Your overall assessment and what needs to happen next." />
+    <Select label={t.fields.confidence} hint="How ready is this requirement for design?" value={data.confidence} options={CONFIDENCE_LEVELS} onChange={(v) => onChange({ ...data, confidence: v })} />
+    <Field label={t.fields.concerns} multiline hint="What worries you most about this requirement?" value={data.concerns} onChange={(v) => onChange({ ...data, concerns: v })} />
+    <Field label={t.fields.nextSteps} multiline hint="What actions should happen before design work begins?" rows={4} value={data.nextSteps} onChange={(v) => onChange({ ...data, nextSteps: v })} />
+    
+    {/* AI Design Brief Button */}
+    <div className="mt-6 pt-4 border-t border-slate-200 dark:border-slate-700">
+      <button
+        onClick={onGenerateAIBrief}
+        className="w-full px-4 py-3 text-sm bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 dark:from-purple-700 dark:to-blue-700 dark:hover:from-purple-800 dark:hover:to-blue-800 text-white rounded-lg transition-all font-medium flex items-center justify-center gap-2 shadow-lg hover:shadow-xl"
+      >
+        Create Design Brief for AI
+      </button>
+      <p className="text-xs text-slate-500 dark:text-slate-400 mt-2 text-center">
+        Generates an AI-optimized design context file for tools like Claude, ChatGPT, or Copilot
+      </p>
+    </div>
+  </div>
+  );
+};
+
+// Audio Icon Component
+const AudioIcon = ({ className = "w-4 h-4" }) => (
+  <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <path d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z" />
+    <path d="M19 10v2a7 7 0 0 1-14 0v-2" />
+    <line x1="12" y1="19" x2="12" y2="23" />
+    <line x1="8" y1="23" x2="16" y2="23" />
+  </svg>
+);
+
+// Folder Icon Component
+const FolderIcon = ({ className = "w-4 h-4" }) => (
+  <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z" />
+  </svg>
+);
+
+// Text/Document Icon Component
+const TextIcon = ({ className = "w-4 h-4" }) => (
+  <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" />
+    <polyline points="14 2 14 8 20 8" />
+    <line x1="16" y1="13" x2="8" y2="13" />
+    <line x1="16" y1="17" x2="8" y2="17" />
+    <polyline points="10 9 9 9 8 9" />
+  </svg>
+);
+
+// Lock Icon Component
+const LockIcon = ({ className = "w-4 h-4" }) => (
+  <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+  </svg>
+);
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Vault Lock Screen - shown instead of the app until the passphrase is entered
+const VaultLockScreen = ({ onUnlock }) => {
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState("");
+  const [unlocking, setUnlocking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passphrase) return;
+    setUnlocking(true);
+    setError("");
+    const ok = await onUnlock(passphrase);
+    setUnlocking(false);
+    if (!ok) {
+      setError("Incorrect passphrase. Please try again.");
+      setPassphrase("");
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center h-screen bg-slate-50 dark:bg-slate-900 p-8" style={{ fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif" }}>
+      <form onSubmit={handleSubmit} className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-sm p-6 border border-slate-200 dark:border-slate-700">
+        <div className="flex items-center gap-2 mb-1 text-emerald-600 dark:text-emerald-400">
+          <LockIcon className="w-5 h-5" />
+          <h1 className="font-semibold text-slate-800 dark:text-slate-200">Vault locked</h1>
+        </div>
+        <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+          Your secure tasks are encrypted. Enter your vault passphrase to continue.
+        </p>
+        <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1" htmlFor="vault-unlock-passphrase">Passphrase</label>
+        <input
+          id="vault-unlock-passphrase"
+          type="password"
+          autoFocus
+          autoComplete="current-password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          className="w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500"
+        />
+        {error && <p className="text-sm text-red-600 dark:text-red-400 mt-2" role="alert">{error}</p>}
+        <button
+          type="submit"
+          disabled={unlocking || !passphrase}
+          className="w-full mt-4 py-2.5 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+        >
+          {unlocking ? "Unlocking..." : "Unlock"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// Recovery Screen - shown instead of the app while stored data can't be read.
+// Nothing is saved until the user recovers the data or deliberately starts fresh.
+const RecoveryScreen = ({ items, error, onRetry, onDownload, onStartFresh }) => {
+  const [passphrase, setPassphrase] = useState("");
+  const [message, setMessage] = useState("");
+  const [retrying, setRetrying] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setRetrying(true);
+    setMessage("");
+    const result = await onRetry(passphrase);
+    setRetrying(false);
+    if (result) setMessage(result);
+  };
+
+  const storageFailed = items.length === 0;
 
   return (
-    <div>
-      <SectionHeader title={t.sections.edges} description="Requirements almost never cover these. They're where most design complexity lives." />
-      <p className="text-xs text-slate-500 mb-4">{consideredCount} of {EDGE_CASE_ITEMS.length} considered</p>
-      <div className="space-y-2">
-        {EDGE_CASE_ITEMS.map((ec) => {
-          const d = data[ec.id] || { considered: false, notes: "" };
-          return (
-            <div key={ec.id} className={`border rounded-lg transition-colors ${d.considered ? "border-emerald-200 bg-emerald-50/30" : "border-slate-100 bg-white"}`}>
-              <div className="flex items-center gap-3 px-4 py-3 cursor-pointer" onClick={() => toggle(ec.id)}>
-                <div className={`w-5 h-5 rounded border-2 flex items-center justify-center shrink-0 transition-colors ${
-                  d.considered ? "border-emerald-500 bg-emerald-500" : "border-slate-300"
-                }`}>
-                  {d.considered && (
-                    <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
-                    </svg>
-                  )}
-                </div>
-                <div className="flex-1">
-                  <span className="text-sm font-medium text-slate-700">{ec.label}</span>
-                  <span className="text-xs text-slate-400 ml-2">{ec.hint}</span>
-                </div>
-              </div>
-              {d.considered && (
-                <div className="px-4 pb-3 pl-12">
-                  <textarea
-                    className="w-full px-2 py-1.5 text-sm border border-slate-200 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-300 resize-y"
-                    rows={2} placeholder="Notes on how you'll handle this..."
-                    value={d.notes} onChange={(e) => setNotes(ec.id, e.target.value)}
-                    onClick={(e) => e.stopPropagation()}
-                  />
-                </div>
-              )}
-            </div>
-          );
-        })}
-      </div>
+    <div className="flex items-center justify-center min-h-screen bg-slate-50 dark:bg-slate-900 p-8" style={{ fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif" }}>
+      <form onSubmit={handleSubmit} className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-lg p-6 border border-slate-200 dark:border-slate-700">
+        <div className="flex items-center gap-2 mb-1 text-amber-600 dark:text-amber-400">
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+          </svg>
+          <h1 className="font-semibold text-slate-800 dark:text-slate-200">Some saved data couldn't be read</h1>
+        </div>
+        <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+          {storageFailed
+            ? "Your saved analyses couldn't be loaded. Auto-save is paused so nothing in storage is overwritten."
+            : "A copy of the unreadable data has been moved to quarantine and auto-save is paused, so nothing is overwritten until you choose what to do."}
+        </p>
+
+        {error && (
+          <p className="text-xs font-mono text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 rounded-lg px-3 py-2 mb-4 break-words">{error}</p>
+        )}
+
+        {!storageFailed && (
+          <ul className="text-sm text-slate-700 dark:text-slate-300 mb-4 max-h-40 overflow-y-auto divide-y divide-slate-100 dark:divide-slate-700 border border-slate-200 dark:border-slate-700 rounded-lg">
+            {items.map((item) => (
+              <li key={item.id} className="px-3 py-2">
+                <span className="font-mono text-xs text-slate-500 dark:text-slate-400">{item.id}</span>
+                <span className="block text-xs text-slate-600 dark:text-slate-400">{item.reason}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {!storageFailed && (
+          <>
+            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1" htmlFor="recovery-passphrase">
+              Try a passphrase
+            </label>
+            <p className="text-xs text-slate-500 dark:text-slate-400 mb-2">
+              If the data was encrypted under an earlier vault passphrase, enter it here.
+            </p>
+            <input
+              id="recovery-passphrase"
+              type="password"
+              autoFocus
+              autoComplete="current-password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              className="w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500"
+            />
+          </>
+        )}
+        {message && <p className="text-sm text-red-600 dark:text-red-400 mt-2" role="alert">{message}</p>}
+
+        <button
+          type="submit"
+          disabled={retrying || (!storageFailed && !passphrase)}
+          className="w-full mt-4 py-2.5 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+        >
+          {retrying ? "Retrying..." : storageFailed ? "Retry loading" : "Retry with passphrase"}
+        </button>
+
+        <div className="flex gap-2 mt-2">
+          {!storageFailed && (
+            <button
+              type="button"
+              onClick={onDownload}
+              className="flex-1 py-2 text-sm text-slate-700 dark:text-slate-300 border border-slate-300 dark:border-slate-600 hover:bg-slate-50 dark:hover:bg-slate-700 rounded-lg transition-colors"
+            >
+              Download raw data
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onStartFresh}
+            className="flex-1 py-2 text-sm text-red-600 dark:text-red-400 border border-red-200 dark:border-red-800 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
+          >
+            Start fresh without it
+          </button>
+        </div>
+      </form>
     </div>
   );
 };
 
-const ScopeSection = ({ data, language, onChange }) => {
-  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
-  const items = data.items || [];
-  const setField = (field, val) => onChange({ ...data, [field]: val });
-  const setItems = (newItems) => onChange({ ...data, items: newItems });
+// Vault Passphrase Modal - create a vault or change its passphrase
+const VaultPassphraseModal = ({ isOpen, mode, reason, dismissable = true, onSubmit, onClose }) => {
+  const [current, setCurrent] = useState("");
+  const [next, setNext] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState("");
+  const [working, setWorking] = useState(false);
 
-  const addItem = () =>
-    setItems([...items, { id: generateId(), item: "", description: "", version: "MVP", priority: "Must" }]);
-  const updateItem = (id, field, val) =>
-    setItems(items.map((it) => (it.id === id ? { ...it, [field]: val } : it)));
-  const removeItem = (id) => setItems(items.filter((it) => it.id !== id));
+  useEffect(() => {
+    if (!isOpen) {
+      setCurrent("");
+      setNext("");
+      setConfirm("");
+      setError("");
+    }
+  }, [isOpen]);
 
-  const autoResize = (e) => {
-    e.target.style.height = "auto";
-    e.target.style.height = e.target.scrollHeight + "px";
-  };
+  if (!isOpen) return null;
 
-  const textareaRef = (el) => {
-    if (el) {
-      el.style.height = "auto";
-      el.style.height = el.scrollHeight + "px";
+  const isChange = mode === "change";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (next.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+      return;
+    }
+    if (next !== confirm) {
+      setError("Passphrases don't match.");
+      return;
     }
+    setWorking(true);
+    setError("");
+    const submitError = await onSubmit({ current, next });
+    setWorking(false);
+    if (submitError) setError(submitError);
   };
 
-  // Group items by version for the summary view
-  const byVersion = useMemo(() => {
-    const grouped = {};
-    VERSION_PHASES.forEach((v) => { grouped[v] = []; });
-    grouped["Unassigned"] = [];
-    items.forEach((it) => {
-      const v = it.version || "Unassigned";
-      if (!grouped[v]) grouped[v] = [];
-      grouped[v].push(it);
-    });
-    return grouped;
-  }, [items]);
-
-  const [viewMode, setViewMode] = useState("list"); // "list" or "versions"
+  const inputClass = "w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500";
 
   return (
-    <div>
-      <SectionHeader title={t.sections.scope} description="Break the feature into scope items and assign each to a release version." />
-
-      {/* Dependencies */}
-      <Field label="Affected existing features" multiline hint="What current functionality does this change or interact with?" value={data.affected} onChange={(v) => setField("affected", v)} />
-      <Field label="New components or patterns needed" multiline hint="Can you reuse existing patterns, or does this require new ones?" value={data.newPatterns} onChange={(v) => setField("newPatterns", v)} />
-      <Field label="Technical dependencies or constraints" multiline value={data.technical} onChange={(v) => setField("technical", v)} />
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={dismissable ? onClose : undefined}>
+      <form onSubmit={handleSubmit} className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-md flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
+          <h3 className="font-semibold text-slate-800 dark:text-slate-200">{isChange ? "Change Vault Passphrase" : "Set Up Secure Vault"}</h3>
+          {dismissable && (
+            <button type="button" onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300 text-2xl leading-none">×</button>
+          )}
+        </div>
 
-      {/* Scope items */}
-      <div className="border-t border-slate-100 pt-5 mt-5">
-        <div className="flex items-center justify-between mb-4">
+        {/* Content */}
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-slate-600 dark:text-slate-300">
+            {reason || (isChange
+              ? "All encrypted data will be re-encrypted with the new passphrase."
+              : "Secure tasks are encrypted with a key derived from this passphrase.")}
+          </p>
+          {!isChange && (
+            <p className="text-xs text-amber-700 dark:text-amber-400 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-3">
+              The passphrase is never stored. If you forget it, your secure tasks cannot be recovered.
+            </p>
+          )}
+          {isChange && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1" htmlFor="vault-current-passphrase">Current passphrase</label>
+              <input id="vault-current-passphrase" type="password" autoComplete="current-password" value={current} onChange={(e) => setCurrent(e.target.value)} className={inputClass} />
+            </div>
+          )}
           <div>
-            <p className="text-sm font-medium text-slate-700">Scope Items</p>
-            <p className="text-xs text-slate-400 mt-0.5">{items.length} item{items.length !== 1 ? "s" : ""} across {Object.values(byVersion).filter((arr) => arr.length > 0).length} version{Object.values(byVersion).filter((arr) => arr.length > 0).length !== 1 ? "s" : ""}</p>
+            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1" htmlFor="vault-new-passphrase">{isChange ? "New passphrase" : "Passphrase"}</label>
+            <input id="vault-new-passphrase" type="password" autoComplete="new-password" value={next} onChange={(e) => setNext(e.target.value)} className={inputClass} />
           </div>
-          <div className="flex gap-1 bg-slate-100 rounded-lg p-0.5">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1" htmlFor="vault-confirm-passphrase">Confirm passphrase</label>
+            <input id="vault-confirm-passphrase" type="password" autoComplete="new-password" value={confirm} onChange={(e) => setConfirm(e.target.value)} className={inputClass} />
+          </div>
+          {error && <p className="text-sm text-red-600 dark:text-red-400" role="alert">{error}</p>}
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-slate-100 dark:border-slate-700 flex justify-end gap-2">
+          {dismissable && (
             <button
-              onClick={() => setViewMode("list")}
-              className={`px-3 py-1 text-xs rounded-md transition-colors ${viewMode === "list" ? "bg-white text-slate-700 shadow-sm" : "text-slate-500"}`}
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors"
             >
-              List
+              Cancel
             </button>
+          )}
+          <button
+            type="submit"
+            disabled={working || !next || !confirm || (isChange && !current)}
+            className="px-4 py-2 text-sm font-medium bg-slate-800 dark:bg-slate-700 text-white rounded-lg hover:bg-slate-700 dark:hover:bg-slate-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {working ? "Encrypting..." : isChange ? "Change passphrase" : "Create vault"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// History Icon Component
+const HistoryIcon = ({ className = "w-4 h-4" }) => (
+  <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+  </svg>
+);
+
+const SNAPSHOT_REASON_LABELS = {
+  interval: "While editing",
+  "ai-apply": "Before AI apply",
+  "markdown-merge": "Before markdown merge",
+  restore: "Before restore",
+  "backup-restore": "Before backup restore",
+  "workspace-pull": "Before workspace pull",
+  "gist-merge": "Before gist merge",
+  "gist-revision": "Before gist revision restore",
+  "repo-import": "Before repository import",
+  "collab-join": "Before joining a live session",
+};
+
+// Sections that differ between two versions of an analysis, with their changes
+const diffAnalyses = (before, after) =>
+  HISTORY_SECTIONS
+    .map((section) => ({ section, changes: diffSection(section.id, before, after) }))
+    .filter(({ changes }) => changes.length > 0);
+
+// Section-by-section changes; removed values in red, current ones in green
+const SectionDiffList = ({ diffs, beforeLabel, onRestoreSection }) => (
+  <div className="space-y-4">
+    {diffs.map(({ section, changes }) => (
+      <div key={section.id} className="border border-slate-200 dark:border-slate-700 rounded-lg">
+        <div className="flex items-center justify-between px-4 py-2 bg-slate-50 dark:bg-slate-700/50 rounded-t-lg">
+          <span className="text-sm font-medium text-slate-700 dark:text-slate-200">{section.label}</span>
+          {onRestoreSection && (
             <button
-              onClick={() => setViewMode("versions")}
-              className={`px-3 py-1 text-xs rounded-md transition-colors ${viewMode === "versions" ? "bg-white text-slate-700 shadow-sm" : "text-slate-500"}`}
+              onClick={() => onRestoreSection(section.id)}
+              className="text-xs text-slate-600 dark:text-slate-300 hover:text-slate-900 dark:hover:text-white underline"
             >
-              By Version
+              Restore section
             </button>
-          </div>
+          )}
+        </div>
+        <ul className="divide-y divide-slate-100 dark:divide-slate-700">
+          {changes.map((change, i) => (
+            <li key={i} className="px-4 py-2 text-sm">
+              <div className="text-xs text-slate-500 dark:text-slate-400 mb-1">{change.label}</div>
+              {change.before && (
+                <div className="text-red-700 dark:text-red-400 bg-red-50 dark:bg-red-900/20 rounded px-2 py-0.5 whitespace-pre-wrap break-words">
+                  <span className="sr-only">{beforeLabel}: </span>{change.before}
+                </div>
+              )}
+              {change.after && (
+                <div className="text-emerald-700 dark:text-emerald-400 bg-emerald-50 dark:bg-emerald-900/20 rounded px-2 py-0.5 mt-1 whitespace-pre-wrap break-words">
+                  <span className="sr-only">Current: </span>{change.after}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    ))}
+  </div>
+);
+
+// History Modal - lists snapshots of the active analysis and diffs them against the current state
+const HistoryModal = ({ isOpen, analysis, onClose, onRestore }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const list = await loadSnapshots(analysis.id);
+      setSnapshots(list);
+      setSelectedId((prev) => (list.some((s) => s.id === prev) ? prev : list[0]?.id ?? null));
+    } catch (err) {
+      console.error('[HISTORY] Failed to load snapshots:', err);
+      setError(`Couldn't load history: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [analysis?.id]);
+
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen, refresh]);
+
+  const selected = snapshots.find((s) => s.id === selectedId);
+  const sectionDiffs = useMemo(
+    () => (selected && analysis ? diffAnalyses(selected.analysis, analysis) : []),
+    [selected, analysis]
+  );
+
+  if (!isOpen) return null;
+
+  const handleRestore = async (sectionId) => {
+    const what = sectionId ? `the ${HISTORY_SECTIONS.find((s) => s.id === sectionId).label} section` : "this whole snapshot";
+    if (!confirm(`Restore ${what}? The current state is saved to history first.`)) return;
+    await onRestore(selected, sectionId);
+    await refresh();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-4xl h-[80vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
+          <h3 className="font-semibold text-slate-800 dark:text-slate-200">History - {analysis.name}</h3>
+          <button onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300">×</button>
         </div>
 
-        {items.length === 0 && (
-          <div className="text-center py-8 text-slate-400 text-sm border border-dashed border-slate-200 rounded-lg mb-4">
-            No scope items yet. Add items and assign them to versions.
+        {/* Content */}
+        <div className="flex flex-1 min-h-0">
+          <div className="w-56 shrink-0 border-r border-slate-100 dark:border-slate-700 overflow-y-auto">
+            {loading && snapshots.length === 0 && <p className="p-4 text-sm text-slate-500 dark:text-slate-400">Loading…</p>}
+            {!loading && snapshots.length === 0 && !error && (
+              <p className="p-4 text-sm text-slate-500 dark:text-slate-400">
+                No snapshots yet. They are taken every few minutes while you edit and before AI or markdown changes are applied.
+              </p>
+            )}
+            {snapshots.map((snapshot) => (
+              <button
+                key={snapshot.id}
+                onClick={() => setSelectedId(snapshot.id)}
+                className={`w-full text-left px-4 py-2.5 border-b border-slate-100 dark:border-slate-700 transition-colors ${
+                  snapshot.id === selectedId ? "bg-slate-100 dark:bg-slate-700" : "hover:bg-slate-50 dark:hover:bg-slate-700/50"
+                }`}
+              >
+                <div className="text-sm text-slate-800 dark:text-slate-200">{new Date(snapshot.takenAt).toLocaleString()}</div>
+                <div className="text-xs text-slate-500 dark:text-slate-400">{SNAPSHOT_REASON_LABELS[snapshot.reason] || snapshot.reason}</div>
+              </button>
+            ))}
           </div>
-        )}
 
-        {/* List view */}
-        {viewMode === "list" && items.length > 0 && (
-          <div className="space-y-2 mb-4">
-            {items.map((item, i) => {
-              const colors = VERSION_COLORS[item.version] || VERSION_COLORS.Future;
-              return (
-                <div key={item.id} className={`p-3 rounded-lg border ${colors.border} bg-white`}>
-                  <div className="flex gap-2 items-start">
-                    <div className={`w-1 self-stretch rounded-full shrink-0 ${colors.dot}`} />
-                    <div className="flex-1 space-y-2">
-                      <textarea
-                        ref={textareaRef}
-                        className="w-full px-2 py-1.5 text-sm border border-slate-200 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-300 font-medium resize-none overflow-hidden"
-                        style={{ minHeight: "36px" }}
-                        placeholder="Scope item name..."
-                        value={item.item}
-                        onChange={(e) => {
-                          updateItem(item.id, "item", e.target.value);
-                          autoResize(e);
-                        }}
-                        onInput={autoResize}
-                        rows={1}
-                      />
-                      <textarea
-                        ref={textareaRef}
-                        className="w-full px-2 py-1.5 text-xs border border-slate-100 rounded bg-slate-50 focus:outline-none focus:ring-1 focus:ring-slate-300 resize-none overflow-hidden"
-                        style={{ minHeight: "32px" }}
-                        placeholder="Brief description (optional)..."
-                        value={item.description}
-                        onChange={(e) => {
-                          updateItem(item.id, "description", e.target.value);
-                          autoResize(e);
-                        }}
-                        onInput={autoResize}
-                        rows={1}
-                      />
-                      <div className="flex gap-2 flex-wrap items-center">
-                        <select
-                          className={`px-2 py-1 text-xs rounded-full font-medium border ${colors.bg} ${colors.text} ${colors.border} focus:outline-none`}
-                          value={item.version} onChange={(e) => updateItem(item.id, "version", e.target.value)}
-                        >
-                          {VERSION_PHASES.map((v) => <option key={v} value={v}>{v}</option>)}
-                        </select>
-                        <select
-                          className="px-2 py-1 text-xs border border-slate-200 rounded bg-white focus:outline-none"
-                          value={item.priority} onChange={(e) => updateItem(item.id, "priority", e.target.value)}
-                        >
-                          {PRIORITY_LEVELS.map((p) => <option key={p} value={p}>{p}</option>)}
-                        </select>
-                      </div>
-                    </div>
-                    <button onClick={() => removeItem(item.id)} className="text-slate-300 hover:text-red-400 text-lg mt-1 px-1">×</button>
-                  </div>
+          <div className="flex-1 overflow-y-auto p-6">
+            {error && <p className="text-sm text-red-600 dark:text-red-400" role="alert">{error}</p>}
+            {selected && (
+              <>
+                <div className="flex items-center justify-between mb-4">
+                  <p className="text-sm text-slate-600 dark:text-slate-300">
+                    {sectionDiffs.length === 0
+                      ? "This snapshot matches the current state."
+                      : `${sectionDiffs.length} section${sectionDiffs.length === 1 ? "" : "s"} differ from the current state.`}
+                  </p>
+                  <button
+                    onClick={() => handleRestore(null)}
+                    disabled={sectionDiffs.length === 0}
+                    className="px-3 py-1.5 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Restore snapshot
+                  </button>
+                </div>
+                <SectionDiffList diffs={sectionDiffs} beforeLabel="Snapshot" onRestoreSection={handleRestore} />
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Section Preview - one section of an analysis rendered by its editor with every control disabled
+const noop = () => {};
+const SectionPreview = ({ analysis, sectionId }) => {
+  const lang = analysis.language || "en";
+  const section = (() => {
+    switch (sectionId) {
+      case "overview": return <OverviewSection data={analysis.overview} phase={analysis.phase} jiraTicket={analysis.jiraTicket} secureMode={analysis.secureMode || false} language={lang} onChange={noop} onPhaseChange={noop} onJiraTicketChange={noop} onSecureModeChange={noop} onLanguageChange={noop} onOpenAudioModal={noop} onOpenPasteModal={noop} onChangePassphrase={noop} onLockVault={noop} />;
+      case "problem": return <ProblemSection data={analysis.problem} language={lang} onChange={noop} />;
+      case "context": return <UserContextSection data={analysis.context} language={lang} onChange={noop} />;
+      case "assumptions": return <AssumptionsSection data={analysis.assumptions} language={lang} onChange={noop} />;
+      case "edges": return <EdgeCasesSection data={analysis.edges} language={lang} onChange={noop} />;
+      case "scope": return <ScopeSection data={analysis.scope} language={lang} onChange={noop} />;
+      case "acceptance": return <AcceptanceCriteriaSection data={analysis.acceptanceCriteria || []} language={lang} onChange={noop} />;
+      case "questions": return <QuestionsSection data={analysis.questions} language={lang} onChange={noop} />;
+      case "notes": return <NotesSection data={analysis.notes} language={lang} onChange={noop} />;
+      case "mapping": return <MappingSection data={analysis.mapping || { figmaUrl: "" }} language={lang} onChange={noop} />;
+      case "summary": return <SummarySection data={analysis.summary} language={lang} onChange={noop} onGenerateAIBrief={noop} />;
+      default: return null;
+    }
+  })();
+  return (
+    <fieldset disabled className="min-w-0" aria-readonly="true">
+      {section}
+    </fieldset>
+  );
+};
+
+// Gist History Modal - revisions of the active analysis's synced copy, previewed and diffed against local
+const GistHistoryModal = ({ isOpen, analysis, provider, unlock, onClose, onRestore }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [revisionAnalysis, setRevisionAnalysis] = useState(null);
+  const [view, setView] = useState("changes"); // "changes" | "preview"
+  const [previewSection, setPreviewSection] = useState("overview");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const cacheRef = useRef(new Map()); // version -> analysis; revisions never change
+
+  const gistId = analysis?.gistId;
+
+  useEffect(() => {
+    if (!isOpen || !gistId) return;
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    provider.history(gistId)
+      .then((list) => {
+        if (cancelled) return;
+        setRevisions(list);
+        setSelectedVersion(list[0]?.version ?? null);
+      })
+      .catch((err) => !cancelled && setError(`Couldn't load revisions: ${err.message}`))
+      .finally(() => !cancelled && setLoading(false));
+    return () => { cancelled = true; };
+  }, [isOpen, gistId]);
+
+  useEffect(() => {
+    if (!isOpen || !selectedVersion) return;
+    const cached = cacheRef.current.get(selectedVersion);
+    if (cached) {
+      setRevisionAnalysis(cached);
+      return;
+    }
+    let cancelled = false;
+    setRevisionAnalysis(null);
+    provider.fetchRevision(gistId, selectedVersion)
+      .then((payload) => openGistPayload(payload, unlock))
+      .then((data) => {
+        const migrated = migrateAnalysis(data);
+        cacheRef.current.set(selectedVersion, migrated);
+        if (!cancelled) setRevisionAnalysis(migrated);
+      })
+      .catch((err) => !cancelled && setError(`Couldn't load this revision: ${err.message}`));
+    return () => { cancelled = true; };
+  }, [isOpen, gistId, selectedVersion]);
+
+  const sectionDiffs = useMemo(
+    () => (revisionAnalysis && analysis ? diffAnalyses(revisionAnalysis, analysis) : []),
+    [revisionAnalysis, analysis]
+  );
+
+  if (!isOpen || !analysis) return null;
+
+  const selected = revisions.find((r) => r.version === selectedVersion);
+  const handleRestore = (asNew) => {
+    const message = asNew
+      ? "Create a new task from this revision?"
+      : "Replace the current state with this revision? The current state is saved to history first.";
+    if (!confirm(message)) return;
+    onRestore(revisionAnalysis, { asNew, committedAt: selected.committedAt });
+  };
+
+  const tabClass = (isActive) => `px-3 py-1 text-xs rounded-full transition-colors ${
+    isActive
+      ? "bg-slate-800 dark:bg-slate-600 text-white"
+      : "text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700"
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-5xl h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
+          <h3 className="font-semibold text-slate-800 dark:text-slate-200">{provider.label} revisions - {analysis.name}</h3>
+          <button onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300">×</button>
+        </div>
+
+        {/* Content */}
+        <div className="flex flex-1 min-h-0">
+          <div className="w-56 shrink-0 border-r border-slate-100 dark:border-slate-700 overflow-y-auto">
+            {loading && <p className="p-4 text-sm text-slate-500 dark:text-slate-400">Loading…</p>}
+            {revisions.map((revision) => (
+              <button
+                key={revision.version}
+                onClick={() => setSelectedVersion(revision.version)}
+                className={`w-full text-left px-4 py-2.5 border-b border-slate-100 dark:border-slate-700 transition-colors ${
+                  revision.version === selectedVersion ? "bg-slate-100 dark:bg-slate-700" : "hover:bg-slate-50 dark:hover:bg-slate-700/50"
+                }`}
+              >
+                <div className="text-sm text-slate-800 dark:text-slate-200">{new Date(revision.committedAt).toLocaleString()}</div>
+                <div className="text-xs text-slate-500 dark:text-slate-400">
+                  {revision.user && `${revision.user} · `}
+                  {revision.version.slice(0, 7)}
+                  {revision.version === analysis.gistRevision && " · last synced"}
                 </div>
-              );
-            })}
+              </button>
+            ))}
           </div>
-        )}
 
-        {/* Version grouped view */}
-        {viewMode === "versions" && items.length > 0 && (
-          <div className="space-y-4 mb-4">
-            {VERSION_PHASES.map((version) => {
-              const versionItems = byVersion[version] || [];
-              if (versionItems.length === 0) return null;
-              const colors = VERSION_COLORS[version];
-              return (
-                <div key={version} className={`rounded-lg border ${colors.border} overflow-hidden`}>
-                  <div className={`px-4 py-2 ${colors.bg} flex items-center justify-between`}>
-                    <span className={`text-sm font-semibold ${colors.text}`}>{version}</span>
-                    <span className={`text-xs ${colors.text} opacity-70`}>{versionItems.length} item{versionItems.length !== 1 ? "s" : ""}</span>
-                  </div>
-                  <div className="divide-y divide-slate-100">
-                    {versionItems.map((item) => (
-                      <div key={item.id} className="px-4 py-2.5 flex items-center gap-3 bg-white">
-                        <span className={`text-xs px-1.5 py-0.5 rounded border ${
-                          item.priority === "Must" ? "bg-red-50 text-red-600 border-red-200" :
-                          item.priority === "Should" ? "bg-amber-50 text-amber-600 border-amber-200" :
-                          item.priority === "Could" ? "bg-blue-50 text-blue-600 border-blue-200" :
-                          "bg-slate-50 text-slate-500 border-slate-200"
-                        }`}>
-                          {item.priority}
-                        </span>
-                        <div className="flex-1 min-w-0">
-                          <p className="text-sm font-medium text-slate-700 truncate">{item.item || "Unnamed item"}</p>
-                          {item.description && <p className="text-xs text-slate-400 truncate">{item.description}</p>}
-                        </div>
-                      </div>
+          <div className="flex-1 flex flex-col min-w-0">
+            {error && <p className="px-6 pt-4 text-sm text-red-600 dark:text-red-400" role="alert">{error}</p>}
+            {selected && (
+              <div className="flex items-center justify-between gap-3 px-6 py-3 border-b border-slate-100 dark:border-slate-700">
+                <div className="flex gap-1">
+                  <button onClick={() => setView("changes")} className={tabClass(view === "changes")}>Changes vs local</button>
+                  <button onClick={() => setView("preview")} className={tabClass(view === "preview")}>Preview</button>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleRestore(true)}
+                    disabled={!revisionAnalysis}
+                    className="px-3 py-1.5 text-sm text-slate-700 dark:text-slate-200 border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Restore as new task
+                  </button>
+                  <button
+                    onClick={() => handleRestore(false)}
+                    disabled={!revisionAnalysis || sectionDiffs.length === 0}
+                    className="px-3 py-1.5 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Restore as current
+                  </button>
+                </div>
+              </div>
+            )}
+            <div className="flex-1 overflow-y-auto p-6">
+              {selected && !revisionAnalysis && !error && <p className="text-sm text-slate-500 dark:text-slate-400">Loading revision…</p>}
+              {revisionAnalysis && view === "changes" && (
+                <>
+                  <p className="text-sm text-slate-600 dark:text-slate-300 mb-4">
+                    {sectionDiffs.length === 0
+                      ? "This revision matches the local state."
+                      : `${sectionDiffs.length} section${sectionDiffs.length === 1 ? "" : "s"} differ from the local state.`}
+                  </p>
+                  <SectionDiffList diffs={sectionDiffs} beforeLabel="Revision" />
+                </>
+              )}
+              {revisionAnalysis && view === "preview" && (
+                <>
+                  <div className="flex flex-wrap gap-1 mb-6">
+                    {SECTIONS.map((section) => (
+                      <button key={section.id} onClick={() => setPreviewSection(section.id)} className={tabClass(previewSection === section.id)}>
+                        {section.label}
+                      </button>
                     ))}
                   </div>
-                </div>
-              );
-            })}
-          </div>
-        )}
-
-        <button onClick={addItem} className="text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-dashed border-slate-300 dark:border-slate-600 rounded-lg px-4 py-2 hover:border-slate-400 dark:hover:border-slate-500 transition-colors">
-          + Add scope item
-        </button>
-
-        {/* Version summary bar */}
-        {items.length > 0 && (
-          <div className="mt-5 pt-4 border-t border-slate-100">
-            <p className="text-xs text-slate-500 mb-2">Version distribution</p>
-            <div className="flex h-3 rounded-full overflow-hidden bg-slate-100">
-              {VERSION_PHASES.map((v) => {
-                const count = (byVersion[v] || []).length;
-                if (count === 0) return null;
-                const pct = (count / items.length) * 100;
-                return (
-                  <div
-                    key={v}
-                    className={`${VERSION_COLORS[v].dot} transition-all`}
-                    style={{ width: `${pct}%` }}
-                    title={`${v}: ${count} item${count !== 1 ? "s" : ""}`}
-                  />
-                );
-              })}
-            </div>
-            <div className="flex gap-3 mt-2 flex-wrap">
-              {VERSION_PHASES.map((v) => {
-                const count = (byVersion[v] || []).length;
-                if (count === 0) return null;
-                return (
-                  <span key={v} className="flex items-center gap-1.5 text-xs text-slate-500">
-                    <span className={`w-2 h-2 rounded-full ${VERSION_COLORS[v].dot}`} />
-                    {v}: {count}
-                  </span>
-                );
-              })}
+                  <div className={previewSection === "mapping" ? "" : "max-w-2xl"}>
+                    <SectionPreview analysis={revisionAnalysis} sectionId={previewSection} />
+                  </div>
+                </>
+              )}
             </div>
           </div>
-        )}
+        </div>
       </div>
     </div>
   );
 };
 
-const AcceptanceCriteriaSection = ({ data, language, onChange }) => {
-  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
-  const [statusFilter, setStatusFilter] = useState("Not Started");
-  
-  const addItem = () =>
-    onChange([...data, { 
-      id: generateId(), 
-      text: "", 
-      priority: "Must Have", 
-      status: "Not Started",
-      notes: "" 
-    }]);
-    
-  const updateItem = (id, field, val) =>
-    onChange(data.map((item) => (item.id === id ? { ...item, [field]: val } : item)));
-    
-  const removeItem = (id) => onChange(data.filter((item) => item.id !== id));
+// Trash Icon Component
+const TrashIcon = ({ className = "w-4 h-4" }) => (
+  <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+  </svg>
+);
 
-  const autoResize = (e) => {
-    e.target.style.height = "auto";
-    e.target.style.height = e.target.scrollHeight + "px";
-  };
+// Trash Modal - deleted analyses waiting to be restored or purged
+const TrashModal = ({ isOpen, analyses, retentionDays, onRetentionChange, onRestore, onPurge, onClose }) => {
+  if (!isOpen) return null;
 
-  const textareaRef = (el) => {
-    if (el) {
-      el.style.height = "auto";
-      el.style.height = el.scrollHeight + "px";
-    }
-  };
+  const daysLeft = (analysis) =>
+    Math.max(0, Math.ceil((new Date(analysis.deletedAt).getTime() + retentionDays * DAY_MS - Date.now()) / DAY_MS));
 
-  const priorities = ["Must Have", "Should Have", "Nice to Have"];
-  const statuses = ["Not Started", "In Progress", "Done"];
-  
-  // Filter by status
-  const filteredData = data.filter(item => item.status === statusFilter);
-  
-  // Group by priority
-  const groupedByPriority = priorities.reduce((acc, priority) => {
-    acc[priority] = filteredData.filter(item => item.priority === priority);
-    return acc;
-  }, {});
+  const handlePurge = (ids) => {
+    const message = ids.length === 1
+      ? `Permanently delete "${analyses.find((a) => a.id === ids[0]).name}"? This can't be undone.`
+      : `Permanently delete all ${ids.length} analyses in the trash? This can't be undone.`;
+    if (confirm(message)) onPurge(ids);
+  };
 
-  const notStartedCount = data.filter(c => c.status === "Not Started").length;
-  const inProgressCount = data.filter(c => c.status === "In Progress").length;
-  const doneCount = data.filter(c => c.status === "Done").length;
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-lg max-h-[80vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
+          <h3 className="font-semibold text-slate-800 dark:text-slate-200">Trash</h3>
+          <button onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300">×</button>
+        </div>
 
-  const renderCriterion = (item, index) => (
-    <div key={item.id} className={`p-3 rounded-lg border ${
-      item.status === "Done" 
-        ? "bg-emerald-50/30 dark:bg-emerald-900/10 border-emerald-200/60 dark:border-emerald-800/40" 
-        : item.status === "In Progress"
-        ? "bg-blue-50/30 dark:bg-blue-900/10 border-blue-200/60 dark:border-blue-800/40"
-        : "bg-slate-50 dark:bg-slate-700 border-slate-200 dark:border-slate-600"
-    }`}>
-      <div className="flex gap-2 items-start">
-        <span className="text-xs text-slate-400 dark:text-slate-500 mt-2 font-mono w-5 shrink-0">{index + 1}</span>
-        <div className="flex-1 space-y-2">
-          <textarea
-            ref={textareaRef}
-            className="w-full px-2 py-1.5 text-sm border border-slate-200 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 focus:outline-none focus:ring-1 focus:ring-slate-300 dark:focus:ring-slate-500 resize-none overflow-hidden"
-            style={{ minHeight: "36px" }}
-            placeholder="Define an acceptance criterion..."
-            value={item.text}
-            onChange={(e) => {
-              updateItem(item.id, "text", e.target.value);
-              autoResize(e);
-            }}
-            onInput={autoResize}
-            rows={1}
-          />
-          <div className="flex gap-2 flex-wrap items-center">
-            <select
-              value={item.priority}
-              onChange={(e) => updateItem(item.id, "priority", e.target.value)}
-              className="text-xs px-2 py-1 border border-slate-200 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-1 focus:ring-slate-300 dark:focus:ring-slate-500"
-            >
-              {priorities.map(p => (
-                <option key={p} value={p}>{p}</option>
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto">
+          {analyses.length === 0 ? (
+            <p className="px-6 py-8 text-sm text-center text-slate-500 dark:text-slate-400">The trash is empty.</p>
+          ) : (
+            <ul className="divide-y divide-slate-100 dark:divide-slate-700">
+              {analyses.map((a) => (
+                <li key={a.id} className="px-6 py-3 flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm font-medium text-slate-700 dark:text-slate-200 break-words">{a.name || "Untitled Design Task"}</div>
+                    <div className="text-xs text-slate-500 dark:text-slate-400">
+                      Deleted {new Date(a.deletedAt).toLocaleDateString()} · purged in {daysLeft(a)} day{daysLeft(a) === 1 ? "" : "s"}
+                      {a.secureMode && " · secure"}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => onRestore(a.id)}
+                    className="px-3 py-1.5 text-xs text-slate-700 dark:text-slate-200 border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors"
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handlePurge([a.id])}
+                    className="p-1.5 text-slate-400 dark:text-slate-500 hover:text-red-600 dark:hover:text-red-400 transition-colors"
+                    title="Delete forever"
+                  >
+                    <TrashIcon />
+                  </button>
+                </li>
               ))}
-            </select>
+            </ul>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-slate-100 dark:border-slate-700 flex items-center justify-between gap-3">
+          <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+            Keep deleted tasks for
             <select
-              value={item.status}
-              onChange={(e) => updateItem(item.id, "status", e.target.value)}
-              className="text-xs px-2 py-1 border border-slate-200 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-1 focus:ring-slate-300 dark:focus:ring-slate-500"
+              value={retentionDays}
+              onChange={(e) => onRetentionChange(Number(e.target.value))}
+              className="px-2 py-1 text-sm border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200"
             >
-              {statuses.map(s => (
-                <option key={s} value={s}>{s}</option>
+              {TRASH_RETENTION_OPTIONS.map((days) => (
+                <option key={days} value={days}>{days} days</option>
               ))}
             </select>
-            <button
-              onClick={() => removeItem(item.id)}
-              className="text-slate-300 dark:text-slate-600 hover:text-red-400 dark:hover:text-red-500 text-lg px-1 ml-auto"
-            >×</button>
-          </div>
-          {item.notes !== undefined && (
-            <textarea
-              ref={textareaRef}
-              className="w-full px-2 py-1.5 text-xs border border-slate-200 dark:border-slate-600 rounded bg-slate-50 dark:bg-slate-800 text-slate-700 dark:text-slate-300 focus:outline-none focus:ring-1 focus:ring-slate-300 dark:focus:ring-slate-500 resize-none overflow-hidden"
-              style={{ minHeight: "32px" }}
-              placeholder="Additional notes or context..."
-              value={item.notes}
-              onChange={(e) => {
-                updateItem(item.id, "notes", e.target.value);
-                autoResize(e);
-              }}
-              onInput={autoResize}
-              rows={1}
-            />
+          </label>
+          <button
+            onClick={() => handlePurge(analyses.map((a) => a.id))}
+            disabled={analyses.length === 0}
+            className="px-3 py-1.5 text-sm text-red-600 dark:text-red-400 border border-red-200 dark:border-red-800 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Empty trash
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Backup Modal - download every analysis and the settings as one file
+const BackupModal = ({ isOpen, analysisCount, secureCount, onCreate, onClose }) => {
+  const [encrypt, setEncrypt] = useState(false);
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmPassphrase, setConfirmPassphrase] = useState("");
+  const [error, setError] = useState("");
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setEncrypt(false);
+      setPassphrase("");
+      setConfirmPassphrase("");
+      setError("");
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (encrypt) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+        return;
+      }
+      if (passphrase !== confirmPassphrase) {
+        setError("Passphrases don't match.");
+        return;
+      }
+    }
+    setWorking(true);
+    setError("");
+    const submitError = await onCreate({ passphrase: encrypt ? passphrase : "" });
+    setWorking(false);
+    if (submitError) setError(submitError);
+  };
+
+  const inputClass = "w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500";
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
+      <form onSubmit={handleSubmit} className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-md flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
+          <h3 className="font-semibold text-slate-800 dark:text-slate-200">Download workspace backup</h3>
+          <button type="button" onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300">×</button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-slate-600 dark:text-slate-300">
+            Saves all {analysisCount} {analysisCount === 1 ? "analysis" : "analyses"} (including the trash) and your settings in one file. GitHub tokens are never included.
+          </p>
+          <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-200">
+            <input type="checkbox" checked={encrypt} onChange={(e) => setEncrypt(e.target.checked)} />
+            Encrypt the backup with a passphrase
+          </label>
+          {secureCount > 0 && !encrypt && (
+            <p className="text-xs text-amber-700 dark:text-amber-400 bg-amber-50 dark:bg-amber-900/20 rounded-lg px-3 py-2">
+              {secureCount} secure {secureCount === 1 ? "task is" : "tasks are"} only included in encrypted backups.
+            </p>
+          )}
+          {encrypt && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1" htmlFor="backup-passphrase">Passphrase</label>
+                <input id="backup-passphrase" type="password" autoComplete="new-password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1" htmlFor="backup-passphrase-confirm">Confirm passphrase</label>
+                <input id="backup-passphrase-confirm" type="password" autoComplete="new-password" value={confirmPassphrase} onChange={(e) => setConfirmPassphrase(e.target.value)} className={inputClass} />
+              </div>
+              <p className="text-xs text-slate-500 dark:text-slate-400">The passphrase can't be recovered. Without it the backup can't be restored.</p>
+            </>
           )}
+          {error && <p className="text-sm text-red-600 dark:text-red-400" role="alert">{error}</p>}
         </div>
-      </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-slate-100 dark:border-slate-700 flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors">
+            Cancel
+          </button>
+          <button type="submit" disabled={working} className="px-4 py-2 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+            {working ? "Preparing..." : "Download"}
+          </button>
+        </div>
+      </form>
     </div>
   );
+};
+
+// Restore Backup Modal - unlock an encrypted backup, preview it and choose what to do per task
+const RestoreBackupModal = ({ restore, localAnalyses, onUnlock, onApply, onClose }) => {
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState("");
+  const [working, setWorking] = useState(false);
+  const [choices, setChoices] = useState({}); // id -> "add" | "replace" | "merge" | "skip"
+  const [restoreSettings, setRestoreSettings] = useState(false);
+
+  const contents = restore?.contents;
+  const localById = useMemo(() => new Map(localAnalyses.map((a) => [a.id, a])), [localAnalyses]);
+
+  // Default: add new tasks, merge into tasks that already exist
+  useEffect(() => {
+    if (!contents) return;
+    setChoices(Object.fromEntries(contents.analyses.map((a) => [a.id, localById.has(a.id) ? "merge" : "add"])));
+    setRestoreSettings(false);
+  }, [contents]);
+
+  useEffect(() => {
+    if (!restore) {
+      setPassphrase("");
+      setError("");
+    }
+  }, [restore]);
+
+  if (!restore) return null;
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    setError("");
+    const unlockError = await onUnlock(passphrase);
+    setWorking(false);
+    if (unlockError) setError(unlockError);
+  };
+
+  const selectedCount = Object.values(choices).filter((c) => c !== "skip").length;
+  const selectClass = "px-2 py-1 text-xs border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200";
 
   return (
-    <div>
-      <SectionHeader 
-        title={t.sections.acceptance || "Acceptance Criteria"} 
-        description="What must be true for this feature to be considered complete and successful?" 
-      />
-      {data.length > 0 && (
-        <div className="mb-4">
-          <div className="flex gap-2 flex-wrap">
-            <button
-              onClick={() => setStatusFilter("Not Started")}
-              className={`px-3 py-1.5 text-xs rounded transition-colors ${
-                statusFilter === "Not Started"
-                  ? "bg-slate-800 dark:bg-slate-600 text-white"
-                  : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
-              }`}
-            >
-              Not Started {notStartedCount > 0 && `(${notStartedCount})`}
-            </button>
-            <button
-              onClick={() => setStatusFilter("In Progress")}
-              className={`px-3 py-1.5 text-xs rounded transition-colors ${
-                statusFilter === "In Progress"
-                  ? "bg-slate-800 dark:bg-slate-600 text-white"
-                  : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
-              }`}
-            >
-              In Progress {inProgressCount > 0 && `(${inProgressCount})`}
-            </button>
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-2xl max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
+          <div>
+            <h3 className="font-semibold text-slate-800 dark:text-slate-200">Restore workspace backup</h3>
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              {restore.fileName} · created {new Date(restore.backup.createdAt).toLocaleString()}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300">×</button>
+        </div>
+
+        {!contents ? (
+          <form onSubmit={handleUnlock} className="p-6">
+            <p className="text-sm text-slate-600 dark:text-slate-300 mb-4">This backup is encrypted. Enter its passphrase to see what's inside.</p>
+            <input
+              type="password"
+              autoFocus
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              className="w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500"
+            />
+            {error && <p className="text-sm text-red-600 dark:text-red-400 mt-2" role="alert">{error}</p>}
             <button
-              onClick={() => setStatusFilter("Done")}
-              className={`px-3 py-1.5 text-xs rounded transition-colors ${
-                statusFilter === "Done"
-                  ? "bg-slate-800 dark:bg-slate-600 text-white"
-                  : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
-              }`}
+              type="submit"
+              disabled={working || !passphrase}
+              className="w-full mt-4 py-2.5 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
             >
-              Done {doneCount > 0 && `(${doneCount})`}
+              {working ? "Decrypting..." : "Open backup"}
             </button>
-          </div>
-        </div>
-      )}
-      {data.length === 0 && (
-        <div className="text-center py-8 text-slate-400 dark:text-slate-500 text-sm border border-dashed border-slate-200 dark:border-slate-600 rounded-lg mb-4">
-          No acceptance criteria defined yet.
-        </div>
-      )}
-      <div className="space-y-4 mb-4">
-        {priorities.map(priority => {
-          const items = groupedByPriority[priority];
-          if (!items || items.length === 0) return null;
-          return (
-            <div key={priority} className="space-y-3">
-              <h3 className="text-xs font-semibold text-slate-600 dark:text-slate-400 uppercase tracking-wide">
-                {priority}
-              </h3>
-              {items.map((item, i) => renderCriterion(item, i))}
+          </form>
+        ) : (
+          <>
+            {/* Content */}
+            <div className="flex-1 overflow-y-auto">
+              <ul className="divide-y divide-slate-100 dark:divide-slate-700">
+                {contents.analyses.map((a) => {
+                  const local = localById.get(a.id);
+                  return (
+                    <li key={a.id} className="px-6 py-3 flex items-center gap-3">
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center gap-2">
+                          <span className="text-sm font-medium text-slate-700 dark:text-slate-200 break-words">{a.name || "Untitled Design Task"}</span>
+                          {a.phase && <VersionBadge version={a.phase} size="xs" />}
+                          {a.secureMode && <LockIcon className="w-3 h-3 text-emerald-600 dark:text-emerald-400" />}
+                        </div>
+                        <div className="text-xs text-slate-500 dark:text-slate-400">
+                          Updated {new Date(a.updatedAt).toLocaleString()}
+                          {a.deletedAt && " · in trash"}
+                          {local
+                            ? ` · exists here (${local.updatedAt > a.updatedAt ? "local is newer" : local.updatedAt < a.updatedAt ? "backup is newer" : "same age"})`
+                            : " · not in this workspace"}
+                        </div>
+                      </div>
+                      <select
+                        value={choices[a.id] || "skip"}
+                        onChange={(e) => setChoices((prev) => ({ ...prev, [a.id]: e.target.value }))}
+                        className={selectClass}
+                        aria-label={`Restore action for ${a.name}`}
+                      >
+                        {local ? (
+                          <>
+                            <option value="merge">Merge</option>
+                            <option value="replace">Replace</option>
+                          </>
+                        ) : (
+                          <option value="add">Add</option>
+                        )}
+                        <option value="skip">Skip</option>
+                      </select>
+                    </li>
+                  );
+                })}
+              </ul>
             </div>
-          );
-        })}
+
+            {/* Footer */}
+            <div className="px-6 py-4 border-t border-slate-100 dark:border-slate-700 flex items-center justify-between gap-3">
+              <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+                <input type="checkbox" checked={restoreSettings} onChange={(e) => setRestoreSettings(e.target.checked)} />
+                Also restore settings
+              </label>
+              <div className="flex gap-2">
+                <button onClick={onClose} className="px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors">
+                  Cancel
+                </button>
+                <button
+                  onClick={() => onApply(choices, restoreSettings)}
+                  disabled={selectedCount === 0 && !restoreSettings}
+                  className="px-4 py-2 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Restore {selectedCount} {selectedCount === 1 ? "task" : "tasks"}
+                </button>
+              </div>
+            </div>
+          </>
+        )}
       </div>
-      <button 
-        onClick={addItem} 
-        className="text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-dashed border-slate-300 dark:border-slate-600 rounded-lg px-4 py-2 hover:border-slate-400 dark:hover:border-slate-500 transition-colors"
-      >
-        + Add criterion
-      </button>
     </div>
   );
 };
 
-const QuestionsSection = ({ data, language, onChange }) => {
-  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
-  const [statusFilter, setStatusFilter] = useState("Open");
-  const addItem = () =>
-    onChange([...data, { id: generateId(), text: "", type: "Stakeholder", status: "Open", answer: "", dependency: false, tags: [] }]);
-  const updateItem = (id, field, val) =>
-    onChange(data.map((item) => (item.id === id ? { ...item, [field]: val } : item)));
-  const removeItem = (id) => onChange(data.filter((item) => item.id !== id));
-  const openCount = data.filter((q) => q.status === "Open").length;
+// Gist Browser Modal - the user's analyses on the selected sync provider, for importing or deleting several at once
+const GistBrowserModal = ({ isOpen, provider, linkedGistIds, onImport, onDelete, onClose }) => {
+  const [gists, setGists] = useState([]);
+  const [phases, setPhases] = useState({}); // document id -> phase, when the list doesn't include it
+  const [selected, setSelected] = useState(new Set());
+  const [loading, setLoading] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState("");
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const list = await provider.list();
+      setGists(list);
+      setSelected((prev) => new Set([...prev].filter((id) => list.some((g) => g.id === id))));
+      // The gist list API doesn't include file contents; raw files don't count against the rate limit
+      list.filter((gist) => gist.rawUrl).forEach((gist) => {
+        fetch(gist.rawUrl)
+          .then((response) => (response.ok ? response.json() : null))
+          .then((data) => data && setPhases((prev) => ({ ...prev, [gist.id]: data.phase || "" })))
+          .catch(() => {});
+      });
+    } catch (err) {
+      setError(`Couldn't list your analyses: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [provider]);
 
-  const autoResize = (e) => {
-    e.target.style.height = "auto";
-    e.target.style.height = e.target.scrollHeight + "px";
-  };
+  useEffect(() => {
+    if (isOpen) refresh();
+    else setSelected(new Set());
+  }, [isOpen, refresh]);
 
-  const textareaRef = (el) => {
-    if (el) {
-      el.style.height = "auto";
-      el.style.height = el.scrollHeight + "px";
+  if (!isOpen) return null;
+
+  const toggle = (id) => setSelected((prev) => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+  const allSelected = gists.length > 0 && selected.size === gists.length;
+
+  const run = async (action) => {
+    setWorking(true);
+    try {
+      await action([...selected]);
+    } finally {
+      setWorking(false);
     }
   };
 
-  // Filter by status first
-  const filteredData = data.filter(item => item.status === statusFilter);
-  
-  // Group questions: non-dependencies first, then by type for dependencies
-  // Keep questions in main section if dependency is checked but no valid type selected yet
-  const nonDependencies = filteredData.filter(item => !item.dependency || (item.dependency && !QUESTION_TYPES.includes(item.type)));
-  const dependencies = filteredData.filter(item => item.dependency && QUESTION_TYPES.includes(item.type));
-  const groupedDependencies = QUESTION_TYPES.reduce((acc, type) => {
-    acc[type] = dependencies.filter(item => item.type === type);
-    return acc;
-  }, {});
+  const handleDelete = async () => {
+    const message = selected.size === 1
+      ? `Delete "${gists.find((g) => selected.has(g.id)).name}" from ${provider.label}? This can't be undone.`
+      : `Delete ${selected.size} analyses from ${provider.label}? This can't be undone.`;
+    if (!confirm(message)) return;
+    await run(onDelete);
+    await refresh();
+  };
 
-  const renderQuestion = (item, index, showNumber = true) => (
-    <div key={item.id} className={`p-3 rounded-lg border ${
-      item.status === "Answered" 
-        ? "bg-slate-50 dark:bg-slate-700 border-slate-100 dark:border-slate-600" 
-        : "bg-amber-50/30 dark:bg-amber-900/10 border-amber-200/60 dark:border-amber-800/40"
-    }`}>
-      <div className="flex gap-2 items-start">
-        {showNumber && <span className="text-xs text-slate-400 dark:text-slate-500 mt-2 font-mono w-5 shrink-0">{index + 1}</span>}
-        <div className="flex-1 space-y-2">
-          <textarea
-            ref={textareaRef}
-            className="w-full px-2 py-1.5 text-sm border border-slate-200 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 focus:outline-none focus:ring-1 focus:ring-slate-300 dark:focus:ring-slate-500 resize-none overflow-hidden"
-            style={{ minHeight: "36px" }}
-            placeholder="What do you need to find out?"
-            value={item.text}
-            onChange={(e) => {
-              updateItem(item.id, "text", e.target.value);
-              autoResize(e);
-            }}
-            onInput={autoResize}
-            rows={1}
-          />
-          <div className="flex gap-2 flex-wrap items-center">
-            <label className="flex items-center gap-1.5 text-xs text-slate-600 dark:text-slate-300 cursor-pointer">
-              <input
-                type="checkbox"
-                checked={item.dependency || false}
-                onChange={(e) => updateItem(item.id, "dependency", e.target.checked)}
-                className="rounded border-slate-300 dark:border-slate-600 text-slate-600 dark:text-slate-400 focus:ring-slate-300 dark:focus:ring-slate-500"
-              />
-              Dependency
-            </label>
-            {item.dependency && (
-              <select
-                className="px-2 py-1 text-xs border border-slate-200 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100"
-                value={QUESTION_TYPES.includes(item.type) ? item.type : ""}
-                onChange={(e) => updateItem(item.id, "type", e.target.value)}
-              >
-                {!QUESTION_TYPES.includes(item.type) && <option value="">Select type...</option>}
-                {QUESTION_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
-              </select>
-            )}
-            <select
-              className="px-2 py-1 text-xs border border-slate-200 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100"
-              value={item.status} onChange={(e) => updateItem(item.id, "status", e.target.value)}
-            >
-              {QUESTION_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
-            </select>
-            <label className="flex items-center gap-1.5 text-xs text-slate-600 dark:text-slate-300 cursor-pointer">
-              <input
-                type="checkbox"
-                checked={(item.tags || []).includes("B2B")}
-                onChange={(e) => {
-                  const tags = item.tags || [];
-                  updateItem(item.id, "tags", e.target.checked ? [...tags.filter(t => t !== "B2B"), "B2B"] : tags.filter(t => t !== "B2B"));
-                }}
-                className="rounded border-slate-300 dark:border-slate-600 text-slate-600 dark:text-slate-400 focus:ring-slate-300 dark:focus:ring-slate-500"
-              />
-              B2B
-            </label>
-            <label className="flex items-center gap-1.5 text-xs text-slate-600 dark:text-slate-300 cursor-pointer">
-              <input
-                type="checkbox"
-                checked={(item.tags || []).includes("B2C")}
-                onChange={(e) => {
-                  const tags = item.tags || [];
-                  updateItem(item.id, "tags", e.target.checked ? [...tags.filter(t => t !== "B2C"), "B2C"] : tags.filter(t => t !== "B2C"));
-                }}
-                className="rounded border-slate-300 dark:border-slate-600 text-slate-600 dark:text-slate-400 focus:ring-slate-300 dark:focus:ring-slate-500"
-              />
-              B2C
-            </label>
-          </div>
-          {item.status === "Answered" && (
-            <textarea
-              ref={textareaRef}
-              className="w-full px-2 py-1.5 text-sm border border-emerald-200 dark:border-emerald-800 rounded bg-emerald-50 dark:bg-emerald-900/20 text-slate-900 dark:text-slate-100 focus:outline-none focus:ring-1 focus:ring-emerald-300 dark:focus:ring-emerald-700 resize-none overflow-hidden"
-              style={{ minHeight: "36px" }}
-              placeholder="Answer..."
-              value={item.answer}
-              onChange={(e) => {
-                updateItem(item.id, "answer", e.target.value);
-                autoResize(e);
-              }}
-              onInput={autoResize}
-              rows={1}
-            />
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-3xl max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
+          <h3 className="font-semibold text-slate-800 dark:text-slate-200">My analyses - {provider.label}</h3>
+          <button onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300">×</button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto">
+          {error && <p className="px-6 pt-4 text-sm text-red-600 dark:text-red-400" role="alert">{error}</p>}
+          {loading && gists.length === 0 && <p className="px-6 py-4 text-sm text-slate-500 dark:text-slate-400">Loading…</p>}
+          {!loading && !error && gists.length === 0 && (
+            <p className="px-6 py-4 text-sm text-slate-500 dark:text-slate-400">No analyses saved from this app yet.</p>
+          )}
+          {gists.length > 0 && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-slate-500 dark:text-slate-400 border-b border-slate-100 dark:border-slate-700">
+                  <th className="px-6 py-2 w-8">
+                    <input
+                      type="checkbox"
+                      checked={allSelected}
+                      onChange={() => setSelected(allSelected ? new Set() : new Set(gists.map((g) => g.id)))}
+                      aria-label="Select all analyses"
+                    />
+                  </th>
+                  <th className="py-2 font-medium">Name</th>
+                  <th className="py-2 font-medium">Phase</th>
+                  <th className="py-2 font-medium">Last updated</th>
+                  <th className="px-6 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 dark:divide-slate-700">
+                {gists.map((gist) => (
+                  <tr key={gist.id} className="hover:bg-slate-50 dark:hover:bg-slate-700/50 cursor-pointer" onClick={() => toggle(gist.id)}>
+                    <td className="px-6 py-2.5">
+                      <input type="checkbox" checked={selected.has(gist.id)} onChange={() => toggle(gist.id)} onClick={(e) => e.stopPropagation()} aria-label={`Select ${gist.name}`} />
+                    </td>
+                    <td className="py-2.5 text-slate-700 dark:text-slate-200">
+                      {gist.name || "Untitled Design Task"}
+                      {linkedGistIds.has(gist.id) && <span className="ml-2 text-xs text-slate-400 dark:text-slate-500">in workspace</span>}
+                    </td>
+                    <td className="py-2.5">{(gist.phase ?? phases[gist.id]) && <VersionBadge version={gist.phase ?? phases[gist.id]} size="xs" />}</td>
+                    <td className="py-2.5 text-slate-500 dark:text-slate-400">{new Date(gist.updatedAt).toLocaleString()}</td>
+                    <td className="px-6 py-2.5 text-right">
+                      {gist.url && (
+                        <a
+                          href={gist.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          onClick={(e) => e.stopPropagation()}
+                          className="text-xs text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 underline whitespace-nowrap"
+                        >
+                          Open in GitHub
+                        </a>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
           )}
         </div>
-        <button onClick={() => removeItem(item.id)} className="text-slate-300 dark:text-slate-600 hover:text-red-400 dark:hover:text-red-500 text-lg mt-1 px-1">×</button>
-      </div>
-    </div>
-  );
 
-  return (
-    <div>
-      <SectionHeader title={t.sections.questions} description="What you don't know. Surface these early — they're your blocker list." />
-      {data.length > 0 && (
-        <div className="flex items-center justify-end mb-4">
-          <div className="flex gap-1">
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-slate-100 dark:border-slate-700 flex items-center justify-between gap-3">
+          <button onClick={refresh} disabled={loading || working} className="text-xs text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-200 disabled:opacity-50">
+            {loading ? "Refreshing..." : "Refresh"}
+          </button>
+          <div className="flex gap-2">
             <button
-              onClick={() => setStatusFilter("Open")}
-              className={`px-2 py-1 text-xs rounded ${
-                statusFilter === "Open" ? "bg-slate-800 dark:bg-slate-600 text-white" : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
-              }`}
+              onClick={handleDelete}
+              disabled={working || selected.size === 0}
+              className="px-4 py-2 text-sm text-red-600 dark:text-red-400 border border-red-200 dark:border-red-800 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              Open
+              Delete{selected.size > 0 && ` (${selected.size})`}
             </button>
             <button
-              onClick={() => setStatusFilter("Answered")}
-              className={`px-2 py-1 text-xs rounded ${
-                statusFilter === "Answered" ? "bg-slate-800 dark:bg-slate-600 text-white" : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
-              }`}
+              onClick={() => run(onImport)}
+              disabled={working || selected.size === 0}
+              className="px-4 py-2 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              Answered
+              {working ? "Working..." : `Import${selected.size > 0 ? ` (${selected.size})` : ""}`}
             </button>
           </div>
         </div>
-      )}
-      {data.length === 0 && (
-        <div className="text-center py-8 text-slate-400 dark:text-slate-500 text-sm border border-dashed border-slate-200 dark:border-slate-600 rounded-lg mb-4">
-          No questions logged yet.
+      </div>
+    </div>
+  );
+};
+
+// Gist Passphrase Modal - the passphrase for an end-to-end encrypted gist, shared out-of-band
+const GistPassphraseModal = ({ prompt, onSubmit, onClose }) => {
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmPassphrase, setConfirmPassphrase] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setPassphrase("");
+    setConfirmPassphrase("");
+    setError("");
+  }, [prompt]);
+
+  if (!prompt) return null;
+
+  const isEncrypt = prompt.mode === "encrypt";
+  const isLink = prompt.kind === "link";
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isEncrypt) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+        return;
+      }
+      if (passphrase !== confirmPassphrase) {
+        setError("Passphrases don't match.");
+        return;
+      }
+    }
+    onSubmit(passphrase);
+  };
+
+  const inputClass = "w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500";
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
+      <form onSubmit={handleSubmit} className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-md flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
+          <h3 className="font-semibold text-slate-800 dark:text-slate-200 flex items-center gap-2">
+            <LockIcon className="w-4 h-4 text-emerald-600 dark:text-emerald-400" />
+            {isEncrypt ? "Encrypt gist" : isLink ? "Encrypted link" : "Encrypted gist"}
+          </h3>
+          <button type="button" onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300">×</button>
         </div>
-      )}
-      <div className="space-y-4 mb-4">
-        {nonDependencies.length > 0 && (
-          <div className="space-y-3">
-            {nonDependencies.map((item, i) => renderQuestion(item, i))}
+
+        {/* Content */}
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-slate-600 dark:text-slate-300">
+            {isEncrypt
+              ? `"${prompt.name}" is a secure task, so it's encrypted in your browser before it's sent to GitHub. Choose a passphrase and share it with collaborators through another channel.`
+              : isLink
+                ? "This shared link is end-to-end encrypted. Enter the passphrase the sender gave you to import a copy."
+                : `${prompt.name ? `"${prompt.name}" is` : "This gist is"} end-to-end encrypted. Enter the passphrase it was shared with.`}
+          </p>
+          {isEncrypt && (
+            <p className="text-xs text-amber-700 dark:text-amber-400 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-3">
+              This passphrase is separate from your vault passphrase and is never stored. Without it the gist can't be opened.
+            </p>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1" htmlFor="gist-passphrase">Passphrase</label>
+            <input id="gist-passphrase" type="password" autoFocus autoComplete={isEncrypt ? "new-password" : "off"} value={passphrase} onChange={(e) => setPassphrase(e.target.value)} className={inputClass} />
           </div>
-        )}
-        {QUESTION_TYPES.map(type => {
-          const items = groupedDependencies[type];
-          if (!items || items.length === 0) return null;
-          return (
-            <div key={type} className="space-y-3">
-              <h3 className="text-xs font-semibold text-slate-600 dark:text-slate-400 uppercase tracking-wide mt-6">{type}</h3>
-              {items.map((item) => renderQuestion(item, 0, false))}
+          {isEncrypt && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1" htmlFor="gist-passphrase-confirm">Confirm passphrase</label>
+              <input id="gist-passphrase-confirm" type="password" autoComplete="new-password" value={confirmPassphrase} onChange={(e) => setConfirmPassphrase(e.target.value)} className={inputClass} />
             </div>
-          );
-        })}
+          )}
+          {(error || prompt.message) && <p className="text-sm text-red-600 dark:text-red-400" role="alert">{error || prompt.message}</p>}
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-slate-100 dark:border-slate-700 flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors">
+            Cancel
+          </button>
+          <button type="submit" disabled={!passphrase} className="px-4 py-2 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+            {isEncrypt ? "Encrypt and save" : "Unlock"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Shared Task Viewer - a task from a share link, read-only until it's imported as a copy
+const SharedTaskViewer = ({ analysis, onImport, onClose }) => {
+  if (!analysis) return null;
+
+  return (
+    <div className="fixed inset-0 bg-slate-50 dark:bg-slate-900 z-50 flex flex-col">
+      {/* Header */}
+      <div className="flex items-center justify-between gap-4 px-6 py-4 bg-white dark:bg-slate-800 border-b border-slate-200 dark:border-slate-700">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2">
+            <h2 className="font-semibold text-slate-800 dark:text-slate-200 truncate">{analysis.name}</h2>
+            <span className="shrink-0 px-2 py-0.5 text-xs text-slate-600 dark:text-slate-300 bg-slate-100 dark:bg-slate-700 rounded-full">Read-only</span>
+            {analysis.secureMode && (
+              <span className="shrink-0 flex items-center gap-1 px-2 py-0.5 text-xs text-emerald-700 dark:text-emerald-400 bg-emerald-50 dark:bg-emerald-900/20 rounded-full">
+                <LockIcon className="w-3 h-3" />
+                Secure
+              </span>
+            )}
+          </div>
+          <p className="text-xs text-slate-500 dark:text-slate-400 mt-0.5">
+            Shared with you. Nothing is added to your workspace unless you import it.
+          </p>
+        </div>
+        <div className="flex gap-2 shrink-0">
+          <button onClick={onClose} className="px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors">
+            Close
+          </button>
+          <button onClick={() => onImport(analysis)} className="px-4 py-2 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors">
+            Import as copy
+          </button>
+        </div>
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-y-auto">
+        <div className="max-w-3xl mx-auto px-6 py-8 space-y-12">
+          {SECTIONS.map((section) => (
+            <section key={section.id} aria-labelledby={`shared-${section.id}`}>
+              <h3 id={`shared-${section.id}`} className="text-xs font-semibold uppercase tracking-wide text-slate-400 dark:text-slate-500 mb-4">
+                {section.label}
+              </h3>
+              <SectionPreview analysis={analysis} sectionId={section.id} />
+            </section>
+          ))}
+        </div>
       </div>
-      <button onClick={addItem} className="text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-dashed border-slate-300 dark:border-slate-600 rounded-lg px-4 py-2 hover:border-slate-400 dark:hover:border-slate-500 transition-colors">
-        + Add question
-      </button>
     </div>
   );
 };
 
-const ActionsSection = ({ data, onChange }) => {
-  const [statusFilter, setStatusFilter] = useState("To Do");
-  const [expandedNotes, setExpandedNotes] = useState({});
-  const addItem = () => onChange([...data, { id: generateId(), text: "", completed: false, note: "" }]);
-  const updateItem = (id, field, val) =>
-    onChange(data.map((item) => (item.id === id ? { ...item, [field]: val } : item)));
-  const removeItem = (id) => onChange(data.filter((item) => item.id !== id));
-  const toggleNote = (id) => setExpandedNotes(prev => ({ ...prev, [id]: !prev[id] }));
+// Share Modal - a link to a copy of the active task, plain or encrypted with a passphrase
+const ShareModal = ({ isOpen, analysis, onClose, onShareViaGist }) => {
+  const [encrypted, setEncrypted] = useState(false);
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmPassphrase, setConfirmPassphrase] = useState("");
+  const [link, setLink] = useState("");
+  const [error, setError] = useState("");
+  const [working, setWorking] = useState(false);
 
-  const autoResize = (e) => {
-    e.target.style.height = "auto";
-    e.target.style.height = e.target.scrollHeight + "px";
+  useEffect(() => {
+    setEncrypted(!!analysis?.secureMode);
+    setPassphrase("");
+    setConfirmPassphrase("");
+    setLink("");
+    setError("");
+  }, [isOpen, analysis?.id, analysis?.secureMode]);
+
+  if (!isOpen || !analysis) return null;
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (encrypted) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+        return;
+      }
+      if (passphrase !== confirmPassphrase) {
+        setError("Passphrases don't match.");
+        return;
+      }
+    }
+    setWorking(true);
+    try {
+      setLink(encrypted ? await createEncryptedShareLink(analysis, passphrase) : await createPlainShareLink(analysis));
+    } catch (err) {
+      setError(`Couldn't create the link: ${err.message}`);
+    } finally {
+      setWorking(false);
+    }
   };
 
-  const textareaRef = (el) => {
-    if (el) {
-      el.style.height = "auto";
-      el.style.height = el.scrollHeight + "px";
+  const handleCopy = () => {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(link).then(() => {
+        alert(encrypted
+          ? "Encrypted link copied to clipboard! Send the passphrase through a different channel."
+          : "Share link copied to clipboard! Anyone with this link can view this analysis.");
+      }).catch((err) => {
+        console.error("Clipboard write failed:", err);
+        prompt("Copy this share link:", link);
+      });
+    } else {
+      prompt("Copy this share link:", link);
     }
   };
 
-  const completedCount = data.filter(item => item.completed).length;
-  const filteredData = statusFilter === "To Do" 
-    ? data.filter(item => !item.completed)
-    : data.filter(item => item.completed);
+  const inputClass = "w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500";
+  const optionClass = (selected) => `w-full px-4 py-3 text-left border-2 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+    selected
+      ? "border-slate-800 dark:border-slate-300 bg-slate-50 dark:bg-slate-700"
+      : "border-slate-200 dark:border-slate-600 hover:border-slate-400 dark:hover:border-slate-500"
+  }`;
 
   return (
-    <div>
-      {data.length > 0 && (
-        <div className="flex items-center justify-between mb-4">
-          <p className="text-sm text-slate-600 dark:text-slate-300">{completedCount} of {data.length} completed</p>
-          <div className="flex gap-1">
-            <button
-              onClick={() => setStatusFilter("To Do")}
-              className={`px-2 py-1 text-xs rounded ${
-                statusFilter === "To Do" ? "bg-slate-800 dark:bg-slate-600 text-white" : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
-              }`}
-            >
-              To Do
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
+      <form onSubmit={handleCreate} className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-md flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
+          <h3 className="font-semibold text-slate-800 dark:text-slate-200">Share "{analysis.name}"</h3>
+          <button type="button" onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300">×</button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-slate-600 dark:text-slate-300">
+            The recipient imports an independent copy. Later changes on either side aren't shared.
+          </p>
+          <div className="space-y-2">
+            <button type="button" onClick={() => { setEncrypted(false); setLink(""); }} disabled={analysis.secureMode} className={optionClass(!encrypted)}>
+              <div className="font-medium text-sm text-slate-800 dark:text-slate-200">Plain link</div>
+              <div className="text-xs text-slate-500 dark:text-slate-400">
+                {analysis.secureMode
+                  ? "Not available for secure tasks."
+                  : "Readable by anyone who sees the URL, including browser history and proxy logs."}
+              </div>
             </button>
-            <button
-              onClick={() => setStatusFilter("Done")}
-              className={`px-2 py-1 text-xs rounded ${
-                statusFilter === "Done" ? "bg-slate-800 dark:bg-slate-600 text-white" : "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600"
-              }`}
-            >
-              Done
+            <button type="button" onClick={() => { setEncrypted(true); setLink(""); }} className={optionClass(encrypted)}>
+              <div className="font-medium text-sm text-slate-800 dark:text-slate-200 flex items-center gap-1.5">
+                <LockIcon className="w-3.5 h-3.5 text-emerald-600 dark:text-emerald-400" />
+                Encrypted link
+              </div>
+              <div className="text-xs text-slate-500 dark:text-slate-400">
+                Encrypted in your browser and kept in the part of the URL that's never sent to a server. The recipient needs the passphrase.
+              </div>
             </button>
           </div>
+          {encrypted && !link && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1" htmlFor="share-passphrase">Passphrase</label>
+                <input id="share-passphrase" type="password" autoComplete="new-password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1" htmlFor="share-passphrase-confirm">Confirm passphrase</label>
+                <input id="share-passphrase-confirm" type="password" autoComplete="new-password" value={confirmPassphrase} onChange={(e) => setConfirmPassphrase(e.target.value)} className={inputClass} />
+              </div>
+              <p className="text-xs text-amber-700 dark:text-amber-400 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-3">
+                Share the passphrase through a different channel than the link. It isn't stored anywhere.
+              </p>
+            </>
+          )}
+          {link && (
+            <textarea readOnly value={link} rows={3} onFocus={(e) => e.target.select()} className={`${inputClass} font-mono text-xs break-all`} />
+          )}
+          {link.length > SHARE_LINK_MAX_LENGTH && (
+            <div className="text-xs text-amber-700 dark:text-amber-400 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-3 space-y-2">
+              <p>
+                This link is {link.length.toLocaleString()} characters even after compression. Many browsers, chat tools and
+                mail clients cut links longer than {SHARE_LINK_MAX_LENGTH.toLocaleString()} characters, so it may not open.
+                Save the task to a gist and share the gist ID instead.
+              </p>
+              <button type="button" onClick={onShareViaGist} className="font-medium underline hover:no-underline">
+                Share through GitHub Gist
+              </button>
+            </div>
+          )}
+          {error && <p className="text-sm text-red-600 dark:text-red-400" role="alert">{error}</p>}
         </div>
-      )}
-      {data.length === 0 && (
-        <div className="text-center py-8 text-slate-400 dark:text-slate-500 text-sm border border-dashed border-slate-200 dark:border-slate-600 rounded-lg mb-4">
-          No action items yet. Add tasks below.
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-slate-100 dark:border-slate-700 flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors">
+            Close
+          </button>
+          {link ? (
+            <button type="button" onClick={handleCopy} className="px-4 py-2 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors">
+              Copy link
+            </button>
+          ) : (
+            <button type="submit" disabled={working || (encrypted && !passphrase)} className="px-4 py-2 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+              {working ? "Encrypting..." : "Create link"}
+            </button>
+          )}
         </div>
-      )}
-      <div className="space-y-2 mb-4">
-        {filteredData.map((item) => (
-          <div key={item.id} className={`rounded-lg ${item.completed ? 'bg-green-50 dark:bg-green-900/20' : 'bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600'}`}>
-            <div className="flex gap-3 items-start p-3">
-              <input
-                type="checkbox"
-                checked={item.completed}
-                onChange={(e) => updateItem(item.id, "completed", e.target.checked)}
-                className={`w-5 h-5 mt-1 rounded focus:ring-2 shrink-0 ${item.completed ? 'border-green-400 dark:border-green-500 text-green-600 dark:text-green-500 focus:ring-green-400 dark:focus:ring-green-500' : 'border-slate-300 dark:border-slate-500 text-slate-800 dark:text-slate-200 focus:ring-slate-400 dark:focus:ring-slate-500'}`}
-              />
-              <div className="flex-1 min-w-0">
-                <textarea
-                  ref={textareaRef}
-                  className={`w-full text-sm border-none bg-transparent focus:outline-none resize-none overflow-hidden ${item.completed ? 'text-green-700 dark:text-green-400' : 'text-slate-900 dark:text-slate-100'}`}
-                  style={{ minHeight: "24px" }}
-                  placeholder="Describe the action..."
-                  value={item.text}
-                  onChange={(e) => {
-                    updateItem(item.id, "text", e.target.value);
-                    autoResize(e);
-                  }}
-                  onInput={autoResize}
-                  rows={1}
-                />
-                {expandedNotes[item.id] && (
-                  <textarea
-                    ref={textareaRef}
-                    className="w-full mt-2 px-2 py-1.5 text-xs bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-600 rounded focus:outline-none focus:ring-2 focus:ring-slate-300 dark:focus:ring-slate-500 resize-none overflow-hidden text-slate-900 dark:text-slate-100"
-                    style={{ minHeight: "36px" }}
-                    placeholder="Add a note or link..."
-                    value={item.note || ""}
-                    onChange={(e) => {
-                      updateItem(item.id, "note", e.target.value);
-                      autoResize(e);
-                    }}
-                    onInput={autoResize}
-                    rows={1}
-                  />
-                )}
+      </form>
+    </div>
+  );
+};
+
+// Gist Merge Modal - pick a side for every field changed both locally and in the gist
+const GistMergeModal = ({ merge, onResolve, onClose }) => {
+  const [choices, setChoices] = useState([]); // true = use the gist's value
+
+  useEffect(() => {
+    if (merge) setChoices(merge.conflicts.map(() => false));
+  }, [merge]);
+
+  if (!merge) return null;
+
+  const columnClass = (selected) => `flex-1 min-w-0 text-left p-3 rounded-lg border text-sm transition-colors ${
+    selected
+      ? "border-slate-800 dark:border-slate-300 bg-slate-50 dark:bg-slate-700"
+      : "border-slate-200 dark:border-slate-600 hover:border-slate-300 dark:hover:border-slate-500"
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-3xl max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
+          <div>
+            <h3 className="font-semibold text-slate-800 dark:text-slate-200">Merge changes from the gist</h3>
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              {merge.conflicts.length} {merge.conflicts.length === 1 ? "field was" : "fields were"} changed both here and in the gist since your last sync. Everything else has been merged.
+            </p>
+          </div>
+          <button onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300">×</button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          {merge.conflicts.map((conflict, i) => (
+            <div key={conflict.path.join("/")}>
+              <div className="text-xs font-semibold text-slate-600 dark:text-slate-300 mb-2">{describeMergePath(merge.merged, conflict.path)}</div>
+              <div className="flex gap-3">
+                <button onClick={() => setChoices((prev) => prev.map((c, j) => (j === i ? false : c)))} className={columnClass(!choices[i])}>
+                  <div className="text-[10px] uppercase tracking-wider text-slate-400 dark:text-slate-500 mb-1">This device</div>
+                  <div className="text-slate-700 dark:text-slate-200 whitespace-pre-wrap break-words">{diffValueText(conflict.local) || <em className="text-slate-400">empty</em>}</div>
+                </button>
+                <button onClick={() => setChoices((prev) => prev.map((c, j) => (j === i ? true : c)))} className={columnClass(choices[i])}>
+                  <div className="text-[10px] uppercase tracking-wider text-slate-400 dark:text-slate-500 mb-1">Gist</div>
+                  <div className="text-slate-700 dark:text-slate-200 whitespace-pre-wrap break-words">{diffValueText(conflict.remote) || <em className="text-slate-400">empty</em>}</div>
+                </button>
               </div>
-              <div className="flex items-center gap-1">
-                {item.completed && (
+            </div>
+          ))}
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-slate-100 dark:border-slate-700 flex items-center justify-between gap-3">
+          <div className="flex gap-3 text-xs">
+            <button onClick={() => setChoices(merge.conflicts.map(() => false))} className="text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-200">Keep all mine</button>
+            <button onClick={() => setChoices(merge.conflicts.map(() => true))} className="text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-200">Take all from gist</button>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={onClose} className="px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors">
+              Cancel
+            </button>
+            <button onClick={() => onResolve(choices)} className="px-4 py-2 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors">
+              {merge.mode === "save" ? "Merge and save" : "Merge"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const PeopleIcon = ({ className = "w-4 h-4" }) => (
+  <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+  </svg>
+);
+
+// Collab Modal - start, join and leave a live editing session through the relay
+const CollabModal = ({ isOpen, settings, onSettingsChange, session, peers, active, initialRoom, onStart, onJoin, onLeave, onClose }) => {
+  const [room, setRoom] = useState("");
+
+  useEffect(() => {
+    if (isOpen && initialRoom) setRoom(initialRoom);
+  }, [isOpen, initialRoom]);
+
+  if (!isOpen) return null;
+
+  const inviteLink = session &&
+    `${window.location.origin}${window.location.pathname}?collab=${session.room}&relay=${encodeURIComponent(settings.relayUrl.trim())}`;
+  const sectionLabel = (id) => SECTIONS.find((s) => s.id === id)?.label || "another task";
+  const inputClass = "w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500 disabled:opacity-50";
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-md max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
+          <h3 className="font-semibold text-slate-800 dark:text-slate-200">Live session</h3>
+          <button onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300">×</button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          {session ? (
+            <>
+              <p className="text-sm text-slate-600 dark:text-slate-300">
+                {session.status === "waiting"
+                  ? "Waiting for someone in the session to send the task…"
+                  : "Everyone in this session edits the same task. Changes appear for the others as you type."}
+              </p>
+              {session.error && <p className="text-sm text-amber-700 dark:text-amber-400" role="alert">{session.error}</p>}
+              <div>
+                <label className="text-sm text-slate-700 dark:text-slate-200 mb-1 block font-medium">Room code</label>
+                <div className="flex gap-2">
+                  <input readOnly value={session.room} className={`${inputClass} font-mono`} onFocus={(e) => e.target.select()} />
                   <button
-                    onClick={() => toggleNote(item.id)}
-                    className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300 text-sm shrink-0"
+                    onClick={() => navigator.clipboard.writeText(inviteLink).then(() => alert("Invite link copied to clipboard!"))}
+                    className="px-3 py-2 text-sm text-slate-700 dark:text-slate-200 border border-slate-300 dark:border-slate-600 rounded hover:border-slate-400 dark:hover:border-slate-500 whitespace-nowrap"
                   >
-                    {expandedNotes[item.id] ? '⌄' : '⌃'}
+                    Copy invite link
                   </button>
+                </div>
+              </div>
+              <div>
+                <div className="text-sm text-slate-700 dark:text-slate-200 mb-2 font-medium">Participants</div>
+                <ul className="space-y-1.5 text-sm">
+                  <li className="flex items-center gap-2 text-slate-700 dark:text-slate-200">
+                    <span className="w-2.5 h-2.5 rounded-full bg-slate-400" />
+                    {settings.name || "You"} <span className="text-xs text-slate-400">(you)</span>
+                  </li>
+                  {Object.entries(peers).map(([client, peer]) => (
+                    <li key={client} className="flex items-center gap-2 text-slate-700 dark:text-slate-200">
+                      <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: peer.color }} />
+                      {peer.name}
+                      <span className="text-xs text-slate-400">{peer.section ? `in ${sectionLabel(peer.section)}` : "on another task"}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </>
+          ) : (
+            <>
+              <div>
+                <label className="text-sm text-slate-700 dark:text-slate-200 mb-1 block font-medium">Relay URL</label>
+                <input
+                  type="url"
+                  placeholder="http://localhost:8788"
+                  value={settings.relayUrl}
+                  onChange={(e) => onSettingsChange({ ...settings, relayUrl: e.target.value })}
+                  className={inputClass}
+                />
+                <input
+                  type="password"
+                  placeholder="Relay token (if required)"
+                  value={settings.relayToken}
+                  onChange={(e) => onSettingsChange({ ...settings, relayToken: e.target.value })}
+                  className={`${inputClass} mt-2`}
+                />
+              </div>
+              <div>
+                <label className="text-sm text-slate-700 dark:text-slate-200 mb-1 block font-medium">Your name</label>
+                <input
+                  type="text"
+                  placeholder="Shown to the others in the session"
+                  value={settings.name}
+                  onChange={(e) => onSettingsChange({ ...settings, name: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div className="pt-2 border-t border-slate-100 dark:border-slate-700">
+                <button
+                  onClick={onStart}
+                  disabled={!settings.relayUrl.trim() || !active || active.secureMode}
+                  className="w-full py-2.5 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                >
+                  Start a session for "{active?.name}"
+                </button>
+                {active?.secureMode && (
+                  <p className="text-xs text-emerald-700 dark:text-emerald-400 mt-1.5 flex gap-1.5">
+                    <LockIcon className="w-3.5 h-3.5 shrink-0 mt-0.5" />
+                    Secure tasks can't be edited live: the relay would see their content.
+                  </p>
                 )}
+              </div>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  placeholder="Room code"
+                  value={room}
+                  onChange={(e) => setRoom(e.target.value.trim())}
+                  className={`${inputClass} font-mono`}
+                />
                 <button
-                  onClick={() => removeItem(item.id)}
-                  className="text-slate-300 dark:text-slate-600 hover:text-red-400 dark:hover:text-red-500 text-lg shrink-0"
+                  onClick={() => onJoin(room)}
+                  disabled={!settings.relayUrl.trim() || !room}
+                  className="px-4 py-2 text-sm text-slate-700 dark:text-slate-200 border border-slate-300 dark:border-slate-600 rounded hover:border-slate-400 dark:hover:border-slate-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
                 >
-                  ×
+                  Join
                 </button>
               </div>
-            </div>
-          </div>
-        ))}
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-slate-100 dark:border-slate-700 flex justify-end gap-2">
+          {session && (
+            <button
+              onClick={onLeave}
+              className="px-4 py-2 text-sm text-red-600 dark:text-red-400 border border-red-200 dark:border-red-800 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+            >
+              Leave session
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors"
+          >
+            Close
+          </button>
+        </div>
       </div>
-      <button onClick={addItem} className="text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-slate-50 border border-dashed border-slate-300 dark:border-slate-600 rounded-lg px-4 py-2.5 hover:border-slate-400 dark:hover:border-slate-500 transition-colors font-medium">
-        + Add Action
-      </button>
     </div>
   );
 };
 
-const NotesSection = ({ data, language, onChange }) => {
-  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
+// Import Markdown Modal Component
+const ImportMarkdownModal = ({ isOpen, onClose, onImportNew, onImportExisting, analysisName }) => {
+  if (!isOpen) return null;
+
   return (
-  <div>
-    <SectionHeader title={t.sections.notes} description="Additional notes, observations, or reminders about this requirement." />
-    <Field label="Notes" multiline hint="Use this space for any additional information that doesn't fit elsewhere." rows={10} value={data} onChange={onChange} />
-  </div>
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-md flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
+          <h3 className="font-semibold text-slate-800 dark:text-slate-200">Import Markdown</h3>
+          <button onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300">×</button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6">
+          <p className="text-sm text-slate-600 dark:text-slate-300 mb-6">
+            Choose how to import this markdown file:
+          </p>
+
+          <div className="space-y-3">
+            <button
+              onClick={onImportNew}
+              className="w-full px-4 py-3 text-left border-2 border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 hover:bg-slate-50 dark:hover:bg-slate-700 transition-colors"
+            >
+              <div className="font-medium text-slate-800 dark:text-slate-200 mb-1">Create New Task</div>
+              <div className="text-sm text-slate-500 dark:text-slate-400">Import as a new design task</div>
+            </button>
+
+            <button
+              onClick={onImportExisting}
+              className="w-full px-4 py-3 text-left border-2 border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 hover:bg-slate-50 dark:hover:bg-slate-700 transition-colors"
+            >
+              <div className="font-medium text-slate-800 dark:text-slate-200 mb-1">Add to Current Task</div>
+              <div className="text-sm text-slate-500 dark:text-slate-400">Merge with "{analysisName}"</div>
+            </button>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-slate-100 dark:border-slate-700 flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
   );
 };
 
-const MappingSection = ({ data, language, onChange }) => {
-  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
+// AI Settings Modal - which OpenAI-compatible endpoint the analyzers use
+const AiSettingsModal = ({ isOpen, provider, apiKey, onProviderChange, onApiKeyChange, onClose }) => {
+  if (!isOpen) return null;
+
+  const keyScope = aiKeyScope(provider);
+  const update = (changes) => onProviderChange({ ...provider, ...changes });
+  const handlePresetChange = (preset) => {
+    const { label: _label, ...settings } = AI_PROVIDER_PRESETS[preset] || {};
+    onProviderChange({ ...provider, ...settings, preset });
+  };
+
+  const inputClass = "w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500";
+  const labelClass = "block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1";
+
   return (
-  <div>
-    <SectionHeader title={t.sections.mapping} description="Visual mapping and conceptual diagrams for this requirement." />
-    <div className="mb-4">
-      <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Figjam/Figma Embed URL</label>
-      <input
-        type="text"
-        value={data.figmaUrl || ""}
-        onChange={(e) => onChange({ ...data, figmaUrl: e.target.value })}
-        placeholder="https://embed.figma.com/..."
-        className="w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400"
-      />
-      <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">Paste a Figjam or Figma embed URL to display your mapping board</p>
-    </div>
-    {data.figmaUrl && (
-      <div className="-mx-6">
-        <div className="border-t border-b border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 w-full" style={{ height: "calc(100vh - 280px)", minHeight: "600px" }}>
-          <iframe
-            style={{ border: "1px solid rgba(0, 0, 0, 0.1)" }}
-            width="100%"
-            height="100%"
-            src={data.figmaUrl}
-            allowFullScreen
-            className="w-full h-full"
-          />
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-lg flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
+          <h3 className="font-semibold text-slate-800 dark:text-slate-200">AI settings</h3>
+          <button onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300">×</button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4">
+          <div>
+            <label className={labelClass} htmlFor="ai-preset">Provider</label>
+            <select id="ai-preset" value={provider.preset} onChange={(e) => handlePresetChange(e.target.value)} className={inputClass}>
+              {Object.entries(AI_PROVIDER_PRESETS).map(([id, preset]) => (
+                <option key={id} value={id}>{preset.label}</option>
+              ))}
+              <option value="custom">Custom endpoint</option>
+            </select>
+            <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+              {provider.preset === "github" && "Uses a GitHub Personal Access Token."}
+              {provider.preset === "azure" && "Replace the resource and deployment names in the endpoint, and use a key from the Azure portal."}
+              {provider.preset === "local" && "A model server on your machine or network, such as Ollama or LM Studio. Nothing is sent to the internet."}
+              {provider.preset === "custom" && "Any server with an OpenAI-compatible chat completions API."}
+            </p>
+          </div>
+          <div>
+            <label className={labelClass} htmlFor="ai-endpoint">Endpoint URL</label>
+            <input id="ai-endpoint" type="url" value={provider.endpoint} onChange={(e) => update({ endpoint: e.target.value })} className={`${inputClass} font-mono text-xs`} />
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className={labelClass} htmlFor="ai-model">Model</label>
+              <input id="ai-model" type="text" value={provider.model} onChange={(e) => update({ model: e.target.value })} className={inputClass} />
+            </div>
+            <div>
+              <label className={labelClass} htmlFor="ai-auth">Authentication</label>
+              <select id="ai-auth" value={provider.authStyle} onChange={(e) => update({ authStyle: e.target.value })} className={inputClass}>
+                {Object.entries(AI_AUTH_STYLES).map(([id, label]) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {provider.authStyle !== "none" && (
+            <div>
+              <label className={labelClass} htmlFor="ai-key">{provider.preset === "github" ? "GitHub token" : "API key"}</label>
+              <input
+                id="ai-key"
+                type="password"
+                autoComplete="off"
+                placeholder={provider.preset === "github" ? "github_pat_... or ghp_..." : ""}
+                value={apiKey}
+                onChange={(e) => onApiKeyChange(e.target.value)}
+                disabled={!keyScope}
+                className={`${inputClass} disabled:opacity-50`}
+              />
+              <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                {keyScope
+                  ? `Only sent to ${keyScope}. Other endpoints keep their own key.`
+                  : "Enter a valid endpoint URL first."}
+              </p>
+            </div>
+          )}
+          <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+            <input type="checkbox" checked={!!provider.vision} onChange={(e) => update({ vision: e.target.checked })} className="rounded" />
+            The model can read images
+          </label>
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-slate-100 dark:border-slate-700 flex justify-between gap-2">
+          <button
+            onClick={() => onApiKeyChange("")}
+            disabled={!apiKey}
+            className="px-4 py-2 text-sm text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Clear key
+          </button>
+          <button onClick={onClose} className="px-4 py-2 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors">
+            Done
+          </button>
         </div>
       </div>
-    )}
-  </div>
+    </div>
   );
 };
 
-const SummarySection = ({ data, language, onChange, onGenerateAIBrief }) => {
-  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
-  return (
-  <div>
-    <SectionHeader title={t.sections.summary} description="Your overall assessment and what needs to happen next." />
-    <Select label={t.fields.confidence} hint="How ready is this requirement for design?" value={data.confidence} options={CONFIDENCE_LEVELS} onChange={(v) => onChange({ ...data, confidence: v })} />
-    <Field label={t.fields.concerns} multiline hint="What worries you most about this requirement?" value={data.concerns} onChange={(v) => onChange({ ...data, concerns: v })} />
-    <Field label={t.fields.nextSteps} multiline hint="What actions should happen before design work begins?" rows={4} value={data.nextSteps} onChange={(v) => onChange({ ...data, nextSteps: v })} />
-    
-    {/* AI Design Brief Button */}
-    <div className="mt-6 pt-4 border-t border-slate-200 dark:border-slate-700">
+// Which AI provider an analysis will use, or how to set one up
+const AiProviderStatus = ({ ai, fallbackText, onOpenSettings, className = "" }) => (
+  ai ? (
+    <div className={`p-4 bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg flex items-start justify-between ${className}`}>
+      <div className="flex-1">
+        <p className="text-sm font-medium text-slate-800 dark:text-slate-200 mb-1">AI: {ai.label}</p>
+        <p className="text-xs text-slate-600 dark:text-slate-400">
+          Model {ai.model}{ai.vision ? "" : ", text only"}
+        </p>
+      </div>
       <button
-        onClick={onGenerateAIBrief}
-        className="w-full px-4 py-3 text-sm bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 dark:from-purple-700 dark:to-blue-700 dark:hover:from-purple-800 dark:hover:to-blue-800 text-white rounded-lg transition-all font-medium flex items-center justify-center gap-2 shadow-lg hover:shadow-xl"
+        onClick={onOpenSettings}
+        className="ml-4 px-3 py-1 text-xs text-slate-700 dark:text-slate-200 border border-slate-300 dark:border-slate-500 hover:border-slate-400 dark:hover:border-slate-400 rounded transition-colors"
       >
-        Create Design Brief for AI
+        AI settings
       </button>
-      <p className="text-xs text-slate-500 dark:text-slate-400 mt-2 text-center">
-        Generates an AI-optimized design context file for tools like Claude, ChatGPT, or Copilot
-      </p>
     </div>
-  </div>
-  );
-};
-
-// Audio Icon Component
-const AudioIcon = ({ className = "w-4 h-4" }) => (
-  <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-    <path d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z" />
-    <path d="M19 10v2a7 7 0 0 1-14 0v-2" />
-    <line x1="12" y1="19" x2="12" y2="23" />
-    <line x1="8" y1="23" x2="16" y2="23" />
-  </svg>
-);
-
-// Folder Icon Component
-const FolderIcon = ({ className = "w-4 h-4" }) => (
-  <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-    <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z" />
-  </svg>
+  ) : (
+    <div className={`p-4 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg flex items-start justify-between ${className}`}>
+      <p className="flex-1 text-sm text-blue-800 dark:text-blue-200">{fallbackText}</p>
+      <button
+        onClick={onOpenSettings}
+        className="ml-4 px-3 py-1 text-xs text-blue-800 dark:text-blue-200 border border-blue-300 dark:border-blue-700 hover:border-blue-400 dark:hover:border-blue-500 rounded transition-colors"
+      >
+        Set up AI
+      </button>
+    </div>
+  )
 );
 
-// Text/Document Icon Component
-const TextIcon = ({ className = "w-4 h-4" }) => (
-  <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" />
-    <polyline points="14 2 14 8 20 8" />
-    <line x1="16" y1="13" x2="8" y2="13" />
-    <line x1="16" y1="17" x2="8" y2="17" />
-    <polyline points="10 9 9 9 8 9" />
-  </svg>
-);
+// Extraction Review - the fields an analysis of any source would fill, edited and
+// trimmed before they're applied
+const ExtractionReview = ({ extraction, analysis, modes, onSetMode, onUpdateField, onRemoveField }) => {
+  const fields = EXTRACTION_FIELDS.filter((field) => extraction[field.key]);
+  const inputClass = "w-full px-2 py-1.5 text-sm border border-slate-200 dark:border-slate-500 rounded bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500";
+
+  const removeButton = (onClick, title) => (
+    <button onClick={onClick} className="text-slate-400 dark:text-slate-500 hover:text-red-600 dark:hover:text-red-400 transition-colors shrink-0" title={title}>
+      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+      </svg>
+    </button>
+  );
 
-// Import Markdown Modal Component
-const ImportMarkdownModal = ({ isOpen, onClose, onImportNew, onImportExisting, analysisName }) => {
-  if (!isOpen) return null;
+  // Existing content and the Replace / Add choice, shown when there's something to replace
+  const mergeChoice = (modeKey, existing) => {
+    if (!existing?.trim()) return null;
+    const mode = modes[modeKey] || (modeKey.startsWith("edges.") ? "add" : defaultExtractionMode(modeKey));
+    return (
+      <div className="mb-2 p-2 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-600 rounded">
+        <div className="text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Existing content:</div>
+        <div className="text-sm text-slate-700 dark:text-slate-300 whitespace-pre-wrap max-h-16 overflow-y-auto mb-2">{existing}</div>
+        <div className="flex items-center gap-4">
+          {[["replace", "Replace"], ["add", "Add to existing"]].map(([value, label]) => (
+            <label key={value} className="flex items-center gap-1.5 cursor-pointer">
+              <input
+                type="radio"
+                name={`merge-${modeKey}`}
+                checked={mode === value}
+                onChange={() => onSetMode(modeKey, value)}
+                className="text-slate-800 focus:ring-slate-400"
+              />
+              <span className="text-xs text-slate-600 dark:text-slate-400">{label}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+    );
+  };
 
   return (
-    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
-      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-md flex flex-col" onClick={(e) => e.stopPropagation()}>
-        {/* Header */}
-        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100 dark:border-slate-700">
-          <h3 className="font-semibold text-slate-800 dark:text-slate-200">Import Markdown</h3>
-          <button onClick={onClose} className="text-slate-400 dark:text-slate-500 hover:text-slate-600 dark:hover:text-slate-300">×</button>
+    <div>
+      {/* Fallback Warning */}
+      {extraction._fallback && (
+        <div className="mb-4 p-3 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg">
+          <p className="text-sm text-yellow-800 dark:text-yellow-200 font-medium mb-1">Basic formatting applied</p>
+          <p className="text-xs text-yellow-700 dark:text-yellow-300">
+            {extraction._reason || 'AI extraction was not used.'} Check the AI settings to use AI-powered extraction.
+          </p>
         </div>
+      )}
 
-        {/* Content */}
-        <div className="p-6">
-          <p className="text-sm text-slate-600 dark:text-slate-300 mb-6">
-            Choose how to import this markdown file:
-          </p>
+      <h4 className="text-sm font-semibold text-slate-800 dark:text-slate-200 mb-3">
+        {extraction._fallback ? 'Extracted Information' : 'Fields to Populate'}
+      </h4>
 
-          <div className="space-y-3">
-            <button
-              onClick={onImportNew}
-              className="w-full px-4 py-3 text-left border-2 border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 hover:bg-slate-50 dark:hover:bg-slate-700 transition-colors"
-            >
-              <div className="font-medium text-slate-800 dark:text-slate-200 mb-1">Create New Task</div>
-              <div className="text-sm text-slate-500 dark:text-slate-400">Import as a new design task</div>
-            </button>
+      {fields.length === 0 && <p className="text-sm text-slate-500 dark:text-slate-400">Nothing left to apply.</p>}
 
-            <button
-              onClick={onImportExisting}
-              className="w-full px-4 py-3 text-left border-2 border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 hover:bg-slate-50 dark:hover:bg-slate-700 transition-colors"
-            >
-              <div className="font-medium text-slate-800 dark:text-slate-200 mb-1">Add to Current Task</div>
-              <div className="text-sm text-slate-500 dark:text-slate-400">Merge with "{analysisName}"</div>
-            </button>
-          </div>
-        </div>
+      <div className="space-y-3">
+        {fields.map((field) => {
+          const value = extraction[field.key];
+          return (
+            <div key={field.key} className="border border-slate-200 dark:border-slate-600 rounded-lg p-3 bg-white dark:bg-slate-700">
+              <div className="flex items-center justify-between mb-2">
+                <div className="flex items-center gap-2">
+                  <span className="text-xs font-semibold text-slate-700 dark:text-slate-200 px-2 py-0.5 bg-slate-100 dark:bg-slate-600 rounded">{field.section}</span>
+                  <span className="text-xs font-medium text-slate-600 dark:text-slate-400">
+                    {field.label}
+                    {field.kind === "list" && ` · ${value.length} new item${value.length === 1 ? "" : "s"}`}
+                  </span>
+                </div>
+                {removeButton(() => onRemoveField(field.key), "Don't apply this field")}
+              </div>
 
-        {/* Footer */}
-        <div className="px-6 py-4 border-t border-slate-100 dark:border-slate-700 flex justify-end">
-          <button
-            onClick={onClose}
-            className="px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors"
-          >
-            Cancel
-          </button>
-        </div>
+              {field.options && (
+                <select value={value} onChange={(e) => onUpdateField(field.key, e.target.value)} className={inputClass}>
+                  {field.options.map((option) => <option key={option} value={option}>{option}</option>)}
+                </select>
+              )}
+
+              {field.kind === "text" && !field.options && (
+                <>
+                  {mergeChoice(field.key, extractionExistingText(analysis, field.key))}
+                  <textarea
+                    value={value}
+                    onChange={(e) => onUpdateField(field.key, e.target.value)}
+                    className={`${inputClass} resize-y`}
+                    rows={Math.min(6, Math.max(1, value.split("\n").length))}
+                  />
+                </>
+              )}
+
+              {field.kind === "list" && (
+                <div className="space-y-1.5">
+                  {value.map((item, i) => (
+                    <div key={i} className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={item}
+                        onChange={(e) => onUpdateField(field.key, value.map((v, index) => (index === i ? e.target.value : v)))}
+                        className={inputClass}
+                      />
+                      {removeButton(() => {
+                        const remaining = value.filter((_, index) => index !== i);
+                        if (remaining.length === 0) onRemoveField(field.key);
+                        else onUpdateField(field.key, remaining);
+                      }, "Don't add this item")}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {field.kind === "edges" && (
+                <div className="space-y-3">
+                  {Object.entries(value).map(([id, note]) => {
+                    const edge = EDGE_CASE_ITEMS.find((e) => e.id === id);
+                    return (
+                      <div key={id}>
+                        <div className="flex items-center justify-between mb-1">
+                          <span className="text-xs font-medium text-slate-700 dark:text-slate-300">{edge?.label || id}</span>
+                          {removeButton(() => {
+                            const { [id]: _removed, ...remaining } = value;
+                            if (Object.keys(remaining).length === 0) onRemoveField(field.key);
+                            else onUpdateField(field.key, remaining);
+                          }, "Don't apply this edge case")}
+                        </div>
+                        {mergeChoice(`edges.${id}`, analysis?.edges?.[id]?.notes)}
+                        <textarea
+                          value={note}
+                          onChange={(e) => onUpdateField(field.key, { ...value, [id]: e.target.value })}
+                          className={`${inputClass} resize-y`}
+                          rows={2}
+                        />
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          );
+        })}
       </div>
     </div>
   );
@@ -2343,12 +6270,10 @@ const PasteAnalyzeModal = ({
   onTextChange, 
   onAnalyze, 
   analyzing, 
-  results,
+  extraction,
   onApply,
-  githubAIKey,
-  onSetGitHubAIKey,
-  onDeleteField,
-  onUpdateField,
+  ai,
+  onOpenAiSettings,
   pastedImage,
   onImageChange,
   onImageAnalyze,
@@ -2356,136 +6281,16 @@ const PasteAnalyzeModal = ({
   onPdfChange,
   onPdfAnalyze,
   activeAnalysis,
-  mergeModes,
-  onSetMergeMode
+  extractionModes,
+  onSetExtractionMode,
+  onUpdateExtractionField,
+  onRemoveExtractionField
 }) => {
   const [activeTab, setActiveTab] = useState('text');
   
   if (!isOpen) return null;
 
-  const hasResults = results && Object.keys(results).length > 0;
-  
-  // Helper to get existing content for a field
-  const getExistingContent = (fieldName) => {
-    console.log('[PASTE MODAL] getExistingContent called:', fieldName);
-    console.log('[PASTE MODAL] activeAnalysis:', activeAnalysis);
-    
-    if (!activeAnalysis) {
-      console.log('[PASTE MODAL] No activeAnalysis!');
-      return '';
-    }
-    
-    console.log('[PASTE MODAL] activeAnalysis.overview:', activeAnalysis.overview);
-    console.log('[PASTE MODAL] activeAnalysis.problem:', activeAnalysis.problem);
-    
-    // Map field names to analysis structure
-    if (fieldName === 'featureName') {
-      const value = activeAnalysis.overview?.featureName || '';
-      console.log('[PASTE MODAL] featureName value:', value);
-      return value;
-    }
-    if (fieldName === 'date') return activeAnalysis.overview?.date || '';
-    if (fieldName === 'requestor') return activeAnalysis.overview?.requestor || '';
-    if (fieldName === 'origin') return activeAnalysis.overview?.origin || '';
-    if (fieldName === 'description') {
-      const value = activeAnalysis.overview?.description || '';
-      console.log('[PASTE MODAL] description value:', value);
-      return value;
-    }
-    if (fieldName === 'problem') {
-      const value = activeAnalysis.problem?.problem || '';
-      console.log('[PASTE MODAL] problem value:', value);
-      return value;
-    }
-    if (fieldName === 'who') return activeAnalysis.problem?.who || '';
-    if (fieldName === 'outcome') return activeAnalysis.problem?.outcome || '';
-    if (fieldName === 'segments') return activeAnalysis.context?.segments || '';
-    if (fieldName === 'workflow') return activeAnalysis.context?.workflow || '';
-    
-    return '';
-  };
-  
-  // Component to render a field with existing content and merge options
-  const FieldDisplay = ({ fieldName, value, section, sectionColor, label }) => {
-    const existingContent = getExistingContent(fieldName);
-    const hasExisting = existingContent && existingContent.trim().length > 0;
-    const mergeMode = mergeModes[fieldName] || 'replace';
-    
-    console.log('[FIELD DISPLAY]', {
-      fieldName,
-      existingContent,
-      hasExisting,
-      'existingContent.length': existingContent?.length,
-      'value.length': value?.length,
-      mergeMode
-    });
-    
-    return (
-      <div className={`border border-${sectionColor}-200 dark:border-${sectionColor}-800 rounded-lg p-3 bg-${sectionColor}-50 dark:bg-${sectionColor}-900/20`}>
-        <div className="flex items-center justify-between mb-1">
-          <div className="flex items-center gap-2">
-            <span className={`text-xs font-semibold text-${sectionColor}-700 dark:text-${sectionColor}-300 px-2 py-0.5 bg-${sectionColor}-100 dark:bg-${sectionColor}-800 rounded`}>
-              {section}
-            </span>
-            <span className="text-xs font-medium text-slate-600 dark:text-slate-400">{label}</span>
-          </div>
-          <button
-            onClick={() => onDeleteField(fieldName)}
-            className="text-slate-400 dark:text-slate-500 hover:text-red-600 dark:hover:text-red-400 transition-colors"
-            title="Delete this field"
-          >
-            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-            </svg>
-          </button>
-        </div>
-        
-        {/* Show existing content if any */}
-        {hasExisting && (
-          <div className="mb-2 p-2 bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded">
-            <div className="text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Existing content:</div>
-            <div className="text-sm text-slate-700 dark:text-slate-300 whitespace-pre-wrap max-h-16 overflow-y-auto">
-              {existingContent}
-            </div>
-          </div>
-        )}
-        
-        {/* Merge mode options if existing content */}
-        {hasExisting && (
-          <div className="mb-2 flex items-center gap-4 bg-white dark:bg-slate-800 p-2 rounded border border-slate-200 dark:border-slate-700">
-            <span className="text-xs font-medium text-slate-600 dark:text-slate-400">Action:</span>
-            <label className="flex items-center gap-1.5 cursor-pointer">
-              <input
-                type="radio"
-                name={`merge-${fieldName}`}
-                value="replace"
-                checked={mergeMode === 'replace'}
-                onChange={() => onSetMergeMode(fieldName, 'replace')}
-                className="text-slate-800 focus:ring-slate-400"
-              />
-              <span className="text-xs text-slate-600 dark:text-slate-400">Replace</span>
-            </label>
-            <label className="flex items-center gap-1.5 cursor-pointer">
-              <input
-                type="radio"
-                name={`merge-${fieldName}`}
-                value="add"
-                checked={mergeMode === 'add'}
-                onChange={() => onSetMergeMode(fieldName, 'add')}
-                className="text-slate-800 focus:ring-slate-400"
-              />
-              <span className="text-xs text-slate-600 dark:text-slate-400">Add to existing</span>
-            </label>
-          </div>
-        )}
-        
-        <div className="text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">New content:</div>
-        <div className={`text-sm text-slate-700 dark:text-slate-300 whitespace-pre-wrap ${value.length > 100 ? 'max-h-24 overflow-y-auto' : ''}`}>
-          {value}
-        </div>
-      </div>
-    );
-  };
+  const hasResults = !!extraction;
   
   const handleImagePaste = async (e) => {
     const items = e.clipboardData?.items;
@@ -2584,7 +6389,7 @@ const PasteAnalyzeModal = ({
                   disabled={analyzing}
                   className="mt-3 px-4 py-2 text-sm bg-slate-800 dark:bg-slate-700 text-white rounded-lg hover:bg-slate-700 dark:hover:bg-slate-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
                 >
-                  {analyzing ? 'Analyzing...' : (githubAIKey ? 'Analyze with AI' : 'Analyze')}
+                  {analyzing ? 'Analyzing...' : (ai ? 'Analyze with AI' : 'Analyze')}
                 </button>
               )}
             </div>
@@ -2628,7 +6433,7 @@ const PasteAnalyzeModal = ({
                   disabled={analyzing}
                   className="mt-3 px-4 py-2 text-sm bg-slate-800 dark:bg-slate-700 text-white rounded-lg hover:bg-slate-700 dark:hover:bg-slate-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
                 >
-                  {analyzing ? 'Analyzing...' : (githubAIKey ? 'Analyze with AI' : 'Analyze')}
+                  {analyzing ? 'Analyzing...' : (ai ? 'Analyze with AI' : 'Analyze')}
                 </button>
               )}
             </div>
@@ -2672,349 +6477,32 @@ const PasteAnalyzeModal = ({
                   disabled={analyzing}
                   className="mt-3 px-4 py-2 text-sm bg-slate-800 dark:bg-slate-700 text-white rounded-lg hover:bg-slate-700 dark:hover:bg-slate-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
                 >
-                  {analyzing ? 'Analyzing...' : (githubAIKey ? 'Analyze with AI' : 'Analyze')}
+                  {analyzing ? 'Analyzing...' : (ai ? 'Analyze with AI' : 'Analyze')}
                 </button>
               )}
             </div>
           )}
 
-          {/* GitHub AI Key Input */}
-          {!githubAIKey && (pastedText.trim() || pastedImage || pastedPdf) && (
-            <div className="mb-6 p-4 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg">
-              <p className="text-sm text-blue-800 dark:text-blue-200 mb-2">
-                Add a GitHub Personal Access Token for AI-powered field extraction. Without it, content will be added to notes as bullet points.
-              </p>
-              <input
-                type="password"
-                placeholder="github_pat_... or ghp_..."
-                value={githubAIKey || ''}
-                onChange={(e) => onSetGitHubAIKey(e.target.value)}
-                className="w-full px-3 py-2 text-sm border border-blue-300 dark:border-blue-700 rounded bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-400 dark:focus:ring-blue-600"
-              />
-            </div>
-          )}
-          
-          {/* GitHub AI Key Status */}
-          {githubAIKey && (pastedText.trim() || pastedImage || pastedPdf) && (
-            <div className="mb-6 p-4 bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg flex items-start justify-between">
-              <div className="flex-1">
-                <p className="text-sm font-medium text-slate-800 dark:text-slate-200 mb-1">GitHub Token: Active</p>
-                <p className="text-xs text-slate-600 dark:text-slate-400">
-                  {!hasResults ? 'Click "Analyze with AI" to extract structured information.' : 'Token is saved. Clear to enter a new one.'}
-                </p>
-              </div>
-              <button
-                onClick={() => onSetGitHubAIKey('')}
-                className="ml-4 px-3 py-1 text-xs text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300 border border-red-300 dark:border-red-600 hover:border-red-400 dark:hover:border-red-500 rounded transition-colors"
-              >
-                Clear Token
-              </button>
-            </div>
+          {/* AI Provider */}
+          {(pastedText.trim() || pastedImage || pastedPdf) && (
+            <AiProviderStatus
+              ai={ai}
+              fallbackText="Set up an AI provider for AI-powered field extraction. Without one, content will be added to notes as bullet points."
+              onOpenSettings={onOpenAiSettings}
+              className="mb-6"
+            />
           )}
 
           {/* Results Preview */}
           {hasResults && (
-            <div>
-              {/* Fallback Warning */}
-              {results._fallback && (
-                <div className="mb-4 p-3 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg">
-                  <p className="text-sm text-yellow-800 dark:text-yellow-200 font-medium mb-1">Basic formatting applied</p>
-                  <p className="text-xs text-yellow-700 dark:text-yellow-300">
-                    {results._reason || 'AI extraction was not used.'}
-                    {results._reason && results._reason.includes('token') ? '' : ' Clear the token above and add a valid GitHub Personal Access Token to use AI-powered extraction.'}
-                  </p>
-                </div>
-              )}
-              
-              <h4 className="text-sm font-semibold text-slate-800 dark:text-slate-200 mb-3">
-                {results._fallback ? 'Extracted Information' : 'Fields to Populate'}
-              </h4>
-              
-              {/* Field Mapping Display */}
-              <div className="space-y-2 mb-4">
-                {results.featureName && (
-                  <FieldDisplay 
-                    fieldName="featureName" 
-                    value={results.featureName} 
-                    section="Overview" 
-                    sectionColor="blue" 
-                    label="Feature Name" 
-                  />
-                )}
-                
-                {results.date && (
-                  <FieldDisplay 
-                    fieldName="date" 
-                    value={results.date} 
-                    section="Overview" 
-                    sectionColor="blue" 
-                    label="Date" 
-                  />
-                )}
-                
-                {results.requestor && (
-                  <FieldDisplay 
-                    fieldName="requestor" 
-                    value={results.requestor} 
-                    section="Overview" 
-                    sectionColor="blue" 
-                    label="Requestor" 
-                  />
-                )}
-                
-                {results.origin && (
-                  <FieldDisplay 
-                    fieldName="origin" 
-                    value={results.origin} 
-                    section="Overview" 
-                    sectionColor="blue" 
-                    label="Origin" 
-                  />
-                )}
-                
-                {results.description && (
-                  <FieldDisplay 
-                    fieldName="description" 
-                    value={results.description} 
-                    section="Overview" 
-                    sectionColor="blue" 
-                    label="Description" 
-                  />
-                )}
-                
-                {results.problem && (
-                  <FieldDisplay 
-                    fieldName="problem" 
-                    value={results.problem} 
-                    section="Problem" 
-                    sectionColor="purple" 
-                    label="Problem Statement" 
-                  />
-                )}
-                
-                {results.who && (
-                  <FieldDisplay 
-                    fieldName="who" 
-                    value={results.who} 
-                    section="Problem" 
-                    sectionColor="purple" 
-                    label="Who (Target Users)" 
-                  />
-                )}
-                
-                {results.outcome && (
-                  <FieldDisplay 
-                    fieldName="outcome" 
-                    value={results.outcome} 
-                    section="Problem" 
-                    sectionColor="purple" 
-                    label="Outcome" 
-                  />
-                )}
-                
-                {results.segments && (
-                  <FieldDisplay 
-                    fieldName="segments" 
-                    value={results.segments} 
-                    section="Context" 
-                    sectionColor="green" 
-                    label="User Segments" 
-                  />
-                )}
-                
-                {results.workflow && (
-                  <FieldDisplay 
-                    fieldName="workflow" 
-                    value={results.workflow} 
-                    section="Context" 
-                    sectionColor="green" 
-                    label="Current Workflow" 
-                  />
-                )}
-                
-                {results.assumptions && Array.isArray(results.assumptions) && results.assumptions.length > 0 && (
-                  <div className="border border-orange-200 rounded-lg p-3 bg-orange-50">
-                    <div className="flex items-center justify-between mb-1">
-                      <div className="flex items-center gap-2">
-                        <span className="text-xs font-semibold text-orange-700 px-2 py-0.5 bg-orange-100 rounded">Assumptions</span>
-                        <span className="text-xs font-medium text-slate-600">{results.assumptions.length} item(s)</span>
-                      </div>
-                      <button
-                        onClick={() => onDeleteField('assumptions')}
-                        className="text-slate-400 hover:text-red-600 transition-colors"
-                        title="Delete this field"
-                      >
-                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                        </svg>
-                      </button>
-                    </div>
-                    <div className="text-sm text-slate-700 space-y-2">
-                      {results.assumptions.map((item, i) => (
-                        <div key={i} className="flex items-start justify-between gap-2 p-2 border border-orange-200 rounded bg-white">
-                          <span className="flex-1">{item}</span>
-                          <button
-                            onClick={() => {
-                              const newAssumptions = results.assumptions.filter((_, index) => index !== i);
-                              if (newAssumptions.length === 0) {
-                                onDeleteField('assumptions');
-                              } else {
-                                onUpdateField('assumptions', newAssumptions);
-                              }
-                            }}
-                            className="text-slate-400 hover:text-red-500 text-lg px-1 transition-colors shrink-0"
-                            title="Delete this assumption"
-                          >×</button>
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                )}
-                
-                {results.questions && Array.isArray(results.questions) && results.questions.length > 0 && (
-                  <div className="border border-pink-200 rounded-lg p-3 bg-pink-50">
-                    <div className="flex items-center justify-between mb-1">
-                      <div className="flex items-center gap-2">
-                        <span className="text-xs font-semibold text-pink-700 px-2 py-0.5 bg-pink-100 rounded">Questions</span>
-                        <span className="text-xs font-medium text-slate-600">{results.questions.length} item(s)</span>
-                      </div>
-                      <button
-                        onClick={() => onDeleteField('questions')}
-                        className="text-slate-400 hover:text-red-600 transition-colors"
-                        title="Delete this field"
-                      >
-                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                        </svg>
-                      </button>
-                    </div>
-                    <div className="text-sm text-slate-700 space-y-2">
-                      {results.questions.map((item, i) => (
-                        <div key={i} className="flex items-start justify-between gap-2 p-2 border border-pink-200 rounded bg-white">
-                          <span className="flex-1">{item}</span>
-                          <button
-                            onClick={() => {
-                              const newQuestions = results.questions.filter((_, index) => index !== i);
-                              if (newQuestions.length === 0) {
-                                onDeleteField('questions');
-                              } else {
-                                onUpdateField('questions', newQuestions);
-                              }
-                            }}
-                            className="text-slate-400 hover:text-red-500 text-lg px-1 transition-colors shrink-0"
-                            title="Delete this question"
-                          >×</button>
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                )}
-                
-                {results.acceptanceCriteria && Array.isArray(results.acceptanceCriteria) && results.acceptanceCriteria.length > 0 && (
-                  <div className="border border-emerald-200 dark:border-emerald-800 rounded-lg p-3 bg-emerald-50 dark:bg-emerald-900/20">
-                    <div className="flex items-center justify-between mb-1">
-                      <div className="flex items-center gap-2">
-                        <span className="text-xs font-semibold text-emerald-700 dark:text-emerald-300 px-2 py-0.5 bg-emerald-100 dark:bg-emerald-800 rounded">Acceptance Criteria</span>
-                        <span className="text-xs font-medium text-slate-600 dark:text-slate-400">{results.acceptanceCriteria.length} item(s)</span>
-                      </div>
-                      <button
-                        onClick={() => onDeleteField('acceptanceCriteria')}
-                        className="text-slate-400 dark:text-slate-500 hover:text-red-600 dark:hover:text-red-400 transition-colors"
-                        title="Delete this field"
-                      >
-                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                        </svg>
-                      </button>
-                    </div>
-                    <div className="text-sm text-slate-700 dark:text-slate-300 space-y-2">
-                      {results.acceptanceCriteria.map((item, i) => (
-                        <div key={i} className="flex items-start justify-between gap-2 p-2 border border-emerald-200 dark:border-emerald-700 rounded bg-white dark:bg-slate-800">
-                          <span className="flex-1">{item}</span>
-                          <button
-                            onClick={() => {
-                              const newCriteria = results.acceptanceCriteria.filter((_, index) => index !== i);
-                              if (newCriteria.length === 0) {
-                                onDeleteField('acceptanceCriteria');
-                              } else {
-                                onUpdateField('acceptanceCriteria', newCriteria);
-                              }
-                            }}
-                            className="text-slate-400 dark:text-slate-500 hover:text-red-500 dark:hover:text-red-400 text-lg px-1 transition-colors shrink-0"
-                            title="Delete this criterion"
-                          >×</button>
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                )}
-                
-                {results.actions && Array.isArray(results.actions) && results.actions.length > 0 && (
-                  <div className="border border-indigo-200 rounded-lg p-3 bg-indigo-50">
-                    <div className="flex items-center justify-between mb-1">
-                      <div className="flex items-center gap-2">
-                        <span className="text-xs font-semibold text-indigo-700 px-2 py-0.5 bg-indigo-100 rounded">Actions</span>
-                        <span className="text-xs font-medium text-slate-600">{results.actions.length} item(s)</span>
-                      </div>
-                      <button
-                        onClick={() => onDeleteField('actions')}
-                        className="text-slate-400 hover:text-red-600 transition-colors"
-                        title="Delete this field"
-                      >
-                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                        </svg>
-                      </button>
-                    </div>
-                    <div className="text-sm text-slate-700 space-y-2">
-                      {results.actions.map((item, i) => (
-                        <div key={i} className="flex items-start justify-between gap-2 p-2 border border-indigo-200 rounded bg-white">
-                          <span className="flex-1">{item}</span>
-                          <button
-                            onClick={() => {
-                              const newActions = results.actions.filter((_, index) => index !== i);
-                              if (newActions.length === 0) {
-                                onDeleteField('actions');
-                              } else {
-                                onUpdateField('actions', newActions);
-                              }
-                            }}
-                            className="text-slate-400 hover:text-red-500 text-lg px-1 transition-colors shrink-0"
-                            title="Delete this action"
-                          >×</button>
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                )}
-                
-                {results.notes && (
-                  <div className="border border-slate-200 rounded-lg p-3 bg-slate-50">
-                    <div className="flex items-center justify-between mb-1">
-                      <div className="flex items-center gap-2">
-                        <span className="text-xs font-semibold text-slate-700 px-2 py-0.5 bg-slate-100 rounded">Notes</span>
-                      </div>
-                      <button
-                        onClick={() => onDeleteField('notes')}
-                        className="text-slate-400 hover:text-red-600 transition-colors"
-                        title="Delete this field"
-                      >
-                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                        </svg>
-                      </button>
-                    </div>
-                    <div className="text-sm text-slate-700">
-                      {Array.isArray(results.notes) ? (
-                        results.notes.map((note, i) => <div key={i}>• {note}</div>)
-                      ) : (
-                        <div className="whitespace-pre-wrap">{results.notes}</div>
-                      )}
-                    </div>
-                  </div>
-                )}
-              </div>
-            </div>
+            <ExtractionReview
+              extraction={extraction}
+              analysis={activeAnalysis}
+              modes={extractionModes}
+              onSetMode={onSetExtractionMode}
+              onUpdateField={onUpdateExtractionField}
+              onRemoveField={onRemoveExtractionField}
+            />
           )}
         </div>
 
@@ -3047,49 +6535,27 @@ const AudioAnalysisModal = ({
   isRecording,
   transcript,
   audioProcessing,
-  aiSuggestions,
-  selectedSections,
-  onToggleSection,
-  onUpdateSuggestion,
+  extraction,
   onStartRecording,
   onStopRecording,
   onFileUpload,
   onAnalyze,
   onApply,
-  githubAIKey,
-  onSetGitHubAIKey,
+  ai,
+  onOpenAiSettings,
   activeAnalysis,
-  mergeModes,
-  onSetMergeMode
+  extractionModes,
+  onSetExtractionMode,
+  onUpdateExtractionField,
+  onRemoveExtractionField
 }) => {
   const fileInputRef = useRef(null);
 
   if (!isOpen) return null;
 
   const hasTranscript = transcript && transcript.trim().length > 0;
-  const hasSuggestions = Object.keys(aiSuggestions).length > 0;
+  const hasSuggestions = !!extraction;
   
-  // Helper to get existing content for a field
-  const getExistingContent = (section) => {
-    if (!activeAnalysis) return '';
-    
-    // Direct fields
-    if (activeAnalysis[section]) {
-      return typeof activeAnalysis[section] === 'string' ? activeAnalysis[section] : '';
-    }
-    
-    // Nested fields
-    if (section === 'description') return activeAnalysis.overview?.description || '';
-    if (section === 'featureName') return activeAnalysis.overview?.featureName || '';
-    if (section === 'problem') return activeAnalysis.problem?.problem || '';
-    if (section === 'who') return activeAnalysis.problem?.who || '';
-    if (section === 'outcome') return activeAnalysis.problem?.outcome || '';
-    if (section === 'segments') return activeAnalysis.context?.segments || '';
-    if (section === 'workflow') return activeAnalysis.context?.workflow || '';
-    
-    return '';
-  };
-
   return (
     <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-8" onClick={onClose}>
       <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-3xl max-h-full flex flex-col" onClick={(e) => e.stopPropagation()}>
@@ -3160,123 +6626,39 @@ const AudioAnalysisModal = ({
                 readOnly
                 className="w-full px-3 py-2 text-sm border border-slate-300 rounded-lg bg-slate-50 text-slate-700 font-mono"
                 rows={6}
-              />
-              {!hasSuggestions && (
-                <button
-                  onClick={onAnalyze}
-                  disabled={audioProcessing}
-                  className="mt-3 px-4 py-2 text-sm bg-slate-800 text-white rounded-lg hover:bg-slate-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
-                >
-                  {githubAIKey ? 'Analyze with AI' : 'Prepare Suggestions'}
-                </button>
-              )}
-            </div>
-          )}
-
-          {/* AI Suggestions */}
-          {hasSuggestions && (
-            <div>
-              <h4 className="text-sm font-semibold text-slate-800 dark:text-slate-200 mb-3">Suggested Updates</h4>
-              <div className="space-y-3">
-                {Object.entries(aiSuggestions).map(([section, content]) => {
-                  const existingContent = getExistingContent(section);
-                  const hasExisting = existingContent && existingContent.trim().length > 0;
-                  const mergeMode = mergeModes[section] || 'replace';
-                  
-                  return (
-                    <div key={section} className="border border-slate-200 dark:border-slate-600 rounded-lg p-3 bg-white dark:bg-slate-700">
-                      <div className="flex items-center gap-2 mb-2">
-                        <input
-                          type="checkbox"
-                          checked={selectedSections[section] !== false}
-                          onChange={() => onToggleSection(section)}
-                          className="rounded border-slate-300 dark:border-slate-500 text-slate-800 focus:ring-slate-400"
-                        />
-                        <label className="text-sm font-medium text-slate-700 dark:text-slate-200 capitalize">{section}</label>
-                      </div>
-                      
-                      {/* Show existing content if any */}
-                      {hasExisting && (
-                        <div className="mb-3 p-2 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-600 rounded">
-                          <div className="text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Existing content:</div>
-                          <div className="text-sm text-slate-700 dark:text-slate-300 whitespace-pre-wrap max-h-20 overflow-y-auto">
-                            {existingContent}
-                          </div>
-                        </div>
-                      )}
-                      
-                      {/* Merge mode options if existing content */}
-                      {hasExisting && (
-                        <div className="mb-2 flex items-center gap-4">
-                          <label className="flex items-center gap-1.5 cursor-pointer">
-                            <input
-                              type="radio"
-                              name={`merge-${section}`}
-                              value="replace"
-                              checked={mergeMode === 'replace'}
-                              onChange={() => onSetMergeMode(section, 'replace')}
-                              className="text-slate-800 focus:ring-slate-400"
-                            />
-                            <span className="text-xs text-slate-600 dark:text-slate-400">Replace</span>
-                          </label>
-                          <label className="flex items-center gap-1.5 cursor-pointer">
-                            <input
-                              type="radio"
-                              name={`merge-${section}`}
-                              value="add"
-                              checked={mergeMode === 'add'}
-                              onChange={() => onSetMergeMode(section, 'add')}
-                              className="text-slate-800 focus:ring-slate-400"
-                            />
-                            <span className="text-xs text-slate-600 dark:text-slate-400">Add to existing</span>
-                          </label>
-                        </div>
-                      )}
-                      
-                      <div className="text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">New content:</div>
-                      <textarea
-                        value={content}
-                        onChange={(e) => onUpdateSuggestion(section, e.target.value)}
-                        className="w-full px-2 py-1.5 text-sm border border-slate-200 dark:border-slate-500 rounded bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500 resize-none"
-                        rows={3}
-                      />
-                    </div>
-                  );
-                })}
-              </div>
+              />
+              {!hasSuggestions && (
+                <button
+                  onClick={onAnalyze}
+                  disabled={audioProcessing}
+                  className="mt-3 px-4 py-2 text-sm bg-slate-800 text-white rounded-lg hover:bg-slate-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                >
+                  {ai ? 'Analyze with AI' : 'Prepare Suggestions'}
+                </button>
+              )}
             </div>
           )}
 
-          {/* GitHub AI Key Input */}
-          {!githubAIKey && hasTranscript && (
-            <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-              <p className="text-sm text-blue-800 mb-2">
-                Add a GitHub Personal Access Token for AI-powered analysis, or continue manually.
-              </p>
-              <input
-                type="password"
-                placeholder="github_pat_... or ghp_..."
-                value={githubAIKey}
-                onChange={(e) => onSetGitHubAIKey(e.target.value)}
-                className="w-full px-3 py-2 text-sm border border-blue-300 rounded bg-white focus:outline-none focus:ring-2 focus:ring-blue-400"
-              />
-            </div>
+          {/* AI Suggestions */}
+          {hasSuggestions && (
+            <ExtractionReview
+              extraction={extraction}
+              analysis={activeAnalysis}
+              modes={extractionModes}
+              onSetMode={onSetExtractionMode}
+              onUpdateField={onUpdateExtractionField}
+              onRemoveField={onRemoveExtractionField}
+            />
           )}
-          
-          {/* GitHub AI Key Status */}
-          {githubAIKey && hasTranscript && (
-            <div className="mt-6 p-4 bg-slate-50 border border-slate-200 rounded-lg flex items-start justify-between">
-              <div className="flex-1">
-                <p className="text-sm font-medium text-slate-800 mb-1">GitHub Token: Active</p>
-                <p className="text-xs text-slate-600">Token is saved. Clear to enter a new one.</p>
-              </div>
-              <button
-                onClick={() => onSetGitHubAIKey('')}
-                className="ml-4 px-3 py-1 text-xs text-red-600 hover:text-red-800 border border-red-300 hover:border-red-400 rounded transition-colors"
-              >
-                Clear Token
-              </button>
-            </div>
+
+          {/* AI Provider */}
+          {hasTranscript && (
+            <AiProviderStatus
+              ai={ai}
+              fallbackText="Set up an AI provider for AI-powered analysis, or continue manually."
+              onOpenSettings={onOpenAiSettings}
+              className="mt-6"
+            />
           )}
         </div>
 
@@ -3320,15 +6702,37 @@ export default function RequirementAnalyzer() {
   const [loadGistId, setLoadGistId] = useState("");
   const [gistLoading, setGistLoading] = useState(false);
   const [gistExpanded, setGistExpanded] = useState(false);
+  const [gistHistoryOpen, setGistHistoryOpen] = useState(false);
+  const [gistBrowserOpen, setGistBrowserOpen] = useState(false);
+  const [gistPassphrasePrompt, setGistPassphrasePrompt] = useState(null); // { mode: "encrypt" | "decrypt", name, message, kind, resolve }
+  const [shareOpen, setShareOpen] = useState(false);
+  const [pendingShare, setPendingShare] = useState(null); // { encrypted, payload } from a share link
+  const [sharedView, setSharedView] = useState(null); // analysis from a share link, shown read-only
+  const [gistMerge, setGistMerge] = useState(null); // { mode: "save" | "load", analysisId, merged, conflicts } awaiting conflict choices
+  const [autoSync, setAutoSync] = useState(loadAutoSync); // Tasks opted in to gist auto-sync on this device
+  const [autoSyncStatus, setAutoSyncStatus] = useState({}); // id -> { state, error }
+  const [workspaceSync, setWorkspaceSync] = useState(loadWorkspaceSync);
+  const [workspaceManifest, setWorkspaceManifest] = useState(null); // Manifest from the last check, push or pull
+  const [workspaceBusy, setWorkspaceBusy] = useState(false);
+  const [workspaceGistInput, setWorkspaceGistInput] = useState("");
+  const [syncBackend, setSyncBackend] = useState(loadSyncBackend); // Where per-task sync saves: GitHub gists or a sync server
+  const [collabSettings, setCollabSettings] = useState(loadCollabSettings);
+  const [collabOpen, setCollabOpen] = useState(false);
+  const [collabInvite, setCollabInvite] = useState(""); // Room code from an invite link
+  const [collab, setCollab] = useState(null); // { room, analysisId, status: "waiting" | "live", error } for the live session
+  const [collabPeers, setCollabPeers] = useState({}); // client id -> { name, color, section, seenAt }
+  const [repoSync, setRepoSync] = useState(loadRepoSync); // Target repository and the file slug of each pushed task
+  const [repoBusy, setRepoBusy] = useState(false);
   const [syncOptionsExpanded, setSyncOptionsExpanded] = useState(false);
   const [audioModalOpen, setAudioModalOpen] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
   const [transcript, setTranscript] = useState("");
   const [audioProcessing, setAudioProcessing] = useState(false);
-  const [githubAIKey, setGitHubAIKey] = useState(() => localStorage.getItem("githubAIKey") || "");
-  const [aiSuggestions, setAiSuggestions] = useState({});
-  const [selectedSections, setSelectedSections] = useState({});
-  const [mergeModes, setMergeModes] = useState({}); // 'replace' or 'add' for each field with existing content
+  const [aiKeys, setAiKeys] = useState(loadAiKeys); // API keys by endpoint origin
+  const [aiProvider, setAiProvider] = useState(loadAiProvider);
+  const [aiSettingsOpen, setAiSettingsOpen] = useState(false);
+  const [extraction, setExtraction] = useState(null); // fields extracted from audio, text, an image or a PDF, under review
+  const [extractionModes, setExtractionModes] = useState({}); // 'replace' or 'add' for each field with existing content
   const [importModalOpen, setImportModalOpen] = useState(false);
   const [importedMarkdown, setImportedMarkdown] = useState("");
   const [importMode, setImportMode] = useState(""); // "new" or "existing"
@@ -3337,11 +6741,49 @@ export default function RequirementAnalyzer() {
   const [pastedImage, setPastedImage] = useState(null);
   const [pastedPdf, setPastedPdf] = useState(null);
   const [pasteAnalyzing, setPasteAnalyzing] = useState(false);
-  const [pasteResults, setPasteResults] = useState(null);
-  const [pasteMergeModes, setPasteMergeModes] = useState({}); // 'replace' or 'add' for paste results
   const [darkMode, setDarkMode] = useState(() => localStorage.getItem("darkMode") === "true");
+  // Mirrors vault.status() so renders and effects follow the vault; refreshed by refreshVaultState
+  const [vaultState, setVaultState] = useState(() => vault.status());
+  const vaultLocked = vaultState === "locked";
+  const vaultUnlocked = vaultState === "unlocked";
+  const [vaultModal, setVaultModal] = useState(null); // { mode: "create" | "change", reason, dismissable, onCreated }
+  const [saveStatus, setSaveStatus] = useState("saved"); // "pending" | "saving" | "saved" | "error"
+  const [recovery, setRecovery] = useState(null); // { items, error } while stored data couldn't be read
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [trashOpen, setTrashOpen] = useState(false);
+  const [backupOpen, setBackupOpen] = useState(false);
+  const [restoreBackup, setRestoreBackup] = useState(null); // { fileName, backup, contents } while a backup file is being restored
+  const [syncConflicts, setSyncConflicts] = useState([]); // Same-field edits from another tab: { analysisId, path, local, remote }
+  const [trashRetentionDays, setTrashRetentionDays] = useState(
+    () => Number(localStorage.getItem(TRASH_RETENTION_KEY)) || DEFAULT_TRASH_RETENTION_DAYS
+  );
+  const [, setUndoRevision] = useState(0); // Bumped when undo stacks change so the buttons re-render
   
   const fileInputRef = useRef(null);
+  const backupInputRef = useRef(null);
+
+  // Cross-tab sync: the versions this tab last loaded or saved, and the channel to other tabs
+  const syncBaseRef = useRef(new Map());
+  const tabChannelRef = useRef(null);
+  const analysesRef = useRef(analyses); // Latest state for handlers that resume after an await
+  analysesRef.current = analyses;
+
+  // Writes go through a debounced queue so typing doesn't re-save on every keystroke.
+  // After each write, other tabs are told which analyses changed.
+  const saveQueueRef = useRef(null);
+  if (!saveQueueRef.current) {
+    saveQueueRef.current = createSaveQueue(async (list) => {
+      await saveAnalysesToStorage(list);
+      const base = syncBaseRef.current;
+      const listIds = new Set(list.map((a) => a.id));
+      const changedIds = [
+        ...list.filter((a) => base.get(a.id) !== a).map((a) => a.id),
+        ...[...base.keys()].filter((id) => !listIds.has(id)),
+      ];
+      syncBaseRef.current = new Map(list.map((a) => [a.id, a]));
+      if (changedIds.length > 0) tabChannelRef.current?.post({ type: "saved", ids: changedIds });
+    }, { onStatus: setSaveStatus });
+  }
 
   // Check if any analysis has secure mode enabled
   const hasSecureAnalysis = useMemo(() => 
@@ -3349,48 +6791,54 @@ export default function RequirementAnalyzer() {
     [analyses]
   );
 
-  // Load data on mount (encrypted if any analysis has secure mode)
-  useEffect(() => {
-    const loadData = async () => {
-      console.log('[LOAD] Starting data load...');
-      try {
-        let saved;
-        // Try encrypted storage first
-        saved = await secureStorage.getItem("requirementAnalyses");
-        console.log('[LOAD] Encrypted storage:', saved ? 'found' : 'not found');
-        
-        // If no encrypted data, try plain storage
-        if (!saved) {
-          saved = localStorage.getItem("requirementAnalyses");
-          console.log('[LOAD] Plain storage:', saved ? 'found' : 'not found');
-        }
-        
-        if (saved) {
-          console.log('[LOAD] Parsing data...');
-          const parsed = JSON.parse(saved);
-          console.log('[LOAD] Parsed analyses count:', Array.isArray(parsed) ? parsed.length : 0);
-          const migrated = Array.isArray(parsed) ? parsed.map(migrateAnalysis) : [];
-          if (migrated.length > 0) {
-            console.log('[LOAD] Setting analyses:', migrated.length, 'items');
-            setAnalyses(migrated);
-            if (!activeId || !migrated.find(a => a.id === activeId)) {
-              setActiveId(migrated[0].id);
-            }
-          } else {
-            console.log('[LOAD] No valid analyses found after migration');
-          }
-        } else {
-          console.log('[LOAD] No saved data, using defaults');
+  // Load stored analyses, decrypting secure tasks with the vault key
+  const loadStoredAnalyses = useCallback(async () => {
+    console.log('[LOAD] Starting data load...');
+    try {
+      const { analyses: loaded, unreadable, needsVault } = await loadAnalysesFromStorage();
+      if (unreadable.length > 0) {
+        // Copy the raw data aside and hold all saves until the user decides what to do
+        console.error('[LOAD]', unreadable.length, 'stored item(s) could not be read; auto-save paused');
+        saveQueueRef.current.cancel();
+        setRecovery({ items: unreadable, error: null });
+        await quarantineStore.add(unreadable);
+        syncBaseRef.current = new Map(loaded.map((a) => [a.id, a]));
+        setAnalyses(loaded);
+        if (loaded.length > 0) setActiveId((prevId) => pickActiveId(loaded, prevId));
+        return;
+      }
+      setRecovery(null);
+      if (loaded.length > 0) {
+        console.log('[LOAD] Setting analyses:', loaded.length, 'items');
+        const workspace = ensureLiveAnalysis(loaded);
+        syncBaseRef.current = new Map(loaded.map((a) => [a.id, a]));
+        setAnalyses(workspace);
+        setActiveId((prevId) => pickActiveId(workspace, prevId));
+        // Encrypted before the vault existed: ask for a passphrase before anything is re-saved
+        if (needsVault) {
+          setVaultModal({
+            mode: "create",
+            dismissable: false,
+            reason: "Your secure tasks were encrypted with a built-in key that is no longer considered safe. Choose a passphrase to re-encrypt them."
+          });
         }
-      } catch (error) {
-        console.error("[LOAD] Failed to load data:", error);
-        // Keep default data on error
-      } finally {
-        console.log('[LOAD] Load complete, setting dataLoaded = true');
-        setDataLoaded(true);
+      } else {
+        console.log('[LOAD] No saved data, using defaults');
       }
-    };
-    loadData();
+    } catch (error) {
+      console.error("[LOAD] Failed to load data:", error);
+      // Saving now would replace whatever is in storage with the sample data
+      saveQueueRef.current.cancel();
+      setRecovery((prev) => ({ items: prev?.items ?? [], error: error.message }));
+    } finally {
+      console.log('[LOAD] Load complete, setting dataLoaded = true');
+      setDataLoaded(true);
+    }
+  }, []);
+
+  // Load data on mount, unless the vault has to be unlocked first
+  useEffect(() => {
+    if (!vaultLocked) loadStoredAnalyses();
   }, []); // Only run on mount
 
   // Apply dark mode class to document
@@ -3409,42 +6857,72 @@ export default function RequirementAnalyzer() {
   // Load from URL share link on mount
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
-    const sharedData = params.get("data");
-    if (sharedData) {
-      try {
-        const decoded = JSON.parse(atob(sharedData));
-        const migrated = migrateAnalysis(decoded);
-        setAnalyses([migrated]);
-        setActiveId(migrated.id);
+    const collabRoom = params.get("collab");
+    if (collabRoom) {
+      const relayUrl = params.get("relay");
+      if (relayUrl) setCollabSettings((prev) => ({ ...prev, relayUrl }));
+      setCollabInvite(collabRoom);
+      setCollabOpen(true);
+      window.history.replaceState({}, document.title, window.location.pathname);
+    }
+    // Shared tasks open in the read-only viewer once storage has loaded, so the workspace
+    // is never replaced and encrypted links can prompt for their passphrase
+    try {
+      const decoded = readLegacyShareParam(window.location.search);
+      if (decoded) {
+        setPendingShare({ encrypted: false, payload: decoded });
         window.history.replaceState({}, document.title, window.location.pathname);
-      } catch (err) {
-        console.error("Failed to decode shared link:", err);
       }
+    } catch (err) {
+      console.error("Failed to decode shared link:", err);
+    }
+    const hash = window.location.hash;
+    if (hash) {
+      window.history.replaceState({}, document.title, `${window.location.pathname}${window.location.search}`);
+      readShareFragment(hash)
+        .then((share) => share && setPendingShare(share))
+        .catch((err) => {
+          console.error("[SHARE] Failed to read share link:", err);
+          alert("This share link is damaged or incomplete. Ask the sender for a new one.");
+        });
     }
   }, []);
 
-  // Save to localStorage whenever analyses change (encrypted if any analysis has secure mode)
+  // Save to storage whenever analyses change (secure tasks are encrypted individually)
   useEffect(() => {
-    const saveData = async () => {
-      if (dataLoaded) {
-        console.log('[SAVE] Saving', analyses.length, 'analyses... (secure:', hasSecureAnalysis, ')');
-        try {
-          if (hasSecureAnalysis) {
-            await secureStorage.setItem("requirementAnalyses", JSON.stringify(analyses));
-            console.log('[SAVE] Saved as encrypted');
-          } else {
-            localStorage.setItem("requirementAnalyses", JSON.stringify(analyses));
-            console.log('[SAVE] Saved as plain JSON');
-          }
-        } catch (error) {
-          console.error('[SAVE] Failed to save:', error);
-        }
-      } else {
-        console.log('[SAVE] Skipping save (dataLoaded =', dataLoaded, ')');
-      }
+    if (!dataLoaded) {
+      console.log('[SAVE] Skipping save (dataLoaded =', dataLoaded, ')');
+    } else if (recovery) {
+      console.log('[SAVE] Skipping save while unreadable data is awaiting recovery');
+    } else if (hasSecureAnalysis && !vault.isUnlocked()) {
+      // Never fall back to plaintext - wait until the vault has a key
+      console.log('[SAVE] Skipping save until the vault is set up');
+    } else {
+      saveQueueRef.current.schedule(analyses);
+    }
+  }, [analyses, dataLoaded, hasSecureAnalysis, vaultUnlocked, recovery]);
+
+  // Write pending changes before the page goes away
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") saveQueueRef.current.flush();
+    };
+    const handleBeforeUnload = (event) => {
+      // A debounced save is written now; only a write already under way, which the
+      // flush has to wait for, is worth holding the page
+      const writing = saveQueueRef.current.isWriting();
+      saveQueueRef.current.flush();
+      if (!writing) return;
+      event.preventDefault();
+      event.returnValue = "";
     };
-    saveData();
-  }, [analyses, dataLoaded, hasSecureAnalysis]);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    window.addEventListener("beforeunload", handleBeforeUnload);
+    return () => {
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      window.removeEventListener("beforeunload", handleBeforeUnload);
+    };
+  }, []);
 
   // Remove old secure mode preference (no longer needed)
   useEffect(() => {
@@ -3465,22 +6943,81 @@ export default function RequirementAnalyzer() {
     }
   }, [githubToken]);
 
-  // Save GitHub AI key to localStorage
   useEffect(() => {
-    if (githubAIKey) {
-      localStorage.setItem("githubAIKey", githubAIKey);
+    localStorage.setItem(AUTO_SYNC_KEY, JSON.stringify(autoSync));
+  }, [autoSync]);
+
+  useEffect(() => {
+    if (workspaceSync.gistId) {
+      localStorage.setItem(WORKSPACE_SYNC_KEY, JSON.stringify(workspaceSync));
     } else {
-      localStorage.removeItem("githubAIKey");
+      localStorage.removeItem(WORKSPACE_SYNC_KEY);
     }
-  }, [githubAIKey]);
+  }, [workspaceSync]);
+
+  useEffect(() => {
+    localStorage.setItem(REPO_SYNC_KEY, JSON.stringify(repoSync));
+  }, [repoSync]);
+
+  useEffect(() => {
+    localStorage.setItem(SYNC_BACKEND_KEY, JSON.stringify(syncBackend));
+  }, [syncBackend]);
+
+  useEffect(() => {
+    localStorage.setItem(COLLAB_KEY, JSON.stringify(collabSettings));
+  }, [collabSettings]);
+
+  // Save GitHub AI key to localStorage
+  useEffect(() => {
+    localStorage.setItem(AI_KEYS_KEY, JSON.stringify(aiKeys));
+  }, [aiKeys]);
+
+  // The key for the endpoint that's selected now; switching endpoints switches keys
+  const aiKeyScopeNow = aiKeyScope(aiProvider);
+  const aiKey = (aiKeyScopeNow && aiKeys[aiKeyScopeNow]) || "";
+  const setAiKey = (key) => {
+    if (!aiKeyScopeNow) return;
+    setAiKeys((prev) => {
+      const { [aiKeyScopeNow]: _previous, ...rest } = prev;
+      return key ? { ...rest, [aiKeyScopeNow]: key } : rest;
+    });
+  };
+
+  useEffect(() => {
+    localStorage.setItem(AI_PROVIDER_KEY, JSON.stringify(aiProvider));
+  }, [aiProvider]);
+
+  // null when the analyzers have to fall back to notes
+  const aiClient = useMemo(
+    () => (isAiConfigured(aiProvider, aiKey) ? createAiClient(aiProvider, aiKey) : null),
+    [aiProvider, aiKey]
+  );
 
   const active = useMemo(() => analyses.find((a) => a.id === activeId), [analyses, activeId]);
 
+  // Analyses outside the trash
+  const liveAnalyses = useMemo(() => analyses.filter((a) => !a.deletedAt), [analyses]);
+  const trashedAnalyses = useMemo(() => analyses.filter((a) => a.deletedAt), [analyses]);
+
+  // Workspace gist status per analysis id, once the manifest has been fetched
+  const workspaceStates = useMemo(() => {
+    const states = new Map();
+    if (!workspaceManifest) return states;
+    const entries = new Map(workspaceManifest.analyses.map((entry) => [entry.id, entry]));
+    liveAnalyses.filter(canSyncToWorkspaceGist).forEach((a) => {
+      states.set(a.id, workspaceSyncState(a, entries.get(a.id), workspaceSync.synced[a.id]));
+    });
+    entries.forEach((entry, id) => {
+      if (!analyses.some((a) => a.id === id)) states.set(id, "remote-only");
+    });
+    return states;
+  }, [workspaceManifest, liveAnalyses, analyses, workspaceSync]);
+
   const filteredAnalyses = useMemo(() => {
-    if (phaseFilter === "All") return analyses;
-    if (phaseFilter === "Untagged") return analyses.filter((a) => !a.phase);
-    return analyses.filter((a) => a.phase === phaseFilter);
-  }, [analyses, phaseFilter]);
+    if (phaseFilter === "All") return liveAnalyses;
+    if (phaseFilter === "Untagged") return liveAnalyses.filter((a) => !a.phase);
+    return liveAnalyses.filter((a) => a.phase === phaseFilter);
+  }, [liveAnalyses, phaseFilter]);
 
   const updateActive = useCallback(
     (sectionKey, value) => {
@@ -3493,6 +7030,161 @@ export default function RequirementAnalyzer() {
     [activeId]
   );
 
+  // Version history: snapshots are taken before AI applies, markdown merges and restores,
+  // and when editing resumes SNAPSHOT_INTERVAL_MS after the previous snapshot
+  const lastSnapshotAtRef = useRef(new Map());
+  const previousAnalysesRef = useRef(null);
+
+  const takeSnapshot = useCallback(async (analysis, reason) => {
+    // History is protected according to the task as it is now, not the copy being saved
+    const secure = analysesRef.current.find((a) => a.id === analysis.id)?.secureMode ?? analysis.secureMode;
+    if (secure && !vault.isUnlocked()) return;
+    lastSnapshotAtRef.current.set(analysis.id, Date.now());
+    try {
+      await addSnapshot(analysis, reason, secure);
+    } catch (error) {
+      console.error('[HISTORY] Failed to save snapshot:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const previous = previousAnalysesRef.current;
+    previousAnalysesRef.current = analyses;
+    if (!dataLoaded || recovery || !previous) return;
+    const now = Date.now();
+    analyses.forEach((a) => {
+      const before = previous.find((p) => p.id === a.id);
+      if (!before || before.updatedAt === a.updatedAt) return;
+      if (now - (lastSnapshotAtRef.current.get(a.id) ?? 0) < SNAPSHOT_INTERVAL_MS) return;
+      // Capture the state from before this burst of editing
+      takeSnapshot(before, "interval");
+    });
+  }, [analyses, dataLoaded, recovery, takeSnapshot]);
+
+  // Undo/redo: every change to the active analysis pushes its previous version,
+  // except changes made by undo/redo themselves and changes from elsewhere
+  const undoHistoriesRef = useRef(new Map());
+  const undoBaselineRef = useRef(null);
+  const applyingUndoRef = useRef(false);
+  const applyingRemoteRef = useRef(false);
+  const forceUndoStepRef = useRef(false);
+
+  const getUndoHistory = (id) => {
+    if (!undoHistoriesRef.current.has(id)) undoHistoriesRef.current.set(id, createUndoHistory());
+    return undoHistoriesRef.current.get(id);
+  };
+
+  // Make the next change its own undo step (used before bulk AI, merge and restore applies)
+  const beginUndoStep = () => {
+    forceUndoStepRef.current = true;
+  };
+
+  // Apply changes made in another tab, by a collaborator or by auto-sync. They aren't
+  // undo steps of their own; the stored versions are rebased onto them instead.
+  const applyRemoteAnalyses = (update) => {
+    applyingRemoteRef.current = true;
+    setAnalyses(update);
+  };
+
+  useEffect(() => {
+    const previous = undoBaselineRef.current;
+    undoBaselineRef.current = analyses;
+    if (applyingUndoRef.current) {
+      applyingUndoRef.current = false;
+      return;
+    }
+    if (applyingRemoteRef.current) {
+      applyingRemoteRef.current = false;
+      if (!previous) return;
+      undoHistoriesRef.current.forEach((history, id) => {
+        const before = previous.find((a) => a.id === id);
+        const after = analyses.find((a) => a.id === id);
+        if (!before || !after || before === after) return;
+        history.undo = history.undo.map((version) => rebaseUndoVersion(version, before, after));
+        history.redo = history.redo.map((version) => rebaseUndoVersion(version, before, after));
+        history.lastPath = null;
+      });
+      return;
+    }
+    if (!dataLoaded || !previous) return;
+    const before = previous.find((a) => a.id === activeId);
+    const after = analyses.find((a) => a.id === activeId);
+    if (!before || !after || before === after) return;
+    const edit = findTextEdit(before, after);
+    if (edit.count === 0) return;
+
+    const history = getUndoHistory(activeId);
+    const now = Date.now();
+    const groupable = edit.count === 1 && !forceUndoStepRef.current;
+    forceUndoStepRef.current = false;
+    if (groupable && history.lastPath === edit.path && now - history.lastAt < UNDO_GROUP_MS) {
+      // Still typing in the same field - extend the current step
+      history.lastAt = now;
+      return;
+    }
+    history.undo.push(before);
+    if (history.undo.length > UNDO_LIMIT) history.undo.shift();
+    history.redo = [];
+    history.lastPath = groupable ? edit.path : null;
+    history.lastAt = now;
+    setUndoRevision((r) => r + 1);
+  }, [analyses, dataLoaded]);
+
+  const stepUndo = (fromStack, toStack) => {
+    if (!active) return;
+    const history = getUndoHistory(active.id);
+    const version = history[fromStack].pop();
+    if (!version) return;
+    history[toStack].push(active);
+    history.lastPath = null;
+    applyingUndoRef.current = true;
+    setAnalyses((prev) => prev.map((a) => (a.id === active.id ? restoreUndoVersion(version, a) : a)));
+    setUndoRevision((r) => r + 1);
+  };
+
+  const handleUndo = () => stepUndo("undo", "redo");
+  const handleRedo = () => stepUndo("redo", "undo");
+
+  const undoHistory = active ? undoHistoriesRef.current.get(active.id) : null;
+  const canUndo = !!undoHistory?.undo.length;
+  const canRedo = !!undoHistory?.redo.length;
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes). Modals keep the browser's own undo.
+  const undoShortcutRef = useRef(null);
+  undoShortcutRef.current = {
+    undo: handleUndo,
+    redo: handleRedo,
+    enabled: !historyOpen && !trashOpen && !backupOpen && !restoreBackup && !gistMerge && !gistHistoryOpen && !gistBrowserOpen && !gistPassphrasePrompt && !shareOpen && !sharedView && !aiSettingsOpen && !vaultModal && !importModalOpen && !pasteModalOpen && !audioModalOpen && !showExport,
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || !undoShortcutRef.current.enabled) return;
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undoShortcutRef.current.undo();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        undoShortcutRef.current.redo();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  const handleRestoreSnapshot = async (snapshot, sectionId) => {
+    await takeSnapshot(active, "restore");
+    beginUndoStep();
+    const restored = sectionId
+      ? Object.fromEntries(SECTION_FIELDS[sectionId].map((field) => [field, snapshot.analysis[field]]))
+      // Protection and sync settings always follow the current task, not the snapshot
+      : { ...withoutSyncLink(snapshot.analysis), id: active.id, secureMode: active.secureMode };
+    setAnalyses((prev) => prev.map((a) =>
+      a.id === active.id ? { ...a, ...restored, updatedAt: new Date().toISOString() } : a
+    ));
+  };
+
   const updatePhase = useCallback(
     (phase) => {
       setAnalyses((prev) =>
@@ -3512,17 +7204,74 @@ export default function RequirementAnalyzer() {
     setPhaseFilter("All");
   };
 
+  // Deleting moves a task to the trash; it's only removed from storage when purged
   const deleteAnalysis = (id) => {
-    setAnalyses((prev) => {
-      const next = prev.filter((a) => a.id !== id);
-      if (next.length === 0) {
-        const blank = createBlankAnalysis();
-        setActiveId(blank.id);
-        return [blank];
+    const deletedAt = new Date().toISOString();
+    const next = ensureLiveAnalysis(analyses.map((a) => (a.id === id ? { ...a, deletedAt } : a)));
+    setAnalyses(next);
+    setActiveId((prevId) => pickActiveId(next, prevId));
+  };
+
+  const restoreFromTrash = (id) => {
+    setAnalyses((prev) => prev.map((a) => {
+      if (a.id !== id) return a;
+      const { deletedAt, ...restored } = a;
+      return restored;
+    }));
+    setActiveId(id);
+    setActiveSection("overview");
+  };
+
+  // Permanently remove analyses from the trash. Pending saves are flushed first so an
+  // older write can't put a shredded secure task's ciphertext back.
+  const purgeFromTrash = useCallback(async (ids) => {
+    const targets = analyses.filter((a) => ids.includes(a.id) && a.deletedAt);
+    if (targets.length === 0) return;
+    await saveQueueRef.current.flush();
+    for (const analysis of targets) {
+      try {
+        if (analysis.secureMode) await shredSecureAnalysis(analysis);
+        else await deleteSnapshots(analysis.id);
+      } catch (error) {
+        console.error('[TRASH] Failed to purge', analysis.id, error);
+        alert(`Failed to permanently delete "${analysis.name}":\n${error.message}`);
+        return;
       }
-      if (activeId === id) setActiveId(next[0].id);
-      return next;
-    });
+      undoHistoriesRef.current.delete(analysis.id);
+    }
+    const targetIds = new Set(targets.map((a) => a.id));
+    setAnalyses((prev) => prev.filter((a) => !targetIds.has(a.id)));
+    console.log('[TRASH] Purged', targets.length, 'analyses');
+  }, [analyses]);
+
+  // Purge trashed analyses older than the retention period whenever the trash or the
+  // setting changes, and every hour so a tab left open doesn't keep them
+  const [trashCheckAt, setTrashCheckAt] = useState(() => Date.now()); // Bumped hourly to re-run the purge
+  // Tried since the last hourly check, so a running or failed purge isn't repeated on every edit
+  const purgingIdsRef = useRef(new Set());
+  useEffect(() => {
+    const interval = setInterval(() => {
+      purgingIdsRef.current.clear();
+      setTrashCheckAt(Date.now());
+    }, TRASH_PURGE_CHECK_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    if (!dataLoaded || recovery) return;
+    const ids = trashedAnalyses
+      .filter((a) =>
+        !purgingIdsRef.current.has(a.id) && isTrashExpired(a, trashRetentionDays) && (!a.secureMode || vault.isUnlocked())
+      )
+      .map((a) => a.id);
+    if (ids.length === 0) return;
+    ids.forEach((id) => purgingIdsRef.current.add(id));
+    purgeFromTrash(ids);
+  }, [dataLoaded, recovery, trashedAnalyses, trashRetentionDays, trashCheckAt, purgeFromTrash]);
+
+  const handleTrashRetentionChange = (days) => {
+    setTrashRetentionDays(days);
+    localStorage.setItem(TRASH_RETENTION_KEY, days);
   };
 
   const updateName = (name) => {
@@ -3538,6 +7287,204 @@ export default function RequirementAnalyzer() {
     }));
   };
 
+  // Vault handlers - every create, unlock and lock is followed by refreshVaultState
+  const refreshVaultState = () => setVaultState(vault.status());
+
+  const handleUnlockVault = async (passphrase) => {
+    const ok = await vault.unlock(passphrase);
+    if (ok) {
+      refreshVaultState();
+      await loadStoredAnalyses();
+    }
+    return ok;
+  };
+
+  // A tab whose vault key went stale (passphrase changed in another tab) locks without
+  // flushing, since anything it wrote now would use the old key
+  const handleLockVault = async ({ flush = true } = {}) => {
+    if (flush) await saveQueueRef.current.flush();
+    else saveQueueRef.current.cancel();
+    vault.lock();
+    // Drop decrypted data from memory; it's reloaded from storage after unlocking
+    undoHistoriesRef.current.clear();
+    setDataLoaded(false);
+    setAnalyses([]);
+    refreshVaultState();
+  };
+
+  // Recovery handlers - auto-save stays paused until one of these clears `recovery`
+  const handleRecoveryRetry = async (passphrase) => {
+    if (recovery.items.length === 0) {
+      // Storage itself failed to load; try again from scratch
+      setRecovery(null);
+      await loadStoredAnalyses();
+      return null;
+    }
+    const { recovered, remaining } = await recoverUnreadable(recovery.items, passphrase);
+    if (recovered.length === 0) return "That passphrase didn't decrypt any of the unreadable data.";
+
+    // Unlock the vault too if this is its passphrase, so recovered secure tasks can be re-saved
+    if (passphrase && vault.exists() && !vault.isUnlocked()) {
+      await vault.unlock(passphrase);
+      refreshVaultState();
+    }
+    const recoveredIds = new Set(recovered.map((a) => a.id));
+    const merged = ensureLiveAnalysis([...analyses.filter((a) => !recoveredIds.has(a.id)), ...recovered]);
+    setAnalyses(merged);
+    setActiveId((prevId) => pickActiveId(merged, prevId));
+    if (recovered.some((a) => a.secureMode) && !vault.exists()) {
+      setVaultModal({
+        mode: "create",
+        dismissable: false,
+        reason: "Recovered secure tasks need a vault passphrase before they can be saved again."
+      });
+    }
+    if (remaining.length > 0) {
+      setRecovery({ ...recovery, items: remaining });
+      return `Recovered ${recovered.length} ${recovered.length === 1 ? "analysis" : "analyses"}. ${remaining.length} item(s) still can't be read.`;
+    }
+    setRecovery(null);
+    return null;
+  };
+
+  const handleRecoveryDownload = async () => {
+    let items = recovery.items;
+    try {
+      items = await quarantineStore.list();
+    } catch (error) {
+      console.error('[STORAGE] Failed to read quarantine, downloading in-memory copy:', error);
+    }
+    const blob = new Blob([JSON.stringify({ exportedAt: new Date().toISOString(), items }, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `requirement-analyzer-unreadable-${new Date().toISOString().split("T")[0]}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleRecoveryStartFresh = () => {
+    if (!confirm("Continue without the unreadable data? It will be removed from your workspace on the next save. A copy is kept in quarantine storage, but download it first if you may need it.")) {
+      return;
+    }
+    const workspace = ensureLiveAnalysis(analyses);
+    setAnalyses(workspace);
+    setActiveId((prevId) => pickActiveId(workspace, prevId));
+    setRecovery(null);
+  };
+
+  // Another tab saved: reload from storage and merge per analysis. Pending local
+  // writes are held back so they can't overwrite the other tab's changes first.
+  const handleRemoteSave = async () => {
+    if (!dataLoaded || recovery || vaultLocked) return;
+    const hadPending = saveQueueRef.current.cancel();
+    await saveQueueRef.current.idle();
+    let stored;
+    try {
+      stored = await loadAnalysesFromStorage();
+    } catch (error) {
+      console.error('[SYNC] Failed to reload after a change in another tab:', error);
+      if (hadPending) saveQueueRef.current.schedule(analysesRef.current);
+      return;
+    }
+    if (stored.unreadable.length > 0) {
+      // Encrypted under a vault key this tab doesn't hold: unlock again before touching storage
+      console.warn('[SYNC] Another tab wrote data this tab cannot decrypt; locking');
+      handleLockVault({ flush: false });
+      return;
+    }
+
+    const { merged, conflicts } = mergeWorkspace(syncBaseRef.current, analysesRef.current, stored.analyses);
+    syncBaseRef.current = new Map(stored.analyses.map((a) => [a.id, a]));
+    const workspace = ensureLiveAnalysis(merged);
+    console.log('[SYNC] Merged changes from another tab,', conflicts.length, 'conflict(s)');
+    if (conflicts.length > 0) {
+      setSyncConflicts((prev) => [
+        ...prev.filter((c) => !conflicts.some((n) => n.analysisId === c.analysisId && sameJson(n.path, c.path))),
+        ...conflicts,
+      ]);
+    }
+    applyRemoteAnalyses(workspace);
+    // The new state is saved through the usual effect, including local edits that were held back
+    setActiveId((prevId) => pickActiveId(workspace, prevId));
+  };
+
+  // Remote messages are handled one at a time, always with the latest state
+  const remoteSaveHandlerRef = useRef(null);
+  remoteSaveHandlerRef.current = handleRemoteSave;
+  const remoteLockHandlerRef = useRef(null);
+  remoteLockHandlerRef.current = () => {
+    if (vault.isUnlocked()) handleLockVault({ flush: false });
+  };
+
+  useEffect(() => {
+    let queue = Promise.resolve();
+    const channel = createTabChannel((message) => {
+      if (!message || message.tabId === TAB_ID) return;
+      if (message.type === "vault-changed") {
+        remoteLockHandlerRef.current();
+      } else if (message.type === "saved") {
+        queue = queue.then(() => remoteSaveHandlerRef.current());
+      }
+    });
+    tabChannelRef.current = channel;
+    return () => {
+      channel.close();
+      tabChannelRef.current = null;
+    };
+  }, []);
+
+  const activeSyncConflicts = syncConflicts.filter((c) => c.analysisId === activeId);
+
+  const resolveSyncConflict = (conflict, useRemote) => {
+    if (useRemote) {
+      setAnalyses((prev) => prev.map((a) =>
+        a.id === conflict.analysisId ? { ...setAtPath(a, conflict.path, conflict.remote), updatedAt: new Date().toISOString() } : a
+      ));
+    }
+    setSyncConflicts((prev) => prev.filter((c) => c !== conflict));
+  };
+
+  const handleSecureModeChange = (enabled) => {
+    // Snapshots are re-stored alongside the task so its history is protected the same way
+    const applySecureMode = (value) => {
+      updateActive("secureMode", value);
+      setSnapshotsSecure(activeId, value)
+        .catch((error) => console.error('[HISTORY] Failed to update snapshot protection:', error));
+    };
+    if (enabled && !vault.isUnlocked()) {
+      setVaultModal({ mode: "create", dismissable: true, onCreated: () => applySecureMode(true) });
+      return;
+    }
+    if (!enabled && !confirm("Turn off secure mode for this task? It will be stored unencrypted. Other secure tasks stay encrypted.")) {
+      return;
+    }
+    applySecureMode(enabled);
+  };
+
+  const handleVaultSubmit = async ({ current, next }) => {
+    try {
+      if (vaultModal.mode === "change") {
+        const ok = await vault.changePassphrase(current, next);
+        if (!ok) return "Current passphrase is incorrect.";
+        // Re-save in case a write with the old key was still in flight
+        saveQueueRef.current.schedule(analyses);
+        await saveQueueRef.current.flush();
+        tabChannelRef.current?.post({ type: "vault-changed" });
+        alert("Vault passphrase changed.");
+      } else {
+        await vault.create(next);
+        refreshVaultState();
+        vaultModal.onCreated?.();
+      }
+      setVaultModal(null);
+      return null;
+    } catch (error) {
+      console.error('[VAULT] Failed:', error);
+      return `Failed to update vault: ${error.message}`;
+    }
+  };
+
   const handleExportMd = () => { if (active) setShowExport(true); };
 
   const handleGenerateAIBrief = () => {
@@ -3716,6 +7663,10 @@ export default function RequirementAnalyzer() {
 
     const reader = new FileReader();
     reader.onload = (e) => {
+      if (file.name.toLowerCase().endsWith(".json")) {
+        handleImportJson(e.target.result);
+        return;
+      }
       const markdown = e.target.result;
       setImportedMarkdown(markdown);
       setImportModalOpen(true);
@@ -3725,6 +7676,125 @@ export default function RequirementAnalyzer() {
     event.target.value = "";
   };
 
+  // JSON files are always imported as new tasks; ids already in the workspace get a fresh one
+  const handleImportJson = (text) => {
+    try {
+      const existingIds = new Set(analyses.map((a) => a.id));
+      const imported = importFromJson(text).map((a) => {
+        const copy = existingIds.has(a.id) ? { ...a, id: generateId() } : a;
+        const { deletedAt, ...live } = copy;
+        return live;
+      });
+      setAnalyses((prev) => [...imported, ...prev]);
+      setActiveId(imported[0].id);
+      setActiveSection("overview");
+      if (imported.some((a) => a.secureMode) && !vault.isUnlocked()) {
+        setVaultModal({
+          mode: "create",
+          dismissable: false,
+          reason: "The imported file contains secure tasks. Choose a vault passphrase so they can be stored encrypted."
+        });
+      }
+      alert(imported.length === 1 ? `Imported task: ${imported[0].name}` : `Imported ${imported.length} tasks`);
+    } catch (error) {
+      alert(`Failed to import JSON:\n${error.message}`);
+    }
+  };
+
+  // Secure tasks are only written to encrypted backups; tokens are never included
+  const handleCreateBackup = async ({ passphrase }) => {
+    try {
+      const included = passphrase ? analyses : analyses.filter((a) => !a.secureMode);
+      const backup = await createWorkspaceBackup(
+        { analyses: included, settings: { darkMode, trashRetentionDays } },
+        passphrase
+      );
+      const blob = new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `requirement-analyzer-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setBackupOpen(false);
+      return null;
+    } catch (error) {
+      console.error('[BACKUP] Failed to create backup:', error);
+      return `Failed to create backup: ${error.message}`;
+    }
+  };
+
+  const handleRestoreFile = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      try {
+        const backup = parseWorkspaceBackup(e.target.result);
+        const contents = backup.encryption ? null : await openWorkspaceBackup(backup);
+        setRestoreBackup({ fileName: file.name, backup, contents });
+      } catch (error) {
+        alert(`Failed to read backup:\n${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = "";
+  };
+
+  const handleUnlockBackup = async (passphrase) => {
+    try {
+      const contents = await openWorkspaceBackup(restoreBackup.backup, passphrase);
+      setRestoreBackup((prev) => prev && { ...prev, contents });
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+
+  // choices: backup analysis id -> "add" | "replace" | "merge" | "skip"
+  const handleApplyRestore = (choices, restoreSettings) => {
+    const { contents } = restoreBackup;
+    const backupById = new Map(contents.analyses.map((a) => [a.id, a]));
+    const existingIds = new Set(analyses.map((a) => a.id));
+    const chosen = (id) => choices[id] || "skip";
+
+    analyses.forEach((a) => {
+      if (backupById.has(a.id) && chosen(a.id) !== "skip") takeSnapshot(a, "backup-restore");
+    });
+    beginUndoStep();
+
+    const updated = analyses.map((a) => {
+      const restored = backupById.get(a.id);
+      if (!restored) return a;
+      if (chosen(a.id) === "replace") return { ...restored, updatedAt: new Date().toISOString() };
+      if (chosen(a.id) === "merge") return { ...mergeBackupAnalysis(a, restored), updatedAt: new Date().toISOString() };
+      return a;
+    });
+    const added = contents.analyses.filter((a) => !existingIds.has(a.id) && chosen(a.id) === "add");
+    const next = ensureLiveAnalysis([...added, ...updated]);
+    setAnalyses(next);
+    setActiveId((prevId) => pickActiveId(next, prevId));
+
+    if (restoreSettings) {
+      const { darkMode: restoredDarkMode, trashRetentionDays: restoredRetention } = contents.settings;
+      if (typeof restoredDarkMode === "boolean") setDarkMode(restoredDarkMode);
+      if (TRASH_RETENTION_OPTIONS.includes(restoredRetention)) handleTrashRetentionChange(restoredRetention);
+    }
+
+    const restoredSecure = contents.analyses.some((a) => a.secureMode && chosen(a.id) !== "skip");
+    if (restoredSecure && !vault.isUnlocked()) {
+      setVaultModal({
+        mode: "create",
+        dismissable: false,
+        reason: "The backup contains secure tasks. Choose a vault passphrase so they can be stored encrypted."
+      });
+    }
+    setRestoreBackup(null);
+    const count = Object.values(choices).filter((c) => c !== "skip").length;
+    alert(`Restored ${count} ${count === 1 ? "task" : "tasks"} from the backup`);
+  };
+
   const handleImportNew = () => {
     if (!importedMarkdown) return;
     
@@ -3746,6 +7816,8 @@ export default function RequirementAnalyzer() {
     
     try {
       const imported = importFromMarkdown(importedMarkdown);
+      takeSnapshot(active, "markdown-merge");
+      beginUndoStep();
       
       // Merge with existing analysis
       setAnalyses((prev) =>
@@ -3807,8 +7879,7 @@ export default function RequirementAnalyzer() {
     setPasteAnalyzing(true);
     
     try {
-      const results = await analyzePastedText(pastedText, githubAIKey);
-      setPasteResults(results);
+      setExtraction(await extractRequirements({ text: pastedText }, "text", aiClient));
     } catch (error) {
       alert(`Failed to analyze text:\n${error.message}`);
     } finally {
@@ -3822,8 +7893,7 @@ export default function RequirementAnalyzer() {
     setPasteAnalyzing(true);
     
     try {
-      const results = await analyzeImage(pastedImage, githubAIKey);
-      setPasteResults(results);
+      setExtraction(await extractRequirements({ image: pastedImage }, "image", aiClient));
     } catch (error) {
       alert(`Failed to analyze image:\n${error.message}`);
     } finally {
@@ -3840,8 +7910,7 @@ export default function RequirementAnalyzer() {
       // Extract text from PDF
       const text = await extractTextFromPDF(pastedPdf);
       // Analyze the extracted text
-      const results = await analyzePastedText(text, githubAIKey);
-      setPasteResults(results);
+      setExtraction(await extractRequirements({ text }, "pdf", aiClient));
     } catch (error) {
       alert(`Failed to analyze PDF:\n${error.message}`);
     } finally {
@@ -3849,224 +7918,967 @@ export default function RequirementAnalyzer() {
     }
   };
 
-  const handleApplyPasteResults = () => {
-    if (!pasteResults || !active) return;
-    
-    setAnalyses((prev) =>
-      prev.map((a) => {
-        if (a.id !== activeId) return a;
-        
-        const updated = { ...a, updatedAt: new Date().toISOString() };
-        
-        // Helper to apply field based on merge mode
-        const applyField = (fieldName, value, currentValue) => {
-          if (!value) return currentValue;
-          
-          const mergeMode = pasteMergeModes[fieldName] || 'replace';
-          if (!currentValue || (typeof currentValue === 'string' && currentValue.trim() === '')) {
-            return value;
-          }
-          
-          if (mergeMode === 'add') {
-            return `${currentValue}\n\n${value}`;
-          }
-          
-          return value; // replace mode
-        };
-        
-        // Update overview fields
-        if (pasteResults.featureName) {
-          updated.overview = { 
-            ...updated.overview, 
-            featureName: applyField('featureName', pasteResults.featureName, updated.overview.featureName)
-          };
-        }
-        if (pasteResults.date) {
-          updated.overview = { 
-            ...updated.overview, 
-            date: applyField('date', pasteResults.date, updated.overview.date)
-          };
-        }
-        if (pasteResults.requestor) {
-          updated.overview = { 
-            ...updated.overview, 
-            requestor: applyField('requestor', pasteResults.requestor, updated.overview.requestor)
-          };
-        }
-        if (pasteResults.origin) {
-          updated.overview = { 
-            ...updated.overview, 
-            origin: applyField('origin', pasteResults.origin, updated.overview.origin)
-          };
-        }
-        if (pasteResults.description) {
-          updated.overview = { 
-            ...updated.overview, 
-            description: applyField('description', pasteResults.description, updated.overview.description)
-          };
-        }
-        
-        // Update problem fields
-        if (pasteResults.problem) {
-          updated.problem = { 
-            ...updated.problem, 
-            problem: applyField('problem', pasteResults.problem, updated.problem.problem)
-          };
-        }
-        if (pasteResults.who) {
-          updated.problem = { 
-            ...updated.problem, 
-            who: applyField('who', pasteResults.who, updated.problem.who)
-          };
-        }
-        if (pasteResults.outcome) {
-          updated.problem = { 
-            ...updated.problem, 
-            outcome: applyField('outcome', pasteResults.outcome, updated.problem.outcome)
-          };
-        }
-        
-        // Update context fields
-        if (pasteResults.segments) {
-          updated.context = { 
-            ...updated.context, 
-            segments: applyField('segments', pasteResults.segments, updated.context.segments)
-          };
-        }
-        if (pasteResults.workflow) {
-          updated.context = { 
-            ...updated.context, 
-            workflow: applyField('workflow', pasteResults.workflow, updated.context.workflow)
-          };
-        }
-        
-        // Append arrays (always append, no merge mode)
-        if (pasteResults.assumptions && Array.isArray(pasteResults.assumptions)) {
-          updated.assumptions = [...updated.assumptions, ...pasteResults.assumptions];
-        }
-        if (pasteResults.questions && Array.isArray(pasteResults.questions)) {
-          updated.questions = [...updated.questions, ...pasteResults.questions];
-        }
-        if (pasteResults.acceptanceCriteria && Array.isArray(pasteResults.acceptanceCriteria)) {
-          const newCriteria = pasteResults.acceptanceCriteria.map(text => ({ 
-            id: generateId(), 
-            text, 
-            priority: "Must Have", 
-            status: "Not Started",
-            notes: "" 
-          }));
-          updated.acceptanceCriteria = [...(updated.acceptanceCriteria || []), ...newCriteria];
-        }
-        if (pasteResults.actions && Array.isArray(pasteResults.actions)) {
-          const newActions = pasteResults.actions.map(text => ({ id: generateId(), text, completed: false }));
-          updated.actions = [...(updated.actions || []), ...newActions];
-        }
-        
-        // Append notes
-        if (pasteResults.notes) {
-          const notesText = Array.isArray(pasteResults.notes) 
-            ? pasteResults.notes.map(n => `• ${n}`).join('\n')
-            : pasteResults.notes;
-          updated.notes = updated.notes 
-            ? `${updated.notes}\n\n${notesText}` 
-            : notesText;
-        }
-        
-        return updated;
-      })
-    );
-    
+  const clearExtraction = () => {
+    setExtraction(null);
+    setExtractionModes({});
+  };
+
+  const handleClosePasteModal = () => {
     setPasteModalOpen(false);
     setPastedText("");
     setPastedImage(null);
     setPastedPdf(null);
-    setPasteResults(null);
-    setPasteMergeModes({});
+    clearExtraction();
+  };
+
+  // One apply for every source, as a single undo step
+  const handleApplyExtraction = () => {
+    if (!extraction || !active) return;
+    takeSnapshot(active, "ai-apply");
+    beginUndoStep();
+    setAnalyses((prev) => prev.map((a) => (a.id === activeId ? applyExtraction(a, extraction, extractionModes) : a)));
+    if (pasteModalOpen) handleClosePasteModal();
+    if (audioModalOpen) handleCloseAudioModal();
     alert("Applied extracted information to task");
   };
 
-  const handleDeletePasteField = (fieldName) => {
-    setPasteResults(prev => {
-      if (!prev) return prev;
-      const updated = { ...prev };
-      delete updated[fieldName];
-      return updated;
-    });
+  const handleUpdateExtractionField = (key, value) => {
+    setExtraction((prev) => (prev ? { ...prev, [key]: value } : prev));
+  };
+
+  const handleRemoveExtractionField = (key) => {
+    setExtraction((prev) => {
+      if (!prev) return prev;
+      const { [key]: _removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const handleSetExtractionMode = (key, mode) => {
+    setExtractionModes((prev) => ({ ...prev, [key]: mode }));
+  };
+
+  const handleExportJson = () => {
+    if (!active) return;
+    setShareOpen(true);
+  };
+
+  // A shared task is always added as a copy; if its id is already taken it gets a fresh one
+  const importSharedAnalysis = (analysis) => {
+    const copy = analysesRef.current.some((a) => a.id === analysis.id) ? { ...analysis, id: generateId() } : analysis;
+    setSharedView(null);
+    beginUndoStep();
+    setAnalyses((prev) => [copy, ...prev]);
+    setActiveId(copy.id);
+    setActiveSection("overview");
+    if (copy.secureMode && !vault.isUnlocked()) {
+      setVaultModal({
+        mode: "create",
+        dismissable: false,
+        reason: "The shared task is secure. Choose a vault passphrase so it can be stored encrypted."
+      });
+    }
+    alert(`Imported shared task: ${copy.name}`);
+  };
+
+  // Replace a local analysis with the result of merging in its gist version.
+  // Background merges (auto-sync) aren't undo steps; ones the user started are.
+  const applyGistMerge = (local, merged, { background = false } = {}) => {
+    takeSnapshot(local, "gist-merge");
+    const update = (prev) => prev.map((a) => (a.id === local.id ? merged : a));
+    if (background) {
+      applyRemoteAnalyses(update);
+    } else {
+      beginUndoStep();
+      setAnalyses(update);
+    }
+  };
+
+  // End-to-end encrypted gists: passphrases are shared out-of-band and only kept in
+  // memory for this session, keyed by gist id
+  const gistPassphrasesRef = useRef(new Map());
+
+  const promptGistPassphrase = (mode, name, message = "", kind = "gist") =>
+    new Promise((resolve) => setGistPassphrasePrompt({ mode, name, message, kind, resolve }));
+
+  const closeGistPassphrasePrompt = (passphrase) => {
+    gistPassphrasePrompt?.resolve(passphrase);
+    setGistPassphrasePrompt(null);
+  };
+
+  // unlock callback for openGistPayload: this session's passphrase first, then ask
+  const gistUnlocker = (gistId, name, { interactive = true } = {}) => async (message) => {
+    const cached = gistPassphrasesRef.current.get(gistId);
+    if (cached && !message) return cached;
+    if (!interactive) return null;
+    const passphrase = await promptGistPassphrase("decrypt", name, message);
+    if (passphrase) gistPassphrasesRef.current.set(gistId, passphrase);
+    return passphrase;
+  };
+
+  // Open a share link in the viewer once stored tasks are loaded and the vault is open
+  useEffect(() => {
+    if (!pendingShare || !dataLoaded || recovery || vaultLocked) return;
+    setPendingShare(null);
+    const unlock = (message) => promptGistPassphrase("decrypt", "", message, "link");
+    openSharedPayload(pendingShare, unlock)
+      .then((shared) => {
+        const { deletedAt: _deleted, ...analysis } = migrateAnalysis(shared);
+        setSharedView(analysis);
+      })
+      .catch((error) => {
+        // Closing the passphrase prompt just leaves the link unopened
+        console.warn("[SHARE] Shared link not opened:", error.message);
+      });
+  }, [pendingShare, dataLoaded, recovery, vaultLocked]);
+
+  // Secure tasks are always encrypted. A gist that's already encrypted keeps the
+  // passphrase it was opened with, so collaborators aren't locked out.
+  const gistEncryptionPassphrase = async (analysis) => {
+    if (!analysis.secureMode) return undefined;
+    const cached = analysis.gistId && gistPassphrasesRef.current.get(analysis.gistId);
+    if (cached) return cached;
+    const passphrase = await promptGistPassphrase("encrypt", analysis.name);
+    if (!passphrase) throw new Error("Saving a secure task needs a gist passphrase");
+    return passphrase;
+  };
+
+  // Linked tasks stay with the provider that holds their document; others use the selected one
+  const syncProvider = useMemo(() => createSyncProvider(syncBackend, githubToken), [syncBackend, githubToken]);
+  const providerFor = (analysis) => {
+    if (!analysis?.gistId || linkedProviderId(analysis) === syncProvider.id) return syncProvider;
+    return createSyncProvider({ ...syncBackend, provider: linkedProviderId(analysis) }, githubToken);
+  };
+
+  const pushToGist = async (analysis, passphrase) => {
+    const provider = providerFor(analysis);
+    const saved = await provider.save(analysis, passphrase);
+    if (passphrase) gistPassphrasesRef.current.set(saved.id, passphrase);
+    const link = syncLinkTo(provider, saved.id, saved.revision);
+    setAnalyses((prev) => prev.map((a) => (a.id === analysis.id ? { ...withoutSyncLink(a), ...link } : a)));
+    if (autoSyncRef.current[analysis.id]) markAutoSynced(analysis.id, analysis.updatedAt);
+    if (saved.url) navigator.clipboard.writeText(saved.url);
+    const location = saved.url ? `\n\nURL copied to clipboard:\n${saved.url}` : "";
+    alert(passphrase
+      ? `Saved to ${provider.label}, encrypted!${location}\n\nID (for loading): ${saved.id}\n\nShare the passphrase through a separate channel - it's never sent to the server.`
+      : `Saved to ${provider.label}!${location}\n\nID (for loading): ${saved.id}`);
+  };
+
+  // The version this device last synced is the merge base. Without one (tasks linked
+  // before revisions were tracked) a blank analysis stands in, so nothing is dropped.
+  const loadGistMergeBase = async (provider, local, gistId, unlock) =>
+    local.gistId === gistId && local.gistRevision
+      ? migrateAnalysis(await openGistPayload(await provider.fetchRevision(gistId, local.gistRevision), unlock))
+      : { ...createBlankAnalysis(), id: local.id };
+
+  const handleSaveToGist = async () => {
+    const provider = providerFor(active);
+    if (!active || !provider.ready) {
+      alert(provider.id === "gist" ? "Please enter your GitHub token first." : "Please enter the sync server URL first.");
+      return;
+    }
+    
+    setGistLoading(true);
+    try {
+      let analysis = active;
+      if (active.gistId) {
+        // Someone else may have saved since our last sync: merge their changes first.
+        // Reading the head also confirms the passphrase of an encrypted document.
+        const { revision, payload: headPayload } = await provider.fetch(active.gistId);
+        const unlock = gistUnlocker(active.gistId, active.name);
+        if (active.secureMode && !isEncryptedGistPayload(headPayload)) {
+          // Earlier revisions of that document are plaintext; start a new, encrypted one
+          alert(`This task is now secure, but its ${provider.label} copy holds unencrypted revisions. It will be saved as a new encrypted copy - delete the old one.`);
+          analysis = { ...withoutSyncLink(active), gistId: "" };
+        } else if (revision !== active.gistRevision) {
+          const remote = migrateAnalysis(await openGistPayload(headPayload, unlock));
+          const base = await loadGistMergeBase(provider, active, active.gistId, unlock);
+          const { merged, conflicts } = mergeGistAnalysis(base, active, remote);
+          const next = { ...merged, gistRevision: revision };
+          if (conflicts.length > 0) {
+            setGistMerge({ mode: "save", analysisId: active.id, merged: next, conflicts });
+            return;
+          }
+          if (!sameContent(next, active)) applyGistMerge(active, next);
+          analysis = next;
+        } else if (active.secureMode) {
+          await openGistPayload(headPayload, unlock);
+        }
+      }
+      await pushToGist(analysis, await gistEncryptionPassphrase(analysis));
+    } catch (error) {
+      alert(syncSaveError(provider, error));
+    } finally {
+      setGistLoading(false);
+    }
+  };
+
+  // Loading a gist that's already linked to (or was created from) a local task updates that task.
+  // takenIds collects analysis ids in use, so several gists copied from one task don't collide.
+  // Documents come from the selected provider.
+  // Returns { status: "added" | "updated" | "current" | "conflict", analysis, merge }
+  const loadGistIntoWorkspace = async (gistId, takenIds) => {
+    const provider = syncProvider;
+    const linked = liveAnalyses.find((a) => a.gistId === gistId && linkedProviderId(a) === provider.id);
+    const unlock = gistUnlocker(gistId, linked?.name);
+    const { revision, payload } = await provider.fetch(gistId);
+    const remote = migrateAnalysis(await openGistPayload(payload, unlock));
+    const local = linked || liveAnalyses.find((a) => a.id === remote.id && !a.gistId);
+    const link = syncLinkTo(provider, gistId, revision);
+
+    if (!local) {
+      const loaded = { ...withoutSyncLink(remote), id: takenIds.has(remote.id) ? generateId() : remote.id, ...link };
+      takenIds.add(loaded.id);
+      setAnalyses(prev => [...prev, loaded]);
+      if (loaded.secureMode && !vault.isUnlocked()) {
+        setVaultModal({
+          mode: "create",
+          dismissable: false,
+          reason: "The gist contains a secure task. Choose a vault passphrase so it can be stored encrypted."
+        });
+      }
+      return { status: "added", analysis: loaded };
+    }
+
+    if (local.gistId === gistId && local.gistRevision === revision) return { status: "current", analysis: local };
+    const base = await loadGistMergeBase(provider, local, gistId, unlock);
+    const { merged, conflicts } = mergeGistAnalysis(base, local, remote);
+    const next = { ...withoutSyncLink(merged), ...link };
+    if (conflicts.length > 0) {
+      return { status: "conflict", analysis: local, merge: { mode: "load", analysisId: local.id, merged: next, conflicts } };
+    }
+    applyGistMerge(local, next);
+    return { status: "updated", analysis: next };
+  };
+
+  // Select the loaded task and tell the user what happened; conflicts open the merge dialog
+  const reportGistLoad = ({ status, analysis, merge }) => {
+    setActiveId(analysis.id);
+    setActiveSection("overview");
+    if (status === "conflict") setGistMerge(merge);
+    else if (status === "added") alert(`Loaded analysis: ${analysis.name}`);
+    else if (status === "current") alert(`"${analysis.name}" is already up to date with this gist.`);
+    else alert(`Updated "${analysis.name}" from the gist.`);
+  };
+
+  const handleLoadFromGist = async () => {
+    if (!loadGistId.trim()) {
+      alert("Please enter a Gist ID.");
+      return;
+    }
+    
+    setGistLoading(true);
+    try {
+      const result = await loadGistIntoWorkspace(loadGistId.trim(), new Set(analyses.map((a) => a.id)));
+      setLoadGistId("");
+      reportGistLoad(result);
+    } catch (error) {
+      alert(`Failed to load from ${syncProvider.label}:\n${error.message}\n\nMake sure the ID is correct and the document is accessible.`);
+    } finally {
+      setGistLoading(false);
+    }
+  };
+
+  // Import from the gist browser. Gists that need a merge decision are listed so they
+  // can be loaded one at a time.
+  const handleImportGists = async (gistIds) => {
+    const takenIds = new Set(analyses.map((a) => a.id));
+    const results = [];
+    const failed = [];
+    for (const gistId of gistIds) {
+      try {
+        results.push(await loadGistIntoWorkspace(gistId, takenIds));
+      } catch (error) {
+        failed.push(`- ${gistId}: ${error.message}`);
+      }
+    }
+    setGistBrowserOpen(false);
+
+    if (results.length === 1 && failed.length === 0) {
+      reportGistLoad(results[0]);
+      return;
+    }
+    const first = results.find((r) => r.status !== "conflict");
+    if (first) {
+      setActiveId(first.analysis.id);
+      setActiveSection("overview");
+    }
+    const count = (status) => results.filter((r) => r.status === status).length;
+    const conflicted = results.filter((r) => r.status === "conflict");
+    const lines = [`Imported ${count("added")} new, updated ${count("updated")}, ${count("current")} already up to date.`];
+    if (conflicted.length > 0) {
+      lines.push(`\nChanged both here and in the gist - load these one at a time to merge:\n${conflicted.map((r) => `- ${r.analysis.name}`).join("\n")}`);
+    }
+    if (failed.length > 0) lines.push(`\nFailed:\n${failed.join("\n")}`);
+    alert(lines.join("\n"));
+  };
+
+  // Deleted gists are unlinked from local tasks; the tasks themselves stay
+  const handleDeleteGists = async (gistIds) => {
+    const deleted = [];
+    const failed = [];
+    for (const gistId of gistIds) {
+      try {
+        await syncProvider.delete(gistId);
+        deleted.push(gistId);
+      } catch (error) {
+        failed.push(`- ${gistId}: ${error.message}`);
+      }
+    }
+    if (deleted.length > 0) {
+      setAnalyses((prev) => prev.map((a) => {
+        if (!deleted.includes(a.gistId) || linkedProviderId(a) !== syncProvider.id) return a;
+        return { ...withoutSyncLink(a), gistId: "" };
+      }));
+    }
+    if (failed.length > 0) alert(`Deleted ${deleted.length} of ${gistIds.length}.\n\nFailed:\n${failed.join("\n")}`);
+  };
+
+  // Background sync for tasks that opted in. The ref holds the latest opt-ins so
+  // timers and awaited rounds never act on a stale copy.
+  const autoSyncRef = useRef(autoSync);
+  autoSyncRef.current = autoSync;
+  const autoSyncStatusRef = useRef(autoSyncStatus);
+  autoSyncStatusRef.current = autoSyncStatus;
+  const autoSyncTimersRef = useRef(new Map());
+  const autoSyncRunningRef = useRef(new Set());
+  const autoSyncSeenRef = useRef(new Map()); // id -> analysis object the last edit check saw
+
+  const setAutoSyncState = (id, state, error = "") =>
+    setAutoSyncStatus((prev) => ({ ...prev, [id]: { state, error } }));
+
+  // Skipped if the task opted out while a round was running
+  const recordAutoSynced = (id, updatedAt) => {
+    if (!autoSyncRef.current[id]) return;
+    autoSyncRef.current = { ...autoSyncRef.current, [id]: { syncedUpdatedAt: updatedAt } };
+    setAutoSync(autoSyncRef.current);
+  };
+
+  const markAutoSynced = (id, updatedAt) => {
+    recordAutoSynced(id, updatedAt);
+    if (autoSyncRef.current[id]) setAutoSyncState(id, "synced");
+  };
+
+  const scheduleAutoSync = (id, delay = AUTO_SYNC_DELAY_MS) => {
+    clearTimeout(autoSyncTimersRef.current.get(id));
+    autoSyncTimersRef.current.set(id, setTimeout(() => {
+      autoSyncTimersRef.current.delete(id);
+      runAutoSyncRef.current(id);
+    }, delay));
+  };
+
+  // One sync round: merge in remote changes, then push if the gist is behind
+  const runAutoSync = async (id) => {
+    const local = analysesRef.current.find((a) => a.id === id);
+    const provider = providerFor(local);
+    if (!local?.gistId || local.deletedAt || !autoSyncRef.current[id] || !provider.ready) return;
+    // Background rounds never prompt: secure tasks need this session's gist passphrase
+    const passphrase = local.secureMode ? gistPassphrasesRef.current.get(local.gistId) : undefined;
+    if (local.secureMode && !passphrase) {
+      setAutoSyncState(id, "error", "Use Update Gist once to enter the gist passphrase");
+      return;
+    }
+    if (autoSyncRunningRef.current.has(id)) {
+      scheduleAutoSync(id);
+      return;
+    }
+    if (!navigator.onLine) {
+      setAutoSyncState(id, "offline");
+      return;
+    }
+    autoSyncRunningRef.current.add(id);
+    setAutoSyncState(id, "syncing");
+    try {
+      const { revision, payload } = await provider.fetch(local.gistId);
+      const unlock = gistUnlocker(local.gistId, local.name, { interactive: false });
+      const remote = migrateAnalysis(await openGistPayload(payload, unlock));
+      let current = local;
+      if (revision !== local.gistRevision) {
+        const base = await loadGistMergeBase(provider, local, local.gistId, unlock);
+        const { merged, conflicts } = mergeGistAnalysis(base, local, remote);
+        if (conflicts.length > 0) {
+          setAutoSyncState(id, "conflict");
+          return;
+        }
+        current = { ...merged, gistRevision: revision };
+      }
+      // Edited while we were fetching: the next round picks it up
+      if (analysesRef.current.find((a) => a.id === id) !== local) {
+        setAutoSyncState(id, "pending");
+        scheduleAutoSync(id);
+        return;
+      }
+      if (!sameGistContent(current, local)) {
+        recordAutoSynced(id, current.updatedAt);
+        applyGistMerge(local, current, { background: true });
+      } else if (current.gistRevision !== local.gistRevision) {
+        setAnalyses((prev) => prev.map((a) => (a.id === id ? { ...a, gistRevision: current.gistRevision } : a)));
+      }
+      if (!sameGistContent(current, remote)) {
+        const { revision: pushedRevision } = await provider.save(current, passphrase);
+        setAnalyses((prev) => prev.map((a) => (a.id === id ? { ...a, gistRevision: pushedRevision } : a)));
+      }
+      markAutoSynced(id, current.updatedAt);
+    } catch (error) {
+      if (isNetworkError(error)) {
+        setAutoSyncState(id, "offline");
+      } else {
+        console.error('[AUTO-SYNC] Failed to sync', id, error);
+        setAutoSyncState(id, "error", error.message);
+      }
+    } finally {
+      autoSyncRunningRef.current.delete(id);
+    }
+  };
+  const runAutoSyncRef = useRef(runAutoSync);
+  runAutoSyncRef.current = runAutoSync;
+
+  // Local edits: push after a quiet period. Only tasks that changed since the last check
+  // restart their timer; conflicts wait for the user.
+  useEffect(() => {
+    if (!dataLoaded || recovery || vaultLocked) return;
+    analyses.forEach((a) => {
+      const entry = autoSync[a.id];
+      if (!entry || !a.gistId || a.updatedAt === entry.syncedUpdatedAt || !providerFor(a).ready) return;
+      if (autoSyncSeenRef.current.get(a.id) === a && autoSyncTimersRef.current.has(a.id)) return;
+      autoSyncSeenRef.current.set(a.id, a);
+      const state = autoSyncStatusRef.current[a.id]?.state;
+      if (state === "conflict") return;
+      if (state !== "offline" && state !== "syncing") setAutoSyncState(a.id, "pending");
+      scheduleAutoSync(a.id);
+    });
+  }, [analyses, autoSync, dataLoaded, recovery, vaultLocked, syncProvider]);
+
+  // Remote edits: poll the gists, and replay queued changes when the connection returns
+  useEffect(() => {
+    if (!dataLoaded || recovery || vaultLocked) return;
+    const syncAll = () => Object.keys(autoSyncRef.current).forEach((id) => {
+      if (autoSyncStatusRef.current[id]?.state !== "conflict") runAutoSyncRef.current(id);
+    });
+    syncAll();
+    const interval = setInterval(syncAll, AUTO_SYNC_POLL_MS);
+    window.addEventListener("online", syncAll);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener("online", syncAll);
+    };
+  }, [dataLoaded, recovery, vaultLocked, syncProvider]);
+
+  useEffect(() => () => autoSyncTimersRef.current.forEach((timer) => clearTimeout(timer)), []);
+
+  const handleAutoSyncToggle = (enabled) => {
+    if (!active) return;
+    setAutoSync((prev) => {
+      const next = { ...prev };
+      if (enabled) next[active.id] = { syncedUpdatedAt: null };
+      else delete next[active.id];
+      return next;
+    });
+    setAutoSyncStatus((prev) => {
+      const { [active.id]: _removed, ...rest } = prev;
+      return rest;
+    });
+    if (!enabled) {
+      clearTimeout(autoSyncTimersRef.current.get(active.id));
+      autoSyncTimersRef.current.delete(active.id);
+    }
+  };
+
+  // A revision either replaces the active task (which stays linked to the gist, so the
+  // next save publishes it) or becomes a new, unlinked task
+  const handleRestoreGistRevision = (revision, { asNew, committedAt }) => {
+    const now = new Date().toISOString();
+    if (asNew) {
+      const copy = {
+        ...withoutSyncLink(revision),
+        id: generateId(),
+        name: `${revision.name} (${new Date(committedAt).toLocaleDateString()})`,
+        overview: { ...revision.overview, featureName: `${revision.name} (${new Date(committedAt).toLocaleDateString()})` },
+        gistId: "",
+        createdAt: now,
+        updatedAt: now,
+      };
+      setAnalyses((prev) => [copy, ...prev]);
+      setActiveId(copy.id);
+      setActiveSection("overview");
+    } else {
+      takeSnapshot(active, "gist-revision");
+      beginUndoStep();
+      const restored = { ...revision, id: active.id, secureMode: active.secureMode, gistId: active.gistId, gistRevision: active.gistRevision, updatedAt: now };
+      setAnalyses((prev) => prev.map((a) => (a.id === active.id ? restored : a)));
+    }
+    setGistHistoryOpen(false);
+  };
+
+  const handleResolveGistMerge = async (choices) => {
+    const { mode, analysisId, merged, conflicts } = gistMerge;
+    const local = analyses.find((a) => a.id === analysisId);
+    setGistMerge(null);
+    if (!local) return;
+    const resolved = choices.some(Boolean)
+      ? { ...resolveMergeConflicts(merged, conflicts, choices), updatedAt: new Date().toISOString() }
+      : merged;
+    applyGistMerge(local, resolved);
+    if (mode !== "save") {
+      alert(`Updated "${resolved.name}" from the gist.`);
+      return;
+    }
+    setGistLoading(true);
+    try {
+      await pushToGist(resolved, await gistEncryptionPassphrase(resolved));
+    } catch (error) {
+      alert(syncSaveError(providerFor(resolved), error));
+    } finally {
+      setGistLoading(false);
+    }
+  };
+
+  // Workspace gist sync: push and pull every standard task through one gist
+  const fetchWorkspaceGist = async (gistId = workspaceSync.gistId) => {
+    const remote = await loadWorkspaceGist(gistId, githubToken);
+    setWorkspaceManifest(remote.manifest);
+    return remote;
+  };
+
+  useEffect(() => {
+    if (!dataLoaded || !workspaceSync.gistId || !githubToken) return;
+    fetchWorkspaceGist().catch((error) => console.error('[WORKSPACE] Failed to check workspace gist:', error));
+  }, [dataLoaded, workspaceSync.gistId]);
+
+  const handleWorkspaceCheck = async () => {
+    setWorkspaceBusy(true);
+    try {
+      await fetchWorkspaceGist();
+    } catch (error) {
+      alert(`Failed to check the workspace gist:\n${error.message}`);
+    } finally {
+      setWorkspaceBusy(false);
+    }
+  };
+
+  const handleWorkspaceLink = async () => {
+    const gistId = workspaceGistInput.trim();
+    if (!gistId) return;
+    setWorkspaceBusy(true);
+    try {
+      await fetchWorkspaceGist(gistId);
+      setWorkspaceSync({ gistId, synced: {} });
+      setWorkspaceGistInput("");
+    } catch (error) {
+      alert(`Failed to link the workspace gist:\n${error.message}`);
+    } finally {
+      setWorkspaceBusy(false);
+    }
+  };
+
+  const handleWorkspaceUnlink = () => {
+    if (!confirm("Stop syncing this workspace with its gist? The gist itself is not deleted.")) return;
+    setWorkspaceSync({ gistId: "", synced: {} });
+    setWorkspaceManifest(null);
+  };
+
+  // Push tasks changed locally. Tasks changed in the gist since the last sync are held
+  // back so they're never overwritten; pull those first.
+  const handleWorkspacePush = async () => {
+    if (!githubToken) {
+      alert("Please enter your GitHub token first.");
+      return;
+    }
+    setWorkspaceBusy(true);
+    try {
+      const { gistId, synced } = workspaceSync;
+      const manifest = gistId ? (await fetchWorkspaceGist()).manifest : null;
+      const entries = new Map((manifest?.analyses || []).map((entry) => [entry.id, entry]));
+      const syncable = analyses.filter(canSyncToWorkspaceGist);
+      const states = new Map(syncable.map((a) => [a.id, workspaceSyncState(a, entries.get(a.id), synced[a.id])]));
+      const toPush = syncable.filter((a) => ["local", "new"].includes(states.get(a.id)));
+      const heldBack = syncable.filter((a) => ["remote", "diverged"].includes(states.get(a.id)));
+      // Trashed, purged or now-secure tasks leave the gist, unless someone changed them there
+      const removedIds = Object.keys(synced).filter((id) =>
+        !syncable.some((a) => a.id === id) && entries.get(id)?.updatedAt === synced[id]
+      );
+
+      if (toPush.length === 0 && removedIds.length === 0) {
+        alert(heldBack.length > 0
+          ? `Nothing to push. ${heldBack.length} ${heldBack.length === 1 ? "task has" : "tasks have"} newer changes in the gist; pull first.`
+          : "Everything is already in the workspace gist.");
+        return;
+      }
+
+      const gist = await pushWorkspaceGist({ gistId, manifest, analyses: toPush, removedIds }, githubToken);
+      const nextSynced = { ...synced };
+      removedIds.forEach((id) => delete nextSynced[id]);
+      toPush.forEach((a) => { nextSynced[a.id] = a.updatedAt; });
+      setWorkspaceSync({ gistId: gist.id, synced: nextSynced });
+      setWorkspaceManifest(JSON.parse(gist.files[WORKSPACE_MANIFEST_FILE].content));
+
+      const lines = [`Pushed ${toPush.length} ${toPush.length === 1 ? "task" : "tasks"} to the workspace gist.`];
+      if (removedIds.length > 0) lines.push(`Removed ${removedIds.length} deleted ${removedIds.length === 1 ? "task" : "tasks"} from the gist.`);
+      // Removing a file doesn't remove it from earlier gist revisions
+      const nowSecure = analyses.filter((a) => a.secureMode && !a.deletedAt && removedIds.includes(a.id));
+      if (nowSecure.length > 0) {
+        lines.push(`\nThese tasks are now secure and were removed from the workspace gist, but its revision history still holds their unencrypted content. Delete the gist (and share a new one) to erase it:\n${nowSecure.map((a) => `- ${a.name}`).join("\n")}`);
+      }
+      if (heldBack.length > 0) lines.push(`\nNot pushed because the gist has newer changes (pull first):\n${heldBack.map((a) => `- ${a.name}`).join("\n")}`);
+      if (!gistId) lines.push(`\nWorkspace gist ID (share it with your team): ${gist.id}`);
+      alert(lines.join("\n"));
+    } catch (error) {
+      alert(`Failed to push to the workspace gist:\n${error.message}\n\nMake sure your token has 'gist' scope.`);
+    } finally {
+      setWorkspaceBusy(false);
+    }
+  };
+
+  // Pull tasks that are new or changed in the gist. Tasks changed on both sides are left alone.
+  const handleWorkspacePull = async () => {
+    setWorkspaceBusy(true);
+    try {
+      const { synced } = workspaceSync;
+      const { manifest, analyses: remoteAnalyses } = await fetchWorkspaceGist();
+      const localById = new Map(analyses.map((a) => [a.id, a]));
+      const updates = new Map();
+      const diverged = [];
+
+      manifest.analyses.forEach((entry) => {
+        const remote = remoteAnalyses.get(entry.id);
+        if (!remote) return;
+        const local = localById.get(entry.id);
+        if (!local) {
+          // Purged here since the last sync: the next push removes it from the gist
+          if (synced[entry.id] === entry.updatedAt) return;
+          updates.set(entry.id, remote);
+          return;
+        }
+        if (!canSyncToWorkspaceGist(local)) return;
+        const state = workspaceSyncState(local, entry, synced[entry.id]);
+        if (state === "remote") updates.set(entry.id, { ...remote, ...syncLinkOf(local) });
+        if (state === "diverged") diverged.push(local);
+      });
+
+      if (updates.size > 0) {
+        analyses.forEach((a) => { if (updates.has(a.id)) takeSnapshot(a, "workspace-pull"); });
+        beginUndoStep();
+        const added = [...updates.values()].filter((a) => !localById.has(a.id));
+        setAnalyses((prev) => [...added, ...prev.map((a) => updates.get(a.id) || a)]);
+        setWorkspaceSync((prev) => ({
+          ...prev,
+          synced: { ...prev.synced, ...Object.fromEntries([...updates.values()].map((a) => [a.id, a.updatedAt])) }
+        }));
+      }
+
+      const lines = [updates.size > 0
+        ? `Pulled ${updates.size} ${updates.size === 1 ? "task" : "tasks"} from the workspace gist.`
+        : "Everything is up to date with the workspace gist."];
+      if (diverged.length > 0) lines.push(`\nChanged both here and in the gist, so not pulled:\n${diverged.map((a) => `- ${a.name}`).join("\n")}`);
+      alert(lines.join("\n"));
+    } catch (error) {
+      alert(`Failed to pull from the workspace gist:\n${error.message}`);
+    } finally {
+      setWorkspaceBusy(false);
+    }
+  };
+
+  // GitHub repository sync: commit standard tasks as JSON + markdown files
+  const repoClient = () => {
+    if (!githubToken) throw new Error("Please enter your GitHub token first.");
+    if (!repoSync.owner.trim() || !repoSync.repo.trim()) throw new Error("Enter the repository owner and name first.");
+    return createGitHubRepoClient({
+      token: githubToken,
+      owner: repoSync.owner.trim(),
+      repo: repoSync.repo.trim(),
+      branch: repoSync.branch.trim(),
+      ...(repoSync.apiUrl.trim() ? { baseUrl: repoSync.apiUrl.trim().replace(/\/+$/, "") } : {}),
+    });
+  };
+
+  // Keep a task on the file it was first pushed to, even after a rename
+  const repoSlugFor = (analysis, slugs) => {
+    if (slugs[analysis.id]) return slugs[analysis.id];
+    const taken = new Set(Object.values(slugs));
+    const base = slugify(analysis.name);
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    return slug;
+  };
+
+  const handleRepoPush = async (targets) => {
+    const skipped = targets.filter((a) => a.secureMode);
+    const toPush = targets.filter((a) => !a.secureMode);
+    if (toPush.length === 0) {
+      alert("Secure tasks are never committed to a repository.");
+      return;
+    }
+    setRepoBusy(true);
+    const slugs = { ...repoSync.slugs };
+    const committed = [];
+    const failed = [];
+    try {
+      const client = repoClient();
+      for (const analysis of toPush) {
+        const slug = repoSlugFor(analysis, slugs);
+        try {
+          const message = await pushAnalysisToRepo(client, analysis, { directory: repoSync.directory, slug });
+          slugs[analysis.id] = slug;
+          if (message) committed.push(message);
+        } catch (error) {
+          console.error(`[REPO] Failed to push ${analysis.name}:`, error);
+          failed.push(`- ${analysis.name}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      failed.push(error.message);
+    } finally {
+      setRepoSync((prev) => ({ ...prev, slugs }));
+      setRepoBusy(false);
+    }
+
+    const lines = [committed.length > 0
+      ? `Committed ${committed.length} ${committed.length === 1 ? "task" : "tasks"}:\n${committed.map((m) => `- ${m}`).join("\n")}`
+      : "The repository is already up to date."];
+    if (skipped.length > 0) lines.push(`\nSkipped ${skipped.length} secure ${skipped.length === 1 ? "task" : "tasks"}.`);
+    if (failed.length > 0) lines.push(`\nFailed:\n${failed.join("\n")}\n\nMake sure your token can write to the repository ('repo' scope).`);
+    alert(lines.join("\n"));
+  };
+
+  // Import every analysis in the repo folder: new ones are added, changed ones replace
+  // the local copy (snapshotted first), identical ones are left alone
+  const handleRepoImport = async () => {
+    setRepoBusy(true);
+    try {
+      const remote = await pullAnalysesFromRepo(repoClient(), repoSync.directory);
+      const localById = new Map(analyses.map((a) => [a.id, a]));
+      const added = [];
+      const updated = new Map();
+      const skippedSecure = [];
+      remote.forEach(({ analysis }) => {
+        const local = localById.get(analysis.id);
+        if (!local) return added.push(analysis);
+        if (local.secureMode) return skippedSecure.push(local.name);
+        if (!sameGistContent(local, analysis)) updated.set(local.id, { ...analysis, ...syncLinkOf(local) });
+      });
+
+      setRepoSync((prev) => ({
+        ...prev,
+        slugs: { ...prev.slugs, ...Object.fromEntries(remote.map(({ slug, analysis }) => [analysis.id, slug])) },
+      }));
+      if (added.length > 0 || updated.size > 0) {
+        analyses.forEach((a) => { if (updated.has(a.id)) takeSnapshot(a, "repo-import"); });
+        beginUndoStep();
+        setAnalyses((prev) => [...added, ...prev.map((a) => updated.get(a.id) || a)]);
+        if (added.length > 0) setActiveId(added[0].id);
+      }
+
+      const lines = [remote.length === 0
+        ? "No analyses found in the repository folder."
+        : `Imported from the repository: ${added.length} added, ${updated.size} updated, ${remote.length - added.length - updated.size - skippedSecure.length} already up to date.`];
+      if (skippedSecure.length > 0) lines.push(`\nNot updated because they are secure here:\n${skippedSecure.map((name) => `- ${name}`).join("\n")}`);
+      alert(lines.join("\n"));
+    } catch (error) {
+      console.error("[REPO] Import failed:", error);
+      alert(`Failed to import from the repository:\n${error.message}`);
+    } finally {
+      setRepoBusy(false);
+    }
   };
 
-  const handleUpdatePasteField = (fieldName, value) => {
-    setPasteResults(prev => {
-      if (!prev) return prev;
-      return { ...prev, [fieldName]: value };
+  // Live collaboration. The session (CRDT document, event stream, unsent changes) lives
+  // in a ref; `collab` mirrors what the UI needs.
+  const [collabClientId] = useState(createCollabId);
+  const collabRef = useRef(null);
+
+  const collabUrl = (room, action, params = {}) => {
+    const query = new URLSearchParams({ ...params, ...(collabSettings.relayToken ? { token: collabSettings.relayToken } : {}) });
+    return `${collabSettings.relayUrl.trim().replace(/\/+$/, "")}/rooms/${encodeURIComponent(room)}/${action}?${query}`;
+  };
+
+  const sendCollab = (message) => {
+    const session = collabRef.current;
+    if (!session) return;
+    fetch(collabUrl(session.room, "messages"), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...message, client: collabClientId })
+    }).catch((error) => console.warn("[COLLAB] Failed to send:", error.message));
+  };
+
+  const sendCollabState = () => {
+    const session = collabRef.current;
+    if (session?.analysisId) sendCollab({ type: "state", analysisId: session.analysisId, registers: [...session.doc.registers] });
+  };
+
+  const sendCollabPresence = () => {
+    const session = collabRef.current;
+    if (!session) return;
+    sendCollab({
+      type: "presence",
+      name: collabSettings.name.trim() || "Anonymous",
+      section: session.analysisId && activeId === session.analysisId ? activeSection : null
     });
   };
 
-  const handleSetPasteMergeMode = (fieldName, mode) => {
-    setPasteMergeModes(prev => ({ ...prev, [fieldName]: mode }));
+  const flushCollab = () => {
+    const session = collabRef.current;
+    if (!session) return;
+    session.sendTimer = null;
+    if (session.outbox.size === 0) return;
+    sendCollab({ type: "changes", registers: [...session.outbox] });
+    session.outbox.clear();
   };
 
-  const handleExportJson = () => {
-    if (!active) return;
-    const encoded = btoa(JSON.stringify(active));
-    const url = `${window.location.origin}${window.location.pathname}?data=${encoded}`;
-    
-    // Try to copy to clipboard
-    if (navigator.clipboard && navigator.clipboard.writeText) {
-      navigator.clipboard.writeText(url).then(() => {
-        alert("Share link copied to clipboard! Anyone with this link can view this analysis.");
-      }).catch((err) => {
-        console.error("Clipboard write failed:", err);
-        // Show URL in prompt as fallback
-        prompt("Copy this share link:", url);
-      });
-    } else {
-      // Browser doesn't support clipboard API, show URL in prompt
-      prompt("Copy this share link:", url);
-    }
+  const leaveCollab = (reason) => {
+    const session = collabRef.current;
+    if (!session) return;
+    clearTimeout(session.sendTimer);
+    flushCollab();
+    session.source.close(); // The relay tells the others we left
+    collabRef.current = null;
+    setCollab(null);
+    setCollabPeers({});
+    if (reason) alert(reason);
   };
 
-  const handleSaveToGist = async () => {
-    if (!active || !githubToken) {
-      alert("Please enter your GitHub token first.");
+  const openCollabSession = (session, status) => {
+    leaveCollab();
+    const source = new EventSource(collabUrl(session.room, "events", { client: collabClientId }));
+    collabRef.current = { ...session, source, outbox: new Map(), sendTimer: null };
+    // Also runs after a reconnect: swap full states to catch up on anything missed
+    source.onopen = () => {
+      setCollab((prev) => prev && { ...prev, error: "" });
+      sendCollabState();
+      sendCollab({ type: "hello" });
+      collabPresenceRef.current();
+    };
+    source.onmessage = (event) => {
+      try {
+        collabMessageRef.current(JSON.parse(event.data));
+      } catch (error) {
+        console.warn("[COLLAB] Ignoring a message that couldn't be applied:", error);
+      }
+    };
+    source.onerror = () => setCollab((prev) => prev && { ...prev, error: "Lost the connection to the relay. Reconnecting…" });
+    setCollab({ room: session.room, analysisId: session.analysisId, status, error: "" });
+    setCollabPeers({});
+  };
+
+  const handleStartCollab = () => {
+    if (!active || active.secureMode) return;
+    const doc = createCollabDoc(collabClientId);
+    collabChanges(doc, active);
+    openCollabSession({ room: createCollabId(), analysisId: active.id, doc, last: active }, "live");
+  };
+
+  const handleJoinCollab = (room) => {
+    openCollabSession({ room, analysisId: null, doc: createCollabDoc(collabClientId), last: null }, "waiting");
+    setCollabInvite("");
+  };
+
+  // Show the document's version of the shared task
+  const applyCollabDoc = (session) => {
+    const local = analysesRef.current.find((a) => a.id === session.analysisId);
+    if (!local) return;
+    const next = { ...collabDocToAnalysis(session.doc, local), updatedAt: new Date().toISOString() };
+    if (sameContent(next, local)) return;
+    session.last = next;
+    applyRemoteAnalyses((prev) => prev.map((a) => (a.id === next.id ? next : a)));
+  };
+
+  // The first state received when joining decides which task is shared. A local copy of
+  // it (from an earlier session or a gist) is updated instead of adding another.
+  const joinCollabTask = (session, analysisId) => {
+    const local = analysesRef.current.find((a) => a.id === analysisId);
+    if (local?.secureMode) {
+      leaveCollab(`"${local.name}" is a secure task on this device, so it can't be edited live.`);
       return;
     }
-    
-    setGistLoading(true);
-    try {
-      const gist = await saveToGist(active, githubToken);
-      // Update analysis with gist ID
-      setAnalyses(prev => prev.map(a => 
-        a.id === activeId ? { ...a, gistId: gist.id } : a
-      ));
-      navigator.clipboard.writeText(gist.html_url);
-      alert(`Saved to GitHub Gist!\n\nGist URL copied to clipboard:\n${gist.html_url}\n\nGist ID (for loading): ${gist.id}`);
-    } catch (error) {
-      alert(`Failed to save to GitHub Gist:\n${error.message}\n\nMake sure your token has 'gist' scope.`);
-    } finally {
-      setGistLoading(false);
+    if (local) {
+      takeSnapshot(local, "collab-join");
+      beginUndoStep();
     }
+    const { deletedAt: _deleted, ...next } = {
+      ...collabDocToAnalysis(session.doc, local || { ...createBlankAnalysis(), id: analysisId }),
+      updatedAt: new Date().toISOString()
+    };
+    session.analysisId = analysisId;
+    session.last = next;
+    setAnalyses((prev) => (local ? prev.map((a) => (a.id === analysisId ? next : a)) : [next, ...prev]));
+    setActiveId(analysisId);
+    setCollab((prev) => prev && { ...prev, analysisId, status: "live" });
   };
 
-  const handleLoadFromGist = async () => {
-    if (!loadGistId.trim()) {
-      alert("Please enter a Gist ID.");
+  const handleCollabMessage = (message) => {
+    const session = collabRef.current;
+    if (!session || message.client === collabClientId) return;
+    if (message.type === "hello") {
+      sendCollabState();
+      sendCollabPresence();
+    } else if (message.type === "state" || message.type === "changes") {
+      if (message.type === "state" && session.analysisId && message.analysisId !== session.analysisId) return;
+      const changed = mergeCollabRegisters(session.doc, message.registers || []);
+      if (!session.analysisId) {
+        if (message.type === "state") joinCollabTask(session, message.analysisId);
+      } else if (changed) {
+        applyCollabDoc(session);
+      }
+    } else if (message.type === "presence") {
+      setCollabPeers((prev) => ({
+        ...prev,
+        [message.client]: { name: message.name, section: message.section, color: collabColor(message.client), seenAt: Date.now() }
+      }));
+    } else if (message.type === "leave") {
+      setCollabPeers(({ [message.client]: _left, ...rest }) => rest);
+    }
+  };
+  const collabMessageRef = useRef(handleCollabMessage);
+  collabMessageRef.current = handleCollabMessage;
+  const collabPresenceRef = useRef(sendCollabPresence);
+  collabPresenceRef.current = sendCollabPresence;
+
+  // Local edits to the shared task go out in small batches
+  useEffect(() => {
+    const session = collabRef.current;
+    if (!session?.analysisId || collab?.status !== "live") return;
+    const current = analyses.find((a) => a.id === session.analysisId);
+    if (!current || current.deletedAt) {
+      leaveCollab("The shared task was deleted here, so you've left the live session.");
       return;
     }
-    
-    setGistLoading(true);
-    try {
-      const data = await loadFromGist(loadGistId.trim(), githubToken);
-      const migrated = migrateAnalysis(data);
-      setAnalyses(prev => [...prev, migrated]);
-      setActiveId(migrated.id);
-      setLoadGistId("");
-      alert(`Loaded analysis: ${migrated.name}`);
-    } catch (error) {
-      alert(`Failed to load from GitHub Gist:\n${error.message}\n\nMake sure the Gist ID is correct and the gist is accessible.`);
-    } finally {
-      setGistLoading(false);
+    if (current.secureMode) {
+      leaveCollab("The shared task is now secure, so you've left the live session.");
+      return;
     }
-  };
+    if (current === session.last) return;
+    session.last = current;
+    collabChanges(session.doc, current).forEach(([key, register]) => session.outbox.set(key, register));
+    if (session.outbox.size > 0 && !session.sendTimer) session.sendTimer = setTimeout(flushCollab, COLLAB_SEND_DELAY_MS);
+  }, [analyses, collab?.status]);
+
+  // Presence: say where we are when it changes and every little while; forget quiet peers
+  useEffect(() => {
+    if (collab) sendCollabPresence();
+  }, [collab?.room, collab?.analysisId, activeId, activeSection, collabSettings.name]);
+
+  useEffect(() => {
+    if (!collab) return;
+    const interval = setInterval(() => {
+      collabPresenceRef.current();
+      setCollabPeers((prev) => Object.fromEntries(
+        Object.entries(prev).filter(([, peer]) => Date.now() - peer.seenAt < COLLAB_PEER_TIMEOUT_MS)
+      ));
+    }, COLLAB_PRESENCE_MS);
+    return () => clearInterval(interval);
+  }, [collab?.room]);
+
+  useEffect(() => () => collabRef.current?.source.close(), []);
+
+  // Peers looking at the shared task, by section
+  const collabPeersBySection = useMemo(() => {
+    const bySection = {};
+    if (!collab || active?.id !== collab.analysisId) return bySection;
+    Object.entries(collabPeers).forEach(([client, peer]) => {
+      if (peer.section) bySection[peer.section] = [...(bySection[peer.section] || []), { client, ...peer }];
+    });
+    return bySection;
+  }, [collab, collabPeers, active?.id]);
 
   // Audio analysis handlers
   const handleStartRecording = async () => {
@@ -4107,83 +8919,14 @@ export default function RequirementAnalyzer() {
     
     setAudioProcessing(true);
     
-    if (githubAIKey) {
-      // Analyze with GitHub AI
-      const suggestions = await analyzeWithGitHub(transcript, githubAIKey);
-      if (suggestions) {
-        setAiSuggestions(suggestions);
-        // Initialize all sections as selected
-        const selected = {};
-        Object.keys(suggestions).forEach(key => { selected[key] = true; });
-        setSelectedSections(selected);
-      } else {
-        alert("Failed to analyze with OpenAI. Please check your API key.");
-      }
-    } else {
-      // Manual mode - put transcript in notes
-      setAiSuggestions({ notes: transcript });
-      setSelectedSections({ notes: true });
-    }
-    
-    setAudioProcessing(false);
-  };
-
-  const handleToggleSection = (section) => {
-    setSelectedSections(prev => ({ ...prev, [section]: !prev[section] }));
-  };
-
-  const handleUpdateSuggestion = (section, content) => {
-    setAiSuggestions(prev => ({ ...prev, [section]: content }));
-  };
-
-  const handleSetMergeMode = (section, mode) => {
-    setMergeModes(prev => ({ ...prev, [section]: mode }));
-  };
-  
-  // Helper to get current value of a field from active analysis
-  const getActiveFieldValue = (section) => {
-    if (!active) return '';
-    
-    // Direct fields
-    if (active[section]) {
-      return typeof active[section] === 'string' ? active[section] : '';
+    try {
+      // Without an AI provider the transcript is offered as notes
+      setExtraction(await extractRequirements({ text: transcript }, "transcript", aiClient));
+    } catch (error) {
+      alert(`Failed to analyze transcript:\n${error.message}`);
+    } finally {
+      setAudioProcessing(false);
     }
-    
-    // Nested fields
-    if (section === 'description') return active.overview?.description || '';
-    if (section === 'featureName') return active.overview?.featureName || '';
-    if (section === 'problem') return active.problem?.problem || '';
-    if (section === 'who') return active.problem?.who || '';
-    if (section === 'outcome') return active.problem?.outcome || '';
-    if (section === 'segments') return active.context?.segments || '';
-    if (section === 'workflow') return active.context?.workflow || '';
-    
-    return '';
-  };
-
-  const handleApplyAudioChanges = () => {
-    Object.entries(aiSuggestions).forEach(([section, content]) => {
-      if (selectedSections[section] !== false && content.trim()) {
-        const existingContent = getActiveFieldValue(section);
-        const mergeMode = mergeModes[section] || 'replace';
-        
-        let finalContent = content;
-        if (existingContent && existingContent.trim() && mergeMode === 'add') {
-          // Add new content to existing
-          finalContent = `${existingContent}\n\n${content}`;
-        }
-        
-        updateActive(section, finalContent);
-      }
-    });
-    
-    // Reset audio modal state
-    setAudioModalOpen(false);
-    setTranscript("");
-    setAiSuggestions({});
-    setSelectedSections({});
-    setMergeModes({});
-    setIsRecording(false);
   };
 
   const handleCloseAudioModal = () => {
@@ -4192,25 +8935,35 @@ export default function RequirementAnalyzer() {
     }
     setAudioModalOpen(false);
     setTranscript("");
-    setAiSuggestions({});
-    setSelectedSections({});
-    setMergeModes({});
+    clearExtraction();
   };
 
-  if (!active) return null;
-  const completion = getCompletion(active);
-  const { filled: tasksFilled, total: tasksTotal } = getTaskCount(active);
-
   // Count analyses per phase for the filter
   const phaseCounts = useMemo(() => {
-    const counts = { All: analyses.length, Untagged: 0 };
+    const counts = { All: liveAnalyses.length, Untagged: 0 };
     VERSION_PHASES.forEach((v) => { counts[v] = 0; });
-    analyses.forEach((a) => {
+    liveAnalyses.forEach((a) => {
       if (!a.phase) counts.Untagged++;
       else if (counts[a.phase] !== undefined) counts[a.phase]++;
     });
     return counts;
-  }, [analyses]);
+  }, [liveAnalyses]);
+
+  if (vaultLocked) return <VaultLockScreen onUnlock={handleUnlockVault} />;
+  if (recovery) {
+    return (
+      <RecoveryScreen
+        items={recovery.items}
+        error={recovery.error}
+        onRetry={handleRecoveryRetry}
+        onDownload={handleRecoveryDownload}
+        onStartFresh={handleRecoveryStartFresh}
+      />
+    );
+  }
+  if (!active) return null;
+  const completion = getCompletion(active);
+  const { filled: tasksFilled, total: tasksTotal } = getTaskCount(active);
 
   const renderSection = () => {
     const lang = active.language || "en";
@@ -4235,7 +8988,9 @@ export default function RequirementAnalyzer() {
         }} 
         onPhaseChange={updatePhase} 
         onJiraTicketChange={(v) => updateActive("jiraTicket", v)}
-        onSecureModeChange={(v) => updateActive("secureMode", v)}
+        onSecureModeChange={handleSecureModeChange}
+        onChangePassphrase={() => setVaultModal({ mode: "change", dismissable: true })}
+        onLockVault={handleLockVault}
         onLanguageChange={(v) => updateActive("language", v)}
         onOpenAudioModal={() => setAudioModalOpen(true)}
         onOpenPasteModal={() => setPasteModalOpen(true)}
@@ -4326,10 +9081,26 @@ export default function RequirementAnalyzer() {
                         </div>
                       )}
                       {a.phase && <VersionBadge version={a.phase} size="xs" />}
-                      {analyses.length > 1 && (
+                      {autoSync[a.id] && a.gistId && (() => {
+                        const status = autoSyncStatus[a.id] || { state: a.updatedAt === autoSync[a.id].syncedUpdatedAt ? "synced" : "pending" };
+                        const badge = AUTO_SYNC_BADGES[status.state];
+                        return (
+                          <span className={`text-[10px] font-medium px-1.5 py-0.5 rounded-full ${badge.className}`} title={status.error ? `${badge.title}: ${status.error}` : badge.title}>
+                            {badge.label}
+                          </span>
+                        );
+                      })()}
+                      {WORKSPACE_STATE_STYLES[workspaceStates.get(a.id)] && (
+                        <span
+                          className={`w-2 h-2 rounded-full ${WORKSPACE_STATE_STYLES[workspaceStates.get(a.id)].dot}`}
+                          title={WORKSPACE_STATE_STYLES[workspaceStates.get(a.id)].label}
+                        />
+                      )}
+                      {liveAnalyses.length > 1 && (
                         <button
                           onClick={(e) => { e.stopPropagation(); deleteAnalysis(a.id); }}
                           className="text-slate-300 dark:text-slate-600 hover:text-red-400 dark:hover:text-red-500 opacity-0 group-hover:opacity-100 text-sm ml-1"
+                          title="Move to trash"
                         >×</button>
                       )}
                     </div>
@@ -4351,13 +9122,28 @@ export default function RequirementAnalyzer() {
             >
               + New design task
             </button>
+
+            {/* Trash */}
+            <button
+              onClick={() => setTrashOpen(true)}
+              className="w-full flex items-center justify-center gap-1.5 text-xs text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-200 transition-colors"
+            >
+              <TrashIcon className="w-3.5 h-3.5" />
+              Trash{trashedAnalyses.length > 0 && ` (${trashedAnalyses.length})`}
+            </button>
             
             {/* Export Options Section */}
             {syncOptionsExpanded && (
               <div className="space-y-2 mb-2">
-                {/* GitHub Gist Sync - Only when current analysis doesn't have secure mode */}
-                {!active?.secureMode && gistExpanded && (
+                {/* GitHub Gist Sync - secure tasks are end-to-end encrypted before upload */}
+                {gistExpanded && (
                   <div className="space-y-2 mb-3 pb-3 border-b border-slate-200 dark:border-slate-700">
+                    {active?.secureMode && (
+                      <p className="text-xs text-emerald-700 dark:text-emerald-400 bg-emerald-50 dark:bg-emerald-900/20 border border-emerald-200 dark:border-emerald-800 rounded-lg p-2 flex gap-1.5">
+                        <LockIcon className="w-3.5 h-3.5 shrink-0 mt-0.5" />
+                        This secure task is encrypted in your browser with a gist passphrase before it's sent. Share the passphrase separately.
+                      </p>
+                    )}
                     {/* GitHub Token */}
                     <div>
                       <label className="text-sm text-slate-700 dark:text-slate-200 mb-1 block font-medium">GitHub Token</label>
@@ -4377,21 +9163,81 @@ export default function RequirementAnalyzer() {
                         Create token
                       </a>
                     </div>
+
+                    {/* Sync Provider */}
+                    <div>
+                      <label className="text-sm text-slate-700 dark:text-slate-200 mb-1 block font-medium">Save tasks to</label>
+                      <select
+                        value={syncBackend.provider}
+                        onChange={(e) => setSyncBackend((prev) => ({ ...prev, provider: e.target.value }))}
+                        className="w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500"
+                      >
+                        <option value="gist">GitHub Gist</option>
+                        <option value="server">Sync server (self-hosted)</option>
+                      </select>
+                      {syncBackend.provider === "server" && (
+                        <div className="mt-2 space-y-2">
+                          <input
+                            type="url"
+                            placeholder="http://localhost:8787"
+                            value={syncBackend.serverUrl}
+                            onChange={(e) => setSyncBackend((prev) => ({ ...prev, serverUrl: e.target.value }))}
+                            className="w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500"
+                          />
+                          <input
+                            type="password"
+                            placeholder="Server token (if required)"
+                            value={syncBackend.serverToken}
+                            onChange={(e) => setSyncBackend((prev) => ({ ...prev, serverToken: e.target.value }))}
+                            className="w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500"
+                          />
+                        </div>
+                      )}
+                      {active?.gistId && linkedProviderId(active) !== syncBackend.provider && (
+                        <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                          This task stays linked to {providerFor(active).label}.
+                        </p>
+                      )}
+                    </div>
                     
                     {/* Save to Gist */}
                     <button
                       onClick={handleSaveToGist}
-                      disabled={gistLoading || !githubToken}
+                      disabled={gistLoading || !providerFor(active).ready}
                       className="w-full py-2.5 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
                     >
-                      {gistLoading ? "Saving..." : active?.gistId ? "Update Gist" : "Save to Gist"}
+                      {gistLoading
+                        ? "Saving..."
+                        : providerFor(active).id === "gist"
+                          ? (active?.gistId ? "Update Gist" : "Save to Gist")
+                          : (active?.gistId ? "Update on server" : "Save to server")}
                     </button>
+                    {active?.gistId && (
+                      <button
+                        onClick={() => setGistHistoryOpen(true)}
+                        className="w-full py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors flex items-center justify-center gap-1.5"
+                      >
+                        <HistoryIcon className="w-3.5 h-3.5" />
+                        {providerFor(active).id === "gist" ? "Gist revisions" : "Server revisions"}
+                      </button>
+                    )}
+                    {active?.gistId && (
+                      <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-200" title="Push changes a few seconds after you stop editing and check for remote changes every minute">
+                        <input
+                          type="checkbox"
+                          checked={!!autoSync[active.id]}
+                          onChange={(e) => handleAutoSyncToggle(e.target.checked)}
+                          disabled={!providerFor(active).ready}
+                        />
+                        Auto-sync this task
+                      </label>
+                    )}
                     
                     {/* Load from Gist */}
                     <div className="flex gap-2">
                       <input
                         type="text"
-                        placeholder="Gist ID"
+                        placeholder={syncProvider.id === "gist" ? "Gist ID" : "Document ID"}
                         value={loadGistId}
                         onChange={(e) => setLoadGistId(e.target.value)}
                         className="flex-1 px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500"
@@ -4404,18 +9250,176 @@ export default function RequirementAnalyzer() {
                         Load
                       </button>
                     </div>
+                    <button
+                      onClick={() => setGistBrowserOpen(true)}
+                      disabled={!syncProvider.ready}
+                      className="w-full py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {syncProvider.id === "gist" ? "Browse my gists" : "Browse the sync server"}
+                    </button>
+
+                    {/* Workspace Gist */}
+                    <div className="pt-3 mt-1 border-t border-slate-200 dark:border-slate-700 space-y-2">
+                      <div className="text-sm text-slate-700 dark:text-slate-200 font-medium">Workspace gist</div>
+                      {workspaceSync.gistId ? (
+                        <>
+                          <div className="text-xs text-slate-500 dark:text-slate-400">
+                            <a
+                              href={`https://gist.github.com/${workspaceSync.gistId}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 underline break-all"
+                            >
+                              {workspaceSync.gistId}
+                            </a>
+                            {workspaceManifest && (() => {
+                              const counts = {};
+                              workspaceStates.forEach((state) => { counts[state] = (counts[state] || 0) + 1; });
+                              const parts = [
+                                (counts.local || 0) + (counts.new || 0) > 0 && `${(counts.local || 0) + (counts.new || 0)} to push`,
+                                (counts.remote || 0) + (counts["remote-only"] || 0) > 0 && `${(counts.remote || 0) + (counts["remote-only"] || 0)} to pull`,
+                                counts.diverged > 0 && `${counts.diverged} changed on both sides`,
+                              ].filter(Boolean);
+                              return <div className="mt-1">{parts.length > 0 ? parts.join(" · ") : "Up to date"}</div>;
+                            })()}
+                          </div>
+                          <div className="flex gap-2">
+                            <button
+                              onClick={handleWorkspacePush}
+                              disabled={workspaceBusy || !githubToken}
+                              className="flex-1 py-2 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                            >
+                              Push all
+                            </button>
+                            <button
+                              onClick={handleWorkspacePull}
+                              disabled={workspaceBusy}
+                              className="flex-1 py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                            >
+                              Pull all
+                            </button>
+                          </div>
+                          <div className="flex justify-between text-xs">
+                            <button onClick={handleWorkspaceCheck} disabled={workspaceBusy} className="text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-200 disabled:opacity-50">
+                              {workspaceBusy ? "Syncing..." : "Check for changes"}
+                            </button>
+                            <button onClick={handleWorkspaceUnlink} disabled={workspaceBusy} className="text-slate-500 dark:text-slate-400 hover:text-red-600 dark:hover:text-red-400 disabled:opacity-50">
+                              Unlink
+                            </button>
+                          </div>
+                        </>
+                      ) : (
+                        <>
+                          <p className="text-xs text-slate-500 dark:text-slate-400">
+                            Keep all standard tasks in one private gist. Push to create it, or link a gist a teammate shared.
+                          </p>
+                          <button
+                            onClick={handleWorkspacePush}
+                            disabled={workspaceBusy || !githubToken}
+                            className="w-full py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                          >
+                            {workspaceBusy ? "Pushing..." : "Push workspace to a new gist"}
+                          </button>
+                          <div className="flex gap-2">
+                            <input
+                              type="text"
+                              placeholder="Workspace gist ID"
+                              value={workspaceGistInput}
+                              onChange={(e) => setWorkspaceGistInput(e.target.value)}
+                              className="flex-1 min-w-0 px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500"
+                            />
+                            <button
+                              onClick={handleWorkspaceLink}
+                              disabled={workspaceBusy || !workspaceGistInput.trim()}
+                              className="px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded hover:border-slate-400 dark:hover:border-slate-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                            >
+                              Link
+                            </button>
+                          </div>
+                        </>
+                      )}
+                    </div>
+
+                    {/* Repository Sync */}
+                    <div className="pt-3 mt-1 border-t border-slate-200 dark:border-slate-700 space-y-2">
+                      <div className="text-sm text-slate-700 dark:text-slate-200 font-medium">GitHub repository</div>
+                      <p className="text-xs text-slate-500 dark:text-slate-400">
+                        Commit standard tasks to a repository as JSON and markdown. The token needs 'repo' scope.
+                      </p>
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          placeholder="Owner"
+                          value={repoSync.owner}
+                          onChange={(e) => setRepoSync((prev) => ({ ...prev, owner: e.target.value }))}
+                          className="flex-1 min-w-0 px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500"
+                        />
+                        <input
+                          type="text"
+                          placeholder="Repository"
+                          value={repoSync.repo}
+                          onChange={(e) => setRepoSync((prev) => ({ ...prev, repo: e.target.value }))}
+                          className="flex-1 min-w-0 px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500"
+                        />
+                      </div>
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          placeholder="Branch (default)"
+                          value={repoSync.branch}
+                          onChange={(e) => setRepoSync((prev) => ({ ...prev, branch: e.target.value }))}
+                          className="flex-1 min-w-0 px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500"
+                        />
+                        <input
+                          type="text"
+                          placeholder="Folder"
+                          value={repoSync.directory}
+                          onChange={(e) => setRepoSync((prev) => ({ ...prev, directory: e.target.value }))}
+                          className="flex-1 min-w-0 px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500"
+                        />
+                      </div>
+                      <input
+                        type="url"
+                        placeholder="API URL (default https://api.github.com)"
+                        value={repoSync.apiUrl}
+                        onChange={(e) => setRepoSync((prev) => ({ ...prev, apiUrl: e.target.value }))}
+                        className="w-full px-3 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:focus:ring-slate-500"
+                      />
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleRepoPush([active])}
+                          disabled={repoBusy || !githubToken || active.secureMode}
+                          className="flex-1 py-2 text-sm text-white bg-slate-800 dark:bg-slate-600 hover:bg-slate-700 dark:hover:bg-slate-500 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                          title={active.secureMode ? "Secure tasks are never committed to a repository" : undefined}
+                        >
+                          {repoBusy ? "Syncing..." : "Push task"}
+                        </button>
+                        <button
+                          onClick={() => handleRepoPush(analyses.filter((a) => !a.deletedAt))}
+                          disabled={repoBusy || !githubToken}
+                          className="flex-1 py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                        >
+                          Push all
+                        </button>
+                      </div>
+                      <button
+                        onClick={handleRepoImport}
+                        disabled={repoBusy || !githubToken}
+                        className="w-full py-2 text-sm text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-300 dark:border-slate-600 rounded-lg hover:border-slate-400 dark:hover:border-slate-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Import from repository
+                      </button>
+                    </div>
                   </div>
                 )}
                 
-                {!active?.secureMode && (
-                  <button
-                    onClick={() => setGistExpanded(!gistExpanded)}
-                    className="w-full py-2.5 text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-300 dark:hover:border-slate-500 transition-colors flex items-center justify-center gap-1"
-                    title="Cloud backup: Saves your active task to GitHub as a private gist. Share the Gist ID with others to let them import a copy. Changes don't auto-sync between people - each save/load creates an independent snapshot."
-                  >
-                    GitHub Sync {gistExpanded ? "⌄" : "⌃"}
-                  </button>
-                )}
+                <button
+                  onClick={() => setGistExpanded(!gistExpanded)}
+                  className="w-full py-2.5 text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-300 dark:hover:border-slate-500 transition-colors flex items-center justify-center gap-1"
+                  title="Cloud backup: Saves your active task to GitHub as a private gist. Share the Gist ID with others to let them load it. Secure tasks are encrypted before they leave the browser."
+                >
+                  GitHub Sync {gistExpanded ? "⌄" : "⌃"}
+                </button>
                 
                 {/* Share Link */}
                 <button
@@ -4429,18 +9433,40 @@ export default function RequirementAnalyzer() {
                   type="file"
                   ref={fileInputRef}
                   onChange={handleImportMd}
-                  accept=".md,.markdown,.txt"
+                  accept=".md,.markdown,.txt,.json"
                   className="hidden"
                 />
                 <button 
                   onClick={() => fileInputRef.current?.click()} 
                   className="w-full py-2.5 text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-300 dark:hover:border-slate-500 transition-colors"
                 >
-                  Import Markdown
+                  Import Markdown / JSON
                 </button>
                 <button onClick={handleExportMd} className="w-full py-2.5 text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-300 dark:hover:border-slate-500 transition-colors">
                   Export as Markdown
                 </button>
+
+                {/* Workspace Backup */}
+                <button
+                  onClick={() => setBackupOpen(true)}
+                  className="w-full py-2.5 text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-300 dark:hover:border-slate-500 transition-colors"
+                  title="Download every task and your settings as one file"
+                >
+                  Download workspace backup
+                </button>
+                <input
+                  type="file"
+                  ref={backupInputRef}
+                  onChange={handleRestoreFile}
+                  accept=".json"
+                  className="hidden"
+                />
+                <button
+                  onClick={() => backupInputRef.current?.click()}
+                  className="w-full py-2.5 text-sm bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:text-slate-900 dark:hover:text-white border border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-300 dark:hover:border-slate-500 transition-colors"
+                >
+                  Restore workspace backup
+                </button>
               </div>
             )}
             
@@ -4481,6 +9507,59 @@ export default function RequirementAnalyzer() {
                 />
               </div>
               <span className="text-xs text-slate-400 w-10">{tasksFilled}/{tasksTotal}</span>
+              <span
+                className={`text-xs w-16 text-right ${saveStatus === "error" ? "text-red-600 dark:text-red-400" : "text-slate-500 dark:text-slate-400"}`}
+                role="status"
+                aria-live="polite"
+              >
+                {saveStatus === "error" ? "Save failed" : saveStatus === "saved" ? "Saved" : "Saving…"}
+              </span>
+              <button
+                onClick={handleUndo}
+                disabled={!canUndo}
+                className="p-2 bg-white dark:bg-slate-800 text-slate-600 dark:text-slate-300 hover:text-slate-800 dark:hover:text-slate-100 border border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-300 dark:hover:border-slate-500 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                title="Undo (Ctrl+Z)"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a5 5 0 010 10h-3M3 10l4-4m-4 4l4 4" />
+                </svg>
+              </button>
+              <button
+                onClick={handleRedo}
+                disabled={!canRedo}
+                className="p-2 bg-white dark:bg-slate-800 text-slate-600 dark:text-slate-300 hover:text-slate-800 dark:hover:text-slate-100 border border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-300 dark:hover:border-slate-500 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                title="Redo (Ctrl+Shift+Z)"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 10H11a5 5 0 000 10h3m7-10l-4-4m4 4l-4 4" />
+                </svg>
+              </button>
+              <button
+                onClick={() => setCollabOpen(true)}
+                className={`p-2 bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-300 dark:hover:border-slate-500 transition-colors flex items-center gap-1 ${
+                  collab ? "text-blue-600 dark:text-blue-400" : "text-slate-600 dark:text-slate-300 hover:text-slate-800 dark:hover:text-slate-100"
+                }`}
+                title={collab ? `Live session (${Object.keys(collabPeers).length + 1} editing)` : "Live session"}
+              >
+                <PeopleIcon />
+                {collab && <span className="text-xs">{Object.keys(collabPeers).length + 1}</span>}
+              </button>
+              <button
+                onClick={() => setHistoryOpen(true)}
+                className="p-2 bg-white dark:bg-slate-800 text-slate-600 dark:text-slate-300 hover:text-slate-800 dark:hover:text-slate-100 border border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-300 dark:hover:border-slate-500 transition-colors"
+                title="Version history"
+              >
+                <HistoryIcon />
+              </button>
+              {vault.isUnlocked() && (
+                <button
+                  onClick={handleLockVault}
+                  className="p-2 bg-white dark:bg-slate-800 text-emerald-600 dark:text-emerald-400 hover:text-emerald-700 dark:hover:text-emerald-300 border border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-300 dark:hover:border-slate-500 transition-colors"
+                  title="Lock vault"
+                >
+                  <LockIcon />
+                </button>
+              )}
               <button
                 onClick={() => setDarkMode(!darkMode)}
                 className="p-2 bg-white dark:bg-slate-800 text-slate-600 dark:text-slate-300 hover:text-slate-800 dark:hover:text-slate-100 border border-slate-200 dark:border-slate-600 rounded-lg hover:border-slate-300 dark:hover:border-slate-500 transition-colors"
@@ -4542,6 +9621,14 @@ export default function RequirementAnalyzer() {
                 >
                   <span className="mr-1 opacity-60">{s.icon}</span>
                   {t.sections[s.id] || s.label}
+                  {collabPeersBySection[s.id]?.map((peer) => (
+                    <span
+                      key={peer.client}
+                      className="inline-block w-2 h-2 rounded-full ml-1 align-middle"
+                      style={{ backgroundColor: peer.color }}
+                      title={`${peer.name} is here`}
+                    />
+                  ))}
                 </Pill>
               );
             })}
@@ -4550,6 +9637,34 @@ export default function RequirementAnalyzer() {
 
         {/* Content */}
         <div className="flex-1 overflow-y-auto">
+          {activeSyncConflicts.length > 0 && (
+            <div className="max-w-2xl mx-auto px-6 pt-6">
+              <div className="border border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20 rounded-lg px-4 py-3" role="alert">
+                <p className="text-sm font-medium text-amber-800 dark:text-amber-300 mb-2">
+                  This task was also edited in another tab. Where you both changed the same field, your version was kept:
+                </p>
+                <ul className="space-y-2">
+                  {activeSyncConflicts.map((conflict, i) => (
+                    <li key={i} className="text-sm bg-white dark:bg-slate-800 rounded-lg px-3 py-2 border border-amber-100 dark:border-amber-900">
+                      <div className="text-xs text-slate-500 dark:text-slate-400 mb-1">{describeMergePath(active, conflict.path)}</div>
+                      <div className="text-slate-700 dark:text-slate-200 whitespace-pre-wrap break-words">
+                        <span className="text-xs text-slate-500 dark:text-slate-400">Other tab: </span>
+                        {diffValueText(conflict.remote) || <em className="text-slate-400">empty</em>}
+                      </div>
+                      <div className="flex gap-3 mt-1.5">
+                        <button onClick={() => resolveSyncConflict(conflict, false)} className="text-xs text-slate-600 dark:text-slate-300 hover:text-slate-900 dark:hover:text-white underline">
+                          Keep mine
+                        </button>
+                        <button onClick={() => resolveSyncConflict(conflict, true)} className="text-xs text-slate-600 dark:text-slate-300 hover:text-slate-900 dark:hover:text-white underline">
+                          Use theirs
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
           <div className={activeSection === "mapping" ? "px-6 py-8" : "max-w-2xl mx-auto px-6 py-8"}>
             {renderSection()}
           </div>
@@ -4583,20 +9698,19 @@ export default function RequirementAnalyzer() {
           isRecording={isRecording}
           transcript={transcript}
           audioProcessing={audioProcessing}
-          aiSuggestions={aiSuggestions}
-          selectedSections={selectedSections}
-          onToggleSection={handleToggleSection}
-          onUpdateSuggestion={handleUpdateSuggestion}
+          extraction={extraction}
           onStartRecording={handleStartRecording}
           onStopRecording={handleStopRecording}
           onFileUpload={handleFileUpload}
           onAnalyze={handleAnalyzeTranscript}
-          onApply={handleApplyAudioChanges}
-          githubAIKey={githubAIKey}
-          onSetGitHubAIKey={setGitHubAIKey}
+          onApply={handleApplyExtraction}
+          ai={aiClient}
+          onOpenAiSettings={() => setAiSettingsOpen(true)}
           activeAnalysis={active}
-          mergeModes={mergeModes}
-          onSetMergeMode={handleSetMergeMode}
+          extractionModes={extractionModes}
+          onSetExtractionMode={handleSetExtractionMode}
+          onUpdateExtractionField={handleUpdateExtractionField}
+          onRemoveExtractionField={handleRemoveExtractionField}
         />
       )}
 
@@ -4604,14 +9718,7 @@ export default function RequirementAnalyzer() {
       {!active?.secureMode && (
         <PasteAnalyzeModal
           isOpen={pasteModalOpen}
-          onClose={() => {
-            setPasteModalOpen(false);
-            setPastedText("");
-            setPastedImage(null);
-            setPastedPdf(null);
-            setPasteResults(null);
-            setPasteMergeModes({});
-          }}
+          onClose={handleClosePasteModal}
           pastedText={pastedText}
           onTextChange={setPastedText}
           pastedImage={pastedImage}
@@ -4622,18 +9729,140 @@ export default function RequirementAnalyzer() {
           onImageAnalyze={handleImageAnalyze}
           onPdfAnalyze={handlePdfAnalyze}
           analyzing={pasteAnalyzing}
-          results={pasteResults}
-          onApply={handleApplyPasteResults}
-          githubAIKey={githubAIKey}
-          onSetGitHubAIKey={setGitHubAIKey}
-          onDeleteField={handleDeletePasteField}
-          onUpdateField={handleUpdatePasteField}
+          extraction={extraction}
+          onApply={handleApplyExtraction}
+          ai={aiClient}
+          onOpenAiSettings={() => setAiSettingsOpen(true)}
           activeAnalysis={active}
-          mergeModes={pasteMergeModes}
-          onSetMergeMode={handleSetPasteMergeMode}
+          extractionModes={extractionModes}
+          onSetExtractionMode={handleSetExtractionMode}
+          onUpdateExtractionField={handleUpdateExtractionField}
+          onRemoveExtractionField={handleRemoveExtractionField}
         />
       )}
 
+      {/* AI Settings Modal */}
+      <AiSettingsModal
+        isOpen={aiSettingsOpen}
+        provider={aiProvider}
+        apiKey={aiKey}
+        onProviderChange={setAiProvider}
+        onApiKeyChange={setAiKey}
+        onClose={() => setAiSettingsOpen(false)}
+      />
+
+      {/* Trash Modal */}
+      <TrashModal
+        isOpen={trashOpen}
+        analyses={trashedAnalyses}
+        retentionDays={trashRetentionDays}
+        onRetentionChange={handleTrashRetentionChange}
+        onRestore={(id) => { restoreFromTrash(id); setTrashOpen(false); }}
+        onPurge={purgeFromTrash}
+        onClose={() => setTrashOpen(false)}
+      />
+
+      {/* Backup Modals */}
+      <BackupModal
+        isOpen={backupOpen}
+        analysisCount={analyses.length}
+        secureCount={analyses.filter((a) => a.secureMode).length}
+        onCreate={handleCreateBackup}
+        onClose={() => setBackupOpen(false)}
+      />
+      <RestoreBackupModal
+        restore={restoreBackup}
+        localAnalyses={analyses}
+        onUnlock={handleUnlockBackup}
+        onApply={handleApplyRestore}
+        onClose={() => setRestoreBackup(null)}
+      />
+
+      {/* Gist Browser Modal */}
+      <GistBrowserModal
+        isOpen={gistBrowserOpen}
+        provider={syncProvider}
+        linkedGistIds={new Set(analyses.filter((a) => a.gistId && linkedProviderId(a) === syncProvider.id).map((a) => a.gistId))}
+        onImport={handleImportGists}
+        onDelete={handleDeleteGists}
+        onClose={() => setGistBrowserOpen(false)}
+      />
+
+      {/* Collab Modal */}
+      <CollabModal
+        isOpen={collabOpen}
+        settings={collabSettings}
+        onSettingsChange={setCollabSettings}
+        session={collab}
+        peers={collabPeers}
+        active={active}
+        initialRoom={collabInvite}
+        onStart={handleStartCollab}
+        onJoin={handleJoinCollab}
+        onLeave={() => leaveCollab()}
+        onClose={() => setCollabOpen(false)}
+      />
+
+      {/* Gist History Modal */}
+      <GistHistoryModal
+        isOpen={gistHistoryOpen}
+        analysis={active}
+        provider={providerFor(active)}
+        unlock={active?.gistId ? gistUnlocker(active.gistId, active.name) : undefined}
+        onClose={() => setGistHistoryOpen(false)}
+        onRestore={handleRestoreGistRevision}
+      />
+
+      {/* Shared Task Viewer */}
+      <SharedTaskViewer
+        analysis={sharedView}
+        onImport={importSharedAnalysis}
+        onClose={() => setSharedView(null)}
+      />
+
+      {/* Share Modal */}
+      <ShareModal
+        isOpen={shareOpen}
+        analysis={active}
+        onClose={() => setShareOpen(false)}
+        onShareViaGist={() => {
+          setShareOpen(false);
+          setGistExpanded(true);
+        }}
+      />
+
+      {/* Gist Passphrase Modal */}
+      <GistPassphraseModal
+        prompt={gistPassphrasePrompt}
+        onSubmit={closeGistPassphrasePrompt}
+        onClose={() => closeGistPassphrasePrompt(null)}
+      />
+
+      {/* Gist Merge Modal */}
+      <GistMergeModal
+        merge={gistMerge}
+        onResolve={handleResolveGistMerge}
+        onClose={() => setGistMerge(null)}
+      />
+
+      {/* History Modal */}
+      <HistoryModal
+        isOpen={historyOpen}
+        analysis={active}
+        onClose={() => setHistoryOpen(false)}
+        onRestore={handleRestoreSnapshot}
+      />
+
+      {/* Vault Passphrase Modal */}
+      <VaultPassphraseModal
+        isOpen={!!vaultModal}
+        mode={vaultModal?.mode}
+        reason={vaultModal?.reason}
+        dismissable={vaultModal?.dismissable}
+        onSubmit={handleVaultSubmit}
+        onClose={() => setVaultModal(null)}
+      />
+
       {/* Import Markdown Modal */}
       <ImportMarkdownModal
         isOpen={importModalOpen}